@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Progress and result panel for strapi-migrate jobs
+ * @module strapi-migrate/admin/components/JobProgress
+ */
+
+import { Alert, Badge, Box, Flex, Typography } from '@strapi/design-system';
+
+/**
+ * Human readable meaning of the exit codes a finished job can report.
+ * @type {Object<number, string>}
+ */
+const EXIT_CODE_LABELS = {
+    0: 'Completed without failures',
+    2: 'Completed with failures',
+    3: 'Nothing succeeded',
+    4: 'Archive rejected by validation'
+};
+
+/**
+ * Shows the live phase, counters and failures of a job and, once finished, its summary.
+ * @param {Object} props - Component props
+ * @param {Object} props.job - Job as returned by the jobs endpoint
+ * @returns {JSX.Element} The progress panel
+ */
+export const JobProgress = ({ job }) => {
+    const summary = job.result?.summary || job.result?.report?.summary;
+    const failures = job.events.filter(event => event.type === 'failure');
+    const exitCode = job.error ? job.error.exitCode : job.result?.exitCode;
+
+    return (
+        <Box paddingTop={4}>
+            <Flex gap={2} paddingBottom={2}>
+                <Badge active={job.status === 'running'}>{job.status}</Badge>
+                {job.dryRun && <Badge>dry run</Badge>}
+                {job.status === 'running' && job.phase && (
+                    <Typography variant="pi" textColor="neutral600">{job.phase}</Typography>
+                )}
+            </Flex>
+
+            <Typography variant="omega">
+                {job.progress.entries} entries, {job.progress.media} media, {job.progress.failures} failure(s)
+            </Typography>
+
+            {job.status !== 'running' && exitCode !== null && exitCode !== undefined && (
+                <Box paddingTop={2}>
+                    <Typography variant="omega" fontWeight="bold">
+                        {EXIT_CODE_LABELS[exitCode] || `Exit code ${exitCode}`}
+                    </Typography>
+                </Box>
+            )}
+
+            {summary && (
+                <Box paddingTop={2}>
+                    <Typography variant="pi" textColor="neutral600">
+                        exported {summary.exported} · created {summary.created} · updated {summary.updated} · linked {summary.linked} · deleted {summary.deleted} · failed {summary.failed}
+                    </Typography>
+                </Box>
+            )}
+
+            {job.error && (
+                <Box paddingTop={2}>
+                    <Alert variant="danger" title="Job failed" closeLabel="Close">
+                        {job.error.message}
+                    </Alert>
+                </Box>
+            )}
+
+            {failures.length > 0 && (
+                <Box paddingTop={2}>
+                    {failures.map((failure, index) => (
+                        <Typography key={index} tag="p" variant="pi" textColor="danger600">
+                            [{failure.phase}] {failure.uid || ''} {failure.documentId || ''} {failure.locale ? `(${failure.locale})` : ''}: {failure.message}
+                        </Typography>
+                    ))}
+                </Box>
+            )}
+        </Box>
+    );
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Job polling hook for the strapi-migrate admin panel
+ * @module strapi-migrate/admin/hooks/useJob
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useFetchClient } from '@strapi/strapi/admin';
+import { PLUGIN_ID } from '../pluginId';
+
+/**
+ * Interval between job status requests while a job is running.
+ * @type {number}
+ */
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Consecutive failed status requests after which a running job is shown as failed
+ * (e.g. the server restarted and lost it, or the admin session expired).
+ * @type {number}
+ */
+const MAX_POLL_FAILURES = 3;
+
+/**
+ * Tracks a server-side export or import job, polling its status until it finishes. A job whose
+ * status cannot be read for MAX_POLL_FAILURES polls in a row is marked failed.
+ * @returns {{ job: Object | null, setJob: function(Object | null): void }} The latest job state
+ * and a setter used with the job returned by the start endpoint
+ */
+export const useJob = () => {
+    const { get } = useFetchClient();
+    const [job, setJob] = useState(null);
+    const pollFailures = useRef(0);
+
+    useEffect(() => {
+        if (!job || job.status !== 'running') return undefined;
+
+        const timer = setTimeout(async () => {
+            try {
+                const { data } = await get(`/${PLUGIN_ID}/jobs/${job.id}`);
+                pollFailures.current = 0;
+                setJob(data.data);
+            } catch (err) {
+                pollFailures.current++;
+                if (pollFailures.current < MAX_POLL_FAILURES) {
+                    // A new object re-runs the effect, retrying after the next interval
+                    setJob({ ...job });
+                    return;
+                }
+                pollFailures.current = 0;
+                const message = err?.response?.data?.error?.message || err.message;
+                setJob({ ...job, status: 'failed', error: { message: `Lost track of the job: ${message}`, exitCode: null } });
+            }
+        }, POLL_INTERVAL_MS);
+
+        return () => clearTimeout(timer);
+    }, [job, get]);
+
+    return { job, setJob };
+};
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Strapi admin plugin for strapi-migrate
+ * @description Adds a "Migrate" page to the admin Settings to export content types, download
+ * the archive, and upload archives for a dry-run preview or import on the running server.
+ * @module strapi-migrate/admin
+ */
+
+import { PLUGIN_ID } from './pluginId';
+
+export default {
+    register(app) {
+        app.addSettingsLink('global', {
+            id: PLUGIN_ID,
+            to: PLUGIN_ID,
+            intlLabel: { id: `${PLUGIN_ID}.settings.link`, defaultMessage: 'Migrate' },
+            Component: () => import('./pages/SettingsPage'),
+            permissions: [
+                { action: `plugin::${PLUGIN_ID}.export`, subject: null },
+                { action: `plugin::${PLUGIN_ID}.import`, subject: null }
+            ]
+        });
+
+        app.registerPlugin({ id: PLUGIN_ID, name: PLUGIN_ID });
+    }
+};
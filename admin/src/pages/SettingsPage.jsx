@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Settings page of the strapi-migrate admin panel
+ * @description Export: pick content types (like the CLI checkbox prompt), run the export and
+ * download the archive. Import: upload an archive, preview it with a dry run, then import it.
+ * Both run as jobs inside the live server, with their progress polled from the jobs endpoint.
+ * @module strapi-migrate/admin/pages/SettingsPage
+ */
+
+import { useEffect, useState } from 'react';
+import { Box, Button, Checkbox, Flex, Typography } from '@strapi/design-system';
+import { Layouts, Page, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { PLUGIN_ID } from '../pluginId';
+import { useJob } from '../hooks/useJob';
+import { JobProgress } from '../components/JobProgress';
+
+/**
+ * Extracts the server's error message from a failed fetch client request.
+ * @param {Error} err - The request error
+ * @returns {string} Message to show
+ */
+const getErrorMessage = (err) => err?.response?.data?.error?.message || err.message;
+
+/**
+ * Panel that selects content types, starts an export and offers the archive for download.
+ * @returns {JSX.Element} The export panel
+ */
+const ExportPanel = () => {
+    const { get, post } = useFetchClient();
+    const { toggleNotification } = useNotification();
+    const { job, setJob } = useJob();
+    const [contentTypes, setContentTypes] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [dryRun, setDryRun] = useState(false);
+
+    useEffect(() => {
+        get(`/${PLUGIN_ID}/content-types`)
+            .then(({ data }) => setContentTypes(data.data))
+            .catch(err => toggleNotification({ type: 'danger', message: getErrorMessage(err) }));
+    }, [get, toggleNotification]);
+
+    const toggleType = (uid, checked) => {
+        setSelected(current => (checked ? [...current, uid] : current.filter(item => item !== uid)));
+    };
+
+    const startExport = async () => {
+        try {
+            const { data } = await post(`/${PLUGIN_ID}/export`, { types: selected, dryRun });
+            setJob(data.data);
+        } catch (err) {
+            toggleNotification({ type: 'danger', message: getErrorMessage(err) });
+        }
+    };
+
+    const download = async () => {
+        const file = job.result.file;
+        try {
+            const { data } = await get(`/${PLUGIN_ID}/exports/${file}`, { responseType: 'blob' });
+            const url = URL.createObjectURL(data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            toggleNotification({ type: 'danger', message: getErrorMessage(err) });
+        }
+    };
+
+    const running = job?.status === 'running';
+    const allSelected = contentTypes.length > 0 && selected.length === contentTypes.length;
+
+    return (
+        <Box background="neutral0" padding={6} shadow="filterShadow" hasRadius>
+            <Typography variant="delta" tag="h2">Export</Typography>
+            <Box paddingTop={2} paddingBottom={4}>
+                <Typography variant="pi" textColor="neutral600">
+                    Related content types, media, view configurations and schema files are included automatically.
+                </Typography>
+            </Box>
+
+            <Checkbox
+                checked={allSelected}
+                onCheckedChange={checked => setSelected(checked ? contentTypes.map(type => type.uid) : [])}
+            >
+                Select all
+            </Checkbox>
+            <Flex direction="column" alignItems="stretch" gap={2} paddingTop={2} paddingLeft={4}>
+                {contentTypes.map(type => (
+                    <Checkbox
+                        key={type.uid}
+                        checked={selected.includes(type.uid)}
+                        onCheckedChange={checked => toggleType(type.uid, checked)}
+                    >
+                        {type.displayName} ({type.uid})
+                    </Checkbox>
+                ))}
+            </Flex>
+
+            <Flex gap={4} paddingTop={4}>
+                <Checkbox checked={dryRun} onCheckedChange={setDryRun}>Dry run</Checkbox>
+                <Button onClick={startExport} loading={running} disabled={running || selected.length === 0}>
+                    Export
+                </Button>
+                {job?.status === 'completed' && job.result?.file && (
+                    <Button variant="secondary" onClick={download}>Download {job.result.file}</Button>
+                )}
+            </Flex>
+
+            {job && <JobProgress job={job} />}
+        </Box>
+    );
+};
+
+/**
+ * Panel that uploads an archive, previews it with a dry run and imports it.
+ * @returns {JSX.Element} The import panel
+ */
+const ImportPanel = () => {
+    const { post } = useFetchClient();
+    const { toggleNotification } = useNotification();
+    const { job, setJob } = useJob();
+    const [upload, setUpload] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const [atomic, setAtomic] = useState(false);
+
+    const uploadArchive = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const body = new FormData();
+        body.append('archive', file);
+        setUploading(true);
+        try {
+            const { data } = await post(`/${PLUGIN_ID}/uploads`, body);
+            setUpload(data.data);
+            setJob(null);
+        } catch (err) {
+            toggleNotification({ type: 'danger', message: getErrorMessage(err) });
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const startImport = async (dryRun) => {
+        try {
+            const { data } = await post(`/${PLUGIN_ID}/import`, { upload: upload.id, dryRun, atomic });
+            setJob(data.data);
+            // A real import consumes the uploaded archive on the server
+            if (!dryRun) setUpload(null);
+        } catch (err) {
+            toggleNotification({ type: 'danger', message: getErrorMessage(err) });
+        }
+    };
+
+    const running = job?.status === 'running';
+
+    return (
+        <Box background="neutral0" padding={6} shadow="filterShadow" hasRadius>
+            <Typography variant="delta" tag="h2">Import</Typography>
+            <Box paddingTop={2} paddingBottom={4}>
+                <Typography variant="pi" textColor="neutral600">
+                    Imports content, media, view configurations and locales into this server. Schema files are
+                    not written from the admin panel; import archives that change schemas with the CLI.
+                </Typography>
+            </Box>
+
+            <input type="file" accept=".tar.gz,.tgz,.tar" onChange={uploadArchive} disabled={uploading || running} />
+            {upload && (
+                <Box paddingTop={2}>
+                    <Typography variant="pi">Uploaded {upload.name}</Typography>
+                </Box>
+            )}
+
+            <Flex gap={4} paddingTop={4}>
+                <Checkbox checked={atomic} onCheckedChange={setAtomic}>Roll back everything if an entry fails</Checkbox>
+                <Button variant="secondary" onClick={() => startImport(true)} disabled={!upload || running}>
+                    Preview (dry run)
+                </Button>
+                <Button onClick={() => startImport(false)} loading={running && !job.dryRun} disabled={!upload || running}>
+                    Import
+                </Button>
+            </Flex>
+
+            {job && <JobProgress job={job} />}
+        </Box>
+    );
+};
+
+/**
+ * The Migrate settings page.
+ * @returns {JSX.Element} The page
+ */
+const SettingsPage = () => (
+    <Page.Main>
+        <Page.Title>Migrate</Page.Title>
+        <Layouts.Header
+            title="Migrate"
+            subtitle="Export and import content on this server with strapi-migrate"
+        />
+        <Layouts.Content>
+            <Flex direction="column" alignItems="stretch" gap={6}>
+                <ExportPanel />
+                <ImportPanel />
+            </Flex>
+        </Layouts.Content>
+    </Page.Main>
+);
+
+export default SettingsPage;
@@ -0,0 +1,6 @@
+/**
+ * @fileoverview Plugin id shared by the strapi-migrate admin panel
+ * @module strapi-migrate/admin/pluginId
+ */
+
+export const PLUGIN_ID = 'strapi-migrate';
@@ -12,6 +12,11 @@
 const { Command } = require('commander');
 const { runExport } = require('./lib/export');
 const { runImport } = require('./lib/import');
+const { runRestore } = require('./lib/restore');
+const { runServe, runPull, runPush } = require('./lib/transfer');
+const { runDiff } = require('./lib/diff');
+const { runVerify } = require('./lib/verify');
+const { runInspect } = require('./lib/inspect');
 const packageJson = require('./package.json');
 const path = require('path');
 const fs = require('fs');
@@ -26,21 +31,12 @@ console.warn('\nDISCLAIMER: This tool is provided "as is" without warranty of an
 // If user runs global command, process.cwd() is where they ran it.
 
 
-program
-  .name('strapi-migrate')
-  .description('CLI tool for Strapi v5 Import/Export')
-  .version(packageJson.version);
-
-program.command('export')
-  .description('Export content types and media from the current Strapi project. Note: [types...], --all, --filter-api, and --filter-components are mutually exclusive.')
-  .argument('[types...]', 'Content type UIDs to export (e.g. api::article.article)')
-  .option('--all', 'Export all api:: content types without prompting')
-  .option('--filter-api <pattern>', 'Export content types where collectionName matches this regex pattern')
-  .option('--filter-components <pattern>', 'Export only components where collectionName matches this regex pattern')
-  .option('--output-dir <path>', 'Directory where the exported .tar.gz archive will be written (default: ./export-data)')
-  .option('--dry-run', 'Preview what would be exported without creating any files')
-  .action((types, options) => {
-    // Validate mutually exclusive options
+/**
+ * Exits when more than one of the mutually exclusive type selection options is given.
+ * @param {string[]} types - Content type UIDs from the command line
+ * @param {Object} options - Parsed command options
+ */
+function assertSingleSelection(types, options) {
     const selectionOptions = [
       types && types.length > 0 ? 'types' : null,
       options.all ? '--all' : null,
@@ -55,7 +51,41 @@ program.command('export')
       console.error(`  (--dry-run can be combined with any of them)\n`);
       process.exit(1);
     }
+}
 
+program
+  .name('strapi-migrate')
+  .description('CLI tool for Strapi v5 Import/Export')
+  .version(packageJson.version);
+
+program.command('export')
+  .description('Export content types and media from the current Strapi project. Note: [types...], --all, --filter-api, and --filter-components are mutually exclusive.')
+  .argument('[types...]', 'Content type UIDs to export (e.g. api::article.article)')
+  .option('--all', 'Export all api:: content types (and the --plugins types) without prompting')
+  .option('--filter-api <pattern>', 'Export content types where collectionName matches this regex pattern')
+  .option('--filter-components <pattern>', 'Export only components where collectionName matches this regex pattern')
+  .option('--output-dir <path>', 'Directory where the exported .tar.gz archive will be written (default: ./export-data)')
+  .option('--batch-size <number>', 'Number of documents fetched per query while exporting (default: 100)')
+  .option('--since <date>', 'Delta export: only documents updated after this ISO 8601 date')
+  .option('--since-archive <path>', 'Delta export against a previous archive: changed documents, new media and deletions since it was created')
+  .option('--status <status>', 'Export only the draft or the published version of each document: draft, published or both (default: both)')
+  .option('--locale <codes>', 'Export only these locales of localized types (comma-separated codes, e.g. fr,de)')
+  .option('--where <json>', 'Document Service filters the selected types are exported with, e.g. \'{"category":{"slug":"news"}}\'')
+  .option('--where-file <file>', 'JSON file of Document Service filters keyed by content type UID; its types are exported too')
+  .option('--closure', 'Only export the related documents the selected entries reference (transitively), instead of every entry of the related types')
+  .option('--max-depth <number>', 'With --closure or filters: follow at most this many relation hops from the selected entries (default: no limit)')
+  .option('--keep-dangling', 'With --closure or filters: keep relations to documents left out instead of removing them from the exported entries')
+  .option('--plugins [names]', 'Also export allowlisted plugin content types (users-permissions roles, permissions and users, custom plugins), optionally only these plugin names or UIDs (comma-separated)')
+  .option('--include-password-hashes', 'With --plugins: keep the password hashes of exported users (default: left out, users need a password reset)')
+  .option('--fail-fast', 'Abort on the first content type, source or media file that fails to export')
+  .option('--storage <adapter>', 'Read media from: auto, local (public/uploads), provider (the configured upload provider, e.g. S3) or a custom adapter module (default: auto)')
+  .option('--encrypt [public-key]', 'Encrypt the archive (.tar.gz.enc) with a passphrase (STRAPI_MIGRATE_PASSPHRASE or prompted), or for the given RSA public key')
+  .option('--sign <private-key>', 'Sign the archive manifest with this private key (PEM), so imports can verify it with --verify-key')
+  .option('--report <file>', 'Write a machine-readable report of the export (JSON, or JUnit XML for .xml files)')
+  .option('--report-format <format>', 'Report format: json or junit (default: inferred from the --report extension)')
+  .option('--dry-run', 'Preview what would be exported without creating any files')
+  .action((types, options) => {
+    assertSingleSelection(types, options);
     runExport(types, options);
   });
 
@@ -66,10 +96,143 @@ program.command('import')
   .option('--skip-schema', 'Skip schema FILE operations only (src/api, src/components). Does NOT affect database content.')
   .option('--skip-media', 'Skip media file operations. Import: don\'t copy media. Cleanup: don\'t delete media files.')
   .option('--dry-run', 'Preview only: show what would be imported or deleted without making any changes.')
+  .option('--atomic', 'Run all database work in a single transaction and roll back database, schema and upload changes if any entry fails.')
+  .option('--no-snapshot', 'Do not write a pre-import snapshot of the data, schema files and locales the import will touch.')
+  .option('--snapshot-dir <path>', 'Directory where pre-import snapshots are written (default: ./migrate-snapshots)')
+  .option('--fail-fast', 'Abort on the first entry that fails to import instead of continuing.')
+  .option('--storage <adapter>', 'Write media to: auto, local (public/uploads), provider (the configured upload provider, e.g. S3) or a custom adapter module (default: auto)')
+  .option('--mirror', 'Delete target documents and locale variants of the archived types that the archive lacks, then import, so the target ends up an exact replica.')
+  .option('--on-conflict <strategy>', 'When a target document was updated at a different time than the exported one: skip, overwrite, newer-wins, fail or prompt (default: overwrite)')
+  .option('--force', 'Import even when the schema check finds breaking differences between the archive and the target schemas.')
+  .option('--decrypt-key <private-key>', 'Private key (PEM) of an archive encrypted for a public key. Passphrase archives read STRAPI_MIGRATE_PASSPHRASE or prompt.')
+  .option('--verify-key <public-key>', 'Refuse the archive unless its manifest is signed with the private key of this public key (PEM).')
+  .option('--map <file>', 'JSON mapping of renamed content types, components and attributes applied to the archived data (implies --skip-schema).')
+  .option('--transform <file>', 'Module with mapUid, skipEntry, transformEntry and transformMedia hooks applied to the archived data before it is imported.')
+  .option('--resume', 'Continue an interrupted import of the same archive from its checkpoint instead of starting over.')
+  .option('--report <file>', 'Write a machine-readable report of the import (JSON, or JUnit XML for .xml files)')
+  .option('--report-format <format>', 'Report format: json or junit (default: inferred from the --report extension)')
   .action((path, options) => {
     runImport(path, options);
   });
 
+program.command('restore')
+  .description('Restore the target project to the state captured by a pre-import snapshot')
+  .argument('<snapshot>', 'Path to a snapshot .tar.gz or extracted folder (written by import)')
+  .option('--skip-schema', 'Leave schema files (src/api, src/components) untouched.')
+  .option('--dry-run', 'Preview only: show what would be restored without making any changes.')
+  .action((snapshotPath, options) => {
+    runRestore(snapshotPath, options);
+  });
+
+program.command('diff')
+  .description('Compare two export archives, or an archive and the current Strapi project: entries, media and schema files')
+  .argument('<a>', 'Archive (.tar.gz or extracted folder), or "project" for the current project')
+  .argument('[b]', 'Archive (.tar.gz or extracted folder), or "project" (default: project)')
+  .option('--json', 'Print the differences as JSON')
+  .action((a, b, options) => {
+    runDiff(a, b, options);
+  });
+
+program.command('verify')
+  .description('Check that an archive is intact without booting Strapi: manifest, content hashes and the checksum of every file')
+  .argument('<archive>', 'Archive (.tar.gz, .tar.gz.enc or extracted folder)')
+  .option('--decrypt-key <private-key>', 'Private key (PEM) of an archive encrypted for a public key. Passphrase archives read STRAPI_MIGRATE_PASSPHRASE or prompt.')
+  .option('--verify-key <public-key>', 'Also require the manifest to be signed with the private key of this public key (PEM).')
+  .option('--json', 'Print the result as JSON')
+  .action((archive, options) => {
+    runVerify(archive, options);
+  });
+
+program.command('inspect')
+  .description('Summarize an archive without a Strapi project: content types with entry counts per locale and state, media, schema files, views and locales')
+  .argument('<archive>', 'Archive (.tar.gz, .tar.gz.enc or extracted folder) or http(s) URL of one')
+  .option('--decrypt-key <private-key>', 'Private key (PEM) of an archive encrypted for a public key. Passphrase archives read STRAPI_MIGRATE_PASSPHRASE or prompt.')
+  .option('--json', 'Print the summary as JSON')
+  .action((archive, options) => {
+    runInspect(archive, options);
+  });
+
+program.command('serve')
+  .description('Serve an authenticated transfer endpoint for push/pull from another Strapi project')
+  .option('--port <number>', 'Port to listen on (default: 4337)')
+  .option('--host <host>', 'Interface to listen on (default: 127.0.0.1)')
+  .option('--token <token>', 'Token clients must send (default: STRAPI_MIGRATE_TOKEN, or a generated one)')
+  .option('--allow-schema', 'Let pushed archives write their schema files and code (src/api, src/components); by default pushes only import content')
+  .option('--force', 'Import pushed archives even when the schema check finds breaking differences.')
+  .action((options) => {
+    runServe(options);
+  });
+
+program.command('pull')
+  .description('Export content types from a remote transfer endpoint and import them into the current Strapi project')
+  .argument('<url>', 'URL of the endpoint started with `strapi-migrate serve`')
+  .argument('[types...]', 'Content type UIDs to pull (e.g. api::article.article)')
+  .option('--token <token>', 'Transfer token (default: STRAPI_MIGRATE_TOKEN)')
+  .option('--all', 'Pull all api:: content types (and the --plugins types)')
+  .option('--filter-api <pattern>', 'Pull content types where collectionName matches this regex pattern')
+  .option('--filter-components <pattern>', 'Pull only components where collectionName matches this regex pattern')
+  .option('--batch-size <number>', 'Number of documents the remote side fetches per query (default: 100)')
+  .option('--status <status>', 'Pull only the draft or the published version of each document: draft, published or both (default: both)')
+  .option('--locale <codes>', 'Pull only these locales of localized types (comma-separated codes, e.g. fr,de)')
+  .option('--where <json>', 'Document Service filters the selected types are pulled with, e.g. \'{"category":{"slug":"news"}}\'')
+  .option('--where-file <file>', 'JSON file of Document Service filters keyed by content type UID; its types are pulled too')
+  .option('--closure', 'Only pull the related documents the selected entries reference (transitively), instead of every entry of the related types')
+  .option('--max-depth <number>', 'With --closure or filters: follow at most this many relation hops from the selected entries (default: no limit)')
+  .option('--keep-dangling', 'With --closure or filters: keep relations to documents left out instead of removing them from the pulled entries')
+  .option('--plugins [names]', 'Also pull allowlisted plugin content types (users-permissions roles, permissions and users, custom plugins), optionally only these plugin names or UIDs (comma-separated)')
+  .option('--skip-schema', 'Skip schema FILE operations only (src/api, src/components). Does NOT affect database content.')
+  .option('--skip-media', 'Skip media file operations. Does NOT affect media database entries.')
+  .option('--dry-run', 'Preview only: show what would be imported without making any changes.')
+  .option('--atomic', 'Run all database work in a single transaction and roll back database, schema and upload changes if any entry fails.')
+  .option('--mirror', 'Delete local documents and locale variants of the pulled types that the remote lacks, then import.')
+  .option('--on-conflict <strategy>', 'When a local document was updated at a different time than the pulled one: skip, overwrite, newer-wins, fail or prompt (default: overwrite)')
+  .option('--force', 'Import even when the schema check finds breaking differences between the remote and the local schemas.')
+  .option('--map <file>', 'JSON mapping of renamed content types, components and attributes applied to the pulled data (implies --skip-schema).')
+  .option('--transform <file>', 'Module with mapUid, skipEntry, transformEntry and transformMedia hooks applied to the pulled data before it is imported.')
+  .option('--no-snapshot', 'Do not write a pre-import snapshot of the data, schema files and locales the import will touch.')
+  .option('--snapshot-dir <path>', 'Directory where pre-import snapshots are written (default: ./migrate-snapshots)')
+  .option('--fail-fast', 'Abort on the first entry that fails to import instead of continuing.')
+  .option('--storage <adapter>', 'Write media to: auto, local (public/uploads), provider (the configured upload provider, e.g. S3) or a custom adapter module (default: auto)')
+  .option('--report <file>', 'Write a machine-readable report of the import (JSON, or JUnit XML for .xml files)')
+  .option('--report-format <format>', 'Report format: json or junit (default: inferred from the --report extension)')
+  .action((url, types, options) => {
+    assertSingleSelection(types, options);
+    runPull(url, types, options);
+  });
+
+program.command('push')
+  .description('Export content types from the current Strapi project and import them into a remote transfer endpoint')
+  .argument('<url>', 'URL of the endpoint started with `strapi-migrate serve`')
+  .argument('[types...]', 'Content type UIDs to push (e.g. api::article.article)')
+  .option('--token <token>', 'Transfer token (default: STRAPI_MIGRATE_TOKEN)')
+  .option('--all', 'Push all api:: content types (and the --plugins types) without prompting')
+  .option('--filter-api <pattern>', 'Push content types where collectionName matches this regex pattern')
+  .option('--filter-components <pattern>', 'Push only components where collectionName matches this regex pattern')
+  .option('--batch-size <number>', 'Number of documents fetched per query while exporting (default: 100)')
+  .option('--status <status>', 'Push only the draft or the published version of each document: draft, published or both (default: both)')
+  .option('--locale <codes>', 'Push only these locales of localized types (comma-separated codes, e.g. fr,de)')
+  .option('--where <json>', 'Document Service filters the selected types are pushed with, e.g. \'{"category":{"slug":"news"}}\'')
+  .option('--where-file <file>', 'JSON file of Document Service filters keyed by content type UID; its types are pushed too')
+  .option('--closure', 'Only push the related documents the selected entries reference (transitively), instead of every entry of the related types')
+  .option('--max-depth <number>', 'With --closure or filters: follow at most this many relation hops from the selected entries (default: no limit)')
+  .option('--keep-dangling', 'With --closure or filters: keep relations to documents left out instead of removing them from the pushed entries')
+  .option('--plugins [names]', 'Also push allowlisted plugin content types (users-permissions roles, permissions and users, custom plugins), optionally only these plugin names or UIDs (comma-separated)')
+  .option('--include-password-hashes', 'With --plugins: keep the password hashes of pushed users (default: left out, users need a password reset)')
+  .option('--storage <adapter>', 'Read media from: auto, local (public/uploads), provider (the configured upload provider, e.g. S3) or a custom adapter module (default: auto)')
+  .option('--skip-media', 'Remote side: skip media file operations.')
+  .option('--dry-run', 'Remote side: preview the import without making any changes.')
+  .option('--atomic', 'Remote side: roll back everything if any entry fails.')
+  .option('--mirror', 'Remote side: delete documents and locale variants of the pushed types that are not being pushed.')
+  .option('--on-conflict <strategy>', 'Remote side: skip, overwrite, newer-wins or fail when a remote document was updated at a different time than the pushed one (default: overwrite)')
+  .option('--no-snapshot', 'Remote side: do not write a pre-import snapshot.')
+  .option('--fail-fast', 'Abort the export or the remote import on the first failure.')
+  .option('--report <file>', 'Write the remote import report here (JSON, or JUnit XML for .xml files)')
+  .option('--report-format <format>', 'Report format: json or junit (default: inferred from the --report extension)')
+  .action((url, types, options) => {
+    assertSingleSelection(types, options);
+    runPush(url, types, options);
+  });
+
 program.parse(process.argv);
 
 if (!process.argv.slice(2).length) {
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Programmatic API for strapi-migrate
+ * @description Library entry point for driving exports and imports from Node scripts and tests.
+ * Unlike the CLI, these functions accept an already-loaded Strapi instance and a project
+ * directory, never prompt or exit the process, throw on fatal errors and emit progress events.
+ * @module strapi-migrate/api
+ * @example
+ * const { EventEmitter } = require('events');
+ * const { exportData, importData } = require('strapi-migrate');
+ *
+ * const events = new EventEmitter();
+ * events.on('phase', ({ command, phase, uid }) => console.log(command, phase, uid || ''));
+ *
+ * const { archive } = await exportData({ strapi, projectDir, types: ['api::article.article'], events });
+ * const result = await importData({ strapi: targetStrapi, projectDir: targetDir, archive, events });
+ */
+
+const { exportData } = require('./export');
+const { importData } = require('./import');
+const { createTransferServer, pullData, pushData } = require('./transfer');
+const { diffData } = require('./diff');
+const { verifyArchive } = require('./verify');
+const { inspectArchive } = require('./inspect');
+const { EXIT_CODES } = require('./report');
+
+module.exports = {
+    exportData,
+    importData,
+    createTransferServer,
+    pullData,
+    pushData,
+    diffData,
+    verifyArchive,
+    inspectArchive,
+    EXIT_CODES
+};
@@ -0,0 +1,443 @@
+/**
+ * @fileoverview Archive encryption and signing for strapi-migrate
+ * @description Encrypts export archives with AES-256-GCM, under a key derived from a passphrase
+ * (scrypt) or a random key wrapped for an RSA public key, and signs the archive manifest so an
+ * import can refuse archives that were modified after export. An encrypted archive is stored as:
+ *
+ *     STRAPI-MIGRATE-ENCRYPTED\n
+ *     {"version":1,"cipher":"aes-256-gcm","iv":"...","kdf":{...}}\n
+ *     <ciphertext of the tar.gz><16-byte authentication tag>
+ *
+ * The header line is authenticated along with the ciphertext. The signature is written next to
+ * data.json inside the archive (signature.json); as the manifest records the checksum of every
+ * file in the archive, signing it covers the archived data.
+ * @module strapi-migrate/archive-crypto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar');
+const inquirer = require('inquirer');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * First line of every encrypted archive.
+ * @type {Buffer}
+ */
+const ENCRYPTION_MAGIC = Buffer.from('STRAPI-MIGRATE-ENCRYPTED\n');
+
+/**
+ * Extension appended to encrypted archives (export-<timestamp>.tar.gz.enc).
+ * @type {string}
+ */
+const ENCRYPTED_EXTENSION = '.enc';
+
+/**
+ * File holding the manifest signature, next to data.json.
+ * @type {string}
+ */
+const SIGNATURE_FILE = 'signature.json';
+
+/**
+ * Environment variable read when no passphrase is given.
+ * @type {string}
+ */
+const PASSPHRASE_ENV = 'STRAPI_MIGRATE_PASSPHRASE';
+
+const CIPHER = 'aes-256-gcm';
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Creates an error for archives that fail decryption, signature checks or extraction. Imports
+ * treat these as validation failures.
+ * @param {string} message - Error message
+ * @returns {Error} Error with `code` EINTEGRITY
+ */
+function createIntegrityError(message) {
+    const error = new Error(message);
+    error.code = 'EINTEGRITY';
+    return error;
+}
+
+/**
+ * Loads a PEM or DER key file.
+ * @param {string} keyPath - Path of the key file
+ * @param {'public' | 'private'} kind - Key kind
+ * @param {string} [projectDir=process.cwd()] - Directory relative paths resolve from
+ * @returns {crypto.KeyObject} The key
+ * @throws {Error} If the file is missing or holds no key of that kind
+ * @example
+ * const verifyKey = loadKey('./keys/release.pub.pem', 'public', projectDir);
+ */
+function loadKey(keyPath, kind, projectDir = process.cwd()) {
+    const resolved = path.resolve(projectDir, keyPath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Key file not found: ${resolved}`);
+    }
+    try {
+        const key = fs.readFileSync(resolved);
+        // A private key also yields its public key, so either can be given to verify or encrypt
+        return kind === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+    } catch (e) {
+        throw new Error(`Could not read ${kind} key ${path.basename(keyPath)}: ${e.message}`);
+    }
+}
+
+/**
+ * Returns the SHA-256 fingerprint of a key's public half, as printed in logs and headers.
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {string} Hex encoded fingerprint
+ */
+function getKeyFingerprint(key) {
+    const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+    return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+/**
+ * Resolves a passphrase option. A string is used as is; otherwise STRAPI_MIGRATE_PASSPHRASE is
+ * used when set, and a (possibly async) function, such as a prompt, is asked last.
+ * @async
+ * @param {string | function(): (string | Promise<string>)} [passphrase] - Passphrase option
+ * @returns {Promise<string | null>} The passphrase, or null if none is available
+ */
+async function resolvePassphrase(passphrase) {
+    if (typeof passphrase === 'string' && passphrase) return passphrase;
+    if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+    if (typeof passphrase === 'function') return (await passphrase()) || null;
+    return null;
+}
+
+/**
+ * Creates an interactive passphrase prompt for the CLI commands.
+ * @param {Object} [options={}] - Prompt options
+ * @param {boolean} [options.confirm] - Ask twice (when encrypting)
+ * @returns {function(): Promise<string>} Prompt returning the passphrase
+ */
+function createPassphrasePrompt(options = {}) {
+    return async () => {
+        const questions = [{ type: 'password', name: 'passphrase', mask: '*', message: 'Archive passphrase:' }];
+        if (options.confirm) {
+            questions.push({ type: 'password', name: 'repeated', mask: '*', message: 'Repeat the passphrase:' });
+        }
+        const { passphrase, repeated } = await inquirer.prompt(questions);
+        if (options.confirm && passphrase !== repeated) throw new Error('The passphrases do not match');
+        return passphrase;
+    };
+}
+
+/**
+ * Checks whether a file starts with the encrypted archive header.
+ * @param {string} filePath - Path of the archive
+ * @returns {boolean} True for encrypted archives
+ */
+function isEncryptedArchive(filePath) {
+    const buffer = Buffer.alloc(ENCRYPTION_MAGIC.length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return bytesRead === buffer.length && buffer.equals(ENCRYPTION_MAGIC);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Derives the archive key from a passphrase.
+ * @async
+ * @param {string} passphrase - The passphrase
+ * @param {Buffer} salt - Random salt stored in the header
+ * @param {Object} params - scrypt cost parameters ({ N, r, p })
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+function deriveKey(passphrase, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, 32, params, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+}
+
+/**
+ * Encrypts an archive file.
+ * @async
+ * @param {string} inputPath - The tar.gz to encrypt
+ * @param {string} outputPath - Where the encrypted archive is written
+ * @param {Object} options - Encryption options (one of passphrase or publicKey)
+ * @param {string} [options.passphrase] - Derive the key from this passphrase
+ * @param {crypto.KeyObject} [options.publicKey] - Wrap a random key for this RSA public key
+ * @returns {Promise<string>} The output path
+ * @throws {Error} If neither is given or the key is no RSA key
+ * @example
+ * await encryptArchive(tarPath, `${tarPath}.enc`, { passphrase });
+ */
+async function encryptArchive(inputPath, outputPath, options) {
+    const header = { version: 1, cipher: CIPHER, iv: crypto.randomBytes(12).toString('base64') };
+    let key;
+    if (options.publicKey) {
+        if (options.publicKey.asymmetricKeyType !== 'rsa') {
+            throw new Error(`Archives can only be encrypted for RSA keys (got ${options.publicKey.asymmetricKeyType})`);
+        }
+        key = crypto.randomBytes(32);
+        header.recipient = {
+            algorithm: 'rsa-oaep-sha256',
+            fingerprint: getKeyFingerprint(options.publicKey),
+            key: crypto.publicEncrypt({ key: options.publicKey, oaepHash: 'sha256' }, key).toString('base64')
+        };
+    } else if (options.passphrase) {
+        const salt = crypto.randomBytes(16);
+        header.kdf = { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS };
+        key = await deriveKey(options.passphrase, salt, SCRYPT_PARAMS);
+    } else {
+        throw new Error('Encryption needs a passphrase or a public key');
+    }
+
+    const headerLine = Buffer.from(`${JSON.stringify(header)}\n`);
+    const cipher = crypto.createCipheriv(CIPHER, key, Buffer.from(header.iv, 'base64'), { authTagLength: TAG_LENGTH });
+    cipher.setAAD(headerLine);
+
+    const output = fs.createWriteStream(outputPath);
+    output.write(ENCRYPTION_MAGIC);
+    output.write(headerLine);
+    try {
+        await pipeline(fs.createReadStream(inputPath), cipher, output, { end: false });
+        await new Promise((resolve, reject) => output.end(cipher.getAuthTag(), err => (err ? reject(err) : resolve())));
+    } catch (e) {
+        output.destroy();
+        fs.rmSync(outputPath, { force: true });
+        throw e;
+    }
+    return outputPath;
+}
+
+/**
+ * Reads the header of an encrypted archive.
+ * @param {string} filePath - Path of the encrypted archive
+ * @returns {{ header: Object, headerLine: Buffer, offset: number }} The parsed header, its raw line
+ * and the offset of the ciphertext
+ * @throws {Error} If the file is no encrypted archive or the header is unreadable
+ */
+function readEncryptionHeader(filePath) {
+    const buffer = Buffer.alloc(64 * 1024);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+        bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const start = ENCRYPTION_MAGIC.length;
+    const end = buffer.indexOf(0x0a, start);
+    if (!buffer.subarray(0, start).equals(ENCRYPTION_MAGIC) || end === -1 || end >= bytesRead) {
+        throw createIntegrityError(`${path.basename(filePath)} is not an encrypted archive or its header is damaged`);
+    }
+    const headerLine = buffer.subarray(start, end + 1);
+    let header;
+    try {
+        header = JSON.parse(headerLine.toString('utf8'));
+    } catch (e) {
+        throw createIntegrityError(`The encryption header of ${path.basename(filePath)} is damaged`);
+    }
+    if (header.version !== 1 || header.cipher !== CIPHER) {
+        throw new Error(`Unsupported archive encryption (version ${header.version}, ${header.cipher}); update strapi-migrate`);
+    }
+    return { header, headerLine: Buffer.from(headerLine), offset: end + 1 };
+}
+
+/**
+ * Decrypts an encrypted archive. The authentication tag is checked once the whole archive has
+ * been read, so a wrong passphrase or key and any modification fail the same way; the partial
+ * output is removed.
+ * @async
+ * @param {string} inputPath - The encrypted archive
+ * @param {string} outputPath - Where the decrypted tar.gz is written
+ * @param {Object} [options={}] - Decryption options
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase (see resolvePassphrase)
+ * @param {crypto.KeyObject} [options.privateKey] - Private key of archives encrypted for a public key
+ * @returns {Promise<{ recipient: string | null }>} Fingerprint of the key the archive was encrypted
+ * for (null for passphrase archives)
+ * @throws {Error} If the needed passphrase or key is missing; an EINTEGRITY error if decryption fails
+ * @example
+ * await decryptArchive('./export.tar.gz.enc', '/tmp/export.tar.gz', { privateKey });
+ */
+async function decryptArchive(inputPath, outputPath, options = {}) {
+    const { header, headerLine, offset } = readEncryptionHeader(inputPath);
+    const archiveName = path.basename(inputPath);
+
+    let key;
+    if (header.recipient) {
+        if (!options.privateKey) {
+            throw new Error(`${archiveName} is encrypted for the key ${header.recipient.fingerprint}; give its private key with --decrypt-key`);
+        }
+        try {
+            key = crypto.privateDecrypt({ key: options.privateKey, oaepHash: 'sha256' }, Buffer.from(header.recipient.key, 'base64'));
+        } catch (e) {
+            throw createIntegrityError(`Could not decrypt ${archiveName}: it is encrypted for the key ${header.recipient.fingerprint}, not ${getKeyFingerprint(options.privateKey)}`);
+        }
+    } else {
+        const passphrase = await resolvePassphrase(options.passphrase);
+        if (!passphrase) {
+            throw new Error(`${archiveName} is encrypted with a passphrase; set ${PASSPHRASE_ENV} or enter it when prompted`);
+        }
+        const { salt, N, r, p } = header.kdf;
+        key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    }
+
+    const { size } = fs.statSync(inputPath);
+    if (size < offset + TAG_LENGTH) {
+        throw createIntegrityError(`${archiveName} is truncated`);
+    }
+    const tag = Buffer.alloc(TAG_LENGTH);
+    const fd = fs.openSync(inputPath, 'r');
+    try {
+        fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(header.iv, 'base64'), { authTagLength: TAG_LENGTH });
+    decipher.setAAD(headerLine);
+    decipher.setAuthTag(tag);
+    try {
+        // An empty archive has no ciphertext bytes, which createReadStream cannot express as a range
+        const input = size - TAG_LENGTH > offset
+            ? fs.createReadStream(inputPath, { start: offset, end: size - TAG_LENGTH - 1 })
+            : Readable.from([]);
+        await pipeline(input, decipher, fs.createWriteStream(outputPath));
+    } catch (e) {
+        fs.rmSync(outputPath, { force: true });
+        throw createIntegrityError(`Could not decrypt ${archiveName}: wrong passphrase or key, or the archive was modified`);
+    }
+    return { recipient: header.recipient ? header.recipient.fingerprint : null };
+}
+
+/**
+ * Returns the digest passed to crypto.sign/verify: none for Ed25519/Ed448, which hash internally.
+ * @param {crypto.KeyObject} key - Signing or verification key
+ * @returns {string | null} Digest name
+ */
+function getSignatureDigest(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * Signs the manifest of an export directory, writing signature.json next to data.json.
+ * @param {string} exportDir - Directory holding data.json
+ * @param {crypto.KeyObject} privateKey - Signing key (RSA, EC or Ed25519)
+ * @returns {string} Fingerprint of the signing key
+ * @example
+ * signManifest(exportDir, loadKey('./keys/release.pem', 'private'));
+ */
+function signManifest(exportDir, privateKey) {
+    const manifest = fs.readFileSync(path.join(exportDir, 'data.json'));
+    const fingerprint = getKeyFingerprint(privateKey);
+    const signature = {
+        file: 'data.json',
+        keyType: privateKey.asymmetricKeyType,
+        fingerprint,
+        signature: crypto.sign(getSignatureDigest(privateKey), manifest, privateKey).toString('base64')
+    };
+    fs.writeFileSync(path.join(exportDir, SIGNATURE_FILE), JSON.stringify(signature, null, 2));
+    return fingerprint;
+}
+
+/**
+ * Reads top-level files of an archive (in its root or its single export directory) without
+ * extracting it.
+ * @async
+ * @param {string} archivePath - Path of the (unencrypted) tar archive
+ * @param {string[]} fileNames - Base names to read
+ * @returns {Promise<Object<string, Buffer>>} File contents by base name
+ */
+async function readArchiveFiles(archivePath, fileNames) {
+    const files = {};
+    await tar.t({
+        file: archivePath,
+        onentry: (entry) => {
+            const parts = entry.path.split('/').filter(part => part && part !== '.');
+            const name = parts[parts.length - 1];
+            if (entry.type !== 'File' || parts.length > 2 || !fileNames.includes(name)) return;
+            const chunks = [];
+            entry.on('data', chunk => chunks.push(chunk));
+            entry.on('end', () => { files[name] = Buffer.concat(chunks); });
+        }
+    });
+    return files;
+}
+
+/**
+ * Checks the manifest signature of an archive before it is extracted, or of an export folder.
+ * @async
+ * @param {string} archivePath - Path of the (unencrypted) tar archive, or of a folder holding data.json
+ * @param {crypto.KeyObject} [verifyKey] - Public key the manifest must be signed with; without
+ * one the signature is only reported
+ * @param {string} [archiveName] - Name used in error messages (default: the base name of archivePath)
+ * @returns {Promise<{ signed: boolean, verified: boolean, fingerprint: string | null, manifestSha256: string | null }>}
+ * Signature state and the hash of the signed manifest
+ * @throws {Error} An EINTEGRITY error if the archive cannot be read, or a key is given and the archive
+ * is unsigned or the signature does not match
+ */
+async function checkArchiveSignature(archivePath, verifyKey, archiveName = path.basename(archivePath)) {
+    const fileNames = ['data.json', SIGNATURE_FILE];
+    let files;
+    if (fs.statSync(archivePath).isDirectory()) {
+        files = Object.fromEntries(fileNames
+            .filter(name => fs.existsSync(path.join(archivePath, name)))
+            .map(name => [name, fs.readFileSync(path.join(archivePath, name))]));
+    } else {
+        try {
+            files = await readArchiveFiles(archivePath, fileNames);
+        } catch (e) {
+            throw createIntegrityError(`Failed to read ${archiveName}, it is truncated or damaged: ${e.message}`);
+        }
+    }
+    let signature = null;
+    if (files[SIGNATURE_FILE]) {
+        try {
+            signature = JSON.parse(files[SIGNATURE_FILE].toString('utf8'));
+        } catch (e) {
+            throw createIntegrityError(`The signature of ${archiveName} is damaged`);
+        }
+    }
+
+    const result = {
+        signed: Boolean(signature),
+        verified: false,
+        fingerprint: signature ? signature.fingerprint || null : null,
+        manifestSha256: files['data.json'] ? crypto.createHash('sha256').update(files['data.json']).digest('hex') : null
+    };
+    if (!verifyKey) return result;
+
+    if (!signature) {
+        throw createIntegrityError(`${archiveName} is not signed`);
+    }
+    let valid = false;
+    try {
+        valid = Boolean(files['data.json']) && crypto.verify(
+            getSignatureDigest(verifyKey), files['data.json'], verifyKey, Buffer.from(signature.signature, 'base64')
+        );
+    } catch (e) {
+        valid = false;
+    }
+    if (!valid) {
+        throw createIntegrityError(`The signature of ${archiveName} does not match the key ${getKeyFingerprint(verifyKey)}: the manifest was modified or signed with another key`);
+    }
+    return { ...result, verified: true, fingerprint: getKeyFingerprint(verifyKey) };
+}
+
+module.exports = {
+    ENCRYPTED_EXTENSION,
+    SIGNATURE_FILE,
+    PASSPHRASE_ENV,
+    createIntegrityError,
+    loadKey,
+    getKeyFingerprint,
+    resolvePassphrase,
+    createPassphrasePrompt,
+    isEncryptedArchive,
+    encryptArchive,
+    decryptArchive,
+    signManifest,
+    checkArchiveSignature
+};
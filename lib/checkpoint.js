@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Import checkpoint journal for strapi-migrate
+ * @description Records how far an import got (completed phases, the last entry processed per
+ * content type, the media ID mapping and the variants kept on conflicts) in a JSON file next to
+ * the extracted archive, so an interrupted import can be continued with `--resume` instead of
+ * starting over.
+ * @module strapi-migrate/checkpoint
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Checkpoint file format version.
+ * @type {number}
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Number of processed entries between checkpoint writes. Entries processed after the last
+ * write are imported again on resume, which is safe because every phase upserts.
+ * @type {number}
+ */
+const FLUSH_INTERVAL = 25;
+
+/**
+ * Returns the checkpoint file path for an import source.
+ * @param {string} extractDir - The temp-<archive> directory (or the export folder being imported)
+ * @returns {string} Path of the checkpoint JSON file next to it
+ * @example
+ * getCheckpointPath('/backups/temp-export-2024'); // '/backups/temp-export-2024.checkpoint.json'
+ */
+function getCheckpointPath(extractDir) {
+    return `${extractDir.replace(/[\\/]+$/, '')}.checkpoint.json`;
+}
+
+/**
+ * Computes the fingerprint tying a checkpoint to one archive: the SHA-256 of its data.json,
+ * which itself carries the hashes of every content file.
+ * @param {string} manifestPath - Path to the archive's data.json
+ * @returns {string} Hex digest
+ */
+function getManifestFingerprint(manifestPath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(manifestPath)).digest('hex');
+}
+
+/**
+ * Builds the key identifying an entry within a content type.
+ * @param {Object} item - Exported entry (or media file)
+ * @returns {string} "<documentId>:<locale>" for entries, the hash for media
+ */
+function getEntryKey(item) {
+    if (item.hash && !item.documentId) return item.hash;
+    return `${item.documentId || ''}:${item.locale || ''}`;
+}
+
+/**
+ * Reads an existing checkpoint file.
+ * @param {string} filePath - Checkpoint file path
+ * @returns {Object | null} Checkpoint data, or null if there is none
+ * @throws {Error} If the file exists but is not a readable checkpoint
+ */
+function loadCheckpoint(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Checkpoint ${filePath} is not valid JSON: ${e.message}`);
+    }
+    if (data.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Checkpoint ${filePath} has unsupported version ${data.version}`);
+    }
+    return data;
+}
+
+/**
+ * Opens a checkpoint journal, either fresh or continuing previously saved data.
+ * The media ID map is shared by reference: it is saved with every write and, when resuming,
+ * filled with the mapping saved by the interrupted run.
+ * @param {string} filePath - Checkpoint file path
+ * @param {Object} details - Fields saved with the checkpoint ({ archive, importPath, fingerprint, snapshot })
+ * @param {Map<number, number>} mediaIdMap - The importer's media ID map
+ * @param {Object | null} [previous=null] - Data from loadCheckpoint to resume from
+ * @returns {Object} Checkpoint handle
+ * @example
+ * const checkpoint = createCheckpoint(getCheckpointPath(tempDir), { archive, importPath, fingerprint }, mediaIdMap);
+ * if (!checkpoint.isPhaseDone('media')) { ...; checkpoint.completePhase('media'); }
+ */
+function createCheckpoint(filePath, details, mediaIdMap, previous = null) {
+    const data = previous || {
+        version: CHECKPOINT_VERSION,
+        ...details,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        completedPhases: [],
+        progress: {},
+        mediaIdMap: [],
+        skipped: {},
+        synced: {}
+    };
+
+    if (previous) {
+        for (const [sourceId, targetId] of previous.mediaIdMap) mediaIdMap.set(sourceId, targetId);
+    }
+
+    let pending = 0;
+
+    const handle = {
+        data,
+        filePath,
+
+        /**
+         * Writes the checkpoint to disk (through a temp file, so a crash never leaves it half written).
+         */
+        flush() {
+            data.updatedAt = new Date().toISOString();
+            data.mediaIdMap = Array.from(mediaIdMap.entries());
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data));
+            fs.renameSync(tmpPath, filePath);
+            pending = 0;
+        },
+
+        isPhaseDone(phase) {
+            return data.completedPhases.includes(phase);
+        },
+
+        completePhase(phase) {
+            if (!data.completedPhases.includes(phase)) data.completedPhases.push(phase);
+            handle.flush();
+        },
+
+        /**
+         * Creates a cursor that skips the entries of a type processed before the interruption.
+         * @param {string} phase - Phase name ("media", "create", "link", "single-type", "delete")
+         * @param {string} uid - Content type UID (or "media")
+         * @returns {{ skip: function(string): boolean }} Cursor; skip(key) is true for entries to leave out
+         */
+        cursor(phase, uid) {
+            const state = data.progress[phase]?.[uid];
+            let skipping = Boolean(state && (state.done || state.last));
+            return {
+                skip(key) {
+                    if (!skipping) return false;
+                    if (state.done) return true;
+                    if (key === state.last) skipping = false;
+                    return true;
+                }
+            };
+        },
+
+        /**
+         * Records the last entry of a type processed successfully.
+         * @param {string} phase - Phase name
+         * @param {string} uid - Content type UID (or "media")
+         * @param {string} key - Entry key from getEntryKey
+         */
+        recordProgress(phase, uid, key) {
+            data.progress[phase] = data.progress[phase] || {};
+            const state = data.progress[phase][uid] || { done: false, last: null, processed: 0 };
+            state.last = key;
+            state.processed++;
+            data.progress[phase][uid] = state;
+
+            if (++pending >= FLUSH_INTERVAL) handle.flush();
+        },
+
+        completeType(phase, uid) {
+            data.progress[phase] = data.progress[phase] || {};
+            data.progress[phase][uid] = { ...(data.progress[phase][uid] || { last: null, processed: 0 }), done: true };
+            handle.flush();
+        },
+
+        remove() {
+            fs.rmSync(filePath, { force: true });
+            fs.rmSync(`${filePath}.tmp`, { force: true });
+        }
+    };
+
+    handle.flush();
+    return handle;
+}
+
+module.exports = {
+    CHECKPOINT_VERSION,
+    getCheckpointPath,
+    getManifestFingerprint,
+    getEntryKey,
+    loadCheckpoint,
+    createCheckpoint
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Document-level relation closure for strapi-migrate
+ * @description By default an export includes every entry of every related `api::` content type.
+ * Document-level exports (`--closure`, and every filtered export) instead include only the
+ * documents the selected entries reference, through relations inside components and dynamic
+ * zones too, and the documents those reference in turn, up to `--max-depth` relation hops.
+ * Relations to documents left out of the archive are dropped from the exported entries, unless
+ * `--keep-dangling` leaves them for the import to link to documents the target already holds.
+ * Such archives carry a `closure` section in data.json:
+ * - `referenced` - the related types limited to referenced documents
+ * - `maxDepth` - the maximum number of relation hops followed, or null for no limit
+ * - `dangling` - "drop" or "keep": what happened to relations to documents not in the archive
+ * @module strapi-migrate/closure
+ */
+
+const fs = require('fs');
+const { createNdjsonWriter, readNdjson } = require('./ndjson');
+
+/**
+ * Validates a --max-depth value.
+ * @param {string | number | undefined} maxDepth - User-provided depth
+ * @returns {number | null} The depth, or null when not given (no limit)
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function resolveMaxDepth(maxDepth) {
+    if (maxDepth === undefined || maxDepth === null || maxDepth === '') return null;
+
+    const parsed = Number(maxDepth);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`--max-depth must be a non-negative integer (got "${maxDepth}")`);
+    }
+    return parsed;
+}
+
+/**
+ * Calls a function for every relation value of an entry, including relations inside components
+ * and dynamic zones. Polymorphic relations without a fixed target are skipped.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type or component UID of `data`
+ * @param {Object} data - Populated entry or component value
+ * @param {function(Object, string, string): void} visit - Receives the object holding the relation,
+ * the attribute name and the target content type UID
+ */
+function forEachRelation(strapi, uid, data, visit) {
+    const schema = strapi.contentTypes[uid] || strapi.components[uid];
+    if (!schema || !data || typeof data !== 'object') return;
+
+    for (const [key, attr] of Object.entries(schema.attributes || {})) {
+        const value = data[key];
+        if (!value) continue;
+        const items = Array.isArray(value) ? value : [value];
+
+        if (attr.type === 'relation' && attr.target) {
+            visit(data, key, attr.target);
+        } else if (attr.type === 'component') {
+            items.forEach(item => forEachRelation(strapi, attr.component, item, visit));
+        } else if (attr.type === 'dynamiczone') {
+            items.forEach(item => forEachRelation(strapi, item?.__component, item, visit));
+        }
+    }
+}
+
+/**
+ * Returns the key a related document is referenced by: its documentId (Strapi v5) or id (v4).
+ * @param {Object} item - Populated relation value
+ * @returns {string | number | null} The key, or null when the value has none
+ */
+function getReferenceKey(item) {
+    const ref = item?.documentId ?? item?.id;
+    return ref === undefined ? null : ref;
+}
+
+/**
+ * Collects the documents an entry references.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type or component UID of `data`
+ * @param {Object} data - Populated entry or component value
+ * @param {function(string, string|number): void} add - Receives the target UID and the key of
+ * each referenced document (see getReferenceKey)
+ */
+function collectReferences(strapi, uid, data, add) {
+    forEachRelation(strapi, uid, data, (holder, key, target) => {
+        const items = Array.isArray(holder[key]) ? holder[key] : [holder[key]];
+        for (const item of items) {
+            const ref = getReferenceKey(item);
+            if (ref !== null) add(target, ref);
+        }
+    });
+}
+
+/**
+ * Creates a tracker of the documents referenced by exported entries. Entries are collected with
+ * their depth: 0 for the selected types, n for documents first referenced n relation hops away.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string[]} uids - Related content types, limited to the documents referenced
+ * @param {Object} [options={}] - Tracker options
+ * @param {number | null} [options.maxDepth=null] - Maximum depth of referenced documents (null for no limit)
+ * @returns {Object} Tracker with `field` (the key referenced documents are fetched by: "documentId" on
+ * Strapi v5, "id" on v4), `collect(uid, entry, depth)` to record an exported entry and its references,
+ * `takePending()` to get the references recorded since the last call by content type,
+ * `isExported(uid, ref)` and `beyondDepth()` (the number of documents left out by maxDepth)
+ */
+function createReferenceTracker(strapi, uids, options = {}) {
+    const maxDepth = options.maxDepth ?? null;
+    const field = strapi.documents ? 'documentId' : 'id';
+    const tracked = new Set(uids);
+    const seen = new Map(uids.map(uid => [uid, new Set()]));
+    const beyond = new Map(uids.map(uid => [uid, new Set()]));
+    // Keys of the exported entries by type, to find relations to documents outside the archive
+    const exported = new Map();
+    let pending = new Map();
+
+    return {
+        field,
+
+        collect(uid, entry, depth) {
+            if (!exported.has(uid)) exported.set(uid, new Set());
+            if (entry[field] !== undefined && entry[field] !== null) exported.get(uid).add(entry[field]);
+
+            collectReferences(strapi, uid, entry, (target, ref) => {
+                if (!tracked.has(target) || seen.get(target).has(ref)) return;
+                if (maxDepth !== null && depth + 1 > maxDepth) {
+                    beyond.get(target).add(ref);
+                    return;
+                }
+                seen.get(target).add(ref);
+                if (!pending.has(target)) pending.set(target, []);
+                pending.get(target).push(ref);
+            });
+        },
+
+        takePending() {
+            const taken = pending;
+            pending = new Map();
+            return taken;
+        },
+
+        isExported(uid, ref) {
+            return Boolean(exported.get(uid)?.has(ref));
+        },
+
+        beyondDepth() {
+            let count = 0;
+            for (const [uid, refs] of beyond) {
+                for (const ref of refs) {
+                    if (!seen.get(uid).has(ref)) count++;
+                }
+            }
+            return count;
+        }
+    };
+}
+
+/**
+ * Removes the relations to documents outside the archive from an entry, in place. Relations to
+ * content types the archive does not hold are left alone.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID of the entry
+ * @param {Object} entry - Exported entry
+ * @param {Set<string>} archivedTypes - Content types the archive holds
+ * @param {function(string, string|number): boolean} isExported - Whether a document is in the archive
+ * @returns {number} The number of relations removed
+ */
+function dropDanglingRelations(strapi, uid, entry, archivedTypes, isExported) {
+    let dropped = 0;
+    forEachRelation(strapi, uid, entry, (holder, key, target) => {
+        if (!archivedTypes.has(target)) return;
+        const isDangling = item => {
+            const ref = getReferenceKey(item);
+            return ref !== null && !isExported(target, ref);
+        };
+
+        if (Array.isArray(holder[key])) {
+            const kept = holder[key].filter(item => !isDangling(item));
+            dropped += holder[key].length - kept.length;
+            holder[key] = kept;
+        } else if (isDangling(holder[key])) {
+            holder[key] = null;
+            dropped++;
+        }
+    });
+    return dropped;
+}
+
+/**
+ * Rewrites an exported content file without its relations to documents outside the archive.
+ * The file is only replaced when a relation was removed.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID of the file's entries
+ * @param {string} filePath - Absolute path of the NDJSON file
+ * @param {Set<string>} archivedTypes - Content types the archive holds
+ * @param {function(string, string|number): boolean} isExported - Whether a document is in the archive
+ * @returns {Promise<{ dropped: number, sha256: string | null }>} The number of relations removed and
+ * the new content hash (null when the file was left unchanged)
+ */
+async function dropDanglingFromFile(strapi, uid, filePath, archivedTypes, isExported) {
+    const tempPath = `${filePath}.tmp`;
+    const writer = createNdjsonWriter(tempPath);
+    let dropped = 0;
+    try {
+        for await (const entry of readNdjson(filePath)) {
+            dropped += dropDanglingRelations(strapi, uid, entry, archivedTypes, isExported);
+            await writer.write(entry);
+        }
+    } catch (err) {
+        await writer.close();
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+    }
+
+    const { sha256 } = await writer.close();
+    if (dropped === 0) {
+        fs.rmSync(tempPath, { force: true });
+        return { dropped, sha256: null };
+    }
+    fs.renameSync(tempPath, filePath);
+    return { dropped, sha256 };
+}
+
+module.exports = {
+    resolveMaxDepth,
+    forEachRelation,
+    collectReferences,
+    createReferenceTracker,
+    dropDanglingRelations,
+    dropDanglingFromFile
+};
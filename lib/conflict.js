@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Upsert conflict handling for strapi-migrate
+ * @description Detects target documents that editors changed since the last sync and resolves
+ * each conflict with the strategy chosen through `--on-conflict`. Every import records the
+ * `updatedAt` each variant has on the target once written (the sync baseline, kept per content
+ * type in the core store); a variant conflicts when its `updatedAt` no longer matches it. Variants
+ * without a baseline (imported before, or by other tools) conflict when their `updatedAt` differs
+ * from the exported one.
+ * @module strapi-migrate/conflict
+ */
+
+const inquirer = require('inquirer');
+
+/**
+ * Prefix of the core store keys holding the sync baseline of each content type.
+ * @type {string}
+ */
+const SYNC_BASELINE_KEY_PREFIX = 'plugin_strapi-migrate_sync_baseline::';
+
+/**
+ * Strategies accepted by --on-conflict:
+ * - "overwrite": the archive wins (the behavior without conflict detection)
+ * - "skip": the target variant is left as it is
+ * - "newer-wins": the variant with the later updatedAt wins
+ * - "fail": the import aborts on the first conflict
+ * - "prompt": the user decides per conflict
+ * @type {string[]}
+ */
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'newer-wins', 'fail', 'prompt'];
+
+/**
+ * Checks an --on-conflict value.
+ * @param {string} [strategy] - Value of the onConflict option
+ * @throws {Error} If it is not one of CONFLICT_STRATEGIES
+ */
+function validateConflictStrategy(strategy) {
+    if (strategy === undefined || CONFLICT_STRATEGIES.includes(strategy)) return;
+    throw new Error(`Unknown conflict strategy "${strategy}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+}
+
+/**
+ * Returns the time of an updatedAt value.
+ * @param {*} value - Date, ISO string or timestamp
+ * @returns {number | null} Milliseconds since the epoch, or null when missing or unparsable
+ */
+function toTime(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Creates the conflict resolver of an import run. Variants resolved with "skip" are remembered,
+ * so the relation linking pass leaves them untouched too, and the variants written by the run
+ * are recorded as the sync baseline of the next one.
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.strategy='overwrite'] - One of CONFLICT_STRATEGIES
+ * @param {function(Object): Promise<string>} [options.prompt] - Asks how to resolve a conflict
+ * ({ uid, documentId, locale, targetUpdatedAt, sourceUpdatedAt }), resolving to "overwrite" or "skip";
+ * required by the "prompt" strategy
+ * @param {Object} [options.reporter] - Report the conflicts are recorded in
+ * @param {Object<string, string[]>} [options.skipped={}] - Skipped "<documentId>:<locale>" keys by UID,
+ * mutated in place (pass the checkpoint's copy so a resumed import keeps skipping them)
+ * @param {Object<string, Object<string, string>>} [options.synced={}] - Target updatedAt of the
+ * variants written by this run, by UID and key, mutated in place (pass the checkpoint's copy so a
+ * resumed import saves them too)
+ * @returns {Object} Resolver with loadBaseline(strapi, uids), resolve(conflict), isSkipped(uid, key),
+ * recordSynced(uid, key, variant) and saveBaseline(strapi)
+ * @throws {Error} If the strategy is "prompt" and no prompt is given
+ * @example
+ * const resolver = createConflictResolver({ strategy: 'newer-wins', reporter });
+ * if (await resolver.resolve({ uid, key, documentId, locale, existing, item }) === 'skip') continue;
+ */
+function createConflictResolver(options = {}) {
+    const strategy = options.strategy || 'overwrite';
+    validateConflictStrategy(strategy);
+    if (strategy === 'prompt' && typeof options.prompt !== 'function') {
+        throw new Error('--on-conflict prompt needs an interactive terminal');
+    }
+    const skipped = options.skipped || {};
+    const synced = options.synced || {};
+    const baseline = {};
+    const storeKey = uid => `${SYNC_BASELINE_KEY_PREFIX}${uid}`;
+
+    return {
+        strategy,
+
+        /**
+         * Reads the sync baseline of the imported content types from the core store.
+         * @param {Object} strapi - The Strapi application instance
+         * @param {string[]} uids - Content type UIDs of the archive
+         * @returns {Promise<void>}
+         */
+        async loadBaseline(strapi, uids) {
+            for (const uid of uids) {
+                const stored = await strapi.db.query('strapi::core-store').findOne({ where: { key: storeKey(uid) } });
+                if (!stored || !stored.value) continue;
+                try {
+                    baseline[uid] = typeof stored.value === 'string' ? JSON.parse(stored.value) : stored.value;
+                } catch (e) {
+                    console.warn(`  ! Ignoring the unreadable sync baseline of ${uid}: ${e.message}`);
+                }
+            }
+        },
+
+        /**
+         * Resolves a possible conflict between an existing target variant and the exported one.
+         * @param {Object} conflict - Conflict details
+         * @param {string} conflict.uid - Content type UID
+         * @param {string} conflict.key - "<documentId>:<locale>" key of the variant
+         * @param {string | null} conflict.documentId - documentId of the variant
+         * @param {string | null} conflict.locale - Locale of the variant
+         * @param {Object} conflict.existing - The target variant
+         * @param {Object} conflict.item - The exported variant
+         * @returns {Promise<string>} "overwrite" to import the exported variant, "skip" to keep the target
+         * @throws {Error} With code "CONFLICT" under the "fail" strategy
+         */
+        async resolve({ uid, key, documentId, locale, existing, item }) {
+            const targetTime = toTime(existing.updatedAt);
+            const sourceTime = toTime(item.updatedAt);
+            const syncedTime = toTime(baseline[uid]?.[key]);
+            if (targetTime === null || sourceTime === null) return 'overwrite';
+            if (syncedTime !== null ? targetTime === syncedTime : targetTime === sourceTime) return 'overwrite';
+
+            const details = {
+                uid,
+                documentId: documentId || null,
+                locale: locale || null,
+                targetUpdatedAt: new Date(targetTime).toISOString(),
+                sourceUpdatedAt: new Date(sourceTime).toISOString()
+            };
+
+            let resolution;
+            if (strategy === 'fail') {
+                if (options.reporter) options.reporter.recordConflict({ ...details, resolution: 'failed' });
+                const error = new Error(`Conflict on ${uid} ${documentId || '(single type)'}${locale ? ` [${locale}]` : ''}: target updated ${details.targetUpdatedAt}, archive ${details.sourceUpdatedAt}`);
+                error.code = 'CONFLICT';
+                throw error;
+            } else if (strategy === 'newer-wins') {
+                resolution = sourceTime > targetTime ? 'overwrite' : 'skip';
+            } else if (strategy === 'prompt') {
+                resolution = await options.prompt(details) === 'skip' ? 'skip' : 'overwrite';
+            } else {
+                resolution = strategy;
+            }
+
+            if (options.reporter) {
+                options.reporter.recordConflict({ ...details, resolution: resolution === 'skip' ? 'kept-target' : 'overwritten' });
+            }
+            if (resolution === 'skip') {
+                skipped[uid] = skipped[uid] || [];
+                if (!skipped[uid].includes(key)) skipped[uid].push(key);
+            }
+            return resolution;
+        },
+
+        isSkipped(uid, key) {
+            return Boolean(skipped[uid] && skipped[uid].includes(key));
+        },
+
+        /**
+         * Records the state of a variant this run has written, once it is final.
+         * @param {string} uid - Content type UID
+         * @param {string} key - "<documentId>:<locale>" key of the exported variant
+         * @param {Object | null} variant - The target variant as stored now
+         */
+        recordSynced(uid, key, variant) {
+            if (!variant || !variant.updatedAt) return;
+            synced[uid] = synced[uid] || {};
+            synced[uid][key] = new Date(variant.updatedAt).toISOString();
+        },
+
+        /**
+         * Writes the sync baseline of every content type this run has written to the core store.
+         * @param {Object} strapi - The Strapi application instance
+         * @returns {Promise<void>}
+         */
+        async saveBaseline(strapi) {
+            const store = strapi.db.query('strapi::core-store');
+            for (const [uid, variants] of Object.entries(synced)) {
+                const value = JSON.stringify({ ...baseline[uid], ...variants });
+                const existing = await store.findOne({ where: { key: storeKey(uid) } });
+                if (existing) {
+                    await store.update({ where: { id: existing.id }, data: { value } });
+                } else {
+                    await store.create({ data: { key: storeKey(uid), value, type: 'object', environment: null, tag: null } });
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates the interactive resolver used by `--on-conflict prompt`. Besides deciding a single
+ * conflict, the user can apply the same answer to every remaining conflict.
+ * @returns {function(Object): Promise<string>} Resolves a conflict to "overwrite" or "skip"
+ */
+function createConflictPrompt() {
+    let remembered = null;
+
+    return async ({ uid, documentId, locale, targetUpdatedAt, sourceUpdatedAt }) => {
+        if (remembered) return remembered;
+
+        console.log(`\n  ! Conflict: ${uid} ${documentId || '(single type)'}${locale ? ` [${locale}]` : ''}`);
+        console.log(`    target updated ${targetUpdatedAt}, archive updated ${sourceUpdatedAt}`);
+        const { resolution } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'resolution',
+                message: 'Resolve conflict:',
+                choices: [
+                    { name: 'Overwrite with the archive', value: 'overwrite' },
+                    { name: 'Keep the target version', value: 'skip' },
+                    { name: 'Overwrite all remaining conflicts', value: 'overwrite-all' },
+                    { name: 'Keep the target for all remaining conflicts', value: 'skip-all' }
+                ]
+            }
+        ]);
+
+        if (resolution.endsWith('-all')) {
+            remembered = resolution.replace(/-all$/, '');
+            return remembered;
+        }
+        return resolution;
+    };
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    SYNC_BASELINE_KEY_PREFIX,
+    validateConflictStrategy,
+    createConflictResolver,
+    createConflictPrompt
+};
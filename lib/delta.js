@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Delta export helpers for strapi-migrate
+ * @description Supports incremental exports (`--since`, `--since-archive`): resolves the baseline,
+ * finds the documents changed since it, and records the document variants deleted from the source
+ * so the importing side can apply them. Delta archives carry a `delta` section in data.json:
+ * - `since` - documents updated after this time are exported
+ * - `baseline` - the archive the delta was computed against ({ archive, createdAt }), if any
+ * - `documents` - per exported type, the key index ({ file, count, sha256 }): an NDJSON file under
+ *   `delta/` listing every "<documentId>:<locale>" key at export time, so the next delta can
+ *   detect deletions without the full data
+ * - `deletions` - { documentId, locale } records per type (a null locale deletes every locale,
+ *   a null documentId targets a single type's locale variant)
+ * - `baselineMedia` - hashes of the media already shipped by the baseline chain
+ * @module strapi-migrate/delta
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isArchivePath, extractArchive } = require('./utils');
+const { loadManifest, readTypeEntries } = require('./manifest');
+const { readNdjson } = require('./ndjson');
+
+/**
+ * Validates a --since value.
+ * @param {string | undefined} since - User-provided date
+ * @returns {string | null} The date as an ISO string, or null when not given
+ * @throws {Error} If the value is not a parseable date
+ */
+function resolveSince(since) {
+    if (since === undefined || since === null || since === '') return null;
+
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`--since must be an ISO 8601 date (got "${since}")`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Extracts (when needed) and validates the archive a delta export is computed against.
+ * @async
+ * @param {string} archivePath - Previous archive (.tar.gz or extracted folder)
+ * @param {string} [projectDir=process.cwd()] - Directory relative paths resolve from
+ * @returns {Promise<{ archive: string, importPath: string, tempDir: string | null, manifest: Object }>}
+ * The baseline; remove `tempDir` when done
+ * @throws {Error} If the archive is missing or fails validation
+ */
+async function loadBaseline(archivePath, projectDir = process.cwd()) {
+    const archive = path.resolve(projectDir, archivePath);
+    if (!fs.existsSync(archive)) {
+        throw new Error(`Baseline archive not found: ${archive}`);
+    }
+
+    let tempDir = null;
+    let importPath = archive;
+    if (isArchivePath(archive)) {
+        ({ tempDir, importPath } = await extractArchive(archive));
+    }
+
+    const { manifest, errors } = await loadManifest(importPath);
+    if (errors.length > 0) {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+        throw new Error(`Baseline archive ${path.basename(archive)} is invalid: ${errors.join('; ')}`);
+    }
+
+    return { archive, importPath, tempDir, manifest };
+}
+
+/**
+ * Creates the `delta` section of a delta archive manifest.
+ * @param {string | null} since - Explicit --since date (ISO), overriding the baseline's creation time
+ * @param {Object | null} baseline - Baseline from loadBaseline
+ * @returns {Object} Delta section with empty documents and deletions
+ * @throws {Error} If neither a date nor a baseline with a creation time is available
+ */
+function createDeltaSection(since, baseline) {
+    const baselineCreatedAt = baseline?.manifest.createdAt || null;
+    const resolvedSince = since || baselineCreatedAt;
+    if (!resolvedSince) {
+        throw new Error(`Baseline archive ${path.basename(baseline.archive)} has no creation time; pass --since as well`);
+    }
+
+    const baselineMedia = new Set(baseline?.manifest.delta?.baselineMedia || []);
+    (baseline?.manifest.media || []).forEach(file => {
+        if (file.hash) baselineMedia.add(file.hash);
+    });
+
+    return {
+        since: resolvedSince,
+        baseline: baseline ? { archive: path.basename(baseline.archive), createdAt: baselineCreatedAt } : null,
+        documents: {},
+        deletions: {},
+        baselineMedia: Array.from(baselineMedia)
+    };
+}
+
+/**
+ * Passes the key of every document variant of a content type to a callback, one page at a time,
+ * and finds the documents with a variant updated after a date. Every published variant has a
+ * draft, so keys come from the drafts; both count as changes, so publishing a document without
+ * editing its draft still marks it as changed.
+ * @async
+ * @param {Object} strapi - The Strapi application instance (v5 Document Service)
+ * @param {string} uid - Content type UID
+ * @param {string | null} since - ISO date (null to list the keys only)
+ * @param {number} batchSize - Number of variants fetched per query
+ * @param {function(string): (void|Promise<void>)} onKey - Receives each "<documentId>:<locale>" key
+ * @returns {Promise<{ changedIds: string[] }>} The documentIds of the changed documents
+ */
+async function collectDocumentChanges(strapi, uid, since, batchSize, onKey) {
+    const changedIds = new Set();
+    const sinceTime = since ? new Date(since).getTime() : Infinity;
+
+    for (const status of since ? ['draft', 'published'] : ['draft']) {
+        for (let start = 0; ; start += batchSize) {
+            const page = await strapi.documents(uid).findMany({
+                fields: ['documentId', 'locale', 'updatedAt'],
+                status,
+                locale: '*',
+                sort: 'id:asc',
+                start,
+                limit: batchSize
+            });
+            const variants = Array.isArray(page) ? page : (page ? [page] : []);
+
+            for (const variant of variants) {
+                if (!variant.documentId) continue;
+                if (status === 'draft') await onKey(`${variant.documentId}:${variant.locale || ''}`);
+                if (variant.updatedAt && new Date(variant.updatedAt).getTime() > sinceTime) {
+                    changedIds.add(variant.documentId);
+                }
+            }
+            if (variants.length < batchSize) break;
+        }
+    }
+
+    return { changedIds: Array.from(changedIds) };
+}
+
+/**
+ * Returns the document variant keys a baseline archive holds for a content type.
+ * @async
+ * @param {Object} baseline - Baseline from loadBaseline
+ * @param {string} uid - Content type UID
+ * @returns {Promise<Set<string> | null>} "<documentId>:<locale>" keys, or null if the baseline
+ * does not include the type
+ */
+async function getBaselineKeys(baseline, uid) {
+    const keys = new Set();
+    const index = baseline.manifest.delta?.documents?.[uid];
+    if (index) {
+        for await (const key of readNdjson(path.join(baseline.importPath, index.file))) keys.add(key);
+        return keys;
+    }
+    if (!baseline.manifest.contentTypes?.[uid]) return null;
+
+    for await (const entry of readTypeEntries(baseline.manifest, baseline.importPath, uid)) {
+        if (entry.documentId) keys.add(`${entry.documentId}:${entry.locale || ''}`);
+    }
+    return keys;
+}
+
+/**
+ * Compares the variants of a content type at two points: the baseline and the current source
+ * for delta exports, or the target and the archive for mirror imports. The current keys are fed
+ * one at a time, so only the baseline's keys are held in memory.
+ * @param {Object} contentType - Content type schema
+ * @param {Set<string>} baselineKeys - "<documentId>:<locale>" keys before (e.g. from getBaselineKeys)
+ * @returns {{ add: function(string): void, deletions: function(): Array<{ documentId: string | null, locale: string | null }> }}
+ * `add` records a key present after (e.g. from collectDocumentChanges); `deletions` lists the
+ * deleted variants: whole documents (locale null), single locales of remaining documents, or
+ * single type locales (documentId null, as single types are matched by locale on import)
+ */
+function createDeletionTracker(contentType, baselineKeys) {
+    const split = key => {
+        const index = key.lastIndexOf(':');
+        return { documentId: key.slice(0, index), locale: key.slice(index + 1) || null };
+    };
+
+    if (contentType.kind === 'singleType') {
+        const currentLocales = new Set();
+        return {
+            add: key => currentLocales.add(split(key).locale),
+            deletions() {
+                const deletedLocales = new Set();
+                for (const key of baselineKeys) {
+                    const { locale } = split(key);
+                    if (!currentLocales.has(locale)) deletedLocales.add(locale);
+                }
+                return Array.from(deletedLocales).map(locale => ({ documentId: null, locale }));
+            }
+        };
+    }
+
+    const remaining = new Set(baselineKeys);
+    const baselineIds = new Set(Array.from(baselineKeys, key => split(key).documentId));
+    const currentIds = new Set();
+    return {
+        add(key) {
+            remaining.delete(key);
+            const { documentId } = split(key);
+            if (baselineIds.has(documentId)) currentIds.add(documentId);
+        },
+        deletions() {
+            const deletions = [];
+            const deletedIds = new Set();
+            for (const key of remaining) {
+                const { documentId, locale } = split(key);
+                if (currentIds.has(documentId)) {
+                    deletions.push({ documentId, locale });
+                } else if (!deletedIds.has(documentId)) {
+                    deletedIds.add(documentId);
+                    deletions.push({ documentId, locale: null });
+                }
+            }
+            return deletions;
+        }
+    };
+}
+
+/**
+ * Compares the variants of a content type at two points when both key lists are at hand.
+ * @param {Object} contentType - Content type schema
+ * @param {Set<string>} baselineKeys - "<documentId>:<locale>" keys before
+ * @param {Iterable<string>} currentKeys - Keys after
+ * @returns {Array<{ documentId: string | null, locale: string | null }>} Deleted variants (see
+ * createDeletionTracker)
+ */
+function getDeletedVariants(contentType, baselineKeys, currentKeys) {
+    const tracker = createDeletionTracker(contentType, baselineKeys);
+    for (const key of currentKeys) tracker.add(key);
+    return tracker.deletions();
+}
+
+module.exports = {
+    resolveSince,
+    loadBaseline,
+    createDeltaSection,
+    collectDocumentChanges,
+    getBaselineKeys,
+    createDeletionTracker,
+    getDeletedVariants
+};
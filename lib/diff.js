@@ -0,0 +1,509 @@
+/**
+ * @fileoverview Archive diff module
+ * @description Compares two export archives, or an archive and the current project, per content
+ * type, documentId and locale. Reports added, removed and changed entries with field-level
+ * differences, media added or removed (by hash) and differing schema files under `src/api` and
+ * `src/components`.
+ * @module strapi-migrate/diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadLocalStrapi, isArchivePath, extractArchive } = require('./utils');
+const { loadManifest, readTypeEntries } = require('./manifest');
+const { findMedia, getPopulateFromSchema, fetchEntries, collectComponents } = require('./export');
+const { listArchiveSchemaFiles } = require('./snapshot');
+const { listFiles } = require('./file-journal');
+const { EXIT_CODES } = require('./report');
+
+/**
+ * Argument naming the current project instead of an archive.
+ * @type {string}
+ */
+const PROJECT_SOURCE = 'project';
+
+/**
+ * Fields that differ between any two installations (database ids, timestamps, authors) and
+ * are left out of entry comparisons. Relations and media are compared by documentId and hash.
+ * @type {Set<string>}
+ */
+const IGNORED_FIELDS = new Set(['id', 'documentId', 'locale', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'localizations']);
+
+/**
+ * Longest value printed in a field difference before it is truncated.
+ * @type {number}
+ */
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Returns the SHA-256 of a file's contents.
+ * @param {string} filePath - File to hash
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Returns the key an entry is matched by: documentId (or the v4 id) and locale for collection
+ * types, the locale alone for single types (their documentId differs between installations).
+ * @param {Object} entry - Exported or fetched entry
+ * @param {boolean} singleType - Whether the entry belongs to a single type
+ * @returns {string | null} "<documentId>:<locale>" key, or null when the entry has no identity
+ */
+function getEntryKey(entry, singleType) {
+    if (singleType) return `:${entry.locale || ''}`;
+    const documentId = entry.documentId || (entry.id !== undefined ? `#${entry.id}` : null);
+    return documentId ? `${documentId}:${entry.locale || ''}` : null;
+}
+
+/**
+ * Splits an entry key back into its parts.
+ * @param {string} key - Key from getEntryKey
+ * @returns {{ documentId: string | null, locale: string | null }}
+ */
+function splitEntryKey(key) {
+    const index = key.lastIndexOf(':');
+    return { documentId: key.slice(0, index) || null, locale: key.slice(index + 1) || null };
+}
+
+/**
+ * Reduces an entry to the values worth comparing: installation-specific fields are dropped,
+ * media become "media:<hash>", related documents "relation:<documentId>" and the top-level
+ * publishedAt a published flag. Object keys are sorted so equal values serialize equally.
+ * @param {*} value - Entry or nested value
+ * @param {boolean} [topLevel=false] - Whether value is the entry itself
+ * @returns {*} Normalized value
+ */
+function normalizeValue(value, topLevel = false) {
+    if (Array.isArray(value)) return value.map(item => normalizeValue(item));
+    if (!value || typeof value !== 'object') return value === undefined ? null : value;
+
+    if (value.hash && value.mime && value.url) return `media:${value.hash}`;
+    if (!topLevel && value.documentId && !value.__component) return `relation:${value.documentId}`;
+
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+        if (IGNORED_FIELDS.has(key)) continue;
+        normalized[key] = topLevel && key === 'publishedAt' ? Boolean(value[key]) : normalizeValue(value[key]);
+    }
+    return normalized;
+}
+
+/**
+ * Collects the field-level differences between two normalized values.
+ * @param {*} before - Value on side a
+ * @param {*} after - Value on side b
+ * @param {string} [field=''] - Path of the values, e.g. "blocks[0].title"
+ * @param {Array<{ field: string, before: *, after: * }>} [changes=[]] - Collected differences
+ * @returns {Array<{ field: string, before: *, after: * }>} The differences
+ */
+function diffValues(before, after, field = '', changes = []) {
+    if (before === undefined) before = null;
+    if (after === undefined) after = null;
+    if (JSON.stringify(before) === JSON.stringify(after)) return changes;
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of Array.from(keys).sort()) {
+            diffValues(before[key], after[key], field ? `${field}.${key}` : key, changes);
+        }
+    } else if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            diffValues(before[i], after[i], `${field}[${i}]`, changes);
+        }
+    } else {
+        changes.push({ field, before, after });
+    }
+    return changes;
+}
+
+/**
+ * Opens an export archive (.tar.gz or extracted folder) as a diff side.
+ * @async
+ * @param {string} input - Archive path
+ * @param {string} projectDir - Directory relative paths resolve from
+ * @returns {Promise<Object>} Diff side; call close() when done
+ * @throws {Error} If the archive is missing or fails validation
+ */
+async function openArchiveSide(input, projectDir) {
+    const archive = path.resolve(projectDir, input);
+    if (!fs.existsSync(archive)) {
+        throw new Error(`Archive not found: ${archive}`);
+    }
+
+    let tempDir = null;
+    let importPath = archive;
+    if (isArchivePath(archive)) {
+        ({ tempDir, importPath } = await extractArchive(archive));
+    }
+    const close = () => {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    };
+
+    const { manifest, errors } = await loadManifest(importPath);
+    if (errors.length > 0) {
+        close();
+        throw new Error(`Archive ${path.basename(archive)} is invalid: ${errors.join('; ')}`);
+    }
+
+    return {
+        label: path.basename(archive),
+        types: Object.keys(manifest.contentTypes),
+
+        kind(uid) {
+            // Only API types ship their schema in the archive
+            const match = /^api::([^.]+)\.(.+)$/.exec(uid);
+            const schemaPath = match && path.join(importPath, 'src', 'api', match[1], 'content-types', match[2], 'schema.json');
+            if (!schemaPath || !fs.existsSync(schemaPath)) return null;
+            try {
+                return JSON.parse(fs.readFileSync(schemaPath, 'utf8')).kind || null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        entries(uid) {
+            return readTypeEntries(manifest, importPath, uid);
+        },
+
+        media() {
+            return manifest.media || [];
+        },
+
+        schemaFiles() {
+            const files = new Map();
+            for (const relPath of listArchiveSchemaFiles(importPath)) {
+                files.set(relPath, hashFile(path.join(importPath, relPath)));
+            }
+            return files;
+        },
+
+        close
+    };
+}
+
+/**
+ * Opens the current project as a diff side. Entries, media and schema files are read the way
+ * an export of the compared content types would read them.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} projectDir - The Strapi project root
+ * @param {number} [batchSize] - Number of documents fetched per query
+ * @returns {Object} Diff side
+ */
+function openProjectSide(strapi, projectDir, batchSize) {
+    const foundMedia = new Map();
+    const readTypes = new Set();
+
+    return {
+        label: PROJECT_SOURCE,
+        types: [],
+
+        kind(uid) {
+            return strapi.contentTypes[uid]?.kind || null;
+        },
+
+        async *entries(uid) {
+            const contentType = strapi.contentTypes[uid];
+            if (!contentType) return;
+            readTypes.add(uid);
+
+            const populate = getPopulateFromSchema(uid, contentType, strapi);
+            for await (const entry of fetchEntries(strapi, uid, populate, batchSize)) {
+                findMedia(entry, foundMedia);
+                yield entry;
+            }
+        },
+
+        // Media referenced by the entries read so far
+        media() {
+            return Array.from(foundMedia.values());
+        },
+
+        schemaFiles() {
+            const files = new Map();
+            const add = (filePath) => {
+                files.set(path.relative(projectDir, filePath).split(path.sep).join('/'), hashFile(filePath));
+            };
+
+            const components = new Set();
+            for (const uid of readTypes) {
+                if (uid.startsWith('api::')) {
+                    const apiName = uid.split('::')[1].split('.')[0];
+                    listFiles(path.join(projectDir, 'src', 'api', apiName)).forEach(add);
+                }
+                collectComponents(uid, strapi, components);
+            }
+            for (const compUid of components) {
+                const [category, name] = compUid.split('.');
+                const compPath = path.join(projectDir, 'src', 'components', category, `${name}.json`);
+                if (fs.existsSync(compPath)) add(compPath);
+            }
+            return files;
+        },
+
+        close() {}
+    };
+}
+
+/**
+ * Reads the entries of one content type from a diff side, keyed by getEntryKey.
+ * @async
+ * @param {Object} side - Diff side
+ * @param {string} uid - Content type UID
+ * @param {boolean} singleType - Whether the type is a single type
+ * @returns {Promise<Map<string, Object>>} Normalized entries by key
+ */
+async function readSideEntries(side, uid, singleType) {
+    const entries = new Map();
+    for await (const entry of side.entries(uid)) {
+        const key = getEntryKey(entry, singleType);
+        if (key) entries.set(key, normalizeValue(entry, true));
+    }
+    return entries;
+}
+
+/**
+ * Compares the entries of one content type on both sides.
+ * @param {Map<string, Object>} before - Entries of side a
+ * @param {Map<string, Object>} after - Entries of side b
+ * @returns {{ added: Object[], removed: Object[], changed: Object[], unchanged: number }}
+ * Variants ({ documentId, locale }) only in b, only in a, and on both with their field changes
+ */
+function diffEntries(before, after) {
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const [key, entry] of before) {
+        if (!after.has(key)) {
+            result.removed.push(splitEntryKey(key));
+            continue;
+        }
+        const fields = diffValues(entry, after.get(key));
+        if (fields.length > 0) {
+            result.changed.push({ ...splitEntryKey(key), fields });
+        } else {
+            result.unchanged++;
+        }
+    }
+    for (const key of after.keys()) {
+        if (!before.has(key)) result.added.push(splitEntryKey(key));
+    }
+    return result;
+}
+
+/**
+ * Compares media lists by hash.
+ * @param {Object[]} before - Media of side a
+ * @param {Object[]} after - Media of side b
+ * @returns {{ added: Object[], removed: Object[] }} { name, hash } of the media only in b and only in a
+ */
+function diffMedia(before, after) {
+    const byHash = media => new Map(media.filter(file => file.hash).map(file => [file.hash, { name: file.name, hash: file.hash }]));
+    const beforeMedia = byHash(before);
+    const afterMedia = byHash(after);
+
+    return {
+        added: Array.from(afterMedia.values()).filter(file => !beforeMedia.has(file.hash)),
+        removed: Array.from(beforeMedia.values()).filter(file => !afterMedia.has(file.hash))
+    };
+}
+
+/**
+ * Compares schema files by content hash.
+ * @param {Map<string, string>} before - Relative paths and hashes of side a
+ * @param {Map<string, string>} after - Relative paths and hashes of side b
+ * @returns {{ added: string[], removed: string[], changed: string[] }} Relative paths
+ */
+function diffSchemaFiles(before, after) {
+    const result = { added: [], removed: [], changed: [] };
+    for (const [relPath, hash] of before) {
+        if (!after.has(relPath)) result.removed.push(relPath);
+        else if (after.get(relPath) !== hash) result.changed.push(relPath);
+    }
+    for (const relPath of after.keys()) {
+        if (!before.has(relPath)) result.added.push(relPath);
+    }
+    Object.values(result).forEach(paths => paths.sort());
+    return result;
+}
+
+/**
+ * Compares two export archives, or an archive and the current project. Pass "project" as `a`
+ * or `b` for the current project; only the content types of the archive(s) are compared.
+ * Changes read from a to b: "added" is only on side b, "removed" only on side a.
+ * @async
+ * @param {Object} options - Diff options
+ * @param {string} options.a - Archive (.tar.gz or extracted folder) or "project"
+ * @param {string} [options.b='project'] - Archive (.tar.gz or extracted folder) or "project"
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root; archive paths resolve from here
+ * @param {Object} [options.strapi] - An already-loaded Strapi instance for the project side (loaded
+ * from projectDir and destroyed afterwards when omitted)
+ * @param {number} [options.batchSize=100] - Number of documents fetched per query on the project side
+ * @returns {Promise<Object>} { a, b, contentTypes, media, schemaFiles, summary }; contentTypes maps
+ * each UID to its added, removed and changed variants and its unchanged count
+ * @throws {Error} If both sides are the project, or an archive is missing or invalid
+ * @example
+ * const { summary } = await diffData({ a: './export-old.tar.gz', b: './export-new.tar.gz' });
+ * if (!summary.identical) console.log(`${summary.changed} changed entries`);
+ */
+async function diffData(options = {}) {
+    const projectDir = path.resolve(options.projectDir || process.cwd());
+    const inputs = [options.a, options.b || PROJECT_SOURCE];
+    if (!options.a) {
+        throw new Error('diff needs at least one archive');
+    }
+    if (inputs.every(input => input === PROJECT_SOURCE)) {
+        throw new Error('diff needs at least one archive; "project" can only be one side');
+    }
+
+    const sides = [];
+    let strapi = null;
+    try {
+        for (const input of inputs) {
+            if (input !== PROJECT_SOURCE) sides.push(await openArchiveSide(input, projectDir));
+            else sides.push(null);
+        }
+        const projectIndex = sides.indexOf(null);
+        if (projectIndex !== -1) {
+            // Already logged in loadLocalStrapi on failure
+            strapi = options.strapi || await loadLocalStrapi(projectDir);
+            sides[projectIndex] = openProjectSide(strapi, projectDir, options.batchSize);
+        }
+        const [sideA, sideB] = sides;
+
+        const result = {
+            a: sideA.label,
+            b: sideB.label,
+            contentTypes: {},
+            media: null,
+            schemaFiles: null,
+            summary: null
+        };
+
+        const uids = Array.from(new Set([...sideA.types, ...sideB.types])).sort();
+        for (const uid of uids) {
+            const singleType = (sideA.kind(uid) || sideB.kind(uid)) === 'singleType';
+            const before = await readSideEntries(sideA, uid, singleType);
+            const after = await readSideEntries(sideB, uid, singleType);
+            result.contentTypes[uid] = diffEntries(before, after);
+        }
+
+        result.media = diffMedia(sideA.media(), sideB.media());
+        result.schemaFiles = diffSchemaFiles(sideA.schemaFiles(), sideB.schemaFiles());
+
+        const types = Object.values(result.contentTypes);
+        const sum = key => types.reduce((total, type) => total + (Array.isArray(type[key]) ? type[key].length : type[key]), 0);
+        result.summary = {
+            added: sum('added'),
+            removed: sum('removed'),
+            changed: sum('changed'),
+            unchanged: sum('unchanged'),
+            mediaAdded: result.media.added.length,
+            mediaRemoved: result.media.removed.length,
+            schemaFilesAdded: result.schemaFiles.added.length,
+            schemaFilesRemoved: result.schemaFiles.removed.length,
+            schemaFilesChanged: result.schemaFiles.changed.length
+        };
+        result.summary.identical = Object.entries(result.summary).every(([key, count]) => key === 'unchanged' || count === 0);
+        return result;
+    } finally {
+        sides.forEach(side => side && side.close());
+        if (strapi && !options.strapi) await strapi.destroy();
+    }
+}
+
+/**
+ * Formats a compared value for display.
+ * @param {*} value - Normalized value
+ * @returns {string} JSON, truncated to MAX_VALUE_LENGTH characters
+ */
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Prints a diff result in a human readable form.
+ * @param {Object} result - Result of diffData
+ */
+function printDiff(result) {
+    const label = ({ documentId, locale }) => `${documentId || '(single type)'}${locale ? ` [${locale}]` : ''}`;
+
+    for (const [uid, type] of Object.entries(result.contentTypes)) {
+        if (type.added.length + type.removed.length + type.changed.length === 0) continue;
+
+        console.log(`\n=== ${uid} ===`);
+        type.added.forEach(variant => console.log(`  + ${label(variant)}`));
+        type.removed.forEach(variant => console.log(`  - ${label(variant)}`));
+        type.changed.forEach(variant => {
+            console.log(`  ~ ${label(variant)}`);
+            variant.fields.forEach(({ field, before, after }) => {
+                console.log(`      ${field}: ${formatValue(before)} → ${formatValue(after)}`);
+            });
+        });
+        if (type.unchanged > 0) console.log(`  • ${type.unchanged} unchanged`);
+    }
+
+    if (result.media.added.length + result.media.removed.length > 0) {
+        console.log('\n=== Media ===');
+        result.media.added.forEach(file => console.log(`  + ${file.name} (${file.hash})`));
+        result.media.removed.forEach(file => console.log(`  - ${file.name} (${file.hash})`));
+    }
+
+    const { schemaFiles } = result;
+    if (schemaFiles.added.length + schemaFiles.removed.length + schemaFiles.changed.length > 0) {
+        console.log('\n=== Schema Files ===');
+        schemaFiles.added.forEach(relPath => console.log(`  + ${relPath}`));
+        schemaFiles.removed.forEach(relPath => console.log(`  - ${relPath}`));
+        schemaFiles.changed.forEach(relPath => console.log(`  ~ ${relPath}`));
+    }
+
+    const { summary } = result;
+    console.log('\n=== Summary ===');
+    if (summary.identical) {
+        console.log(`  ✓ No differences (${summary.unchanged} entries compared)`);
+        return;
+    }
+    console.log(`  • Entries: ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged`);
+    console.log(`  • Media: ${summary.mediaAdded} added, ${summary.mediaRemoved} removed`);
+    console.log(`  • Schema files: ${summary.schemaFilesAdded} added, ${summary.schemaFilesRemoved} removed, ${summary.schemaFilesChanged} changed`);
+}
+
+/**
+ * CLI entry point for `strapi-migrate diff`. Compares two archives, or an archive and the
+ * project in the current working directory, and prints the differences (or the diffData
+ * result as JSON with --json).
+ * @async
+ * @param {string} a - Archive path or "project"
+ * @param {string} [b='project'] - Archive path or "project"
+ * @param {Object} [options={}] - Diff options
+ * @param {boolean} [options.json] - Print the result as JSON
+ * @returns {Promise<void>} Exits the process with 0, or 1 on fatal errors
+ */
+async function runDiff(a, b, options = {}) {
+    if (!options.json) {
+        console.log('\n=== Strapi Diff Tool ===');
+        console.log(`  • Comparing ${a} → ${b || PROJECT_SOURCE}`);
+    }
+
+    try {
+        const result = await diffData({ a, b, projectDir: process.cwd() });
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printDiff(result);
+        }
+        process.exit(EXIT_CODES.SUCCESS);
+    } catch (err) {
+        console.error(`  ✗ ${err.message}`);
+        process.exit(EXIT_CODES.FATAL);
+    }
+}
+
+module.exports = {
+    PROJECT_SOURCE,
+    diffData,
+    runDiff
+};
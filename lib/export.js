@@ -9,7 +9,16 @@ const fs = require('fs');
 const path = require('path');
 const tar = require('tar');
 const inquirer = require('inquirer');
-const { loadLocalStrapi, getUploadsPath } = require('./utils');
+const { loadLocalStrapi } = require('./utils');
+const { getMediaFileName, getMediaVariants, validateStorageOption, resolveStorage } = require('./storage');
+const { createManifest, finalizeManifest, recordChecksums, getContentFileName, getKeyIndexFileName } = require('./manifest');
+const { createNdjsonWriter } = require('./ndjson');
+const { resolveSince, loadBaseline, createDeltaSection, collectDocumentChanges, getBaselineKeys, createDeletionTracker } = require('./delta');
+const { resolveExportFilters, combineFilters, getTypeFilters, getTypeStatus, describeFilters } = require('./filters');
+const { resolveMaxDepth, createReferenceTracker, dropDanglingFromFile } = require('./closure');
+const { resolvePluginTypes, getPasswordAttributes, stripPasswordHashes } = require('./plugins');
+const { EXIT_CODES, createReport, createMigrationError, resolveReportFormat, writeReport } = require('./report');
+const { ENCRYPTED_EXTENSION, PASSPHRASE_ENV, loadKey, getKeyFingerprint, resolvePassphrase, createPassphrasePrompt, encryptArchive, signManifest } = require('./archive-crypto');
 
 /**
  * Recursively traverses data structures to find and collect media objects.
@@ -92,12 +101,13 @@ function collectComponents(uid, strapi, collected = new Set()) {
  * @param {string[]} initialTypes - Array of content type UIDs to start from
  * @param {Object} strapi - The Strapi application instance
  * @param {Set<string>} [collected=new Set()] - Set to store collected content type UIDs
- * @returns {Set<string>} Set of all related API content type UIDs
+ * @param {string[]} [pluginTypes=[]] - Plugin content types relations are followed to too (see lib/plugins)
+ * @returns {Set<string>} Set of all related API (and allowed plugin) content type UIDs
  * @example
  * const relatedTypes = collectRelatedTypes(['api::article.article'], strapi);
  * // Returns Set { 'api::article.article', 'api::category.category', 'api::author.author', ... }
  */
-function collectRelatedTypes(initialTypes, strapi, collected = new Set()) {
+function collectRelatedTypes(initialTypes, strapi, collected = new Set(), pluginTypes = []) {
   // Add initial types to collected set
   initialTypes.forEach(uid => collected.add(uid));
 
@@ -114,8 +124,9 @@ function collectRelatedTypes(initialTypes, strapi, collected = new Set()) {
       if (attr.type === 'relation') {
         // Get the target content type from the relation
         const targetUid = attr.target;
-        // Only include API content types (skip plugin types like admin::user)
-        if (targetUid && targetUid.startsWith('api::') && !collected.has(targetUid)) {
+        // Only include API content types and the plugin types opted in with --plugins (skip admin::user)
+        const included = targetUid && (targetUid.startsWith('api::') || pluginTypes.includes(targetUid));
+        if (included && !collected.has(targetUid)) {
           collected.add(targetUid);
           // Recursively process the newly found type
           processSchema(targetUid);
@@ -206,14 +217,15 @@ function getPopulateFromSchema(uid, schema, strapi, depth = 7) {
 
 /**
  * Resolves and validates the directory where the export archive will be written.
- * Relative paths are resolved from the current working directory.
+ * Relative paths are resolved from the project directory.
  * @param {string | undefined} outputDir - User-provided output directory
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
  * @returns {string} Absolute path to the output directory
  */
-function resolveExportBaseDir(outputDir) {
+function resolveExportBaseDir(outputDir, projectDir = process.cwd()) {
   const exportBaseDir = outputDir
-    ? path.resolve(process.cwd(), outputDir)
-    : path.join(process.cwd(), 'export-data');
+    ? path.resolve(projectDir, outputDir)
+    : path.join(projectDir, 'export-data');
 
   if (fs.existsSync(exportBaseDir) && !fs.statSync(exportBaseDir).isDirectory()) {
     throw new Error(`Export output path is not a directory: ${exportBaseDir}`);
@@ -233,133 +245,544 @@ function normalizeDocumentsResult(entries) {
 }
 
 /**
- * Main export function that orchestrates the entire export process.
- * Exports selected content types, their data, associated media, view configurations,
- * and source code (API schemas and component definitions) to a tar.gz archive.
+ * Default number of documents fetched per findMany call during export.
+ * @type {number}
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Resolves and validates the export batch size.
+ * @param {string | number | undefined} batchSize - User-provided batch size
+ * @returns {number} A positive integer batch size
+ * @throws {Error} If the value is not a positive integer
+ */
+function resolveBatchSize(batchSize) {
+  if (batchSize === undefined || batchSize === null) return DEFAULT_BATCH_SIZE;
+
+  const parsed = Number(batchSize);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`--batch-size must be a positive integer (got "${batchSize}")`);
+  }
+  return parsed;
+}
+
+/**
+ * Returns the unique documentIds of a list of document variants.
+ * @param {Object[]} entries - Document variants
+ * @returns {string[]} Unique documentIds
+ */
+function getDocumentIds(entries) {
+  return [...new Set(entries.map(entry => entry.documentId).filter(Boolean))];
+}
+
+/**
+ * Fetches all entries of a content type page by page, yielding them one at a time.
+ * On Strapi v5, draft and published variants are merged per page by documentId + locale,
+ * preferring draft payloads but keeping published-only documents.
  * @async
- * @param {string[]} cmdTypes - Array of content type UIDs to export (e.g., ['api::article.article'])
- * @param {Object} [options={}] - Export options
- * @param {boolean} [options.all] - Export all API content types without prompting
- * @param {string} [options.filterApi] - Regex pattern to filter content types by collectionName
- * @param {string} [options.filterComponents] - Regex pattern to filter components by collectionName
- * @param {string} [options.outputDir] - Directory where the generated archive should be saved
- * @param {boolean} [options.dryRun] - If true, only shows what would be exported without creating files
- * @returns {Promise<void>} Resolves when export is complete (exits process)
- * @example
- * // Export specific content types
- * await runExport(['api::article.article', 'api::page.page']);
- * 
- * // Export all types matching a pattern
- * await runExport([], { filterApi: '^ctv_', all: true });
+ * @generator
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID
+ * @param {Object|boolean|string} populate - Populate configuration from getPopulateFromSchema
+ * @param {number} [batchSize=DEFAULT_BATCH_SIZE] - Number of documents fetched per query
+ * @param {Object} [filters] - Optional Document Service filters restricting which documents are fetched
+ * @param {string} [status='both'] - "draft" or "published" to fetch only that version of each document
+ * (on Strapi v4, the unpublished or the published entries)
+ * @yields {Object} Exported entries
  */
-async function runExport(cmdTypes, options = {}) {
-  console.log('\n=== Strapi Export Tool ===');
+async function* fetchEntries(strapi, uid, populate, batchSize = DEFAULT_BATCH_SIZE, filters = undefined, status = 'both') {
+  /**
+   * Combines the caller's filters with a documentId restriction.
+   * @param {string[]} documentIds - documentIds to restrict to
+   * @returns {Object} Document Service filters
+   */
+  const withDocumentIds = (documentIds) => {
+    const idFilter = { documentId: { $in: documentIds } };
+    return filters ? { $and: [filters, idFilter] } : idFilter;
+  };
 
-  if (options.dryRun) {
-      console.warn("  [DRY-RUN] Mode enabled: No files will be created\n");
+  if (!strapi.documents) {
+    // Strapi v4: single types return one object and cannot be paginated
+    if (strapi.contentTypes[uid]?.kind === 'singleType') {
+      yield* normalizeDocumentsResult(await strapi.entityService.findMany(uid, { populate }));
+      return;
+    }
+
+    const publication = status === 'both' ? null : { publishedAt: { [status === 'published' ? '$notNull' : '$null']: true } };
+    for (let start = 0; ; start += batchSize) {
+      const page = normalizeDocumentsResult(await strapi.entityService.findMany(uid, {
+        populate,
+        filters: combineFilters([filters, publication]),
+        sort: { id: 'asc' },
+        start,
+        limit: batchSize
+      }));
+      yield* page;
+      if (page.length < batchSize) return;
+    }
   }
 
-  let exportBaseDir;
-  try {
-      exportBaseDir = resolveExportBaseDir(options.outputDir);
-  } catch (err) {
-      console.error(`  ! ${err.message}`);
-      process.exit(1);
+  const documents = strapi.documents(uid);
+  const keyFields = ['documentId', 'locale', 'publishedAt'];
+
+  // A single status is one plain paged query
+  if (status !== 'both') {
+    for (let start = 0; ; start += batchSize) {
+      const page = normalizeDocumentsResult(await documents.findMany({
+        populate,
+        filters,
+        status,
+        locale: '*',
+        sort: 'id:asc',
+        start,
+        limit: batchSize
+      }));
+      yield* page;
+      if (page.length < batchSize) return;
+    }
   }
 
-  let strapi;
-  try {
-    strapi = await loadLocalStrapi();
-  } catch (err) {
-    // Already logged in loadLocalStrapi
-    process.exit(1);
+  // 1. Page through draft variants (latest editable revision when one exists) and attach the
+  //    publishedAt of the matching published variant, looked up for this page only.
+  for (let start = 0; ; start += batchSize) {
+    const drafts = normalizeDocumentsResult(await documents.findMany({
+      populate,
+      filters,
+      status: 'draft',
+      locale: '*',
+      sort: 'id:asc',
+      start,
+      limit: batchSize
+    }));
+    if (drafts.length === 0) break;
+
+    const publishedMap = new Map();
+    const published = normalizeDocumentsResult(await documents.findMany({
+      fields: keyFields,
+      status: 'published',
+      locale: '*',
+      filters: withDocumentIds(getDocumentIds(drafts))
+    }));
+    for (const publishedEntry of published) {
+      const key = getDocumentLocaleKey(publishedEntry);
+      if (key) publishedMap.set(key, publishedEntry.publishedAt);
+    }
+
+    for (const draftEntry of drafts) {
+      const key = getDocumentLocaleKey(draftEntry);
+      if (!key) continue;
+      yield {
+        ...draftEntry,
+        publishedAt: publishedMap.has(key) ? publishedMap.get(key) : null
+      };
+    }
+
+    if (drafts.length < batchSize) break;
+  }
+
+  // 2. Page through published variants (keys only) to find published-only documents,
+  //    then fetch just those with the full populate so they are not lost.
+  for (let start = 0; ; start += batchSize) {
+    const publishedKeys = normalizeDocumentsResult(await documents.findMany({
+      fields: keyFields,
+      filters,
+      status: 'published',
+      locale: '*',
+      sort: 'id:asc',
+      start,
+      limit: batchSize
+    }));
+    if (publishedKeys.length === 0) break;
+
+    const draftKeys = new Set(normalizeDocumentsResult(await documents.findMany({
+      fields: keyFields,
+      status: 'draft',
+      locale: '*',
+      filters: withDocumentIds(getDocumentIds(publishedKeys))
+    })).map(getDocumentLocaleKey));
+
+    const missing = publishedKeys.filter(entry => {
+      const key = getDocumentLocaleKey(entry);
+      return key && !draftKeys.has(key);
+    });
+
+    if (missing.length > 0) {
+      const missingKeys = new Set(missing.map(getDocumentLocaleKey));
+      const publishedOnly = normalizeDocumentsResult(await documents.findMany({
+        populate,
+        status: 'published',
+        locale: '*',
+        filters: withDocumentIds(getDocumentIds(missing))
+      }));
+
+      for (const publishedEntry of publishedOnly) {
+        if (missingKeys.has(getDocumentLocaleKey(publishedEntry))) {
+          yield publishedEntry;
+        }
+      }
+    }
+
+    if (publishedKeys.length < batchSize) break;
+  }
+}
+
+/**
+ * Fetches the entries of a content type changed since the `since` date of a delta export.
+ * On Strapi v5 the key of every current variant is passed to `onKey` first, so it can be written
+ * to the type's key index and compared with the baseline. Strapi v4 filters on updatedAt only.
+ * @async
+ * @generator
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID
+ * @param {Object|boolean|string} populate - Populate configuration from getPopulateFromSchema
+ * @param {number} batchSize - Number of documents fetched per query
+ * @param {Object} delta - The manifest's delta section
+ * @param {function(string): Promise<void>} onKey - Receives each "<documentId>:<locale>" key (v5 only)
+ * @yields {Object} Exported entries of the changed documents (all their variants)
+ */
+async function* fetchDeltaEntries(strapi, uid, populate, batchSize, delta, onKey) {
+  if (!strapi.documents) {
+    yield* fetchEntries(strapi, uid, populate, batchSize, { updatedAt: { $gt: delta.since } });
+    return;
   }
 
-  let typesToExport = cmdTypes || [];
+  const { changedIds } = await collectDocumentChanges(strapi, uid, delta.since, batchSize, onKey);
+  for (let i = 0; i < changedIds.length; i += batchSize) {
+    yield* fetchEntries(strapi, uid, populate, batchSize, { documentId: { $in: changedIds.slice(i, i + batchSize) } });
+  }
+}
+
+/**
+ * Resolves which content types to export: explicit UIDs, plus API types whose collectionName
+ * matches `filterApi`. With none resolved, `all` selects every API type and otherwise the
+ * `selectTypes` callback (the CLI's interactive prompt) is asked to choose.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string[]} [types=[]] - Content type UIDs requested explicitly
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.filterApi] - Regex pattern to filter content types by collectionName
+ * @param {boolean} [options.all] - Select all API content types
+ * @param {string[]} [options.pluginTypes] - Plugin content types offered alongside the API types
+ * (resolvePluginTypes result)
+ * @param {function(string[]): Promise<string[]>} [options.selectTypes] - Chooses from the available API types
+ * @returns {Promise<string[]>} Selected content type UIDs (empty when nothing was selected)
+ * @throws {Error} If `filterApi` is not a valid regular expression
+ */
+async function selectExportTypes(strapi, types = [], options = {}) {
+  let typesToExport = [...types];
 
   // Logic to filter content types by collectionName regex
   if (options.filterApi) {
+      let apiRegex;
       try {
-          const apiRegex = new RegExp(options.filterApi);
-          const apiTypes = Object.keys(strapi.contentTypes).filter(uid => uid.startsWith('api::'));
-          
-          const matchedTypes = apiTypes.filter(uid => {
-              const ct = strapi.contentTypes[uid];
-              return ct.collectionName && apiRegex.test(ct.collectionName);
-          });
-
-          if (matchedTypes.length > 0) {
-              console.log(`  • Filtered API types: found ${matchedTypes.length} matching "${options.filterApi}"`);
-              // merge with command line args if any, deduplicate
-              typesToExport = [...new Set([...typesToExport, ...matchedTypes])];
-          } else {
-              console.warn(`  ! No API Content Types matched the filter: "${options.filterApi}"`);
-          }
+          apiRegex = new RegExp(options.filterApi);
       } catch (e) {
-          console.error(`  ! Invalid Regex for --filter-api: ${e.message}`);
-          process.exit(1);
+          throw new Error(`Invalid Regex for --filter-api: ${e.message}`);
+      }
+
+      const apiTypes = Object.keys(strapi.contentTypes).filter(uid => uid.startsWith('api::'));
+      
+      const matchedTypes = apiTypes.filter(uid => {
+          const ct = strapi.contentTypes[uid];
+          return ct.collectionName && apiRegex.test(ct.collectionName);
+      });
+
+      if (matchedTypes.length > 0) {
+          console.log(`  • Filtered API types: found ${matchedTypes.length} matching "${options.filterApi}"`);
+          // merge with command line args if any, deduplicate
+          typesToExport = [...new Set([...typesToExport, ...matchedTypes])];
+      } else {
+          console.warn(`  ! No API Content Types matched the filter: "${options.filterApi}"`);
       }
   }
   
   if (typesToExport.length === 0) {
-      const allTypes = Object.keys(strapi.contentTypes).filter(uid => uid.startsWith('api::')); 
+      const allTypes = [
+          ...Object.keys(strapi.contentTypes).filter(uid => uid.startsWith('api::')),
+          ...(options.pluginTypes || [])
+      ];
       
       if (allTypes.length === 0) {
           console.log("  ! No API content types found (starting with 'api::').");
-          strapi.destroy();
-          process.exit(0);
+          return [];
       }
 
       if (options.all) {
           typesToExport = allTypes;
-      } else {
-          const answers = await inquirer.prompt([
-            {
-              type: 'checkbox',
-              name: 'selectedTypes',
-              message: 'Select content types to export:',
-              choices: allTypes,
-              pageSize: 15,
-              loop: false
-            }
-          ]);
-
-          typesToExport = answers.selectedTypes;
+      } else if (options.selectTypes) {
+          typesToExport = (await options.selectTypes(allTypes)) || [];
       }
 
-      if (!typesToExport || typesToExport.length === 0) {
+      if (typesToExport.length === 0) {
           console.log("  ! No types selected. Exiting.");
-          strapi.destroy();
-          process.exit(0);
       }
   }
 
+  return typesToExport;
+}
+
+/**
+ * Resolves the --encrypt and --sign options into keys and a passphrase.
+ * @async
+ * @param {Object} options - Export options (encrypt, sign, passphrase, dryRun)
+ * @param {string} projectDir - Directory key paths resolve from
+ * @returns {Promise<{ signKey: Object | null, publicKey: Object | null, passphrase: string | null }>}
+ * The signing key, the public key to encrypt for and the passphrase to encrypt with
+ * @throws {Error} If a key cannot be read, the public key is no RSA key or no passphrase is available
+ */
+async function resolveArchiveProtection(options, projectDir) {
+  const protection = { signKey: null, publicKey: null, passphrase: null };
+  if (options.sign) protection.signKey = loadKey(options.sign, 'private', projectDir);
+  if (typeof options.encrypt === 'string') {
+      protection.publicKey = loadKey(options.encrypt, 'public', projectDir);
+      if (protection.publicKey.asymmetricKeyType !== 'rsa') {
+          throw new Error(`--encrypt needs an RSA public key (got ${protection.publicKey.asymmetricKeyType})`);
+      }
+  } else if (options.encrypt && !options.dryRun) {
+      protection.passphrase = await resolvePassphrase(options.passphrase);
+      if (!protection.passphrase) {
+          throw new Error(`--encrypt needs a passphrase: set ${PASSPHRASE_ENV} or give a public key (--encrypt <public-key>)`);
+      }
+  }
+  return protection;
+}
+
+/**
+ * Exports content types from a Strapi project to a tar.gz archive. This is the programmatic
+ * entry point behind `strapi-migrate export`: it never prompts or exits the process, and throws
+ * on fatal errors. Exports the selected content types, their data, associated media, view
+ * configurations, and source code (API schemas and component definitions).
+ * @async
+ * @param {Object} [options={}] - Export options
+ * @param {Object} [options.strapi] - A loaded Strapi instance (default: loaded from projectDir and destroyed afterwards)
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root
+ * @param {string[]} [options.types] - Content type UIDs to export (e.g., ['api::article.article'])
+ * @param {boolean} [options.all] - Export all API content types when no types are given
+ * @param {function(string[]): Promise<string[]>} [options.selectTypes] - Chooses types when none are given
+ * @param {import('events').EventEmitter} [options.events] - Receives `phase`, `entry`, `media` and `failure` events
+ * @param {string} [options.filterApi] - Regex pattern to filter content types by collectionName
+ * @param {string} [options.filterComponents] - Regex pattern to filter components by collectionName
+ * @param {string} [options.outputDir] - Directory where the generated archive should be saved (default: <projectDir>/export-data)
+ * @param {number|string} [options.batchSize=100] - Number of documents fetched per query
+ * @param {boolean} [options.failFast] - Abort on the first failed content type, source or media copy
+ * @param {string | Object} [options.storage='auto'] - Where media files are read from: "auto", "local"
+ * (public/uploads), "provider" (the configured upload provider, e.g. S3), a custom adapter module
+ * path or an adapter object (see lib/storage)
+ * @param {string} [options.since] - Delta export: only documents updated after this ISO 8601 date
+ * @param {string} [options.sinceArchive] - Delta export against a previous archive: documents updated
+ * since it was created, media it does not hold, and deletions of the documents it holds that are gone
+ * @param {string} [options.status='both'] - "draft" or "published" to export only that version of each document
+ * @param {string | string[]} [options.locale] - Only export these locales of localized types (comma-separated codes)
+ * @param {string | Object} [options.where] - Document Service filters (JSON) the selected types are exported with
+ * @param {string | Object} [options.whereFile] - JSON file of Document Service filters keyed by content type UID;
+ * its types are selected too. Filtered exports are document-level exports (see `closure`)
+ * @param {boolean} [options.closure] - Document-level export: related types only export the documents
+ * the exported entries reference, transitively
+ * @param {number|string} [options.maxDepth] - Document-level exports: the maximum number of relation hops
+ * followed from the selected entries (default: no limit)
+ * @param {boolean} [options.keepDangling] - Document-level exports: keep the relations to documents left
+ * out of the archive instead of removing them from the exported entries
+ * @param {boolean | string | string[]} [options.plugins] - Also export plugin content types: true for the
+ * allowlist (users-permissions roles, permissions and users, custom plugins), or plugin names and UIDs
+ * to limit it to (see lib/plugins)
+ * @param {boolean} [options.includePasswordHashes] - With `plugins`: keep the password hashes of exported
+ * users instead of leaving them out
+ * @param {boolean | string} [options.encrypt] - Encrypt the archive (written as .tar.gz.enc): true to
+ * use the passphrase, or the path of an RSA public key to encrypt for
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase for `encrypt: true`
+ * (default: STRAPI_MIGRATE_PASSPHRASE), or a function asked for it
+ * @param {string} [options.sign] - Sign the manifest with this private key (RSA, EC or Ed25519 PEM file)
+ * @param {string} [options.report] - Write a JSON or JUnit report of the run to this file (relative to projectDir)
+ * @param {string} [options.reportFormat] - "json" or "junit" (default: inferred from the extension)
+ * @param {boolean} [options.dryRun] - If true, only shows what would be exported without creating files
+ * @returns {Promise<{ archive: string | null, types: string[], exitCode: number, summary: Object, report: Object }>}
+ * Archive path (null for dry runs or when nothing was selected), exported types, the exit code
+ * the CLI would use (0 success, 2 partial failure, 3 total failure) and the full report data
+ * @throws {Error} On invalid options, when Strapi cannot be loaded and on --fail-fast aborts;
+ * aborts carry `exitCode` and `report`
+ * @example
+ * const { archive, summary } = await exportData({ strapi, types: ['api::article.article'], projectDir: '/srv/cms' });
+ */
+async function exportData(options = {}) {
+  const projectDir = path.resolve(options.projectDir || process.cwd());
+
+  if (options.dryRun) {
+      console.warn("  [DRY-RUN] Mode enabled: No files will be created\n");
+  }
+
+  const exportBaseDir = resolveExportBaseDir(options.outputDir, projectDir);
+  const batchSize = resolveBatchSize(options.batchSize);
+  const since = resolveSince(options.since);
+  if (options.report) resolveReportFormat(options.report, options.reportFormat);
+  validateStorageOption(options.storage);
+  const filters = resolveExportFilters(options, projectDir);
+  if (filters && (since || options.sinceArchive)) {
+      throw new Error('Export filters (--status, --locale, --where, --where-file) cannot be combined with a delta export');
+  }
+  // Filtered exports are always document-level: the filtered entries decide what is related
+  const maxDepth = resolveMaxDepth(options.maxDepth);
+  if (!options.closure && !filters && (maxDepth !== null || options.keepDangling)) {
+      throw new Error('--max-depth and --keep-dangling apply to document-level exports: add --closure or an export filter');
+  }
+  if (options.closure && (since || options.sinceArchive)) {
+      throw new Error('--closure cannot be combined with a delta export');
+  }
+  const closure = options.closure || filters ? { maxDepth, keepDangling: Boolean(options.keepDangling) } : null;
+  if (options.includePasswordHashes && !options.plugins) {
+      throw new Error('--include-password-hashes applies to plugin content types: add --plugins');
+  }
+  // Keys and the passphrase are resolved before Strapi boots, so a bad key fails fast
+  const protection = await resolveArchiveProtection(options, projectDir);
+
+  // Delta export: the baseline is read before Strapi boots so a bad archive fails fast
+  const baseline = options.sinceArchive ? await loadBaseline(options.sinceArchive, projectDir) : null;
+  let strapi = null;
+
+  try {
+      const delta = since || baseline ? createDeltaSection(since, baseline) : null;
+      if (delta) {
+          console.log(`  • Delta export: documents updated after ${delta.since}${baseline ? ` (baseline ${delta.baseline.archive})` : ''}`);
+      }
+
+      // Already logged in loadLocalStrapi on failure
+      strapi = options.strapi || await loadLocalStrapi(projectDir);
+      const storage = resolveStorage(strapi, { ...options, projectDir });
+      const pluginTypes = resolvePluginTypes(strapi, options.plugins);
+      // The types of a filter file are selected too, unless every type is
+      const fileTypes = filters && !options.all ? Object.keys(filters.whereByType) : [];
+      const requestedTypes = [...new Set([...(options.types || []), ...fileTypes])];
+      const blockedType = requestedTypes.find(uid => uid.startsWith('plugin::') && !pluginTypes.includes(uid));
+      if (blockedType) {
+          throw new Error(`${blockedType} is a plugin content type: export it with --plugins (allowlisted types only)`);
+      }
+      const typesToExport = await selectExportTypes(strapi, requestedTypes, { ...options, pluginTypes });
+      if (typesToExport.length === 0) {
+          return { archive: null, types: [], exitCode: EXIT_CODES.SUCCESS, summary: null, report: null };
+      }
+      return await writeExportArchive(strapi, typesToExport, { ...options, projectDir, exportBaseDir, batchSize, storage, delta, baseline, protection, filters, closure, pluginTypes });
+  } finally {
+      if (strapi && !options.strapi) await strapi.destroy();
+      if (baseline?.tempDir) fs.rmSync(baseline.tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes the export archive for an already resolved list of content types.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string[]} typesToExport - Content type UIDs selected for export
+ * @param {Object} options - Export options (see exportData), with resolved `projectDir`,
+ * `exportBaseDir`, `batchSize`, `storage` adapter and archive `protection` (see
+ * resolveArchiveProtection), the export `filters` (see resolveExportFilters), the document-level
+ * `closure` options ({ maxDepth, keepDangling }, or null for whole related types), the allowed
+ * `pluginTypes` (see resolvePluginTypes), and for delta exports the manifest's `delta` section and
+ * the loaded `baseline` archive (if any)
+ * @returns {Promise<Object>} The exportData result
+ */
+async function writeExportArchive(strapi, typesToExport, options) {
+  const { projectDir, exportBaseDir, batchSize, storage, delta, baseline, protection, filters, closure } = options;
+  const pluginTypes = options.pluginTypes || [];
+
   console.log('  • Selected Content Types:', typesToExport.join(', '));
 
   // Resolve related content types (relations) from the selected types
   const originalTypes = [...typesToExport];
-  const allRelatedTypes = collectRelatedTypes(typesToExport, strapi);
+  const allRelatedTypes = collectRelatedTypes(typesToExport, strapi, new Set(), pluginTypes);
   typesToExport = Array.from(allRelatedTypes);
+  const addedTypes = typesToExport.filter(t => !originalTypes.includes(t));
   
-  if (typesToExport.length > originalTypes.length) {
-      const addedTypes = typesToExport.filter(t => !originalTypes.includes(t));
+  if (addedTypes.length > 0) {
       console.log(`  • Resolved ${addedTypes.length} related content type(s) from relations:`);
       addedTypes.forEach(t => console.log(`    + ${t}`));
   }
 
+  if (filters) {
+      console.log(`  • Filters: ${describeFilters(filters)}`);
+  }
+  // Document-level exports: related types only hold the documents the exported entries reference
+  if (closure && addedTypes.length > 0) {
+      const depth = closure.maxDepth === null ? '' : ` up to ${closure.maxDepth} relation hop(s) away`;
+      console.log(`  • Related types: only the documents referenced by the selected entries${depth}`);
+  }
+  const references = closure ? createReferenceTracker(strapi, addedTypes, { maxDepth: closure.maxDepth }) : null;
+  const referencedFiles = new Map();
+
+  // Plugin content types (--plugins): password hashes only travel with --include-password-hashes
+  const exportedPluginTypes = typesToExport.filter(uid => uid.startsWith('plugin::'));
+  const keepPasswordHashes = Boolean(options.includePasswordHashes);
+  if (exportedPluginTypes.length > 0) {
+      console.log(`  • Plugin content types: ${exportedPluginTypes.join(', ')}`);
+      if (exportedPluginTypes.some(uid => getPasswordAttributes(strapi.contentTypes[uid]).length > 0)) {
+          if (!keepPasswordHashes) {
+              console.log('  • Password hashes are left out: imported users need a password reset (--include-password-hashes keeps them)');
+          } else if (!options.encrypt) {
+              console.warn('  ! The archive holds password hashes: keep it private, or add --encrypt');
+          } else {
+              console.log('  • Password hashes are included (encrypted archive)');
+          }
+      }
+  }
+
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const exportDirName = `export-${timestamp}`;
   const exportDir = path.join(exportBaseDir, exportDirName);
   const tarName = `${exportDirName}.tar.gz`;
   const tarPath = path.join(exportBaseDir, tarName);
+  const encrypt = Boolean(options.encrypt);
+  const archivePath = encrypt ? `${tarPath}${ENCRYPTED_EXTENSION}` : tarPath;
+
+  const exportManifest = createManifest(strapi);
+  if (delta) exportManifest.delta = delta;
+  if (filters) {
+      exportManifest.filters = {
+          status: filters.status,
+          locales: filters.locales,
+          where: filters.where,
+          whereByType: filters.whereByType
+      };
+  }
+  if (closure) {
+      exportManifest.closure = {
+          referenced: addedTypes,
+          maxDepth: closure.maxDepth,
+          dangling: closure.keepDangling ? 'keep' : 'drop'
+      };
+  }
+  if (exportedPluginTypes.length > 0) {
+      exportManifest.plugins = {
+          types: exportedPluginTypes,
+          passwordHashes: keepPasswordHashes
+      };
+  }
 
-  const exportManifest = {
-    createdAt: new Date().toISOString(),
-    types: {},
-    media: [],
-    views: {},
-    locales: [],
-    defaultLocale: null
+  // REPORT: always collected; written to disk only when --report is given
+  const report = createReport('export', {
+      archive: options.dryRun ? null : archivePath,
+      dryRun: Boolean(options.dryRun),
+      since: delta ? delta.since : null
+  }, options.events);
+  const saveReport = () => {
+      if (!options.report) return;
+      try {
+          const writtenPath = writeReport(report, options.report, options.reportFormat, projectDir);
+          console.log(`  • Report written to ${writtenPath}`);
+      } catch (e) {
+          console.error(`  ! Failed to write report: ${e.message}`);
+      }
+  };
+
+  // --fail-fast: stop at the first recorded failure, discarding the partial export
+  const abortOnFailure = () => {
+      if (!options.failFast || !report.hasFailures()) return;
+      console.error('\n  ✗ Export aborted (--fail-fast)');
+      fs.rmSync(exportDir, { recursive: true, force: true });
+      saveReport();
+      throw createMigrationError('Export aborted (--fail-fast)', report.exitCode(), report.finish());
+  };
+
+  const getResult = (archive) => {
+      const data = report.finish();
+      return { archive, types: typesToExport, exitCode: data.summary.exitCode, summary: data.summary, report: data };
   };
 
   // Export Locales (if I18n plugin is installed)
@@ -367,9 +790,9 @@ async function runExport(cmdTypes, options = {}) {
       const localeService = strapi.plugin('i18n').service('locales');
       const locales = await strapi.db.query('plugin::i18n.locale').findMany();
       if (locales && locales.length > 0) {
-          exportManifest.locales = locales;
+          exportManifest.locales = filters?.locales ? locales.filter(locale => filters.locales.includes(locale.code)) : locales;
         exportManifest.defaultLocale = await localeService.getDefaultLocale();
-          console.log(`  • Exporting ${locales.length} locales`);
+          console.log(`  • Exporting ${exportManifest.locales.length} locales`);
         if (exportManifest.defaultLocale) {
           console.log(`  • Source default locale: ${exportManifest.defaultLocale}`);
         }
@@ -380,13 +803,20 @@ async function runExport(cmdTypes, options = {}) {
 
   const allFoundMedia = new Map();
 
+  if (delta && !strapi.documents) {
+      console.warn('  ! Deletions are only tracked on Strapi v5 (Document Service); this delta carries changed entries only');
+  }
+
   console.log(`\n=== Exporting Data ===`);
   for (const uid of typesToExport) {
     console.log(`  • Exporting ${uid}...`);
+    report.startPhase('export', { uid });
     try {
       const contentType = strapi.contentTypes[uid];
       if (!contentType) {
         console.warn(`    ! Warning: Content type ${uid} not found. Skipping.`);
+        report.recordFailure({ phase: 'export', uid, message: 'Content type not found' });
+        abortOnFailure();
         continue;
       }
       
@@ -404,74 +834,156 @@ async function runExport(cmdTypes, options = {}) {
            console.warn(`    ! Warning: Could not export view config`, err.message);
       }
 
-      let populate = getPopulateFromSchema(uid, contentType, strapi);
-      
-      // console.log(`  Populate strategy for ${uid}:`, JSON.stringify(populate, null, 2));
-
-        let entries;
-      if (strapi.documents) {
-        // Strapi v5
+      const populate = getPopulateFromSchema(uid, contentType, strapi);
+      const contentFile = getContentFileName(uid);
 
-        // 1. Get draft variants (latest editable revision when one exists)
-        const drafts = await strapi.documents(uid).findMany({
-            populate,
-            status: 'draft',
-            locale: '*' 
-        });
-
-        // 2. Get published variants so published-only documents are not lost.
-        const published = await strapi.documents(uid).findMany({
-          populate,
-            status: 'published',
-            locale: '*'
-        });
+      // Entries are streamed straight to their NDJSON file so only one is held in memory at a time.
+      // In dry-run mode nothing is written; entries are only counted.
+      const writer = options.dryRun ? null : createNdjsonWriter(path.join(exportDir, contentFile));
+      let count = 0;
 
-        // Merge by documentId+locale, preferring draft payloads when present because they carry
-        // the latest editable revision, but falling back to published payloads for published-only docs.
-        const mergedEntries = new Map();
-        const publishedMap = new Map();
+      if (references && addedTypes.includes(uid)) {
+        // Written once the entries referencing it have been exported
+        referencedFiles.set(uid, { populate, contentFile, writer, count });
+        console.log('    - Only the documents referenced by the selected entries');
+        continue;
+      }
 
-        for (const publishedEntry of normalizeDocumentsResult(published)) {
-          const key = getDocumentLocaleKey(publishedEntry);
-          if (!key) continue;
-          publishedMap.set(key, publishedEntry.publishedAt);
-          mergedEntries.set(key, publishedEntry);
+      // On Strapi v5 a delta streams the key of every current variant to the type's key index, so
+      // later deltas can detect deletions against this archive, and compares it with the baseline's
+      const tracksKeys = Boolean(delta && strapi.documents);
+      const baselineKeys = tracksKeys && baseline ? await getBaselineKeys(baseline, uid) : null;
+      const deletionTracker = baselineKeys ? createDeletionTracker(contentType, baselineKeys) : null;
+      const keyFile = getKeyIndexFileName(uid);
+      const keyWriter = tracksKeys && !options.dryRun ? createNdjsonWriter(path.join(exportDir, keyFile)) : null;
+      const onKey = async (key) => {
+        if (keyWriter) await keyWriter.write(key);
+        if (deletionTracker) deletionTracker.add(key);
+      };
+
+      const entries = delta
+        ? fetchDeltaEntries(strapi, uid, populate, batchSize, delta, onKey)
+        : fetchEntries(strapi, uid, populate, batchSize, getTypeFilters(filters, uid, contentType, true), getTypeStatus(filters, contentType));
+      try {
+        for await (const entry of entries) {
+          stripPasswordHashes(strapi, uid, entry, keepPasswordHashes);
+          if (writer) await writer.write(entry);
+          findMedia(entry, allFoundMedia);
+          if (references) references.collect(uid, entry, 0);
+          count++;
         }
-
-        for (const draftEntry of normalizeDocumentsResult(drafts)) {
-          const key = getDocumentLocaleKey(draftEntry);
-          if (!key) continue;
-          mergedEntries.set(key, draftEntry);
+      } catch (err) {
+        // Drop the partial files so the archive never lists a truncated type
+        if (writer) {
+          await writer.close();
+          fs.rmSync(path.join(exportDir, contentFile), { force: true });
         }
+        if (keyWriter) {
+          await keyWriter.close();
+          fs.rmSync(path.join(exportDir, keyFile), { force: true });
+        }
+        throw err;
+      }
 
-        entries = Array.from(mergedEntries.values()).map(item => {
-          const key = getDocumentLocaleKey(item);
-          return {
-            ...item,
-            publishedAt: key && publishedMap.has(key) ? publishedMap.get(key) : null
-          };
-        });
-
-      } else {
-          // Strapi v4
-         entries = await strapi.entityService.findMany(uid, {
-            populate
-         });
+      if (writer) {
+        const { sha256 } = await writer.close();
+        exportManifest.contentTypes[uid] = { file: contentFile, count, sha256 };
+      }
+      if (keyWriter) {
+        delta.documents[uid] = { file: keyFile, ...(await keyWriter.close()) };
       }
 
-      const data = Array.isArray(entries) ? entries : (entries ? [entries] : []);
-      
-      exportManifest.types[uid] = data;
-      console.log(`    ✓ Found ${data.length} entries for ${uid}`);
+      report.recordEntry(uid, 'exported', count);
+      console.log(`    ✓ Found ${count} ${delta ? 'changed ' : filters ? 'matching ' : ''}entries for ${uid}`);
 
-      findMedia(data, allFoundMedia);
+      const deletions = deletionTracker ? deletionTracker.deletions() : [];
+      if (deletions.length > 0) {
+          delta.deletions[uid] = deletions;
+          report.recordEntry(uid, 'deleted', deletions.length);
+          console.log(`    ✓ Recorded ${deletions.length} deletion(s) since the baseline`);
+      }
 
     } catch (err) {
       console.error(`    ✗ Error exporting ${uid}:`, err.message);
+      report.recordFailure({ phase: 'export', uid, message: err.message });
+      abortOnFailure();
     }
   }
 
-  console.log(`  • Found ${allFoundMedia.size} unique media files.`);
+  // Referenced documents are fetched round by round, one relation hop further each time
+  if (referencedFiles.size > 0) {
+      console.log('  • Following relations of the selected entries...');
+      for (let depth = 1, pending = references.takePending(); pending.size > 0; depth++, pending = references.takePending()) {
+          for (const [uid, refs] of pending) {
+              const file = referencedFiles.get(uid);
+              if (!file) continue;
+              const contentType = strapi.contentTypes[uid];
+              const typeFilters = getTypeFilters(filters, uid, contentType, false);
+              try {
+                  for (let i = 0; i < refs.length; i += batchSize) {
+                      const byRef = { [references.field]: { $in: refs.slice(i, i + batchSize) } };
+                      const entries = fetchEntries(strapi, uid, file.populate, batchSize, combineFilters([typeFilters, byRef]), getTypeStatus(filters, contentType));
+                      for await (const entry of entries) {
+                          stripPasswordHashes(strapi, uid, entry, keepPasswordHashes);
+                          if (file.writer) await file.writer.write(entry);
+                          findMedia(entry, allFoundMedia);
+                          references.collect(uid, entry, depth);
+                          file.count++;
+                      }
+                  }
+              } catch (err) {
+                  // Drop the partial file so the archive never lists a truncated type
+                  if (file.writer) {
+                      await file.writer.close();
+                      fs.rmSync(path.join(exportDir, file.contentFile), { force: true });
+                  }
+                  referencedFiles.delete(uid);
+                  console.error(`    ✗ Error exporting referenced ${uid} entries:`, err.message);
+                  report.recordFailure({ phase: 'export', uid, message: err.message });
+                  abortOnFailure();
+              }
+          }
+      }
+
+      for (const [uid, file] of referencedFiles) {
+          if (file.writer) {
+              const { sha256 } = await file.writer.close();
+              exportManifest.contentTypes[uid] = { file: file.contentFile, count: file.count, sha256 };
+          }
+          report.recordEntry(uid, 'exported', file.count);
+          console.log(`    ✓ Found ${file.count} referenced entries for ${uid}`);
+      }
+
+      const beyondDepth = references.beyondDepth();
+      if (beyondDepth > 0) {
+          console.log(`  • Left out ${beyondDepth} document(s) more than ${closure.maxDepth} relation hop(s) away`);
+      }
+  }
+
+  // Relations to documents outside the archive are removed, so it only links what it holds
+  if (references && !closure.keepDangling && !options.dryRun) {
+      const archivedTypes = new Set(Object.keys(exportManifest.contentTypes));
+      const isExported = (uid, ref) => references.isExported(uid, ref);
+      let dropped = 0;
+      for (const [uid, record] of Object.entries(exportManifest.contentTypes)) {
+          const result = await dropDanglingFromFile(strapi, uid, path.join(exportDir, record.file), archivedTypes, isExported);
+          if (result.sha256) record.sha256 = result.sha256;
+          dropped += result.dropped;
+      }
+      if (dropped > 0) {
+          console.log(`  • Dropped ${dropped} relation(s) to documents outside the archive (--keep-dangling keeps them)`);
+      }
+  }
+
+  // Media the baseline chain already shipped is left out of a delta
+  if (delta) {
+      const baselineMedia = new Set(delta.baselineMedia);
+      for (const [id, file] of allFoundMedia) {
+          if (baselineMedia.has(file.hash)) allFoundMedia.delete(id);
+      }
+  }
+
+  console.log(`  • Found ${allFoundMedia.size} ${delta ? 'new ' : ''}unique media files.`);
   
   // --- SOURCE CODE EXPORT LOGIC ---
   const sourceCodePaths = new Set();
@@ -485,7 +997,7 @@ async function runExport(cmdTypes, options = {}) {
         // Folder should be src/api/<api-name>
         try {
             const apiName = uid.split('::')[1].split('.')[0];
-            const apiPath = path.join(process.cwd(), 'src', 'api', apiName);
+            const apiPath = path.join(projectDir, 'src', 'api', apiName);
             if (fs.existsSync(apiPath)) {
                 sourceCodePaths.add(apiPath);
             }
@@ -513,8 +1025,7 @@ async function runExport(cmdTypes, options = {}) {
         console.log(`  • Filtered components: kept ${collectedComponents.size}/${originalSize} matching "${options.filterComponents}"`);
         
     } catch (e) {
-        console.error(`  ! Invalid Regex for --filter-components: ${e.message}`);
-        process.exit(1);
+        throw new Error(`Invalid Regex for --filter-components: ${e.message}`);
     }
   }
 
@@ -525,7 +1036,7 @@ async function runExport(cmdTypes, options = {}) {
       // File: src/components/category/name.json
       try {
           const [category, name] = compUid.split('.');
-          const compPath = path.join(process.cwd(), 'src', 'components', category, `${name}.json`);
+          const compPath = path.join(projectDir, 'src', 'components', category, `${name}.json`);
           if (fs.existsSync(compPath)) {
               sourceCodePaths.add(compPath);
           }
@@ -536,18 +1047,26 @@ async function runExport(cmdTypes, options = {}) {
   console.log(`  • Found ${sourceFilesList.length} source code items (API directories & Component definitions).`);
 
   if (options.dryRun) {
-      console.log(`  [DRY-RUN] Would create archive ${tarPath} containing:`);
+      console.log(`  [DRY-RUN] Would create archive ${archivePath} containing:`);
       console.log(`    - Metadata & Content for ${typesToExport.length} types`);
+      if (filters) console.log(`    - Only the documents matching the filters (${describeFilters(filters)})`);
+      if (closure && addedTypes.length > 0) console.log('    - Only the related documents referenced by the selected entries');
+      if (exportedPluginTypes.length > 0) console.log(`    - Plugin content types: ${exportedPluginTypes.join(', ')}${keepPasswordHashes ? ' (with password hashes)' : ''}`);
       console.log(`    - ${allFoundMedia.size} Media Files`);
       console.log(`    - ${sourceFilesList.length} Source Code Items (APIs/Components)`);
+      if (delta) {
+          const deletionCount = Object.values(delta.deletions).reduce((sum, records) => sum + records.length, 0);
+          console.log(`    - ${deletionCount} Deletions since the baseline`);
+      }
+      if (protection.signKey) console.log(`    - Manifest signature (key ${getKeyFingerprint(protection.signKey)})`);
       if (sourceFilesList.length > 0) {
-          sourceFilesList.forEach(p => console.log(`      ${path.relative(process.cwd(), p)}`));
+          sourceFilesList.forEach(p => console.log(`      ${path.relative(projectDir, p)}`));
       }
 
       console.log(`  [DRY-RUN] Skipping actual file copy and archive creation.`);
+      saveReport();
 
-      strapi.destroy();
-      process.exit(0);
+      return getResult(null);
   }
 
   const mediaList = Array.from(allFoundMedia.values());
@@ -558,10 +1077,11 @@ async function runExport(cmdTypes, options = {}) {
   // COPY SOURCE CODE
   console.log('\n=== Copying Assets ===');
   console.log('  • Copying source code...');
+  report.startPhase('source', { total: sourceFilesList.length });
   let copiedSourceCount = 0;
   for (const srcPath of sourceFilesList) {
       try {
-          const relPath = path.relative(process.cwd(), srcPath);
+          const relPath = path.relative(projectDir, srcPath);
           const destPath = path.join(exportDir, relPath);
           const destDir = path.dirname(destPath);
           
@@ -571,51 +1091,58 @@ async function runExport(cmdTypes, options = {}) {
 
           fs.cpSync(srcPath, destPath, { recursive: true });
           copiedSourceCount++;
+          report.recordSchemaFile(relPath);
       } catch(e) {
           console.warn(`    ! Failed to copy source ${srcPath}: ${e.message}`);
+          report.recordFailure({ phase: 'source', message: `Failed to copy ${srcPath}: ${e.message}` });
+          abortOnFailure();
       }
   }
   console.log(`    ✓ Copied ${copiedSourceCount} source code items.`);
 
-  const STRAPI_UPLOADS_PATH = getUploadsPath();
   let copiedCount = 0;
   
-  console.log(`  • Copying media files...`);
+  console.log(`  • Copying media files from ${storage.name} storage...`);
+  report.startPhase('media', { total: mediaList.length });
   for (const file of mediaList) {
-    const fileName = path.basename(file.url);
-    const sourcePath = path.join(STRAPI_UPLOADS_PATH, fileName);
-    const destPath = path.join(exportDir, 'uploads', fileName);
+    for (const { format, file: variant } of getMediaVariants(file)) {
+      const fileName = getMediaFileName(variant);
+      const destPath = path.join(exportDir, 'uploads', fileName);
 
-    try {
-      if (fs.existsSync(sourcePath)) {
-        fs.copyFileSync(sourcePath, destPath);
-        copiedCount++;
+      try {
+        const copied = await storage.read(variant, destPath);
+        if (format) continue;
+        if (copied) {
+          copiedCount++;
+          report.recordMedia('copied', file);
+        } else {
+          report.recordMedia('missing', file);
+        }
+      } catch(err) {
+        // Missing formats are not fatal; the original file is
+        if (format) continue;
+        console.error(`    ✗ Error copying file ${fileName}:`, err.message);
+        report.recordFailure({ phase: 'media', message: `Failed to copy ${fileName}: ${err.message}` });
+        abortOnFailure();
       }
-    } catch(err) {
-      console.error(`    ✗ Error copying file ${fileName}:`, err.message);
-    }
-
-    if (file.formats) {
-      Object.values(file.formats).forEach(format => {
-        const formatFileName = path.basename(format.url);
-        const formatSourcePath = path.join(STRAPI_UPLOADS_PATH, formatFileName);
-        const formatDestPath = path.join(exportDir, 'uploads', formatFileName);
-         try {
-            if (fs.existsSync(formatSourcePath)) {
-                fs.copyFileSync(formatSourcePath, formatDestPath);
-            }
-        } catch(err) {}
-      });
     }
   }
   console.log(`    ✓ Copied ${copiedCount} media files.`);
 
+  finalizeManifest(exportManifest);
+  await recordChecksums(exportManifest, exportDir);
   fs.writeFileSync(path.join(exportDir, 'data.json'), JSON.stringify(exportManifest, null, 2));
   
   console.log(`\n=== Finalizing ===`);
   console.log(`  • Export data gathered in ${exportDir}`);
+  console.log(`  • Recorded checksums of ${Object.keys(exportManifest.checksums).length} files`);
+  if (protection.signKey) {
+      const fingerprint = signManifest(exportDir, protection.signKey);
+      console.log(`  • Signed manifest with key ${fingerprint}`);
+  }
 
   console.log(`  • Creating archive ${tarName}...`);
+  report.startPhase('archive');
   
   await tar.c(
     {
@@ -626,7 +1153,17 @@ async function runExport(cmdTypes, options = {}) {
     [exportDirName]
   );
 
-  console.log(`  ✓ Archive created: ${tarPath}`);
+  if (encrypt) {
+      try {
+          await encryptArchive(tarPath, archivePath, protection);
+      } finally {
+          fs.rmSync(tarPath, { force: true });
+      }
+      const recipient = protection.publicKey ? `key ${getKeyFingerprint(protection.publicKey)}` : 'passphrase';
+      console.log(`  ✓ Archive encrypted with ${recipient}`);
+  }
+
+  console.log(`  ✓ Archive created: ${archivePath}`);
 
   // Cleanup
   try {
@@ -636,10 +1173,72 @@ async function runExport(cmdTypes, options = {}) {
       console.warn("  ! Could not cleanup temp dir:", e.message);
   }
 
-  strapi.destroy();
-  process.exit(0);
+  const exitCode = report.exitCode();
+  if (exitCode === EXIT_CODES.PARTIAL_FAILURE) {
+      console.warn(`  ! Export completed with ${report.data.errors.length} failure(s)`);
+  } else if (exitCode !== EXIT_CODES.SUCCESS) {
+      console.error(`  ✗ Export failed: ${report.data.errors.length} failure(s), no content type was exported`);
+  }
+
+  saveReport();
+  return getResult(archivePath);
+}
+
+/**
+ * CLI entry point for `strapi-migrate export`. Runs exportData against the project in the
+ * current working directory, prompting for content types when none are given, and exits the
+ * process with the resulting exit code.
+ * @async
+ * @param {string[]} cmdTypes - Array of content type UIDs to export (e.g., ['api::article.article'])
+ * @param {Object} [options={}] - Export options (see exportData)
+ * @returns {Promise<void>} Resolves when export is complete (exits process with one of
+ * EXIT_CODES: 0 success, 1 fatal error, 2 partial failure, 3 total failure)
+ * @example
+ * // Export specific content types
+ * await runExport(['api::article.article', 'api::page.page']);
+ * 
+ * // Export all types matching a pattern
+ * await runExport([], { filterApi: '^ctv_', all: true });
+ */
+async function runExport(cmdTypes, options = {}) {
+  console.log('\n=== Strapi Export Tool ===');
+
+  const selectTypes = async (allTypes) => {
+      const answers = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selectedTypes',
+          message: 'Select content types to export:',
+          choices: allTypes,
+          pageSize: 15,
+          loop: false
+        }
+      ]);
+      return answers.selectedTypes;
+  };
+
+  try {
+      const result = await exportData({
+          ...options,
+          types: cmdTypes || [],
+          projectDir: process.cwd(),
+          selectTypes,
+          passphrase: options.encrypt === true && process.stdin.isTTY ? createPassphrasePrompt({ confirm: true }) : undefined
+      });
+      process.exit(result.exitCode);
+  } catch (err) {
+      // Aborted runs were already logged; anything else is reported here
+      if (err.exitCode === undefined) console.error(`  ✗ ${err.message}`);
+      process.exit(err.exitCode === undefined ? EXIT_CODES.FATAL : err.exitCode);
+  }
 }
 
 module.exports = {
-    runExport
+    runExport,
+    exportData,
+    findMedia,
+    collectComponents,
+    getPopulateFromSchema,
+    fetchEntries,
+    getDocumentLocaleKey
 };
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview File journal for strapi-migrate
+ * @description Records the previous state of project files (schema sources, uploads)
+ * before an import overwrites or creates them, so an aborted import can put them back.
+ * @module strapi-migrate/file-journal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Lists every file below a directory, recursively.
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Absolute file paths
+ */
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(entryPath));
+        } else {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Creates a journal that backs up files before they are modified.
+ * Call `track` (or `trackTree`) before writing, then either `discard` on success
+ * or `restore` to undo every tracked change.
+ * @param {string} [backupDir] - Directory for backup copies (defaults to a new temp directory)
+ * @returns {{ track: function(string): void, trackTree: function(string, string): void, restore: function(): number, discard: function(): void }}
+ * @example
+ * const journal = createFileJournal();
+ * journal.track(destPath);
+ * fs.copyFileSync(sourcePath, destPath);
+ * // ...later, on failure
+ * journal.restore();
+ */
+function createFileJournal(backupDir) {
+    const dir = backupDir || fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-journal-'));
+    /** @type {Map<string, { backupPath: string | null }>} */
+    const files = new Map();
+    /** @type {Set<string>} */
+    const createdDirs = new Set();
+
+    /**
+     * Records the top-most missing ancestor directory of a path, so restore can remove it.
+     * @param {string} targetPath - The file about to be written
+     */
+    function trackMissingDirs(targetPath) {
+        let missing = null;
+        let current = path.dirname(targetPath);
+        while (!fs.existsSync(current)) {
+            missing = current;
+            const parent = path.dirname(current);
+            if (parent === current) break;
+            current = parent;
+        }
+        if (missing) createdDirs.add(missing);
+    }
+
+    return {
+        track(targetPath) {
+            const absPath = path.resolve(targetPath);
+            if (files.has(absPath)) return;
+
+            if (fs.existsSync(absPath) && fs.statSync(absPath).isFile()) {
+                const backupPath = path.join(dir, String(files.size));
+                fs.copyFileSync(absPath, backupPath);
+                files.set(absPath, { backupPath });
+            } else {
+                trackMissingDirs(absPath);
+                files.set(absPath, { backupPath: null });
+            }
+        },
+
+        trackTree(sourceDir, destDir) {
+            for (const sourceFile of listFiles(sourceDir)) {
+                this.track(path.join(destDir, path.relative(sourceDir, sourceFile)));
+            }
+        },
+
+        restore() {
+            let restored = 0;
+            for (const [absPath, { backupPath }] of Array.from(files.entries()).reverse()) {
+                if (backupPath) {
+                    fs.mkdirSync(path.dirname(absPath), { recursive: true });
+                    fs.copyFileSync(backupPath, absPath);
+                } else {
+                    fs.rmSync(absPath, { force: true });
+                }
+                restored++;
+            }
+            for (const createdDir of createdDirs) {
+                fs.rmSync(createdDir, { recursive: true, force: true });
+            }
+            files.clear();
+            createdDirs.clear();
+            this.discard();
+            return restored;
+        },
+
+        discard() {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    createFileJournal,
+    listFiles
+};
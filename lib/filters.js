@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Export filters for strapi-migrate
+ * @description Narrows an export to a subset of documents (`--status`, `--locale`, `--where`,
+ * `--where-file`). The filters are passed into the findMany calls of the selected content types;
+ * related content types then only export the documents the filtered entries reference (see
+ * lib/closure). Filtered archives carry a `filters` section in data.json:
+ * - `status` - "draft", "published" or "both" (drafts and published versions)
+ * - `locales` - the exported locale codes of localized types, or null for all
+ * - `where` - the filters applied to every selected type, or null
+ * - `whereByType` - the filters of the filter file, by content type UID
+ * @module strapi-migrate/filters
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Values accepted by --status. "both" exports drafts and published versions (the default).
+ * @type {string[]}
+ */
+const EXPORT_STATUSES = ['draft', 'published', 'both'];
+
+/**
+ * Checks that a value is a plain object.
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a --where value.
+ * @param {string | Object} where - JSON filters, or the filters object
+ * @returns {Object} Document Service filters
+ * @throws {Error} If the value is not a JSON object
+ */
+function parseWhere(where) {
+    let filters = where;
+    if (typeof where === 'string') {
+        try {
+            filters = JSON.parse(where);
+        } catch (e) {
+            throw new Error(`--where is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!isPlainObject(filters)) {
+        throw new Error('--where must be a JSON object of Document Service filters');
+    }
+    return filters;
+}
+
+/**
+ * Loads a filter file: Document Service filters keyed by content type UID.
+ * @param {string | Object} whereFile - Path of a JSON file, or its parsed contents
+ * @param {string} [projectDir=process.cwd()] - Directory relative paths resolve from
+ * @returns {Object<string, Object>} Filters by content type UID
+ * @throws {Error} If the file is missing, unparsable, or a value is not a filters object
+ * @example
+ * // filters.json: { "api::article.article": { "category": { "slug": "news" } } }
+ * const whereByType = loadWhereFile('./filters.json', projectDir);
+ */
+function loadWhereFile(whereFile, projectDir = process.cwd()) {
+    let byType = whereFile;
+    let name = 'object';
+    if (typeof whereFile === 'string') {
+        const filePath = path.resolve(projectDir, whereFile);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Filter file not found: ${filePath}`);
+        }
+        try {
+            byType = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Filter file ${path.basename(whereFile)} is not valid JSON: ${e.message}`);
+        }
+        name = path.basename(whereFile);
+    }
+
+    if (!isPlainObject(byType)) {
+        throw new Error(`Filter file ${name} must map content type UIDs to filters`);
+    }
+    for (const [uid, filters] of Object.entries(byType)) {
+        if (!isPlainObject(filters)) {
+            throw new Error(`Filter file ${name}: the filters of ${uid} must be an object`);
+        }
+    }
+    return byType;
+}
+
+/**
+ * Resolves the export filter options.
+ * @param {Object} options - Export options
+ * @param {string} [options.status] - "draft", "published" or "both"
+ * @param {string | string[]} [options.locale] - Locale codes (comma-separated or an array)
+ * @param {string | Object} [options.where] - Filters applied to every selected type
+ * @param {string | Object} [options.whereFile] - Filter file (see loadWhereFile)
+ * @param {string} [projectDir=process.cwd()] - Directory relative paths resolve from
+ * @returns {{ status: string, locales: string[] | null, where: Object | null, whereByType: Object }
+ * | null} The filters, or null when the export is not filtered
+ * @throws {Error} On an unknown status, an empty locale list or invalid filters
+ */
+function resolveExportFilters(options, projectDir = process.cwd()) {
+    const status = options.status || 'both';
+    if (!EXPORT_STATUSES.includes(status)) {
+        throw new Error(`--status must be one of ${EXPORT_STATUSES.join(', ')} (got "${status}")`);
+    }
+
+    let locales = null;
+    if (options.locale !== undefined && options.locale !== null) {
+        const codes = Array.isArray(options.locale) ? options.locale : String(options.locale).split(',');
+        locales = [...new Set(codes.map(code => String(code).trim()).filter(Boolean))];
+        if (locales.length === 0) {
+            throw new Error('--locale needs at least one locale code');
+        }
+    }
+
+    const where = options.where ? parseWhere(options.where) : null;
+    const whereByType = options.whereFile ? loadWhereFile(options.whereFile, projectDir) : {};
+
+    if (status === 'both' && !locales && !where && Object.keys(whereByType).length === 0) {
+        return null;
+    }
+    return { status, locales, where, whereByType };
+}
+
+/**
+ * Combines Document Service filters with $and.
+ * @param {Array<Object | undefined>} parts - Filters (unset parts are ignored)
+ * @returns {Object | undefined} The combined filters, or undefined when there are none
+ */
+function combineFilters(parts) {
+    const set = parts.filter(Boolean);
+    if (set.length === 0) return undefined;
+    return set.length === 1 ? set[0] : { $and: set };
+}
+
+/**
+ * Returns the Document Service filters of one content type. Selected types get the --where and
+ * filter file conditions; the locale condition applies to every localized type.
+ * @param {Object | null} filters - resolveExportFilters result
+ * @param {string} uid - Content type UID
+ * @param {Object} contentType - The content type's schema
+ * @param {boolean} selected - Whether the type was selected for export (not added as a related type)
+ * @returns {Object | undefined} Filters to pass to findMany
+ */
+function getTypeFilters(filters, uid, contentType, selected) {
+    if (!filters) return undefined;
+    const localized = Boolean(contentType?.pluginOptions?.i18n?.localized);
+    return combineFilters([
+        selected ? filters.where : null,
+        selected ? filters.whereByType[uid] : null,
+        filters.locales && localized ? { locale: { $in: filters.locales } } : null
+    ]);
+}
+
+/**
+ * Returns the publication status to export a content type with. Types without draft & publish
+ * have a single version, which is always exported.
+ * @param {Object | null} filters - resolveExportFilters result
+ * @param {Object} contentType - The content type's schema
+ * @returns {string} "draft", "published" or "both"
+ */
+function getTypeStatus(filters, contentType) {
+    if (!filters || contentType?.options?.draftAndPublish === false) return 'both';
+    return filters.status;
+}
+
+/**
+ * Describes the filters for the export log.
+ * @param {Object} filters - resolveExportFilters result
+ * @returns {string} E.g. "status published; locales fr, de"
+ */
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.status !== 'both') parts.push(`status ${filters.status}`);
+    if (filters.locales) parts.push(`locales ${filters.locales.join(', ')}`);
+    if (filters.where) parts.push(`where ${JSON.stringify(filters.where)}`);
+    const fileTypes = Object.keys(filters.whereByType);
+    if (fileTypes.length > 0) parts.push(`filter file for ${fileTypes.join(', ')}`);
+    return parts.join('; ');
+}
+
+module.exports = {
+    EXPORT_STATUSES,
+    loadWhereFile,
+    resolveExportFilters,
+    combineFilters,
+    getTypeFilters,
+    getTypeStatus,
+    describeFilters
+};
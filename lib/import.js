@@ -8,16 +8,49 @@
 
 const fs = require('fs');
 const path = require('path');
-const tar = require('tar');
 const os = require('os');
-const { loadLocalStrapi, getUploadsPath, downloadFile } = require('./utils');
+const crypto = require('crypto');
+const { loadLocalStrapi, downloadFile, isArchivePath, getExtractDir, extractArchive } = require('./utils');
+const { createFileJournal, listFiles } = require('./file-journal');
+const {
+    getCheckpointPath,
+    getManifestFingerprint,
+    getEntryKey,
+    loadCheckpoint,
+    createCheckpoint
+} = require('./checkpoint');
+const { createLocalStorage, getMediaFileName, getMediaVariants, validateStorageOption, resolveStorage } = require('./storage');
+const { EXIT_CODES, createReport, createMigrationError, resolveReportFormat, writeReport } = require('./report');
+const {
+    createSnapshot,
+    snapshotSchemaFiles,
+    snapshotDatabase,
+    writeSnapshot,
+    discardSnapshot,
+    restoreSchemaFiles
+} = require('./snapshot');
+const {
+    loadManifest,
+    verifyChecksums,
+    readTypeEntries,
+    getTypeCount,
+    describeManifest,
+    getInstalledStrapiVersion
+} = require('./manifest');
+const { collectDocumentChanges, createDeletionTracker } = require('./delta');
+const { validateConflictStrategy, createConflictResolver, createConflictPrompt } = require('./conflict');
+const { readSchemaFiles, getTargetSchemas, compareSchemas } = require('./schema-check');
+const { loadTransform } = require('./transform');
+const { loadMapping } = require('./mapping');
+const { loadKey, createPassphrasePrompt, checkArchiveSignature } = require('./archive-crypto');
+const { describeChecksumErrors, describeUncoveredSignature } = require('./verify');
+const { takePasswordHashes, writePasswordHashes, matchPluginDocuments, isBuiltInRole } = require('./plugins');
 
 /**
- * Global map tracking media ID transformations from source to destination.
- * Maps old (exported) media IDs to new (imported) media IDs.
- * @type {Map<number, number>}
+ * Number of target document variants listed per query when computing mirror deletions.
+ * @type {number}
  */
-const mediaIdMap = new Map();
+const MIRROR_BATCH_SIZE = 100;
 
 function normalizeLocaleValue(value) {
     return typeof value === 'string' ? value.trim().toLowerCase() : '';
@@ -99,6 +132,41 @@ async function syncDefaultLocale(strapi, exportManifest, options = {}) {
     console.log(`    - Updated default locale: ${targetDefaultLocale || '(unset)'} -> ${sourceDefaultLocale}`);
 }
 
+/**
+ * Writes a media file and its generated formats from the archive to the target storage
+ * (public/uploads or the configured upload provider).
+ * @async
+ * @param {Object} fileData - Media file metadata from the export
+ * @param {string} sourceUploadsDir - Path to the uploads directory in the extracted archive
+ * @param {Object} [options={}] - Import options
+ * @param {Object} [options.storage] - Storage adapter (default: public/uploads in projectDir)
+ * @param {Object} [options.fileJournal] - Journal recording created files for rollback
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
+ * @returns {Promise<Object>} The media metadata with the URLs (and provider) of the stored files
+ */
+async function storeMediaFiles(fileData, sourceUploadsDir, options = {}) {
+    const storage = options.storage || createLocalStorage(options);
+    const stored = { ...fileData, provider: storage.providerName || fileData.provider };
+    if (fileData.formats) stored.formats = { ...fileData.formats };
+
+    for (const { format, file } of getMediaVariants(fileData)) {
+        const sourcePath = path.join(sourceUploadsDir, getMediaFileName(file));
+        try {
+            if (!fs.existsSync(sourcePath)) {
+                if (!format) throw new Error(`Source file missing: ${sourcePath}`);
+                continue;
+            }
+            const fields = await storage.write(file, sourcePath, options);
+            if (format) stored.formats[format] = { ...file, ...fields };
+            else Object.assign(stored, fields);
+        } catch (e) {
+            // Missing formats are not fatal; the original file is
+            if (!format) throw e;
+        }
+    }
+    return stored;
+}
+
 /**
  * Imports media files from the export archive into the local Strapi instance.
  * Checks for existing media by hash to avoid duplicates, copies files to uploads directory,
@@ -110,13 +178,21 @@ async function syncDefaultLocale(strapi, exportManifest, options = {}) {
  * @param {Object} [options={}] - Import options
  * @param {boolean} [options.dryRun] - If true, only simulates the import without making changes
  * @param {boolean} [options.skipMedia] - If true, skips file copy but still creates DB entries
+ * @param {Object} [options.storage] - Storage adapter the files are written to (default: public/uploads)
+ * @param {Object} [options.reporter] - Report recording created, linked and missing media
+ * @param {Object} [options.transform] - Transform whose transformMedia hook adapts each file before it is created
+ * @param {Map<number, number>} [options.mediaIdMap] - The run's map of exported to imported media IDs,
+ * filled with every linked or created file
  * @returns {Promise<void>}
  * @example
  * await importMedia(strapi, exportManifest.media, '/tmp/export/uploads', { dryRun: false });
  */
 async function importMedia(strapi, mediaList, sourceUploadsDir, options = {}) {
-  const STRAPI_UPLOADS_PATH = getUploadsPath();
   const skipFiles = options.skipMedia;
+  const mediaIdMap = options.mediaIdMap || new Map();
+  const report = options.reporter || createReport('import');
+  report.startPhase('media', { total: mediaList.length });
+  const cursor = options.checkpoint ? options.checkpoint.cursor('media', 'media') : null;
   
   if (options.dryRun) {
       console.log(`  [DRY-RUN] Would process ${mediaList.length} media items${skipFiles ? ' (files skipped)' : ''}.`);
@@ -124,7 +200,8 @@ async function importMedia(strapi, mediaList, sourceUploadsDir, options = {}) {
       console.log(`  • Processing ${mediaList.length} media items${skipFiles ? ' (files skipped)' : ''}...`);
   }
 
-  for (const fileData of mediaList) {
+  for (const archivedFile of mediaList) {
+    const fileData = options.transform ? await options.transform.media(archivedFile, { phase: 'media', strapi }) : archivedFile;
     if (options.dryRun) {
         // Just simulate checking existence
         console.log(`  [DRY-RUN] Checking media hash ${fileData.hash} (${fileData.name})`);
@@ -137,7 +214,9 @@ async function importMedia(strapi, mediaList, sourceUploadsDir, options = {}) {
         
         if (existing) {
              console.log(`  [DRY-RUN] Found existing media (ID: ${existing.id}). Would map ID ${fileData.id} -> ${existing.id}.`);
+             report.recordMedia('linked', fileData);
         } else {
+             report.recordMedia('created', fileData);
              if (skipFiles) {
                  console.log(`  [DRY-RUN] Media missing. Would create DB entry only (files skipped).`);
              } else {
@@ -147,6 +226,8 @@ async function importMedia(strapi, mediaList, sourceUploadsDir, options = {}) {
         continue;
     }
 
+    if (cursor && cursor.skip(getEntryKey(fileData))) continue;
+
     // Check if file with same hash already exists
     const existing = await strapi.db.query('plugin::upload.file').findOne({
       where: { hash: fileData.hash }
@@ -155,53 +236,35 @@ async function importMedia(strapi, mediaList, sourceUploadsDir, options = {}) {
 
     if (existing) {
       mediaIdMap.set(fileData.id, existing.id);
+      report.recordMedia('linked', fileData);
+      if (options.checkpoint) options.checkpoint.recordProgress('media', 'media', getEntryKey(fileData));
       continue;
     }
 
     // Create new media
-    const fileName = path.basename(fileData.url);
+    const fileName = getMediaFileName(fileData);
     const sourcePath = path.join(sourceUploadsDir, fileName);
     
-    // Copy files unless --skip-media is set
-    if (!skipFiles) {
-        // Check if source file exists
-        if (!fs.existsSync(sourcePath)) {
-          console.warn(`  Source file missing: ${sourcePath}. Skipping media creation.`);
-          continue;
-        }
-
-        const destPath = path.join(STRAPI_UPLOADS_PATH, fileName);
-        // Only copy if not already there
-        if (!fs.existsSync(destPath)) {
-            // Ensure destination dir exists
-            fs.mkdirSync(STRAPI_UPLOADS_PATH, { recursive: true });
-            fs.copyFileSync(sourcePath, destPath);
-        }
-        
-        if (fileData.formats) {
-            Object.values(fileData.formats).forEach(format => {
-                const fName = path.basename(format.url);
-                const fSource = path.join(sourceUploadsDir, fName);
-                const fDest = path.join(STRAPI_UPLOADS_PATH, fName);
-                try {
-                    if (fs.existsSync(fSource) && !fs.existsSync(fDest)) {
-                        fs.copyFileSync(fSource, fDest);
-                    }
-                } catch(e) {}
-            });
-        }
+    // Check if source file exists unless --skip-media is set
+    if (!skipFiles && !fs.existsSync(sourcePath)) {
+        console.warn(`  Source file missing: ${sourcePath}. Skipping media creation.`);
+        report.recordMedia('missing', fileData);
+        continue;
     }
 
-    // Sanitize fileData for creation
-    const { id, related, ...filePayload } = fileData;
-
     try {
+        // Store files unless --skip-media is set, then sanitize fileData for creation
+        const storedData = skipFiles ? fileData : await storeMediaFiles(fileData, sourceUploadsDir, options);
+        const { id, related, ...filePayload } = storedData;
+
         const created = await strapi.entityService.create('plugin::upload.file', {
             data: filePayload
         });
         mediaIdMap.set(fileData.id, created.id);
+        report.recordMedia('created', fileData);
+        if (options.checkpoint) options.checkpoint.recordProgress('media', 'media', getEntryKey(fileData));
     } catch(err) {
-        console.error(`  Failed to create media ${fileName}:`, err.message);
+        handleImportError(`  Failed to create media ${fileName}: ${err.message}`, err, options, { phase: 'media', documentId: fileData.hash });
     }
   }
 }
@@ -227,21 +290,24 @@ function isMediaObject(obj) {
  * @param {*} data - The data structure containing media references
  * @param {Object} strapi - The Strapi application instance
  * @param {string} sourceUploadsDir - Path to the uploads directory in the extracted archive
+ * @param {Object} [options={}] - Import options (see storeMediaFiles and handleImportError)
+ * @param {Map<number, number>} [options.mediaIdMap] - The run's map of exported to imported media IDs
  * @returns {Promise<*>} The data with media objects replaced by their new IDs
  * @example
  * const cleanedData = await replaceMediaIds(entryData, strapi, '/tmp/export/uploads');
  */
-async function replaceMediaIds(data, strapi, sourceUploadsDir) {
+async function replaceMediaIds(data, strapi, sourceUploadsDir, options = {}) {
     if (!data) return data;
 
     if (Array.isArray(data)) {
         return Promise.all(
-            data.map(item => replaceMediaIds(item, strapi, sourceUploadsDir))
+            data.map(item => replaceMediaIds(item, strapi, sourceUploadsDir, options))
         );
     }
 
     if (typeof data === 'object') {
         if (isMediaObject(data) && data.id) {
+             const mediaIdMap = options.mediaIdMap || new Map();
              // 1. Try Map
              if (mediaIdMap.has(data.id)) {
                  return mediaIdMap.get(data.id);
@@ -256,6 +322,7 @@ async function replaceMediaIds(data, strapi, sourceUploadsDir) {
                      if (existing) {
                          // console.log(`  JIT Linked media: ${data.name} (ID: ${existing.id})`);
                          mediaIdMap.set(data.id, existing.id);
+                         if (options.reporter) options.reporter.recordMedia('linked', data);
                          return existing.id;
                      }
                  } catch(e) {}
@@ -263,33 +330,14 @@ async function replaceMediaIds(data, strapi, sourceUploadsDir) {
 
              // 3. Try Creating from Source (JIT Creation)
              if (strapi && sourceUploadsDir) {
-                 const fileName = path.basename(data.url);
+                 const fileName = getMediaFileName(data);
                  const sourcePath = path.join(sourceUploadsDir, fileName);
                  if (fs.existsSync(sourcePath)) {
-                     const STRAPI_UPLOADS_PATH = getUploadsPath();
-                     const destPath = path.join(STRAPI_UPLOADS_PATH, fileName);
-                     
-                     // Copy file
-                     if (!fs.existsSync(destPath)) {
-                        fs.mkdirSync(STRAPI_UPLOADS_PATH, { recursive: true });
-                        fs.copyFileSync(sourcePath, destPath);
-                     }
-                     // Copy formats
-                     if (data.formats) {
-                        Object.values(data.formats).forEach(format => {
-                            const fName = path.basename(format.url);
-                            const fSource = path.join(sourceUploadsDir, fName);
-                            const fDest = path.join(STRAPI_UPLOADS_PATH, fName);
-                            try {
-                                if (fs.existsSync(fSource) && !fs.existsSync(fDest)) {
-                                    fs.copyFileSync(fSource, fDest);
-                                }
-                            } catch(e) {}
-                        });
-                     }
-
                      try {
-                         const { id, related, ...filePayload } = data;
+                         // Store file and formats
+                         const mediaData = options.transform ? await options.transform.media(data, { phase: 'media', strapi }) : data;
+                         const storedData = await storeMediaFiles(mediaData, sourceUploadsDir, options);
+                         const { id, related, ...filePayload } = storedData;
                  // Use strapi.documents logic if available? Use EntityService for upload plugin for now as it's standard.
                  // Actually upload plugin might not fully support documents service yet in all v5 versions, safe to use entityService.
                  const created = await strapi.entityService.create('plugin::upload.file', {
@@ -297,12 +345,14 @@ async function replaceMediaIds(data, strapi, sourceUploadsDir) {
                  });
                  // console.log(`  JIT Created media: ${data.name} (New ID: ${created.id})`);
                  mediaIdMap.set(data.id, created.id);
+                 if (options.reporter) options.reporter.recordMedia('created', data);
                  return created.id;
              } catch(createErr) {
-                 console.error(`  JIT Creation failed for ${fileName}:`, createErr.message);
+                 handleImportError(`  JIT Creation failed for ${fileName}: ${createErr.message}`, createErr, options, { phase: 'media', documentId: data.hash });
              }
          } else {
              console.warn(`  Media source file NOT found: ${sourcePath}`);
+             if (options.reporter) options.reporter.recordMedia('missing', data);
 
              // If all fails, return null
              return null;
@@ -322,7 +372,7 @@ async function replaceMediaIds(data, strapi, sourceUploadsDir) {
             // Since we handled isMediaObject(data) at the top level of this function call,
             // we don't need to check isMediaObject(value) specifically here unless it wasn't caught?
             // Wait, recursive strategy: simple recursion.
-            newData[key] = await replaceMediaIds(value, strapi, sourceUploadsDir);
+            newData[key] = await replaceMediaIds(value, strapi, sourceUploadsDir, options);
         }
         return newData;
     }
@@ -509,25 +559,47 @@ async function importViews(strapi, views, options = {}) {
                 });
                 console.log(`  Created view for ${uid}`);
             }
+            if (options.reporter) options.reporter.recordView(uid);
         } catch(e) {
-            console.error(`  Failed to import view for ${uid}:`, e.message);
+            handleImportError(`  Failed to import view for ${uid}: ${e.message}`, e, options, { phase: 'views', uid });
         }
     }
 }
 
+/**
+ * Records the project files a schema folder copy is about to write in the import report.
+ * @param {string} sourceDir - Folder being copied from the archive
+ * @param {string} destDir - Destination folder in the project
+ * @param {Object} [options={}] - Import options
+ * @param {Object} [options.reporter] - Report the written files are recorded in
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
+ */
+function recordSchemaFiles(sourceDir, destDir, options = {}) {
+    if (!options.reporter) return;
+    const projectRoot = options.projectDir || process.cwd();
+    for (const file of listFiles(sourceDir)) {
+        const projectPath = path.join(destDir, path.relative(sourceDir, file));
+        options.reporter.recordSchemaFile(path.relative(projectRoot, projectPath).split(path.sep).join('/'));
+    }
+}
+
 /**
  * Imports source code (API schemas and component definitions) from the export archive.
  * Copies API folders from src/api and component files from src/components to the project.
  * @param {string} importPath - Path to the extracted export directory
  * @param {Object} options - Import options
  * @param {boolean} [options.dryRun] - If true, only shows what would be copied
+ * @param {boolean} [options.atomic] - If true, copy failures are thrown instead of logged
+ * @param {boolean} [options.failFast] - If true, copy failures are thrown instead of logged
+ * @param {Object} [options.fileJournal] - Journal recording overwritten files for rollback
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
  * @example
  * importSourceCode('/tmp/export-2024', { dryRun: false });
  */
 function importSourceCode(importPath, options) {
     const srcApi = path.join(importPath, 'src', 'api');
     const srcComponents = path.join(importPath, 'src', 'components');
-    const projectRoot = process.cwd();
+    const projectRoot = options.projectDir || process.cwd();
 
     // Import APIs
     if (fs.existsSync(srcApi)) {
@@ -545,6 +617,8 @@ function importSourceCode(importPath, options) {
                 }
 
                 console.log(`    - Copying API ${dir.name}...`);
+                if (options.fileJournal) options.fileJournal.trackTree(sourceDir, destDir);
+                recordSchemaFiles(sourceDir, destDir, options);
                 if (!fs.existsSync(destDir)) {
                     fs.mkdirSync(destDir, { recursive: true });
                 }
@@ -552,7 +626,7 @@ function importSourceCode(importPath, options) {
                 fs.cpSync(sourceDir, destDir, { recursive: true, force: true });
             }
         } catch(e) {
-            console.warn(`  ! Failed to import API source: ${e.message}`);
+            handleImportError(`  ✗ Failed to import API source: ${e.message}`, e, options, { phase: 'schema' });
         }
     }
 
@@ -572,6 +646,8 @@ function importSourceCode(importPath, options) {
                 }
                 
                 console.log(`    - Copying components in ${catDir.name}...`);
+                if (options.fileJournal) options.fileJournal.trackTree(sourceCat, destCat);
+                recordSchemaFiles(sourceCat, destCat, options);
                  if (!fs.existsSync(destCat)) {
                     fs.mkdirSync(destCat, { recursive: true });
                 }
@@ -579,7 +655,7 @@ function importSourceCode(importPath, options) {
                 fs.cpSync(sourceCat, destCat, { recursive: true, force: true });
             }
         } catch(e) {
-            console.warn(`  ! Failed to import Component source: ${e.message}`);
+            handleImportError(`  ✗ Failed to import Component source: ${e.message}`, e, options, { phase: 'schema' });
         }
     }
 }
@@ -591,13 +667,14 @@ function importSourceCode(importPath, options) {
  * @param {string} importPath - Path to the extracted export directory
  * @param {Object} options - Cleanup options
  * @param {boolean} [options.dryRun] - If true, only shows what would be deleted
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
  * @example
  * cleanSourceCode('/tmp/export-2024', { dryRun: false });
  */
 function cleanSourceCode(importPath, options) {
     const srcApi = path.join(importPath, 'src', 'api');
     const srcComponents = path.join(importPath, 'src', 'components');
-    const projectRoot = process.cwd();
+    const projectRoot = options.projectDir || process.cwd();
 
     // Reusable walker to delete matching files
     const deleteMatching = (currentPath, rootType) => {
@@ -674,610 +751,1468 @@ function cleanSourceCode(importPath, options) {
  * Creates it if missing.
  * @param {Object} strapi - Strapi Instance
  * @param {Object} localeObj - Locale object from export
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.atomic] - If true, a failed locale creation aborts the import
  */
-async function ensureLocaleExists(strapi, localeObj) {
+async function ensureLocaleExists(strapi, localeObj, options = {}) {
     if (!localeObj || !localeObj.code) return;
     
+    let existing;
     try {
         const localeCode = normalizeLocaleValue(localeObj.code);
         const localeName = normalizeLocaleValue(localeObj.name);
         const existingLocales = await strapi.db.query('plugin::i18n.locale').findMany();
 
-        const existing = existingLocales.find(locale => {
+        existing = existingLocales.find(locale => {
             const codeMatches = normalizeLocaleValue(locale.code) === localeCode;
             const nameMatches = localeName && normalizeLocaleValue(locale.name) === localeName;
             return codeMatches || nameMatches;
         });
+    } catch (e) {
+        // Validation ignores (e.g. if i18n plugin not installed)
+        // console.warn(`    ! checks on locale ${localeObj.code} failed: ${e.message}`);
+        return;
+    }
 
-        if (!existing) {
-            console.log(`    + Creating missing locale: ${localeObj.code} (${localeObj.name})`);
+    if (!existing) {
+        console.log(`    + Creating missing locale: ${localeObj.code} (${localeObj.name})`);
+        try {
             await strapi.plugin('i18n').service('locales').create({
                 code: localeObj.code,
                 name: localeObj.name
             });
+            if (options.reporter) options.reporter.recordLocale(localeObj.code);
+        } catch (e) {
+            handleImportError(`    ✗ Failed to create locale ${localeObj.code}: ${e.message}`, e, options, { phase: 'locales', locale: localeObj.code });
         }
-    } catch (e) {
-        // Validation ignores (e.g. if i18n plugin not installed)
-        // console.warn(`    ! checks on locale ${localeObj.code} failed: ${e.message}`);
     }
 }
 
 /**
- * Main import function that orchestrates the entire import process.
- * Handles URL downloads, archive extraction, and multi-phase import:
- * - Phase 1: Media import
- * - Phase 2: Source code import
- * - Phase 3: View configuration import
- * - Phase 4: Entity creation (without relations)
- * - Phase 5: Relationship linking
- * - Phase 6: Single type handling
- * 
- * @async
- * @param {string} userInputPath - Path to the export (file path, directory, or URL)
+ * Reports a failed import step. In atomic and fail-fast mode the error is rethrown so the
+ * import stops (and, when atomic, the surrounding transaction is rolled back) instead of
+ * continuing with a half-migrated database.
+ * @param {string} message - Message to log
+ * @param {Error} err - The underlying error
  * @param {Object} [options={}] - Import options
- * @param {boolean} [options.clean] - Perform cleanup only (delete matching entries, schema, media)
- * @param {boolean} [options.skipSchema] - Skip importing/deleting schema files
- * @param {boolean} [options.skipMedia] - Skip media file operations (public/uploads only, DB unaffected)
- * @param {boolean} [options.dryRun] - Simulate import without making changes
- * @returns {Promise<void>} Resolves when import is complete (exits process)
- * @example
- * // Import from local archive
- * await runImport('./export-data/export-2024.tar.gz');
- * 
- * // Import from URL with cleanup
- * await runImport('https://example.com/export.tar.gz', { clean: true });
- * 
- * // Dry run to preview changes
- * await runImport('./export.tar.gz', { dryRun: true });
+ * @param {boolean} [options.atomic] - If true, rethrows the error
+ * @param {boolean} [options.failFast] - If true, rethrows the error
+ * @param {Object} [options.reporter] - Report the failure is recorded in
+ * @param {Object} [failure={}] - Where the failure happened ({ phase, uid, documentId, locale })
+ * @throws {Error} The original error when options.atomic or options.failFast is set
  */
-async function runImport(userInputPath, options = {}) {
-  console.log('\n=== Strapi Import Tool ===');
-
-  if (options.dryRun) {
-      console.warn("  ! DRY RUN MODE: No changes will be applied\n");
-  }
-
-  let downloadPath = null;
-  let inputPath = userInputPath;
-  let tempDir = null;
-
-  // Handle URL
-  if (userInputPath.startsWith('http://') || userInputPath.startsWith('https://')) {
-    const url = userInputPath;
-    const tempName = `download-${Date.now()}.tar.gz`;
-    downloadPath = path.join(os.tmpdir(), tempName);
-    console.log(`  • URL detected. Downloading to ${downloadPath}...`);
-    try {
-        await downloadFile(url, downloadPath);
-        inputPath = downloadPath;
-    } catch (e) {
-        console.error("  ✗ Download failed:", e.message);
-        process.exit(1);
+function handleImportError(message, err, options = {}, failure = {}) {
+    console.error(message);
+    if (options.reporter) {
+        options.reporter.recordFailure({ ...failure, message: err.message });
     }
-  } else if (!path.isAbsolute(inputPath)) {
-      inputPath = path.join(process.cwd(), inputPath);
-  }
-
-  if (!fs.existsSync(inputPath)) {
-      console.error(`  ✗ Input path not found: ${inputPath}`);
-      process.exit(1);
-  }
-
-  let importPath = inputPath;
+    if (options.atomic || options.failFast) {
+        throw err;
+    }
+}
 
-  // Check if tar
-  if (inputPath.endsWith('.tar') || inputPath.endsWith('.tar.gz') || inputPath.endsWith('.tgz')) {
-      if (!options.dryRun || options.dryRun) { // Always extract to inspect manifest
-        console.log(`  • Extracting archive ${path.basename(inputPath)}...`);
-        
-        const exportDir = path.dirname(inputPath);
-        const filename = path.basename(inputPath);
-        
-        // Strip extension to get base name
-        let baseName = filename;
-        if (baseName.endsWith('.tar.gz')) baseName = baseName.slice(0, -7);
-        else if (baseName.endsWith('.tgz')) baseName = baseName.slice(0, -4);
-        else if (baseName.endsWith('.tar')) baseName = baseName.slice(0, -4);
-
-        // Create deterministic temp dir: "temp-<filename>"
-        tempDir = path.join(exportDir, `temp-${baseName}`);
-        
-        // Ensure clean state
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
+/**
+ * Iterates the archived entries of a content type as they are imported: renamed by the `--map`
+ * mapping and then passed through the `--transform` hooks when they are set, leaving out the
+ * entries the transform skips. Both run again in every pass, so the create and link passes see
+ * the same entries.
+ * @async
+ * @generator
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {string} uid - Content type UID
+ * @param {string} phase - Import phase, passed to the hooks ("create", "link", "single-type"; "mirror" reads without them)
+ * @param {Object} [options={}] - Import options
+ * @param {Object} [options.mapping] - Mapping from lib/mapping
+ * @param {Object} [options.transform] - Transform from lib/transform
+ * @param {Object} [options.pluginMatches] - Target documents matched by natural key (see matchPluginDocuments)
+ * @yields {Object} Entries to import
+ */
+async function* readImportEntries(strapi, exportManifest, importPath, uid, phase, options = {}) {
+    for await (const archived of readTypeEntries(exportManifest, importPath, uid)) {
+        const mapped = options.mapping ? options.mapping.entry(uid, archived, { strapi }) : archived;
+        // Matched plugin documents (e.g. the target's own "public" role) are imported under the target's documentId
+        const entry = options.pluginMatches ? options.pluginMatches.remap(uid, mapped) : mapped;
+        if (!options.transform) {
+            yield entry;
+            continue;
         }
-        fs.mkdirSync(tempDir);
-        
+
+        const label = entry.documentId || entry.id;
+        let item;
         try {
-            await tar.x({
-                file: inputPath,
-                cwd: tempDir
-            });
+            item = await options.transform.entry(uid, entry, { phase, strapi, manifest: exportManifest });
         } catch (e) {
-            console.error("  ✗ Failed to extract tar:", e.message);
-            fs.rmSync(tempDir, { recursive: true, force: true });
-            if (downloadPath) fs.rmSync(downloadPath, { force: true });
-            process.exit(1);
-        }
-
-        const files = fs.readdirSync(tempDir);
-        
-        if (files.length === 1 && fs.lstatSync(path.join(tempDir, files[0])).isDirectory()) {
-            importPath = path.join(tempDir, files[0]);
-        } else {
-            if (fs.existsSync(path.join(tempDir, 'data.json'))) {
-                importPath = tempDir;
-            } else {
-                console.error("  ✗ Could not find import data in the archive.");
-                fs.rmSync(tempDir, { recursive: true, force: true });
-                if (downloadPath) fs.rmSync(downloadPath, { force: true });
-                process.exit(1);
-            }
+            handleImportError(`    ✗ Transform failed ${uid} ${label}: ${e.message}`, e, options, { phase, uid, documentId: entry.documentId || null, locale: entry.locale || null });
+            continue;
         }
-        console.log(`    ✓ Extracted to temp location`);
-      }
-  }
-
-  const dataPath = path.join(importPath, 'data.json');
-  if (!fs.existsSync(dataPath)) {
-      console.error(`  ✗ data.json not found in ${importPath}`);
-      if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
-      process.exit(1);
-  }
-
-  const exportManifest = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-
-  // EAGER SCHEMA SYNC:
-  // We must import the schema BEFORE loading Strapi so that Strapi boots
-  // with the correct content type definitions (e.g. localization enabled).
-  // We skip this if we are in 'clean' mode (as we exit early) or if requested to skip.
-  if (!options.clean && !options.skipSchema) {
-      console.log('\n=== Phase: Source Code Import (Pre-Boot) ===');
-      importSourceCode(importPath, options);
-  }
-  
-  let strapi;
-  try {
-    strapi = await loadLocalStrapi();
-  } catch (err) {
-    // JIT REPAIR STRATEGY: 
-    // If Strapi fails to load (likely due to broken schema from previous bad state),
-    // and we are requested to CLEAN and NOT SKIP SCHEMA, we can try to repair the schema first.
-    if (options && options.clean && !options.skipSchema) {
-        console.warn("  ! Strapi failed to load. Attempting JIT schema repair from export...");
-        try {
-            importSourceCode(importPath, options);
-            console.log("    ✓ JIT repair applied. Retrying Strapi load...");
-            strapi = await loadLocalStrapi();
-        } catch (repairErr) {
-             console.error("  ✗ Failed to load Strapi after JIT repair attempts:", repairErr.message);
-             if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
-             process.exit(1);
+        if (item) {
+            yield item;
+        } else if (phase === 'create' || phase === 'single-type') {
+            console.log(`    - Skipped ${label}${entry.locale ? ` [${entry.locale}]` : ''} (transform)`);
         }
-    } else {
-        console.error("  ✗ Error loading Strapi:", err.message);
-        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
-        process.exit(1);
     }
-  }
-
-  const uids = Object.keys(exportManifest.types);
+}
 
-  // CLEANUP (--clean) - Database entries
-  // Note: --skip-schema does NOT affect database cleanup, only file operations
-  if (options && options.clean) {
-      console.log('\n=== Phase: Content Cleanup ===');
-      console.log('  • Cleaning Database...');
-      for (const uid of uids) {
-          const items = exportManifest.types[uid];
-          // Skip if empty or single type (single types are just updated, deletion is weird)
-          if (!items || items.length === 0) continue;
-          
-          const model = strapi.contentTypes[uid];
-          // Determine execution mode (Documents Service or Entity Service)
-          const isSingleType = model && model.kind === 'singleType';
-          
-          console.log(`    - Cleaning ${uid} (${isSingleType ? 'Single Type' : items.length + ' items'})...`);
-          
-          if (options.dryRun) {
-              console.log(`  [DRY-RUN] Would delete local data for ${uid}`);
-              continue;
-          }
+/**
+ * Phase 1: creates or updates every collection type entry without its relations,
+ * so that entries referencing each other can be linked afterwards regardless of order.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options
+ * @returns {Promise<void>}
+ */
+async function importEntities(strapi, exportManifest, importPath, options = {}) {
+    const uids = Object.keys(exportManifest.contentTypes);
+    const sourceUploadsDir = path.join(importPath, 'uploads');
+    const report = options.reporter || createReport('import');
+
+    // PASS 1: CREATE ENTITIES (Without Relations)
+    console.log('\n=== Phase 1: Entity Creation (No Relations) ===');
+    for (const uid of uids) {
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would create/update items for ${uid}`);
+            continue;
+        }
 
-          if (isSingleType) {
-              // Special clean for Single Type: Delete ANY local existing entry
-              try {
-                  if (strapi.documents) {
-                        const local = await strapi.documents(uid).findFirst({ status: 'draft' }) 
-                                   || await strapi.documents(uid).findFirst({ status: 'published' });
-                        if (local) {
-                            await strapi.documents(uid).delete({ documentId: local.documentId });
-                        }
-                  } else {
-                        // V4 / Entity Service
-                        const local = await strapi.entityService.findMany(uid);
-                        if (local) {
-                            await strapi.entityService.delete(uid, local.id);
-                        }
-                  }
-              } catch(e) {
-                   // console.warn(`Failed to clean Single Type ${uid}: ${e.message}`);
-              }
-          } else {
-              // Collection Type: Delete match by documentId
-              for (const item of items) {
-                  if (item.documentId) {
-                      try {
-                           if (strapi.documents) {
-                               // Try deleting (Strapi 5)
-                               try {
-                                   await strapi.documents(uid).delete({ documentId: item.documentId });
-                               } catch (dErr) {
-                                   // Ignore validity checks or not found
-                               }
-                           } else {
-                               // Fallback (Strapi 4 or DB Query)
-                               const exists = await strapi.db.query(uid).findOne({ where: { documentId: item.documentId } });
-                               if (exists) {
-                                   await strapi.entityService.delete(uid, exists.id); // EntityService usually uses ID
-                               }
-                           }
-                      } catch (err) {
-                          // Silent fail
-                      }
-                  }
-              }
-          }
-      }
-      console.log('  ✓ Content cleanup done');
-  }
+        const model = strapi.contentTypes[uid];
+        if (!model) continue;
 
-  // CLEANUP (--clean) - Schema files (src/api, src/components)
-  if (options && options.clean) {
-      if (!options.skipSchema) {
-          console.log('\n=== Phase: Schema File Cleanup ===');
-          cleanSourceCode(importPath, options);
-          console.log('  ✓ Schema file cleanup done');
-      } else {
-          console.log('\n=== Phase: Schema File Cleanup (Skipped via --skip-schema) ===');
-      }
-  }
+        const isSingleType = model.kind === 'singleType';
+        if (isSingleType) continue; 
 
-  // CLEAN MEDIA (If clean requested)
-  if (options && options.clean && exportManifest.media && exportManifest.media.length > 0) {
-      const skipFiles = options.skipMedia;
-      console.log(`\n=== Phase: Media Cleanup [Count: ${exportManifest.media.length}]${skipFiles ? ' (files skipped)' : ''} ===`);
-      const uploadService = strapi.plugins['upload'].services.upload;
+        console.log(`  • Importing ${uid} [Count: ${getTypeCount(exportManifest, uid)}]...`);
+        report.startPhase('create', { uid, total: getTypeCount(exportManifest, uid) });
+        const cursor = options.checkpoint ? options.checkpoint.cursor('create', uid) : null;
       
-      for (const fileData of exportManifest.media) {
-          if (options.dryRun) {
-              if (skipFiles) {
-                  console.log(`  [DRY-RUN] Would delete media DB entry: ${fileData.hash} (files skipped)`);
-              } else {
-                  console.log(`  [DRY-RUN] Would delete media file and DB entry: ${fileData.hash}`);
-              }
-              continue;
-          }
-
-          // Find by hash (most reliable identifier across envs)
-          try {
-              const existing = await strapi.db.query('plugin::upload.file').findOne({
-                  where: { hash: fileData.hash }
-              });
-
-              if (existing) {
-                  if (skipFiles) {
-                      // Only delete DB entry, not the file
-                      console.log(`    - Deleting media DB entry ${fileData.name} (${existing.id})...`);
-                      try {
-                          await strapi.db.query('plugin::upload.file').delete({
-                              where: { id: existing.id }
-                          });
-                      } catch (rmErr) {
-                          console.error(`  ! Failed to delete media DB entry ${fileData.name}: ${rmErr.message}`);
-                      }
-                  } else {
-                      // Delete both file and DB entry
-                      console.log(`    - Deleting media ${fileData.name} (${existing.id})...`);
-                      try {
-                          await uploadService.remove(existing);
-                      } catch (rmErr) {
-                          console.error(`  ! Failed to delete media ${fileData.name}: ${rmErr.message}`);
-                      }
-                  }
-              }
-          } catch (findErr) {}
-      }
-      console.log('  ✓ Media cleanup done');
-  }
-
-  // If clean was requested, we exit here (Clean ONLY mode)
-  if (options && options.clean) {
-      console.log('\n  ✓ Cleanup finished. Exiting (clean-only mode).');
-      // Cleanup temp release
-      if (tempDir) {
-           try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch(e) {}
-      }
-      if (downloadPath) {
-           try { fs.rmSync(downloadPath, { force: true }); } catch(e) {}
-      }
-      strapi.destroy();
-      process.exit(0);
-  }
+        for await (const item of readImportEntries(strapi, exportManifest, importPath, uid, 'create', options)) {
+            if (cursor && cursor.skip(getEntryKey(item))) continue;
+            const { id, documentId, created_by, updated_by, createdBy, updatedBy, ...rawPayload } = item;
+            // Note: We keep `publishedAt`, `createdAt`, `updatedAt` in rawPayload so they are passed to create()
+          
+            // 1. Map Media IDs (Now Async & JIT)
+            const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir, options);
+          
+            // 2. Prepare Payload (Create without relations first to avoid dependency cycles)
+            const creationPayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, true);
 
-  const sourceUploadsDir = path.join(importPath, 'uploads');
+            // 3. Inject documentId if available (for consistent ID across envs)
+            if (documentId) {
+                creationPayload.documentId = documentId;
+            }
 
-  // 1. Import Media (always runs - skipMedia only affects file operations, not DB)
-  if (exportManifest.media && exportManifest.media.length > 0) {
-      console.log(`\n=== Phase: Media Import${options.skipMedia ? ' (files skipped)' : ''} ===`);
-      await importMedia(strapi, exportManifest.media, sourceUploadsDir, options);
-  }
+            // 4. Archived password hashes are written as they are, after the Document Service call
+            const passwordHashes = takePasswordHashes(model, creationPayload);
 
-  // 1.25. Source Code Import 
-  // (Executed in Pre-Boot phase to ensure correct schema loading)
-  // 1.5. Import Views (Configurations)
-  if (exportManifest.views) {
-      console.log('\n=== Phase: View Configuration Import ===');
-      await importViews(strapi, exportManifest.views, options);
-  }
+            try {
+                // UPSERT LOGIC
+                let existing = null;
+                const targetLocale = rawPayload.locale;
 
-  // 1.75. Import Locales (Ensure target locales exist)
-  if (exportManifest.locales && exportManifest.locales.length > 0) {
-      console.log('\n=== Phase: Locale Configuration ===');
-      for (const locale of exportManifest.locales) {
-           await ensureLocaleExists(strapi, locale);
-      }
+                if (documentId) {
+                     if (strapi.documents) {
+                         existing = await findExistingDocumentVariant(strapi, uid, documentId, targetLocale);
+                     } else {
+                          existing = await strapi.db.query(uid).findOne({ where: { documentId } });
+                     }
+                }
 
-      await syncDefaultLocale(strapi, exportManifest, options);
-  }
+                // CONFLICTS: the target variant changed independently of the exported one
+                if (existing && options.conflicts) {
+                    const resolution = await options.conflicts.resolve({ uid, key: getEntryKey(item), documentId, locale: targetLocale, existing, item });
+                    if (resolution === 'skip') {
+                        console.log(`    - Kept target ${documentId} (conflict)`);
+                        if (options.checkpoint) options.checkpoint.recordProgress('create', uid, getEntryKey(item));
+                        continue;
+                    }
+                }
 
-  // PASS 1: CREATE ENTITIES (Without Relations)
-  console.log('\n=== Phase 1: Entity Creation (No Relations) ===');
-  for (const uid of uids) {
-      if (options.dryRun) {
-          console.log(`  [DRY-RUN] Would create/update items for ${uid}`);
-          continue;
-      }
+                if (existing) {
+                    // UPDATE
+                    if (strapi.documents) {
+                        await strapi.documents(uid).update({ 
+                            documentId: documentId, 
+                            locale: targetLocale,
+                            data: creationPayload,
+                            status: getDocumentStatus(model, rawPayload)
+                        });
+                    } else {
+                        await strapi.entityService.update(uid, existing.documentId, { data: creationPayload });
+                    }
+                    console.log(`    - Updated ${documentId || item.id}`);
+                    report.recordEntry(uid, 'updated');
+                } else {
+                    // CREATE
+                    if (strapi.documents) {
+                        await strapi.documents(uid).create({ 
+                            data: creationPayload,
+                            locale: targetLocale,
+                            status: getDocumentStatus(model, rawPayload)
+                        });
+                    } else {
+                        await strapi.entityService.create(uid, { data: creationPayload });
+                    }
+                    console.log(`    - Created ${documentId || item.id}`);
+                    report.recordEntry(uid, 'created');
+                }
+                await writePasswordHashes(strapi, uid, documentId, passwordHashes);
+                if (options.checkpoint) options.checkpoint.recordProgress('create', uid, getEntryKey(item));
+            } catch(e) {
+                if (e.code === 'CONFLICT') throw e;
+                handleImportError(`    ✗ Create Failed (Phase 1) ${uid}: ${e.message}`, e, options, { phase: 'create', uid, documentId, locale: rawPayload.locale });
+            }
+        }
+        if (options.checkpoint) options.checkpoint.completeType('create', uid);
+    }
+}
 
-      const items = exportManifest.types[uid];
-      const model = strapi.contentTypes[uid];
-      if (!model) continue;
+/**
+ * Phase 2: re-applies every collection type entry with its relations resolved to target IDs,
+ * and publishes entries that were published in the source.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options
+ * @returns {Promise<void>}
+ */
+async function linkEntities(strapi, exportManifest, importPath, options = {}) {
+    const uids = Object.keys(exportManifest.contentTypes);
+    const sourceUploadsDir = path.join(importPath, 'uploads');
+    const report = options.reporter || createReport('import');
+
+    // PASS 2: UPDATE RELATIONS
+    console.log('\n=== Phase 2: Relationship Linking ===');
+    for (const uid of uids) {
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would link relations for ${uid}`);
+            continue;
+        }
 
-      const isSingleType = model.kind === 'singleType';
-      if (isSingleType) continue; 
+        const model = strapi.contentTypes[uid];
+        if (!model || model.kind === 'singleType') continue;
 
-      console.log(`  • Importing ${uid} [Count: ${items.length}]...`);
+        console.log(`  • Linking ${uid}...`);
+        report.startPhase('link', { uid, total: getTypeCount(exportManifest, uid) });
+        const cursor = options.checkpoint ? options.checkpoint.cursor('link', uid) : null;
       
-      for (const item of items) {
-          const { id, documentId, created_by, updated_by, createdBy, updatedBy, ...rawPayload } = item;
-          // Note: We keep `publishedAt`, `createdAt`, `updatedAt` in rawPayload so they are passed to create()
+        for await (const item of readImportEntries(strapi, exportManifest, importPath, uid, 'link', options)) {
+            const { documentId, ...rawPayload } = item;
+            if (!documentId) continue; 
+            if (cursor && cursor.skip(getEntryKey(item))) continue;
+            if (options.conflicts && options.conflicts.isSkipped(uid, getEntryKey(item))) continue;
+
+            // 1. Map Media IDs (Async)
+            const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir, options);
           
-          // 1. Map Media IDs (Now Async & JIT)
-          const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir);
+            // 2. Resolve Relations (Pass 2)
+            const fullUpdatePayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, false);
           
-          // 2. Prepare Payload (Create without relations first to avoid dependency cycles)
-          const creationPayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, true);
-
-          // 3. Inject documentId if available (for consistent ID across envs)
-          if (documentId) {
-              creationPayload.documentId = documentId;
-          }
-
-          try {
-              // UPSERT LOGIC
-              let existing = null;
-              const targetLocale = rawPayload.locale;
-
-              if (documentId) {
-                   if (strapi.documents) {
-                       existing = await findExistingDocumentVariant(strapi, uid, documentId, targetLocale);
-                   } else {
-                        existing = await strapi.db.query(uid).findOne({ where: { documentId } });
-                   }
-              }
-
-              if (existing) {
-                  // UPDATE
-                  if (strapi.documents) {
-                      await strapi.documents(uid).update({ 
-                          documentId: documentId, 
-                          locale: targetLocale,
-                          data: creationPayload,
-                          status: getDocumentStatus(model, rawPayload)
-                      });
-                  } else {
-                      await strapi.entityService.update(uid, existing.documentId, { data: creationPayload });
-                  }
-                  console.log(`    - Updated ${documentId || item.id}`);
-              } else {
-                  // CREATE
-                  if (strapi.documents) {
-                      await strapi.documents(uid).create({ 
-                          data: creationPayload,
-                          locale: targetLocale,
-                          status: getDocumentStatus(model, rawPayload)
-                      });
-                  } else {
-                      await strapi.entityService.create(uid, { data: creationPayload });
-                  }
-                  console.log(`    - Created ${documentId || item.id}`);
-              }
-          } catch(e) {
-              console.error(`    ✗ Create Failed (Phase 1) ${uid}: ${e.message}`);
-          }
-      }
-  }
+            // CRITICAL: Explicitly remove localizations to prevent Strapi 5 "Truncated incorrect DECIMAL value" / "document_id set to NULL" crash
+            delete fullUpdatePayload.localizations;
+            // Password hashes were written in Phase 1; the Document Service would hash them again
+            takePasswordHashes(model, fullUpdatePayload);
+
+            try {
+                // Strategy: Use Documents Service to update deep components and relations
+                // This is superior to db.query as it handles Components/DZ correctly
+                if (strapi.documents) {
+                    try {
+                        await strapi.documents(uid).update({
+                            documentId: documentId,
+                            locale: rawPayload.locale,
+                            data: fullUpdatePayload
+                        });
+                      
+                        // Handle Publishing
+                          if (shouldPublishDocument(model, rawPayload)) {
+                            if (model.options?.draftAndPublish !== false) {
+                                await publishDocumentVariant(strapi, uid, documentId, rawPayload.locale);
+                                  console.log(`    - Linked & Published ${documentId}`);
+                            } else {
+                                  console.log(`    - Linked ${documentId} (Draft & Publish disabled)`);
+                            }
+
+                        } else {
+                            console.log(`    - Linked ${documentId}`);
+                        }
+                        report.recordEntry(uid, 'linked');
+                        if (options.conflicts) {
+                            options.conflicts.recordSynced(uid, getEntryKey(item), await findExistingDocumentVariant(strapi, uid, documentId, rawPayload.locale));
+                        }
+                        if (options.checkpoint) options.checkpoint.recordProgress('link', uid, getEntryKey(item));
+                      
+                        // console.log(`  Linked (Phase 2) ${uid} ${documentId}`);
+                    } catch (updateErr) {
+                        // If documents service fails (validation?), fall back to DB query for top-level relations only?
+                        // No, better to log error than partial corrupt state
+                        throw updateErr;
+                    }
+                } else {
+                    console.warn(`    ! strapi.documents not available for ${uid}`);
+                }
+            } catch(e) {
+                handleImportError(`    ✗ Link Failed (Phase 2) ${uid} ${documentId}: ${e.message}`, e, options, { phase: 'link', uid, documentId, locale: rawPayload.locale });
+            }
+        }
+        if (options.checkpoint) options.checkpoint.completeType('link', uid);
+    }
+}
+
+/**
+ * Imports single types in one pass per locale, merging into the existing target document.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options
+ * @returns {Promise<void>}
+ */
+async function importSingleTypes(strapi, exportManifest, importPath, options = {}) {
+    const uids = Object.keys(exportManifest.contentTypes);
+    const sourceUploadsDir = path.join(importPath, 'uploads');
+    const report = options.reporter || createReport('import');
+
+    // HANDLE SINGLE TYPES (One pass - merge/update)
+    for (const uid of uids) {
+        const model = strapi.contentTypes[uid];
+        if (model && model.kind === 'singleType') {
+             console.log(`\n=== Single Type Import: ${uid} ===`);
+             report.startPhase('single-type', { uid, total: getTypeCount(exportManifest, uid) });
+             if (options.dryRun) {
+                 console.log(`  [DRY-RUN] Would import Single Type ${uid}`);
+                 continue;
+             }
+
+             if (getTypeCount(exportManifest, uid) > 0) {
+                 let localEntry = null;
+                 if (!strapi.documents) {
+                     localEntry = await strapi.entityService.findMany(uid);
+                 }
+                 const cursor = options.checkpoint ? options.checkpoint.cursor('single-type', uid) : null;
+
+                 // Iterate all exported locales
+                 for await (const item of readImportEntries(strapi, exportManifest, importPath, uid, 'single-type', options)) {
+                     if (cursor && cursor.skip(getEntryKey(item))) continue;
+                     const { id, documentId, created_by, updated_by, createdBy, updatedBy, ...rawPayload } = item;
+                   
+                     const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir, options);
+                     const finalPayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, false); 
+                   
+                     // Remove documentId and localizations to prevent conflicts
+                     delete finalPayload.documentId;
+                     delete finalPayload.localizations;
+                     const passwordHashes = takePasswordHashes(model, finalPayload);
+
+                     try {
+                        const targetLocale = rawPayload.locale;
+                        const targetStatus = getDocumentStatus(model, rawPayload);
+
+                        if (strapi.documents) {
+                            localEntry = await findSingleTypeDocument(strapi, uid, targetLocale);
+                        }
+
+                        let targetDocId = localEntry ? localEntry.documentId : null;
+
+                        // CONFLICTS: only the variant of the same locale can conflict
+                        if (targetDocId && options.conflicts && (localEntry.locale || null) === (targetLocale || null)) {
+                            const resolution = await options.conflicts.resolve({ uid, key: getEntryKey(item), documentId: null, locale: targetLocale, existing: localEntry, item });
+                            if (resolution === 'skip') {
+                                console.log(`    - Kept target ${targetLocale || 'default'} version (conflict)`);
+                                if (options.checkpoint) options.checkpoint.recordProgress('single-type', uid, getEntryKey(item));
+                                continue;
+                            }
+                        }
+
+                        if (targetDocId) {
+                            // Update existing
+                            if (strapi.documents) {
+                                await strapi.documents(uid).update({ 
+                                    documentId: targetDocId,
+                                    locale: targetLocale, 
+                                    data: finalPayload,
+                                    status: targetStatus
+                                 });
+                                localEntry = await findSingleTypeDocument(strapi, uid, targetLocale);
+                                targetDocId = localEntry ? localEntry.documentId : targetDocId;
+                            } else {
+                                const localId = localEntry.id;
+                                 await strapi.entityService.update(uid, localId, { data: finalPayload });
+                            }
+                            console.log(`    - Updated ${targetLocale} version`);
+                            report.recordEntry(uid, 'updated');
+                        } else {
+                            // Create new
+                            if (strapi.documents) {
+                                const newEntry = await strapi.documents(uid).create({ 
+                                    data: finalPayload, 
+                                    locale: targetLocale,
+                                    status: targetStatus 
+                                });
+                                localEntry = newEntry; 
+                                targetDocId = newEntry.documentId;
+                            } else {
+                                 await strapi.entityService.create(uid, { data: finalPayload });
+                                 localEntry = await strapi.entityService.findMany(uid);
+                            }
+                            console.log(`    - Created ${targetLocale} version`);
+                            report.recordEntry(uid, 'created');
+                        }
+
+                        await writePasswordHashes(strapi, uid, targetDocId, passwordHashes);
+
+                        // Publish if needed (Single Type)
+                        if (shouldPublishDocument(model, rawPayload) && targetDocId) {
+                             await publishDocumentVariant(strapi, uid, targetDocId, targetLocale);
+                        }
+                        if (options.conflicts && strapi.documents) {
+                            options.conflicts.recordSynced(uid, getEntryKey(item), await findSingleTypeDocument(strapi, uid, targetLocale));
+                        }
+                        if (options.checkpoint) options.checkpoint.recordProgress('single-type', uid, getEntryKey(item));
+                      
+                     } catch(e) {
+                         if (e.code === 'CONFLICT') throw e;
+                         handleImportError(`  ✗ Single Type Import Failed ${uid} (${rawPayload.locale}): ${e.message}`, e, options, { phase: 'single-type', uid, documentId, locale: rawPayload.locale });
+                     }
+                 }
+                 if (options.checkpoint) options.checkpoint.completeType('single-type', uid);
+                 console.log(`  ✓ Imported Single Type: ${uid}`);
+             }
+        }
+    }
+}
+
+/**
+ * Lists the target document variants a mirror import deletes: for every archived content type,
+ * the documents whose documentId is absent from the archive and the locale variants of archived
+ * documents that the archive does not hold (single types are matched by locale). The archived
+ * entries are read without the transform hooks: an entry a transform skips or fails on is still
+ * in the archive, so its target document is kept.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options (a `mapping` applies to the archived entries)
+ * @returns {Promise<Object<string, Object[]>>} Map of UID to { documentId, locale } records
+ * @throws {Error} If the target has no Document Service (Strapi v4)
+ */
+async function findMirrorDeletions(strapi, exportManifest, importPath, options = {}) {
+    if (!strapi.documents) {
+        throw new Error('--mirror requires the Strapi v5 Document Service');
+    }
+
+    const deletions = {};
+    for (const uid of Object.keys(exportManifest.contentTypes)) {
+        const model = strapi.contentTypes[uid];
+        if (!model) continue;
+
+        const targetKeys = new Set();
+        await collectDocumentChanges(strapi, uid, null, MIRROR_BATCH_SIZE, key => targetKeys.add(key));
+        const tracker = createDeletionTracker(model, targetKeys);
+        for await (const item of readImportEntries(strapi, exportManifest, importPath, uid, 'mirror', { ...options, transform: null })) {
+            if (!item.documentId && model.kind !== 'singleType') {
+                // Without documentIds every target document would look absent from the archive
+                throw new Error(`--mirror needs documentIds, but the archived ${uid} entries have none`);
+            }
+            tracker.add(getEntryKey(item));
+        }
+        const records = tracker.deletions();
+        if (records.length > 0) deletions[uid] = records;
+    }
+    return deletions;
+}
+
+/**
+ * Deletes document variants from the target: the deletions recorded in a delta archive, or the
+ * variants a mirror import removes. Variants already absent on the target are skipped.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object<string, Object[]>} deletions - Map of UID to { documentId, locale } records
+ * (a null documentId targets the single type document, a null locale the whole document)
+ * @param {Object} [options={}] - Import options
+ * @returns {Promise<void>}
+ */
+async function applyDeletions(strapi, deletions, options = {}) {
+    const report = options.reporter || createReport('import');
+
+    console.log(`\n=== Phase: ${options.mirror ? 'Mirror' : 'Delta'} Deletions ===`);
+    if (!strapi.documents) {
+        console.warn('  ! Deletions require the Strapi v5 Document Service; skipped');
+        return;
+    }
+
+    for (const [uid, records] of Object.entries(deletions)) {
+        if (!strapi.contentTypes[uid]) {
+            console.warn(`  ! Skipping deletions for ${uid}: content type not found on target`);
+            continue;
+        }
+        report.startPhase('delete', { uid, total: records.length });
+        const label = ({ documentId, locale }) => `${documentId || '(single type)'}${locale ? ` [${locale}]` : ''}`;
+        if (options.dryRun) {
+            records.forEach(record => console.log(`  [DRY-RUN] Would delete ${uid} ${label(record)}`));
+            continue;
+        }
+
+        console.log(`  • Deleting ${records.length} variant(s) of ${uid}...`);
+        const documents = strapi.documents(uid);
+        const cursor = options.checkpoint ? options.checkpoint.cursor('delete', uid) : null;
+
+        for (const record of records) {
+            const { documentId, locale } = record;
+            if (cursor && cursor.skip(getEntryKey(record))) continue;
+
+            try {
+                // A null documentId targets the single type document, a null locale every locale
+                const query = { filters: documentId ? { documentId } : {}, locale: locale || '*', fields: ['documentId'] };
+                const existing = await documents.findFirst({ ...query, status: 'draft' })
+                    || await documents.findFirst({ ...query, status: 'published' });
+
+                if (existing) {
+                    await documents.delete({ documentId: existing.documentId, locale: locale || '*' });
+                    console.log(`    - Deleted ${label(record)}`);
+                    report.recordEntry(uid, 'deleted');
+                } else {
+                    console.log(`    - Already absent ${label(record)}`);
+                }
+                if (options.checkpoint) options.checkpoint.recordProgress('delete', uid, getEntryKey(record));
+            } catch (e) {
+                handleImportError(`    ✗ Delete Failed ${uid} ${label(record)}: ${e.message}`, e, options, { phase: 'delete', uid, documentId, locale });
+            }
+        }
+        if (options.checkpoint) options.checkpoint.completeType('delete', uid);
+    }
+}
+
+/**
+ * Runs every database phase of an import: media, view configurations, locales, deletions
+ * (delta archives and --mirror), entity creation, relation linking and single types.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options
+ * @param {Object<string, Object[]>} [options.deletions] - Document variants to delete first, by UID
+ * @returns {Promise<void>}
+ */
+async function importDatabaseContent(strapi, exportManifest, importPath, options = {}) {
+    const sourceUploadsDir = path.join(importPath, 'uploads');
+    if (options.conflicts) await options.conflicts.loadBaseline(strapi, Object.keys(exportManifest.contentTypes));
+
+    // 1. Import Media (always runs - skipMedia only affects file operations, not DB)
+    if (exportManifest.media && exportManifest.media.length > 0) {
+        await runCheckpointedPhase('media', options, async () => {
+            console.log(`\n=== Phase: Media Import${options.skipMedia ? ' (files skipped)' : ''} ===`);
+            await importMedia(strapi, exportManifest.media, sourceUploadsDir, options);
+        });
+    }
 
-  // PASS 2: UPDATE RELATIONS
-  console.log('\n=== Phase 2: Relationship Linking ===');
+    // 1.25. Source Code Import 
+    // (Executed in Pre-Boot phase to ensure correct schema loading)
+    // 1.5. Import Views (Configurations)
+    if (exportManifest.views) {
+        await runCheckpointedPhase('views', options, async () => {
+            console.log('\n=== Phase: View Configuration Import ===');
+            if (options.reporter) options.reporter.startPhase('views');
+            await importViews(strapi, exportManifest.views, options);
+        });
+    }
+
+    // 1.75. Import Locales (Ensure target locales exist)
+    if (exportManifest.locales && exportManifest.locales.length > 0) {
+        await runCheckpointedPhase('locales', options, async () => {
+            console.log('\n=== Phase: Locale Configuration ===');
+            if (options.reporter) options.reporter.startPhase('locales');
+            for (const locale of exportManifest.locales) {
+                 await ensureLocaleExists(strapi, locale, options);
+            }
+
+            await syncDefaultLocale(strapi, exportManifest, options);
+        });
+    }
+
+    // Deletions run first, so removed documents never collide with the entries replacing them
+    if (options.deletions && Object.keys(options.deletions).length > 0) {
+        await runCheckpointedPhase('delete', options, () => applyDeletions(strapi, options.deletions, options));
+    }
+
+    await runCheckpointedPhase('create', options, () => importEntities(strapi, exportManifest, importPath, options));
+    await runCheckpointedPhase('link', options, () => linkEntities(strapi, exportManifest, importPath, options));
+    await runCheckpointedPhase('single-type', options, () => importSingleTypes(strapi, exportManifest, importPath, options));
+
+    // The next import compares the target with the state this one leaves behind
+    if (options.conflicts && !options.dryRun) await options.conflicts.saveBaseline(strapi);
+}
+
+/**
+ * Runs an import phase unless the checkpoint being resumed already completed it,
+ * and marks it completed in the checkpoint afterwards.
+ * @async
+ * @param {string} phase - Phase name recorded in the checkpoint
+ * @param {Object} options - Import options
+ * @param {Object} [options.checkpoint] - Checkpoint journal of a resumable import
+ * @param {function(): Promise<void>} run - Runs the phase
+ * @returns {Promise<void>}
+ */
+async function runCheckpointedPhase(phase, options, run) {
+    const { checkpoint } = options;
+    if (checkpoint && checkpoint.isPhaseDone(phase)) {
+        console.log(`\n  • Skipping ${phase} phase (completed before the interruption)`);
+        return;
+    }
+    await run();
+    if (checkpoint) checkpoint.completePhase(phase);
+}
+
+/**
+ * Cleanup mode (--clean): deletes the database entries, schema files and media of the target
+ * that match the archive, instead of importing it.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.skipSchema] - Keep schema files (src/api, src/components)
+ * @param {boolean} [options.skipMedia] - Delete media DB entries only, keep the files
+ * @param {boolean} [options.dryRun] - If true, only shows what would be deleted
+ * @returns {Promise<void>}
+ */
+async function cleanTarget(strapi, exportManifest, importPath, options = {}) {
+  const uids = Object.keys(exportManifest.contentTypes);
+
+  // CLEANUP (--clean) - Database entries
+  // Note: --skip-schema does NOT affect database cleanup, only file operations
+  console.log('\n=== Phase: Content Cleanup ===');
+  if (options.reporter) options.reporter.startPhase('clean');
+  console.log('  • Cleaning Database...');
   for (const uid of uids) {
+      const itemCount = getTypeCount(exportManifest, uid);
+      // Skip if empty or single type (single types are just updated, deletion is weird)
+      if (itemCount === 0) continue;
+      
+      const model = strapi.contentTypes[uid];
+      // Determine execution mode (Documents Service or Entity Service)
+      const isSingleType = model && model.kind === 'singleType';
+      
+      console.log(`    - Cleaning ${uid} (${isSingleType ? 'Single Type' : itemCount + ' items'})...`);
+      
       if (options.dryRun) {
-          console.log(`  [DRY-RUN] Would link relations for ${uid}`);
+          console.log(`  [DRY-RUN] Would delete local data for ${uid}`);
           continue;
       }
 
-      const items = exportManifest.types[uid];
-      const model = strapi.contentTypes[uid];
-      if (!model || model.kind === 'singleType') continue;
-
-      console.log(`  • Linking ${uid}...`);
-      
-      for (const item of items) {
-          const { documentId, ...rawPayload } = item;
-          if (!documentId) continue; 
-
-          // 1. Map Media IDs (Async)
-          const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir);
-          
-          // 2. Resolve Relations (Pass 2)
-          const fullUpdatePayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, false);
-          
-          // CRITICAL: Explicitly remove localizations to prevent Strapi 5 "Truncated incorrect DECIMAL value" / "document_id set to NULL" crash
-          delete fullUpdatePayload.localizations;
-
+      if (isSingleType) {
+          // Special clean for Single Type: Delete ANY local existing entry
           try {
-              // Strategy: Use Documents Service to update deep components and relations
-              // This is superior to db.query as it handles Components/DZ correctly
               if (strapi.documents) {
-                  try {
-                      await strapi.documents(uid).update({
-                          documentId: documentId,
-                          locale: rawPayload.locale,
-                          data: fullUpdatePayload
-                      });
-                      
-                      // Handle Publishing
-                        if (shouldPublishDocument(model, rawPayload)) {
-                          if (model.options?.draftAndPublish !== false) {
-                              await publishDocumentVariant(strapi, uid, documentId, rawPayload.locale);
-                                console.log(`    - Linked & Published ${documentId}`);
-                          } else {
-                                console.log(`    - Linked ${documentId} (Draft & Publish disabled)`);
-                          }
-
-                      } else {
-                          console.log(`    - Linked ${documentId}`);
-                      }
-                      
-                      // console.log(`  Linked (Phase 2) ${uid} ${documentId}`);
-                  } catch (updateErr) {
-                      // If documents service fails (validation?), fall back to DB query for top-level relations only?
-                      // No, better to log error than partial corrupt state
-                      throw updateErr;
-                  }
+                    const local = await strapi.documents(uid).findFirst({ status: 'draft' }) 
+                               || await strapi.documents(uid).findFirst({ status: 'published' });
+                    if (local) {
+                        await strapi.documents(uid).delete({ documentId: local.documentId });
+                    }
               } else {
-                  console.warn(`    ! strapi.documents not available for ${uid}`);
+                    // V4 / Entity Service
+                    const local = await strapi.entityService.findMany(uid);
+                    if (local) {
+                        await strapi.entityService.delete(uid, local.id);
+                    }
               }
           } catch(e) {
-              console.error(`    ✗ Link Failed (Phase 2) ${uid} ${documentId}: ${e.message}`);
+               // console.warn(`Failed to clean Single Type ${uid}: ${e.message}`);
+          }
+      } else {
+          // Collection Type: Delete match by documentId
+          for await (const item of readTypeEntries(exportManifest, importPath, uid)) {
+              if (isBuiltInRole(uid, item)) {
+                  console.log(`      - Kept the built-in "${item.type}" role`);
+                  continue;
+              }
+              if (item.documentId) {
+                  try {
+                       if (strapi.documents) {
+                           // Try deleting (Strapi 5)
+                           try {
+                               await strapi.documents(uid).delete({ documentId: item.documentId });
+                           } catch (dErr) {
+                               // Ignore validity checks or not found
+                           }
+                       } else {
+                           // Fallback (Strapi 4 or DB Query)
+                           const exists = await strapi.db.query(uid).findOne({ where: { documentId: item.documentId } });
+                           if (exists) {
+                               await strapi.entityService.delete(uid, exists.id); // EntityService usually uses ID
+                           }
+                       }
+                  } catch (err) {
+                      // Silent fail
+                  }
+              }
           }
       }
   }
+  console.log('  ✓ Content cleanup done');
 
-  // HANDLE SINGLE TYPES (One pass - merge/update)
-  for (const uid of uids) {
-      const model = strapi.contentTypes[uid];
-      if (model && model.kind === 'singleType') {
-           console.log(`\n=== Single Type Import: ${uid} ===`);
-           if (options.dryRun) {
-               console.log(`  [DRY-RUN] Would import Single Type ${uid}`);
-               continue;
-           }
-
-           const items = exportManifest.types[uid];
-           if (items && items.length > 0) {
-               let localEntry = null;
-               if (!strapi.documents) {
-                   localEntry = await strapi.entityService.findMany(uid);
-               }
-
-               // Iterate all exported locales
-               for (const item of items) {
-                   const { id, documentId, created_by, updated_by, createdBy, updatedBy, ...rawPayload } = item;
-                   
-                   const mediaCleaned = await replaceMediaIds(rawPayload, strapi, sourceUploadsDir);
-                   const finalPayload = await simplifyPayload(mediaCleaned, model.attributes, strapi, false); 
-                   
-                   // Remove documentId and localizations to prevent conflicts
-                   delete finalPayload.documentId;
-                   delete finalPayload.localizations;
+  // CLEANUP (--clean) - Schema files (src/api, src/components)
+  if (!options.skipSchema) {
+      console.log('\n=== Phase: Schema File Cleanup ===');
+      cleanSourceCode(importPath, options);
+      console.log('  ✓ Schema file cleanup done');
+  } else {
+      console.log('\n=== Phase: Schema File Cleanup (Skipped via --skip-schema) ===');
+  }
 
-                   try {
-                      const targetLocale = rawPayload.locale;
-                      const targetStatus = getDocumentStatus(model, rawPayload);
+  // CLEAN MEDIA (If clean requested)
+  if (exportManifest.media && exportManifest.media.length > 0) {
+      const skipFiles = options.skipMedia;
+      console.log(`\n=== Phase: Media Cleanup [Count: ${exportManifest.media.length}]${skipFiles ? ' (files skipped)' : ''} ===`);
+      const uploadService = strapi.plugins['upload'].services.upload;
+      
+      for (const fileData of exportManifest.media) {
+          if (options.dryRun) {
+              if (skipFiles) {
+                  console.log(`  [DRY-RUN] Would delete media DB entry: ${fileData.hash} (files skipped)`);
+              } else {
+                  console.log(`  [DRY-RUN] Would delete media file and DB entry: ${fileData.hash}`);
+              }
+              continue;
+          }
 
-                      if (strapi.documents) {
-                          localEntry = await findSingleTypeDocument(strapi, uid, targetLocale);
-                      }
+          // Find by hash (most reliable identifier across envs)
+          try {
+              const existing = await strapi.db.query('plugin::upload.file').findOne({
+                  where: { hash: fileData.hash }
+              });
 
-                      let targetDocId = localEntry ? localEntry.documentId : null;
-
-                      if (targetDocId) {
-                          // Update existing
-                          if (strapi.documents) {
-                              await strapi.documents(uid).update({ 
-                                  documentId: targetDocId,
-                                  locale: targetLocale, 
-                                  data: finalPayload,
-                                  status: targetStatus
-                               });
-                              localEntry = await findSingleTypeDocument(strapi, uid, targetLocale);
-                              targetDocId = localEntry ? localEntry.documentId : targetDocId;
-                          } else {
-                              const localId = localEntry.id;
-                               await strapi.entityService.update(uid, localId, { data: finalPayload });
-                          }
-                          console.log(`    - Updated ${targetLocale} version`);
-                      } else {
-                          // Create new
-                          if (strapi.documents) {
-                              const newEntry = await strapi.documents(uid).create({ 
-                                  data: finalPayload, 
-                                  locale: targetLocale,
-                                  status: targetStatus 
-                              });
-                              localEntry = newEntry; 
-                              targetDocId = newEntry.documentId;
-                          } else {
-                               await strapi.entityService.create(uid, { data: finalPayload });
-                               localEntry = await strapi.entityService.findMany(uid);
-                          }
-                          console.log(`    - Created ${targetLocale} version`);
+              if (existing) {
+                  if (skipFiles) {
+                      // Only delete DB entry, not the file
+                      console.log(`    - Deleting media DB entry ${fileData.name} (${existing.id})...`);
+                      try {
+                          await strapi.db.query('plugin::upload.file').delete({
+                              where: { id: existing.id }
+                          });
+                      } catch (rmErr) {
+                          console.error(`  ! Failed to delete media DB entry ${fileData.name}: ${rmErr.message}`);
                       }
-
-                      // Publish if needed (Single Type)
-                      if (shouldPublishDocument(model, rawPayload) && targetDocId) {
-                           await publishDocumentVariant(strapi, uid, targetDocId, targetLocale);
+                  } else {
+                      // Delete both file and DB entry
+                      console.log(`    - Deleting media ${fileData.name} (${existing.id})...`);
+                      try {
+                          await uploadService.remove(existing);
+                      } catch (rmErr) {
+                          console.error(`  ! Failed to delete media ${fileData.name}: ${rmErr.message}`);
                       }
-                      
-                   } catch(e) {
-                       console.error(`  ✗ Single Type Import Failed ${uid} (${rawPayload.locale}): ${e.message}`);
-                   }
-               }
-               console.log(`  ✓ Imported Single Type: ${uid}`);
-           }
+                  }
+              }
+          } catch (findErr) {}
       }
+      console.log('  ✓ Media cleanup done');
   }
+}
 
+/**
+ * Imports an export archive into a Strapi project. This is the programmatic entry point behind
+ * `strapi-migrate import`: it never prompts or exits the process, and throws on fatal errors.
+ * Handles URL downloads, archive extraction, and multi-phase import:
+ * - Phase 1: Media import
+ * - Phase 2: Source code import
+ * - Phase 3: View configuration import
+ * - Phase 4: Entity creation (without relations)
+ * - Phase 5: Relationship linking
+ * - Phase 6: Single type handling
+ *
+ * Schema files are synced before Strapi boots so it loads the imported content type definitions.
+ * When an already-loaded `strapi` instance is passed, the schema files are still written, but
+ * that instance keeps the definitions it booted with until it is restarted.
+ *
+ * @async
+ * @param {Object} options - Import options
+ * @param {string} options.archive - Path to the export (file path or directory relative to projectDir, or URL)
+ * @param {Object} [options.strapi] - A loaded Strapi instance (default: loaded from projectDir and destroyed afterwards)
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root
+ * @param {import('events').EventEmitter} [options.events] - Receives `phase`, `entry`, `media` and `failure` events
+ * @param {boolean} [options.clean] - Perform cleanup only (delete matching entries, schema, media)
+ * @param {boolean} [options.skipSchema] - Skip importing/deleting schema files
+ * @param {boolean} [options.skipMedia] - Skip media file operations (public/uploads only, DB unaffected)
+ * @param {boolean} [options.dryRun] - Simulate import without making changes
+ * @param {boolean} [options.snapshot=true] - Write a pre-import snapshot that `restore` can replay
+ * @param {string} [options.snapshotDir] - Directory for snapshot archives (default: <projectDir>/migrate-snapshots)
+ * @param {boolean} [options.atomic] - Run all database work in one transaction and roll back
+ * database and file changes if any entry fails
+ * @param {boolean} [options.failFast] - Abort on the first failed entry instead of continuing
+ * @param {string} [options.report] - Write a JSON or JUnit report of the run to this file (relative to projectDir)
+ * @param {string} [options.reportFormat] - "json" or "junit" (default: inferred from the extension)
+ * @param {string | Object} [options.storage='auto'] - Media storage: "auto", "local", "provider",
+ * a custom adapter module path or an adapter object (see lib/storage)
+ * @param {boolean} [options.resume] - Continue an interrupted import of the same archive from its
+ * checkpoint instead of starting over
+ * @param {boolean} [options.resumable=true] - Journal the progress so a failed import can be resumed;
+ * false removes the extracted archive and journal when the import fails (for callers that never resume)
+ * @param {string} [options.onConflict='overwrite'] - How to handle existing target variants whose
+ * updatedAt differs from the exported one: "skip", "overwrite", "newer-wins", "fail" or "prompt"
+ * @param {function(Object): Promise<string>} [options.resolveConflict] - Asks how to resolve a
+ * conflict under the "prompt" strategy ("overwrite" or "skip"; see lib/conflict)
+ * @param {boolean} [options.mirror] - Delete the target documents and locale variants of the
+ * archived content types that the archive does not contain before importing, so the target ends up
+ * an exact replica of those types
+ * @param {boolean} [options.force] - Import even when the schema check finds breaking differences
+ * between the archive's schemas and the target's
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase of an encrypted archive
+ * (default: STRAPI_MIGRATE_PASSPHRASE), or a function asked for it
+ * @param {string} [options.decryptKey] - Private key (PEM file) of an archive encrypted for a public key
+ * @param {string} [options.verifyKey] - Public key (PEM file) the archive manifest must be signed with;
+ * unsigned archives and mismatching signatures are refused with exit code 4
+ * @param {string | Object} [options.map] - Mapping JSON file (or mapping object) renaming content
+ * types, components and attributes of the archived data (see lib/mapping); applied before the transform,
+ * and implies skipSchema
+ * @param {string | Object} [options.transform] - Module path (or hooks object) whose mapUid,
+ * skipEntry, transformEntry and transformMedia hooks adapt the archived data (see lib/transform)
+ * @returns {Promise<{ exitCode: number, snapshot: string | null, summary: Object, report: Object }>}
+ * Result with the exit code the CLI would use (0 success, 2 partial failure, 3 total failure),
+ * the snapshot archive path and the full report data
+ * @throws {Error} On fatal errors, failed validation, rollbacks and --fail-fast aborts; the error
+ * carries `exitCode` and `report`
+ * @example
+ * const result = await importData({ strapi, archive: './export.tar.gz', projectDir: '/srv/cms' });
+ * if (result.exitCode !== 0) console.warn(result.report.errors);
+ */
+async function importData(options = {}) {
+  const userInputPath = options.archive;
+  const projectDir = path.resolve(options.projectDir || process.cwd());
 
-  console.log('\n=== Execution Summary ===');
-  console.log('  ✓ Import operations completed');
-  
-  if (tempDir) {
+  if (options.dryRun) {
+      console.warn("  ! DRY RUN MODE: No changes will be applied\n");
+  }
+
+  // REPORT: always collected; written to disk only when --report is given
+  const report = createReport('import', {
+      archive: userInputPath,
+      dryRun: Boolean(options.dryRun),
+      resumed: Boolean(options.resume)
+  }, options.events);
+  const reportPath = options.report;
+  if (reportPath) resolveReportFormat(reportPath, options.reportFormat);
+  validateStorageOption(options.storage);
+  validateConflictStrategy(options.onConflict);
+  if (options.onConflict === 'prompt' && typeof options.resolveConflict !== 'function') {
+      throw new Error('--on-conflict prompt needs an interactive terminal');
+  }
+  if (!userInputPath) throw new Error('No archive given to import');
+  // Loaded before anything else so a broken mapping or transform fails before the project is touched
+  const mapping = options.map ? loadMapping(options.map, projectDir) : null;
+  const transform = options.transform ? loadTransform(options.transform, projectDir) : null;
+  const decryptKey = options.decryptKey ? loadKey(options.decryptKey, 'private', projectDir) : null;
+  const verifyKey = options.verifyKey ? loadKey(options.verifyKey, 'public', projectDir) : null;
+  // A mapping targets the project's own schemas, which the archive's schema files would replace
+  const skipSchema = Boolean(options.skipSchema || mapping);
+  // Each run maps media IDs on its own, so concurrent imports in one process do not mix them up
+  options = { ...options, projectDir, reporter: report, mapping, transform, skipSchema, mediaIdMap: new Map() };
+
+  const saveReport = () => {
+      if (!reportPath) return;
       try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-        console.log("  ✓ Temporary files cleaned up");
-      } catch(e) {}
+          const writtenPath = writeReport(report, reportPath, options.reportFormat, projectDir);
+          console.log(`  • Report written to ${writtenPath}`);
+      } catch (e) {
+          console.error(`  ! Failed to write report: ${e.message}`);
+      }
+  };
+
+  // Fatal errors write the report and surface as an Error carrying the exit code
+  const abort = (message, exitCode = EXIT_CODES.FATAL) => {
+      saveReport();
+      return createMigrationError(message, exitCode, report.finish());
+  };
+
+  let downloadPath = null;
+  let inputPath = userInputPath;
+  let tempDir = null;
+  let strapi = options.strapi || null;
+  const ownsStrapi = !strapi;
+
+  // CHECKPOINT: non-atomic imports journal their progress so an interrupted run can be resumed.
+  // Atomic imports roll back on failure, so there is never partial progress to continue from.
+  if (options.mirror && options.clean) {
+      throw new Error('--mirror cannot be combined with --clean (clean-only mode does not import)');
   }
-  
-  if (downloadPath) {
-      try { fs.rmSync(downloadPath, { force: true }); } catch(e) {}
+  if (options.resume && options.atomic) {
+      throw new Error('--resume cannot be combined with --atomic (atomic imports roll back instead of stopping halfway)');
   }
+  const resumable = options.resumable !== false && !options.dryRun && !options.clean && !options.atomic;
+  if (options.resume && !resumable) {
+      console.warn(`  ! --resume has no effect in ${options.dryRun ? 'dry-run' : options.clean ? 'clean-only' : 'non-resumable'} mode`);
+  }
+  let checkpoint = null;
+  let previousCheckpoint = null;
+  let reachedDataPhases = false;
+  let keepForResume = false;
 
-  strapi.destroy();
-  process.exit(0);
+  try {
+    // Handle URL
+    if (userInputPath.startsWith('http://') || userInputPath.startsWith('https://')) {
+      const url = userInputPath;
+      // Named after the URL so a resumed import finds the archive it downloaded before
+      const tempName = `download-${crypto.createHash('sha256').update(url).digest('hex').slice(0, 16)}.tar.gz`;
+      downloadPath = path.join(os.tmpdir(), tempName);
+      if (options.resume && resumable && fs.existsSync(downloadPath)) {
+          console.log(`  • Reusing previously downloaded archive ${downloadPath}`);
+      } else {
+          console.log(`  • URL detected. Downloading to ${downloadPath}...`);
+          try {
+              await downloadFile(url, downloadPath);
+          } catch (e) {
+              console.error("  ✗ Download failed:", e.message);
+              throw abort(`Download failed: ${e.message}`);
+          }
+      }
+      inputPath = downloadPath;
+    } else {
+        inputPath = path.resolve(projectDir, inputPath);
+    }
+
+    if (!fs.existsSync(inputPath)) {
+        console.error(`  ✗ Input path not found: ${inputPath}`);
+        throw abort(`Input path not found: ${inputPath}`);
+    }
+
+    let importPath = inputPath;
+    const checkpointPath = getCheckpointPath(isArchivePath(inputPath) ? getExtractDir(inputPath) : inputPath);
+
+    if (options.resume && resumable) {
+        try {
+            previousCheckpoint = loadCheckpoint(checkpointPath);
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            throw abort(e.message);
+        }
+        if (!previousCheckpoint) {
+            console.warn(`  ! No checkpoint found at ${checkpointPath}; starting a fresh import`);
+        }
+    } else if (resumable && fs.existsSync(checkpointPath)) {
+        console.warn(`  ! Discarding the checkpoint of an interrupted import (use --resume to continue it)`);
+    }
+
+    // Archives that fail decryption, their signature check or extraction cannot be trusted
+    const abortUntrusted = (e) => {
+        console.error(`  ✗ ${e.message}`);
+        if (e.code !== 'EINTEGRITY') return abort(e.message);
+        report.recordFailure({ phase: 'validation', message: e.message });
+        return abort(e.message, EXIT_CODES.VALIDATION_FAILURE);
+    };
+    let signature = null;
+
+    // Check if tar
+    if (previousCheckpoint && isArchivePath(inputPath) && fs.existsSync(path.join(previousCheckpoint.importPath, 'data.json'))) {
+        // The interrupted run left its extracted copy behind; reuse it instead of extracting again
+        tempDir = getExtractDir(inputPath);
+        importPath = previousCheckpoint.importPath;
+        console.log(`  • Reusing extracted archive from the interrupted import`);
+    } else if (isArchivePath(inputPath)) {
+        // Always extract to inspect manifest; encrypted archives are decrypted and signatures
+        // checked before anything is extracted
+        console.log(`  • Extracting archive ${path.basename(inputPath)}...`);
+        let encrypted;
+        try {
+            ({ tempDir, importPath, encrypted, signature } = await extractArchive(inputPath, {
+                passphrase: options.passphrase,
+                decryptKey,
+                verifyKey
+            }));
+        } catch (e) {
+            throw abortUntrusted(e);
+        }
+        if (encrypted) console.log(`    ✓ Decrypted`);
+        console.log(`    ✓ Extracted to temp location`);
+    }
+    if (!signature) {
+        try {
+            signature = await checkArchiveSignature(importPath, verifyKey);
+        } catch (e) {
+            throw abortUntrusted(e);
+        }
+    }
+    if (signature.verified) {
+        console.log(`  ✓ Manifest signature verified (key ${signature.fingerprint})`);
+    } else if (signature.signed) {
+        console.warn(`  ! Archive is signed by key ${signature.fingerprint}, but no --verify-key was given to check it`);
+    }
+
+    // MANIFEST VALIDATION:
+    // Runs before the pre-boot schema sync so incompatible archives never touch the project.
+    const { manifest: exportManifest, upgradedFrom, errors: manifestErrors, warnings: manifestWarnings } = await loadManifest(importPath, {
+        targetStrapiVersion: getInstalledStrapiVersion(projectDir)
+    });
+
+    if (manifestErrors.length > 0) {
+        console.error('  ✗ Archive manifest validation failed:');
+        manifestErrors.forEach(err => console.error(`    - ${err}`));
+        manifestErrors.forEach(message => report.recordFailure({ phase: 'validation', message }));
+        throw abort('Archive manifest validation failed', EXIT_CODES.VALIDATION_FAILURE);
+    }
+
+    // INTEGRITY: every file must match the checksum recorded at export time, so damaged uploads
+    // and schema files are caught before anything is written
+    const checksums = await verifyChecksums(exportManifest, importPath);
+    const checksumErrors = describeChecksumErrors(checksums);
+    if (checksumErrors.length > 0) {
+        console.error('  ✗ Archive integrity check failed:');
+        checksumErrors.forEach(err => console.error(`    - ${err}`));
+        checksumErrors.forEach(message => report.recordFailure({ phase: 'validation', message }));
+        throw abort('Archive integrity check failed', EXIT_CODES.VALIDATION_FAILURE);
+    }
+    if (checksums) {
+        console.log(`  ✓ Verified ${checksums.checked} file checksums`);
+    } else if (signature.verified) {
+        // The signature then only vouches for data.json, not the schema code copied into the project
+        const message = describeUncoveredSignature(path.basename(inputPath));
+        console.error(`  ✗ ${message}`);
+        report.recordFailure({ phase: 'validation', message });
+        throw abort(message, EXIT_CODES.VALIDATION_FAILURE);
+    } else {
+        console.warn('  ! The archive records no file checksums (written by an older strapi-migrate); uploads and schema files are not verified');
+    }
+
+    if (upgradedFrom !== null) {
+        console.log(`  • Upgraded archive manifest from format v${upgradedFrom} to v${exportManifest.formatVersion}`);
+    }
+    console.log(`  • Archive: ${describeManifest(exportManifest)}`);
+    if (exportManifest.delta) {
+        const { since, baseline } = exportManifest.delta;
+        console.log(`  • Delta archive: changes since ${since}${baseline ? ` (baseline ${baseline.archive})` : ''}; the target must already hold the baseline`);
+        if (options.mirror) {
+            console.error('  ✗ --mirror needs a full archive: a delta archive only holds the changed documents');
+            throw abort('--mirror needs a full archive: a delta archive only holds the changed documents');
+        }
+    }
+    if (exportManifest.filters || exportManifest.closure?.referenced?.length > 0) {
+        console.log(`  • ${exportManifest.filters ? 'Filtered' : 'Document-level'} archive: only a subset of the exported types' documents`);
+        if (options.mirror) {
+            const message = exportManifest.filters
+                ? '--mirror needs a full archive: a filtered export only holds the documents matching its filters'
+                : '--mirror needs a full archive: a document-level export only holds the related documents that are referenced';
+            console.error(`  ✗ ${message}`);
+            throw abort(message);
+        }
+    }
+    if (exportManifest.plugins?.types?.length > 0) {
+        const { types, passwordHashes } = exportManifest.plugins;
+        console.log(`  • Plugin content types: ${types.join(', ')}${passwordHashes ? ' (with password hashes)' : ''}`);
+        if (!passwordHashes && types.includes('plugin::users-permissions.user')) {
+            console.log('  • Users were exported without password hashes: new users need a password reset, existing users keep theirs');
+        }
+    }
+    manifestWarnings.forEach(warning => console.warn(`  ! ${warning}`));
+
+    // MAPPING / TRANSFORM: archived content types are renamed up front, so every phase below
+    // works with the target UIDs
+    const archiveSchemas = readSchemaFiles(importPath);
+    if (mapping) {
+        let renamed;
+        try {
+            renamed = mapping.applyToArchive(exportManifest, archiveSchemas);
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            throw abort(e.message);
+        }
+        console.log(`  • Mapping: ${mapping.name} (keeping the project's schema files)`);
+        renamed.forEach(({ from, to }) => console.log(`    ${from} → ${to}`));
+    }
+    if (transform) {
+        let renamed;
+        try {
+            renamed = transform.applyToManifest(exportManifest);
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            throw abort(e.message);
+        }
+        console.log(`  • Transform: ${transform.name}`);
+        renamed.forEach(({ from, to }) => console.log(`    ${from} → ${to}`));
+    }
+
+    // SCHEMA CHECK: compares the archive's schemas with the target's before anything is written.
+    // Without a loaded instance the target's schema files stand in for the definitions Strapi boots with.
+    // A transform is expected to bridge the differences it was written for, so they only warn.
+    if (!options.clean) {
+        let incoming = mapping ? mapping.applyToSchemas(archiveSchemas) : archiveSchemas;
+        if (transform) {
+            incoming = { ...incoming };
+            incoming.contentTypes = Object.fromEntries(Object.entries(incoming.contentTypes).map(([uid, schema]) => [transform.mapUid(uid), schema]));
+        }
+        const differences = compareSchemas(incoming, getTargetSchemas(strapi, projectDir), {
+            schemaSync: !options.skipSchema
+        });
+        const breaking = differences.filter(difference => difference.breaking);
+
+        if (differences.length > 0) {
+            console.log('\n=== Phase: Schema Compatibility Check ===');
+            for (const difference of differences) {
+                report.recordSchemaDifference(difference);
+                const line = `${difference.uid}${difference.attribute ? `.${difference.attribute}` : ''}: ${difference.message}`;
+                if (difference.breaking) console.error(`  ✗ ${line}`);
+                else console.warn(`  ! ${line}`);
+            }
+        }
+        if (breaking.length > 0 && options.force) {
+            console.warn(`  ! Importing despite ${breaking.length} breaking schema difference(s) (--force)`);
+        } else if (breaking.length > 0 && transform) {
+            console.warn(`  ! Leaving ${breaking.length} breaking schema difference(s) to the transform ${transform.name}`);
+        } else if (breaking.length > 0) {
+            breaking.forEach(difference => report.recordFailure({
+                phase: 'validation',
+                message: `Breaking schema difference on ${difference.uid}${difference.attribute ? `.${difference.attribute}` : ''}: ${difference.message}`
+            }));
+            console.error(`  ✗ Import blocked by ${breaking.length} breaking schema difference(s); use --force to import anyway`);
+            throw abort(`Import blocked by ${breaking.length} breaking schema difference(s)`, EXIT_CODES.VALIDATION_FAILURE);
+        }
+    }
+
+    if (resumable) {
+        const fingerprint = getManifestFingerprint(path.join(importPath, 'data.json'));
+        if (previousCheckpoint && previousCheckpoint.fingerprint !== fingerprint) {
+            console.error(`  ✗ Checkpoint ${checkpointPath} belongs to a different archive`);
+            throw abort(`Checkpoint ${checkpointPath} belongs to a different archive; import without --resume to start over`);
+        }
+        checkpoint = createCheckpoint(checkpointPath, {
+            archive: userInputPath,
+            importPath,
+            fingerprint,
+            snapshot: null
+        }, options.mediaIdMap, previousCheckpoint && { ...previousCheckpoint, importPath });
+        if (previousCheckpoint) {
+            const done = previousCheckpoint.completedPhases;
+            console.log(`  • Resuming interrupted import (completed phases: ${done.length > 0 ? done.join(', ') : 'none'})`);
+        }
+        options = { ...options, checkpoint };
+    }
+
+    // CONFLICTS: variants kept on the target are remembered (in the checkpoint, when there is one)
+    // so the linking pass leaves them alone, also after a resume; so are the variants written,
+    // which become the sync baseline of the next import
+    if (checkpoint && !checkpoint.data.skipped) checkpoint.data.skipped = {};
+    if (checkpoint && !checkpoint.data.synced) checkpoint.data.synced = {};
+    options = {
+        ...options,
+        conflicts: createConflictResolver({
+            strategy: options.onConflict,
+            prompt: options.resolveConflict,
+            reporter: report,
+            skipped: checkpoint ? checkpoint.data.skipped : {},
+            synced: checkpoint ? checkpoint.data.synced : {}
+        })
+    };
+
+    // SNAPSHOT: capture everything this import is about to touch so `restore` can undo it.
+    // Schema files are captured now, before the pre-boot sync overwrites them; database state after boot.
+    // A resumed import keeps the snapshot of the interrupted run, which holds the state before either.
+    let snapshot = null;
+    let snapshotPath = previousCheckpoint ? previousCheckpoint.snapshot : null;
+    if (previousCheckpoint) {
+        if (snapshotPath) console.log(`  • Pre-import snapshot of the interrupted run: ${snapshotPath}`);
+    } else if (!options.clean && !options.dryRun && options.snapshot !== false) {
+        try {
+            snapshot = createSnapshot(path.basename(userInputPath), options);
+            if (!options.skipSchema) snapshotSchemaFiles(snapshot, importPath);
+        } catch (e) {
+            console.error(`  ✗ Failed to create pre-import snapshot: ${e.message}`);
+            if (snapshot) discardSnapshot(snapshot);
+            throw abort(`Failed to create pre-import snapshot: ${e.message}`);
+        }
+    }
+
+    // ATOMIC MODE: record every project file this run touches so it can be restored on failure.
+    let fileJournal = null;
+    if (options.atomic && options.clean) {
+        console.warn('  ! --atomic has no effect in clean-only mode');
+    } else if (options.atomic && !options.dryRun) {
+        fileJournal = createFileJournal();
+        options = { ...options, fileJournal };
+    }
+
+    // EAGER SCHEMA SYNC:
+    // We must import the schema BEFORE loading Strapi so that Strapi boots
+    // with the correct content type definitions (e.g. localization enabled).
+    // We skip this if we are in 'clean' mode (as we exit early) or if requested to skip.
+
+    if (!options.clean && !options.skipSchema && checkpoint && checkpoint.isPhaseDone('schema')) {
+        console.log('\n  • Skipping schema phase (completed before the interruption)');
+    } else if (!options.clean && !options.skipSchema) {
+        console.log('\n=== Phase: Source Code Import (Pre-Boot) ===');
+        report.startPhase('schema');
+        try {
+            importSourceCode(importPath, options);
+            if (checkpoint) checkpoint.completePhase('schema');
+        } catch (e) {
+            console.error(`  ✗ Import aborted during schema sync: ${e.message}`);
+            if (fileJournal) {
+                fileJournal.restore();
+                console.error('  • Restored schema files to their previous state');
+                report.data.rolledBack = true;
+            }
+            if (snapshot && fileJournal) {
+                discardSnapshot(snapshot);
+            } else if (snapshot) {
+                snapshotPath = await writeSnapshot(snapshot);
+                console.error(`  • Schema snapshot saved: ${snapshotPath}`);
+            }
+            throw abort(`Import aborted during schema sync: ${e.message}`, report.exitCode());
+        }
+    }
+
+    if (!strapi) {
+      try {
+        strapi = await loadLocalStrapi(projectDir);
+      } catch (err) {
+        // JIT REPAIR STRATEGY:
+        // If Strapi fails to load (likely due to broken schema from previous bad state),
+        // and we are requested to CLEAN and NOT SKIP SCHEMA, we can try to repair the schema first.
+        if (options.clean && !options.skipSchema) {
+            console.warn("  ! Strapi failed to load. Attempting JIT schema repair from export...");
+            try {
+                importSourceCode(importPath, options);
+                console.log("    ✓ JIT repair applied. Retrying Strapi load...");
+                strapi = await loadLocalStrapi(projectDir);
+            } catch (repairErr) {
+                 console.error("  ✗ Failed to load Strapi after JIT repair attempts:", repairErr.message);
+                 throw abort(`Failed to load Strapi after JIT repair: ${repairErr.message}`);
+            }
+        } else {
+            console.error("  ✗ Error loading Strapi:", err.message);
+            if (snapshot) {
+                snapshotPath = await writeSnapshot(snapshot);
+                console.error(`  • Schema snapshot saved: ${snapshotPath}`);
+            }
+            if (fileJournal) {
+                fileJournal.restore();
+                console.error('  • Restored schema files to their previous state');
+            }
+            throw abort(`Error loading Strapi: ${err.message}`);
+        }
+      }
+    }
+
+    // If clean was requested, we exit here (Clean ONLY mode)
+    if (options.clean) {
+        await cleanTarget(strapi, exportManifest, importPath, options);
+        console.log('\n  ✓ Cleanup finished. Exiting (clean-only mode).');
+        saveReport();
+        const data = report.finish();
+        return { exitCode: data.summary.exitCode, snapshot: null, summary: data.summary, report: data };
+    }
+
+    // MEDIA STORAGE: public/uploads, or the upload provider configured in the target (e.g. S3)
+    if (!options.skipMedia && !options.dryRun) {
+        try {
+            options = { ...options, storage: resolveStorage(strapi, options) };
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            throw abort(e.message);
+        }
+        console.log(`  • Media storage: ${options.storage.name}`);
+    }
+
+    // PLUGIN TYPES: roles, permissions and users the target holds under another documentId are
+    // matched by natural key, so every phase below updates and links them instead of duplicating them
+    if (exportManifest.plugins?.types?.length > 0) {
+        // Plugin schemas are not part of the archive: the target must have the plugins installed
+        exportManifest.plugins.types.filter(uid => !strapi.contentTypes[uid]).forEach(uid => {
+            console.warn(`  ! ${uid} is not installed on the target; its entries are skipped`);
+        });
+        try {
+            const pluginMatches = await matchPluginDocuments(strapi, exportManifest, importPath);
+            if (pluginMatches.count > 0) {
+                console.log(`  • Matched ${pluginMatches.count} plugin document(s) to target documents by natural key (role type, permission action, user email)`);
+            }
+            options = { ...options, pluginMatches };
+        } catch (e) {
+            console.error(`  ✗ Failed to match plugin documents: ${e.message}`);
+            throw abort(`Failed to match plugin documents: ${e.message}`);
+        }
+    }
+
+    // DELETIONS: recorded by a delta archive, or with --mirror every target variant of the archived
+    // types that the archive lacks. Listed before the snapshot so it captures the deleted documents.
+    let deletions = exportManifest.delta ? exportManifest.delta.deletions : {};
+    if (options.mirror) {
+        try {
+            deletions = await findMirrorDeletions(strapi, exportManifest, importPath, options);
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            throw abort(e.message);
+        }
+        const count = Object.values(deletions).reduce((sum, records) => sum + records.length, 0);
+        console.log(`  • Mirror: ${count} target variant(s) missing from the archive will be deleted`);
+    }
+    options = { ...options, deletions };
+
+    if (snapshot) {
+        console.log('\n=== Phase: Pre-Import Snapshot ===');
+        report.startPhase('snapshot');
+        try {
+            await snapshotDatabase(snapshot, strapi, exportManifest, importPath, deletions, options.pluginMatches);
+            snapshotPath = await writeSnapshot(snapshot);
+            if (checkpoint) {
+                checkpoint.data.snapshot = snapshotPath;
+                checkpoint.flush();
+            }
+            console.log(`  ✓ Snapshot saved: ${snapshotPath}`);
+            console.log(`    Undo this import with: strapi-migrate restore ${path.relative(process.cwd(), snapshotPath)}`);
+        } catch (e) {
+            console.error(`  ✗ Failed to create pre-import snapshot: ${e.message}`);
+            if (!options.skipSchema) {
+                restoreSchemaFiles(snapshot.dir, snapshot.manifest.snapshot.schemaFiles, options);
+                console.error('  • Restored schema files to their previous state');
+            }
+            discardSnapshot(snapshot);
+            if (fileJournal) fileJournal.discard();
+            throw abort(`Failed to create pre-import snapshot: ${e.message}`);
+        }
+    }
+
+    if (fileJournal) {
+        if (typeof strapi.db?.transaction !== 'function') {
+            console.error('  ✗ --atomic requires database transaction support (strapi.db.transaction)');
+            fileJournal.restore();
+            throw abort('--atomic requires database transaction support (strapi.db.transaction)');
+        }
+
+        // ATOMIC MODE: all database phases share one transaction; any failed entry rolls back
+        // every DB change and restores the schema and upload files touched by this run.
+        try {
+            await strapi.db.transaction(async () => {
+                await importDatabaseContent(strapi, exportManifest, importPath, options);
+            });
+            fileJournal.discard();
+        } catch (e) {
+            console.error(`\n  ✗ Atomic import failed: ${e.message}`);
+            console.error('  • Database transaction rolled back');
+            try {
+                const restored = fileJournal.restore();
+                console.error(`  • Restored ${restored} schema/upload file(s) to their previous state`);
+                const deleted = options.storage ? await options.storage.undo() : 0;
+                if (deleted > 0) console.error(`  • Deleted ${deleted} media file(s) uploaded to ${options.storage.name}`);
+                // Nothing changed, so the pre-import snapshot is no restore point
+                if (snapshotPath) {
+                    fs.rmSync(snapshotPath, { force: true });
+                    console.error('  • Removed the pre-import snapshot (nothing to restore)');
+                    snapshotPath = null;
+                }
+            } catch (restoreErr) {
+                console.error(`  ! Failed to restore files: ${restoreErr.message}`);
+                if (snapshotPath) console.error(`  • The pre-import snapshot is kept: ${snapshotPath}`);
+            }
+            if (!report.hasFailures()) report.recordFailure({ phase: 'import', message: e.message });
+            report.data.rolledBack = true;
+            throw abort(`Atomic import failed: ${e.message}`, report.exitCode());
+        }
+    } else {
+        reachedDataPhases = true;
+        try {
+            await importDatabaseContent(strapi, exportManifest, importPath, options);
+        } catch (e) {
+            // With --fail-fast the failure was already recorded by handleImportError
+            if (!options.failFast || !report.hasFailures()) {
+                report.recordFailure({ phase: 'import', message: e.message });
+            }
+            console.error(`\n  ✗ Import aborted: ${e.message}`);
+            report.data.aborted = true;
+            throw abort(`Import aborted: ${e.message}`, report.exitCode());
+        }
+    }
+
+    console.log('\n=== Execution Summary ===');
+    const exitCode = report.exitCode();
+    const failureCount = report.data.errors.length;
+    const conflicts = report.data.conflicts;
+    if (conflicts.length > 0) {
+        const kept = conflicts.filter(conflict => conflict.resolution === 'kept-target').length;
+        console.log(`  • ${conflicts.length} conflict(s): ${conflicts.length - kept} overwritten, ${kept} kept on the target`);
+    }
+    if (exitCode === EXIT_CODES.SUCCESS) {
+        console.log('  ✓ Import operations completed');
+    } else if (exitCode === EXIT_CODES.PARTIAL_FAILURE) {
+        console.warn(`  ! Import completed with ${failureCount} failure(s)`);
+    } else {
+        console.error(`  ✗ Import failed: ${failureCount} failure(s), nothing was imported successfully`);
+    }
+    saveReport();
+    if (checkpoint) checkpoint.remove();
+
+    const data = report.finish();
+    return { exitCode, snapshot: snapshotPath, summary: data.summary, report: data };
+  } catch (err) {
+    // Keep the checkpoint, extracted archive and download once entries may have been imported,
+    // so the run can be continued with --resume instead of starting over
+    if (checkpoint && (reachedDataPhases || previousCheckpoint)) {
+        checkpoint.flush();
+        keepForResume = true;
+        console.error(`  • Progress saved to ${checkpoint.filePath}`);
+        console.error(`    Resume with: strapi-migrate import ${userInputPath} --resume`);
+    } else if (checkpoint) {
+        checkpoint.remove();
+    }
+    throw err;
+  } finally {
+    if (tempDir && !keepForResume) {
+        try {
+          fs.rmSync(tempDir, { recursive: true, force: true });
+          console.log("  ✓ Temporary files cleaned up");
+        } catch(e) {}
+    }
+
+    if (downloadPath && !keepForResume) {
+        try { fs.rmSync(downloadPath, { force: true }); } catch(e) {}
+    }
+
+    if (strapi && ownsStrapi) await strapi.destroy();
+  }
+}
+
+/**
+ * CLI entry point for `strapi-migrate import`. Runs importData against the project in the
+ * current working directory and exits the process with the resulting exit code.
+ * @async
+ * @param {string} userInputPath - Path to the export (file path, directory, or URL)
+ * @param {Object} [options={}] - Import options (see importData)
+ * @returns {Promise<void>} Resolves when import is complete (exits process with one of
+ * EXIT_CODES: 0 success, 1 fatal error, 2 partial failure, 3 total failure, 4 validation failure)
+ * @example
+ * // Import from local archive
+ * await runImport('./export-data/export-2024.tar.gz');
+ *
+ * // Import from URL with cleanup
+ * await runImport('https://example.com/export.tar.gz', { clean: true });
+ *
+ * // Dry run to preview changes
+ * await runImport('./export.tar.gz', { dryRun: true });
+ */
+async function runImport(userInputPath, options = {}) {
+  console.log('\n=== Strapi Import Tool ===');
+
+  try {
+      const result = await importData({
+          ...options,
+          archive: userInputPath,
+          projectDir: process.cwd(),
+          resolveConflict: options.onConflict === 'prompt' && process.stdin.isTTY ? createConflictPrompt() : undefined,
+          passphrase: process.stdin.isTTY ? createPassphrasePrompt() : undefined
+      });
+      process.exit(result.exitCode);
+  } catch (err) {
+      // Aborted runs were already logged; anything else is reported here
+      if (err.exitCode === undefined) console.error(`  ✗ ${err.message}`);
+      process.exit(err.exitCode === undefined ? EXIT_CODES.FATAL : err.exitCode);
+  }
 }
 
 module.exports = {
-    runImport
+    runImport,
+    importData,
+    importMedia,
+    importEntities,
+    linkEntities,
+    importSingleTypes,
+    findSingleTypeDocument,
+    handleImportError
 };
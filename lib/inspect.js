@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Archive inspection module
+ * @description Summarizes an export archive without a Strapi project: the manifest metadata,
+ * content types with entry counts per locale and publication state, media, bundled APIs and
+ * components, view configurations and locales. Archives are read from disk or downloaded from
+ * a URL into a temporary directory; nothing is written to the current project.
+ * @module strapi-migrate/inspect
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { downloadFile, isArchivePath, extractArchive } = require('./utils');
+const { loadManifest, readTypeEntries, describeManifest } = require('./manifest');
+const { readSchemaFiles } = require('./schema-check');
+const { loadKey, createPassphrasePrompt } = require('./archive-crypto');
+const { describeFilters } = require('./filters');
+const { EXIT_CODES } = require('./report');
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "1.4 MB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Returns the total size of the files below a directory.
+ * @param {string} dir - Directory to measure
+ * @returns {{ files: number, bytes: number }} File count and total size
+ */
+function measureDir(dir) {
+    const result = { files: 0, bytes: 0 };
+    if (!fs.existsSync(dir)) return result;
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+            const nested = measureDir(fullPath);
+            result.files += nested.files;
+            result.bytes += nested.bytes;
+        } else {
+            result.files++;
+            result.bytes += fs.statSync(fullPath).size;
+        }
+    }
+    return result;
+}
+
+/**
+ * Counts the archived entries of a content type per locale and publication state.
+ * @async
+ * @param {Object} manifest - A validated manifest
+ * @param {string} importPath - Root directory of the extracted archive
+ * @param {string} uid - Content type UID
+ * @returns {Promise<{ count: number, locales: Object<string, { published: number, draft: number }> }>}
+ * Counts; entries without a locale are counted under "(none)"
+ */
+async function countEntries(manifest, importPath, uid) {
+    const result = { count: 0, locales: {} };
+    for await (const entry of readTypeEntries(manifest, importPath, uid)) {
+        const locale = entry.locale || '(none)';
+        const counts = result.locales[locale] || (result.locales[locale] = { published: 0, draft: 0 });
+        counts[entry.publishedAt ? 'published' : 'draft']++;
+        result.count++;
+    }
+    return result;
+}
+
+/**
+ * Summarizes an export archive.
+ * @async
+ * @param {Object} options - Inspect options
+ * @param {string} options.archive - Archive (.tar.gz, .tar.gz.enc or extracted folder) or http(s) URL
+ * @param {string} [options.projectDir=process.cwd()] - Directory relative paths resolve from
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase of an encrypted
+ * archive (default: STRAPI_MIGRATE_PASSPHRASE)
+ * @param {string} [options.decryptKey] - Private key (PEM file) of an archive encrypted for a public key
+ * @returns {Promise<Object>} { archive, format, createdAt, delta, filters, closure, plugins, encrypted, signed, contentTypes,
+ * media, apis, components, views, locales, defaultLocale }
+ * @throws {Error} If the archive is missing, cannot be downloaded, decrypted or extracted, or its
+ * manifest is invalid
+ * @example
+ * const { contentTypes, media } = await inspectArchive({ archive: './export.tar.gz' });
+ */
+async function inspectArchive(options = {}) {
+    const projectDir = path.resolve(options.projectDir || process.cwd());
+    if (!options.archive) throw new Error('No archive given to inspect');
+    const decryptKey = options.decryptKey ? loadKey(options.decryptKey, 'private', projectDir) : null;
+
+    let downloadDir = null;
+    let tempDir = null;
+    try {
+        let archive;
+        if (/^https?:\/\//.test(options.archive)) {
+            // The archive is extracted next to the download, so both go with the temporary directory
+            downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-inspect-'));
+            const name = path.basename(new URL(options.archive).pathname);
+            archive = path.join(downloadDir, isArchivePath(name) ? name : 'download.tar.gz');
+            await downloadFile(options.archive, archive);
+        } else {
+            archive = path.resolve(projectDir, options.archive);
+            if (!fs.existsSync(archive)) {
+                throw new Error(`Archive not found: ${archive}`);
+            }
+        }
+
+        let importPath = archive;
+        let encrypted = false;
+        let signature = null;
+        if (isArchivePath(archive)) {
+            ({ tempDir, importPath, encrypted, signature } = await extractArchive(archive, {
+                passphrase: options.passphrase,
+                decryptKey
+            }));
+        }
+
+        const { manifest, errors } = await loadManifest(importPath);
+        if (errors.length > 0) {
+            throw new Error(`Archive ${path.basename(archive)} is invalid: ${errors.join('; ')}`);
+        }
+
+        const schemas = readSchemaFiles(importPath);
+        const contentTypes = {};
+        for (const uid of Object.keys(manifest.contentTypes)) {
+            contentTypes[uid] = {
+                kind: schemas.contentTypes[uid]?.kind || null,
+                ...await countEntries(manifest, importPath, uid)
+            };
+        }
+
+        const apiRoot = path.join(importPath, 'src', 'api');
+        const uploads = measureDir(path.join(importPath, 'uploads'));
+        return {
+            archive: options.archive,
+            format: describeManifest(manifest),
+            createdAt: manifest.createdAt || null,
+            delta: manifest.delta ? { since: manifest.delta.since, baseline: manifest.delta.baseline?.archive || null } : null,
+            filters: manifest.filters || null,
+            closure: manifest.closure || null,
+            plugins: manifest.plugins || null,
+            encrypted,
+            signed: Boolean(signature?.signed),
+            contentTypes,
+            media: {
+                count: (manifest.media || []).length,
+                files: uploads.files,
+                bytes: uploads.bytes
+            },
+            apis: fs.existsSync(apiRoot)
+                ? fs.readdirSync(apiRoot, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort()
+                : [],
+            components: Object.keys(schemas.components).sort(),
+            views: Object.keys(manifest.views || {}),
+            locales: (manifest.locales || []).map(locale => locale.code).filter(Boolean),
+            defaultLocale: manifest.defaultLocale || null
+        };
+    } finally {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+        if (downloadDir) fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Prints an inspectArchive result.
+ * @param {Object} result - inspectArchive result
+ */
+function printInspect(result) {
+    console.log(`  • Archive: ${result.archive}`);
+    console.log(`  • Format: ${result.format}`);
+    if (result.createdAt) console.log(`  • Created: ${result.createdAt}`);
+    if (result.delta) {
+        console.log(`  • Delta archive: changes since ${result.delta.since}${result.delta.baseline ? ` (baseline ${result.delta.baseline})` : ''}`);
+    }
+    if (result.filters) console.log(`  • Filtered export: ${describeFilters(result.filters)}`);
+    if (result.closure?.referenced?.length > 0) {
+        const depth = result.closure.maxDepth === null ? '' : `, up to ${result.closure.maxDepth} relation hop(s) away`;
+        console.log(`  • Referenced documents only for ${result.closure.referenced.join(', ')}${depth} (dangling relations: ${result.closure.dangling})`);
+    }
+    if (result.plugins?.types?.length > 0) {
+        console.log(`  • Plugin content types: ${result.plugins.types.join(', ')} (password hashes ${result.plugins.passwordHashes ? 'included' : 'left out'})`);
+    }
+    if (result.encrypted) console.log('  • Encrypted');
+    if (result.signed) console.log('  • Signed (check the signature with verify --verify-key)');
+
+    console.log('\n=== Content Types ===');
+    const uids = Object.keys(result.contentTypes);
+    if (uids.length === 0) console.log('  (none)');
+    for (const uid of uids) {
+        const type = result.contentTypes[uid];
+        console.log(`  • ${uid}${type.kind ? ` (${type.kind})` : ''}: ${type.count} entries`);
+        for (const [locale, counts] of Object.entries(type.locales)) {
+            console.log(`      ${locale}: ${counts.published} published, ${counts.draft} draft`);
+        }
+    }
+
+    console.log('\n=== Media ===');
+    console.log(`  • ${result.media.count} media entries, ${result.media.files} files (${formatBytes(result.media.bytes)})`);
+
+    console.log('\n=== Schema Files ===');
+    console.log(`  • APIs: ${result.apis.length > 0 ? result.apis.join(', ') : '(none)'}`);
+    console.log(`  • Components: ${result.components.length > 0 ? result.components.join(', ') : '(none)'}`);
+
+    console.log('\n=== View Configurations ===');
+    console.log(`  • ${result.views.length > 0 ? result.views.join(', ') : '(none)'}`);
+
+    console.log('\n=== Locales ===');
+    if (result.locales.length === 0) {
+        console.log('  • (none)');
+    } else {
+        console.log(`  • ${result.locales.map(code => (code === result.defaultLocale ? `${code} (default)` : code)).join(', ')}`);
+    }
+}
+
+/**
+ * CLI entry point for `strapi-migrate inspect`. Prints the summary of an archive or URL (or the
+ * inspectArchive result as JSON with --json) without a Strapi project.
+ * @async
+ * @param {string} archive - Archive path or URL
+ * @param {Object} [options={}] - Inspect options (see inspectArchive), plus `json`
+ * @returns {Promise<void>} Exits the process when done (0, or 1 on errors)
+ */
+async function runInspect(archive, options = {}) {
+    if (!options.json) console.log('\n=== Strapi Inspect Tool ===');
+
+    // Download progress goes to stderr so --json output stays parseable
+    const log = console.log;
+    if (options.json) console.log = console.error;
+    try {
+        const result = await inspectArchive({
+            ...options,
+            archive,
+            projectDir: process.cwd(),
+            passphrase: process.stdin.isTTY && !options.json ? createPassphrasePrompt() : undefined
+        });
+        console.log = log;
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printInspect(result);
+        }
+        process.exit(EXIT_CODES.SUCCESS);
+    } catch (err) {
+        console.log = log;
+        console.error(`  ✗ ${err.message}`);
+        process.exit(EXIT_CODES.FATAL);
+    }
+}
+
+module.exports = {
+    inspectArchive,
+    runInspect
+};
@@ -0,0 +1,578 @@
+/**
+ * @fileoverview Archive manifest helpers for strapi-migrate
+ * @description Builds, upgrades and validates the versioned manifest (data.json) stored in
+ * every export archive, so that archives produced by other tool versions are detected
+ * before any import work begins.
+ * @module strapi-migrate/manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const packageJson = require('../package.json');
+const { readNdjson, hashNdjson } = require('./ndjson');
+
+/**
+ * Identifier written to every manifest produced by this tool.
+ * @type {string}
+ */
+const MANIFEST_FORMAT = 'strapi-migrate';
+
+/**
+ * Current archive format version. Bump whenever the layout of data.json changes
+ * in a way older importers cannot read, and add a matching step to upgradeManifest.
+ * @type {number}
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Directory inside the archive holding one NDJSON file per content type.
+ * @type {string}
+ */
+const CONTENT_DIR = 'content';
+
+/**
+ * Directory inside delta archives holding one NDJSON file of document variant keys per content type.
+ * @type {string}
+ */
+const DELTA_DIR = 'delta';
+
+/**
+ * Files of an export directory left out of its checksums: the manifest holding them and the
+ * signature written after it.
+ * @type {string[]}
+ */
+const CHECKSUM_EXCLUDED = ['data.json', 'signature.json'];
+
+/**
+ * Computes the SHA-256 hash of a JSON-serializable value.
+ * @param {*} value - The value to hash
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashContent(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Extracts the major version number from a semver string.
+ * @param {string | null | undefined} version - Version string (e.g. "5.12.3")
+ * @returns {number | null} Major version, or null if it cannot be parsed
+ */
+function getMajorVersion(version) {
+    const match = typeof version === 'string' ? version.match(/^\D*(\d+)/) : null;
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Builds the archive-relative NDJSON file name for a content type.
+ * @param {string} uid - Content type UID (e.g. "api::article.article")
+ * @returns {string} Relative path such as "content/api__article.article.ndjson"
+ */
+function getContentFileName(uid) {
+    return `${CONTENT_DIR}/${uid.replace(/::/g, '__').replace(/[^\w.-]/g, '_')}.ndjson`;
+}
+
+/**
+ * Builds the archive-relative NDJSON file name of a content type's key index in a delta archive.
+ * @param {string} uid - Content type UID (e.g. "api::article.article")
+ * @returns {string} Relative path such as "delta/api__article.article.ndjson"
+ */
+function getKeyIndexFileName(uid) {
+    return `${DELTA_DIR}/${uid.replace(/::/g, '__').replace(/[^\w.-]/g, '_')}.ndjson`;
+}
+
+/**
+ * Reads the Strapi version and database client from a loaded Strapi instance.
+ * @param {Object} strapi - The Strapi application instance
+ * @returns {{ strapiVersion: string | null, dbClient: string | null }} Source environment details
+ */
+function getSourceInfo(strapi) {
+    let strapiVersion = null;
+    let dbClient = null;
+
+    try {
+        strapiVersion = strapi.config.get('info.strapi') || null;
+    } catch (e) {}
+
+    try {
+        dbClient = strapi.db?.dialect?.client || strapi.config.get('database.connection.client') || null;
+    } catch (e) {}
+
+    return {
+        strapiVersion: strapiVersion ? String(strapiVersion) : null,
+        dbClient: dbClient ? String(dbClient) : null
+    };
+}
+
+/**
+ * Resolves the @strapi/strapi version installed in a project without booting it.
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
+ * @returns {string | null} Installed Strapi version, or null if it cannot be resolved
+ */
+function getInstalledStrapiVersion(projectDir = process.cwd()) {
+    try {
+        const pkgPath = require.resolve('@strapi/strapi/package.json', { paths: [projectDir] });
+        return require(pkgPath).version || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates an empty manifest stamped with format, tool and source metadata.
+ * @param {Object} [strapi] - The Strapi application instance the data is read from (source info
+ * is left empty when omitted)
+ * @returns {Object} A manifest ready to be filled by the export
+ * @example
+ * const manifest = createManifest(strapi);
+ * manifest.contentTypes['api::article.article'] = { file, count, sha256 };
+ */
+function createManifest(strapi) {
+    return {
+        format: MANIFEST_FORMAT,
+        formatVersion: FORMAT_VERSION,
+        tool: {
+            name: packageJson.name,
+            version: packageJson.version
+        },
+        source: strapi ? getSourceInfo(strapi) : { strapiVersion: null, dbClient: null },
+        createdAt: new Date().toISOString(),
+        contentTypes: {},
+        media: [],
+        mediaSha256: null,
+        views: {},
+        locales: [],
+        defaultLocale: null
+    };
+}
+
+/**
+ * Records per-type counts and content hashes for inline (pre-v2) entry arrays.
+ * @param {Object} manifest - The manifest holding a `types` object (mutated in place)
+ * @returns {Object} The same manifest
+ */
+function hashInlineTypes(manifest) {
+    manifest.contentTypes = {};
+    for (const [uid, entries] of Object.entries(manifest.types || {})) {
+        manifest.contentTypes[uid] = {
+            count: entries.length,
+            sha256: hashContent(entries)
+        };
+    }
+    return manifest;
+}
+
+/**
+ * Records the media metadata hash on a manifest. Call once all data is gathered.
+ * Per-type counts and hashes are recorded by the NDJSON writers as each type is exported.
+ * @param {Object} manifest - The manifest to finalize (mutated in place)
+ * @returns {Object} The same manifest
+ */
+function finalizeManifest(manifest) {
+    manifest.mediaSha256 = hashContent(manifest.media || []);
+    return manifest;
+}
+
+/**
+ * Upgrades a manifest written by an older tool version to the current format.
+ * Archives created before versioning (no formatVersion) are treated as format 0.
+ * @param {Object} manifest - The parsed data.json contents
+ * @returns {{ manifest: Object, upgradedFrom: number | null }} The upgraded manifest and the
+ * original format version if an upgrade was applied
+ */
+function upgradeManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return { manifest, upgradedFrom: null };
+    }
+
+    const originalVersion = Number.isInteger(manifest.formatVersion) ? manifest.formatVersion : 0;
+    if (originalVersion >= FORMAT_VERSION) {
+        return { manifest, upgradedFrom: null };
+    }
+
+    let upgraded = { ...manifest };
+
+    // 0 -> 1: unversioned archives carry no metadata; hashes are computed from the data as found.
+    if (originalVersion < 1) {
+        upgraded = finalizeManifest(hashInlineTypes({
+            format: MANIFEST_FORMAT,
+            formatVersion: 1,
+            tool: { name: packageJson.name, version: null },
+            source: { strapiVersion: null, dbClient: null },
+            createdAt: upgraded.createdAt || null,
+            types: upgraded.types || {},
+            media: upgraded.media || [],
+            views: upgraded.views || {},
+            locales: upgraded.locales || [],
+            defaultLocale: upgraded.defaultLocale || null
+        }));
+    }
+
+    // 1 -> 2: entries stay inline in data.json; contentTypes without a `file` are read from `types`.
+    if (originalVersion < 2) {
+        upgraded.formatVersion = 2;
+    }
+
+    return { manifest: upgraded, upgradedFrom: originalVersion };
+}
+
+/**
+ * Validates a manifest against the current format.
+ * Structural problems and hash mismatches are errors; environment differences are warnings.
+ * @param {Object} manifest - The (upgraded) manifest to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {string | null} [options.targetStrapiVersion] - Strapi version installed on the target
+ * @returns {{ errors: string[], warnings: string[] }} Validation findings
+ * @example
+ * const { errors } = validateManifest(manifest);
+ * if (errors.length > 0) throw new Error(errors.join('\n'));
+ */
+function validateManifest(manifest, options = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        errors.push('data.json does not contain a manifest object');
+        return { errors, warnings };
+    }
+
+    if (manifest.format !== MANIFEST_FORMAT) {
+        errors.push(`Unknown archive format "${manifest.format}" (expected "${MANIFEST_FORMAT}")`);
+    }
+
+    if (!Number.isInteger(manifest.formatVersion)) {
+        errors.push('Manifest is missing a numeric formatVersion');
+    } else if (manifest.formatVersion > FORMAT_VERSION) {
+        const creator = manifest.tool?.version ? `strapi-migrate ${manifest.tool.version}` : 'a newer strapi-migrate';
+        errors.push(`Archive was created by ${creator} (format v${manifest.formatVersion}), but this is strapi-migrate ${packageJson.version} (supports up to format v${FORMAT_VERSION}). Upgrade strapi-migrate to import it.`);
+    }
+
+    // Stop here: a newer format may legitimately have a different structure.
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+
+    if (!manifest.contentTypes || typeof manifest.contentTypes !== 'object' || Array.isArray(manifest.contentTypes)) {
+        errors.push('Manifest "contentTypes" must be an object keyed by content type UID');
+    }
+    if (manifest.types && (typeof manifest.types !== 'object' || Array.isArray(manifest.types))) {
+        errors.push('Manifest "types" must be an object keyed by content type UID');
+    }
+    if (!Array.isArray(manifest.media)) {
+        errors.push('Manifest "media" must be an array');
+    }
+    if (manifest.views && (typeof manifest.views !== 'object' || Array.isArray(manifest.views))) {
+        errors.push('Manifest "views" must be an object keyed by content type UID');
+    }
+    if (manifest.locales && !Array.isArray(manifest.locales)) {
+        errors.push('Manifest "locales" must be an array');
+    }
+    if (manifest.delta !== undefined) {
+        const delta = manifest.delta;
+        const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isMap(delta) || typeof delta.since !== 'string' || !isMap(delta.deletions)
+            || Object.values(delta.deletions).some(records => !Array.isArray(records))) {
+            errors.push('Manifest "delta" must have a "since" date and "deletions" lists keyed by content type UID');
+        } else if (delta.documents !== undefined && (!isMap(delta.documents)
+            || Object.values(delta.documents).some(index => !isMap(index) || typeof index.file !== 'string' || !Number.isInteger(index.count)))) {
+            errors.push('Manifest "delta.documents" must list a key index file and count per content type UID');
+        } else {
+            for (const [uid, index] of Object.entries(delta.documents || {})) {
+                const normalized = path.posix.normalize(index.file);
+                if (normalized !== index.file || !normalized.startsWith(`${DELTA_DIR}/`)) {
+                    errors.push(`Key index for ${uid} must live under ${DELTA_DIR}/: ${index.file}`);
+                }
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+
+    const inlineTypes = manifest.types || {};
+    for (const [uid, expected] of Object.entries(manifest.contentTypes)) {
+        if (!expected || typeof expected !== 'object' || !Number.isInteger(expected.count)) {
+            errors.push(`Content type ${uid} has no entry count in the manifest`);
+            continue;
+        }
+
+        if (expected.file) {
+            // Content files are checked against the extracted archive by verifyContentFiles
+            const normalized = path.posix.normalize(expected.file);
+            if (normalized !== expected.file || !normalized.startsWith(`${CONTENT_DIR}/`)) {
+                errors.push(`Content file for ${uid} must live under ${CONTENT_DIR}/: ${expected.file}`);
+            }
+            continue;
+        }
+
+        const entries = inlineTypes[uid];
+        if (!Array.isArray(entries)) {
+            errors.push(`Content type ${uid} is listed in the manifest but has no data`);
+            continue;
+        }
+        if (expected.count !== entries.length) {
+            errors.push(`Entry count mismatch for ${uid}: manifest says ${expected.count}, archive contains ${entries.length}`);
+        }
+        if (expected.sha256 && expected.sha256 !== hashContent(entries)) {
+            errors.push(`Content hash mismatch for ${uid}: the archive data was modified or corrupted`);
+        }
+    }
+
+    for (const uid of Object.keys(inlineTypes)) {
+        if (!(uid in manifest.contentTypes)) {
+            errors.push(`Content type ${uid} is not listed in the manifest contentTypes`);
+        }
+    }
+
+    if (manifest.mediaSha256 && manifest.mediaSha256 !== hashContent(manifest.media)) {
+        errors.push('Media metadata hash mismatch: the archive data was modified or corrupted');
+    }
+
+    const sourceMajor = getMajorVersion(manifest.source?.strapiVersion);
+    const targetMajor = getMajorVersion(options.targetStrapiVersion);
+    if (sourceMajor !== null && targetMajor !== null && sourceMajor !== targetMajor) {
+        warnings.push(`Archive was exported from Strapi ${manifest.source.strapiVersion}, target runs Strapi ${options.targetStrapiVersion}`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Checks every per-type NDJSON file referenced by a manifest (content files and the key indexes of
+ * delta archives) against its recorded count and hash.
+ * Files are streamed, so this is safe to run on large archives before booting Strapi.
+ * @async
+ * @param {Object} manifest - A validated manifest
+ * @param {string} importPath - Root directory of the extracted archive
+ * @returns {Promise<string[]>} Error messages (empty when all files are intact)
+ */
+async function verifyContentFiles(manifest, importPath) {
+    const errors = [];
+
+    for (const [uid, expected] of Object.entries(manifest.contentTypes || {})) {
+        if (!expected.file) continue;
+
+        const filePath = path.join(importPath, expected.file);
+        if (!fs.existsSync(filePath)) {
+            errors.push(`Content file for ${uid} is missing: ${expected.file}`);
+            continue;
+        }
+
+        const actual = await hashNdjson(filePath);
+        if (actual.count !== expected.count) {
+            errors.push(`Entry count mismatch for ${uid}: manifest says ${expected.count}, ${expected.file} contains ${actual.count}`);
+        }
+        if (expected.sha256 && actual.sha256 !== expected.sha256) {
+            errors.push(`Content hash mismatch for ${uid}: ${expected.file} was modified or corrupted`);
+        }
+    }
+
+    for (const [uid, expected] of Object.entries(manifest.delta?.documents || {})) {
+        const filePath = path.join(importPath, expected.file);
+        if (!fs.existsSync(filePath)) {
+            errors.push(`Key index for ${uid} is missing: ${expected.file}`);
+            continue;
+        }
+
+        const actual = await hashNdjson(filePath);
+        if (actual.count !== expected.count || (expected.sha256 && actual.sha256 !== expected.sha256)) {
+            errors.push(`Key index for ${uid}: ${expected.file} was modified or corrupted`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Computes the SHA-256 hash of a file, streaming it.
+ * @async
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} Hex encoded digest
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    return hash.digest('hex');
+}
+
+/**
+ * Lists the files of an export directory that checksums cover, as sorted archive-relative paths
+ * with forward slashes.
+ * @param {string} rootDir - Export directory (or extracted archive root)
+ * @returns {string[]} Relative file paths
+ */
+function listChecksumFiles(rootDir) {
+    const files = [];
+    const walk = (dir) => {
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                walk(fullPath);
+            } else {
+                const relPath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+                if (!CHECKSUM_EXCLUDED.includes(relPath)) files.push(relPath);
+            }
+        }
+    };
+    walk(rootDir);
+    return files.sort();
+}
+
+/**
+ * Records the SHA-256 checksum of every file in an export directory (content files, uploads and
+ * bundled source files) on its manifest. Call once all files are written, before data.json.
+ * @async
+ * @param {Object} manifest - The manifest (mutated in place)
+ * @param {string} exportDir - The export directory
+ * @returns {Promise<Object>} The same manifest
+ */
+async function recordChecksums(manifest, exportDir) {
+    const checksums = {};
+    for (const relPath of listChecksumFiles(exportDir)) {
+        checksums[relPath] = await hashFile(path.join(exportDir, relPath));
+    }
+    manifest.checksums = checksums;
+    return manifest;
+}
+
+/**
+ * Checks the files of an extracted archive against the checksums recorded on its manifest.
+ * @async
+ * @param {Object} manifest - A validated manifest
+ * @param {string} importPath - Root directory of the extracted archive
+ * @returns {Promise<{ checked: number, corrupted: string[], missing: string[], extra: string[] } | null>}
+ * Files whose content differs, files the archive lacks and files the manifest does not list,
+ * or null for archives written without checksums
+ * @example
+ * const result = await verifyChecksums(manifest, importPath);
+ * if (result && result.corrupted.length > 0) console.error(result.corrupted);
+ */
+async function verifyChecksums(manifest, importPath) {
+    if (!manifest.checksums) return null;
+
+    const result = { checked: 0, corrupted: [], missing: [], extra: [] };
+    const present = new Set(listChecksumFiles(importPath));
+    for (const [relPath, expected] of Object.entries(manifest.checksums)) {
+        if (!present.has(relPath)) {
+            result.missing.push(relPath);
+            continue;
+        }
+        result.checked++;
+        if (await hashFile(path.join(importPath, relPath)) !== expected) result.corrupted.push(relPath);
+    }
+    result.extra = [...present].filter(relPath => manifest.checksums[relPath] === undefined);
+    return result;
+}
+
+/**
+ * Iterates the exported entries of one content type, streaming them from its NDJSON file
+ * or, for archives upgraded from older formats, from the inline `types` data.
+ * @async
+ * @generator
+ * @param {Object} manifest - A validated manifest
+ * @param {string} importPath - Root directory of the extracted archive
+ * @param {string} uid - Content type UID
+ * @yields {Object} Exported entries in archive order
+ * @example
+ * for await (const item of readTypeEntries(manifest, importPath, 'api::article.article')) {
+ *   // ...
+ * }
+ */
+async function* readTypeEntries(manifest, importPath, uid) {
+    const expected = manifest.contentTypes?.[uid];
+    if (expected?.file) {
+        yield* readNdjson(path.join(importPath, expected.file));
+        return;
+    }
+
+    for (const entry of manifest.types?.[uid] || []) {
+        yield entry;
+    }
+}
+
+/**
+ * Returns the number of exported entries recorded for a content type.
+ * @param {Object} manifest - A validated manifest
+ * @param {string} uid - Content type UID
+ * @returns {number} Entry count (0 if the type is not in the manifest)
+ */
+function getTypeCount(manifest, uid) {
+    return manifest.contentTypes?.[uid]?.count || 0;
+}
+
+/**
+ * Upgrades and validates a parsed manifest in one step.
+ * @param {Object} rawManifest - The parsed data.json contents
+ * @param {Object} [options={}] - Options forwarded to validateManifest
+ * @returns {{ manifest: Object, upgradedFrom: number | null, errors: string[], warnings: string[] }}
+ */
+function prepareManifest(rawManifest, options = {}) {
+    const { manifest, upgradedFrom } = upgradeManifest(rawManifest);
+    const { errors, warnings } = validateManifest(manifest, options);
+    return { manifest, upgradedFrom, errors, warnings };
+}
+
+/**
+ * Reads, upgrades and validates the manifest of an extracted archive, including its content files.
+ * Missing or unparsable data.json files are reported as validation errors.
+ * @async
+ * @param {string} importPath - Root directory of the extracted archive
+ * @param {Object} [options={}] - Options forwarded to validateManifest
+ * @returns {Promise<{ manifest: Object | null, upgradedFrom: number | null, errors: string[], warnings: string[] }>}
+ * @example
+ * const { manifest, errors } = await loadManifest('/tmp/temp-export-2024/export-2024');
+ */
+async function loadManifest(importPath, options = {}) {
+    const dataPath = path.join(importPath, 'data.json');
+    if (!fs.existsSync(dataPath)) {
+        return { manifest: null, upgradedFrom: null, errors: [`data.json not found in ${importPath}`], warnings: [] };
+    }
+
+    let rawManifest;
+    try {
+        rawManifest = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    } catch (e) {
+        return { manifest: null, upgradedFrom: null, errors: [`data.json is not valid JSON: ${e.message}`], warnings: [] };
+    }
+
+    const result = prepareManifest(rawManifest, options);
+    if (result.errors.length === 0) {
+        result.errors.push(...await verifyContentFiles(result.manifest, importPath));
+    }
+    return result;
+}
+
+/**
+ * Builds the display label for the tool/source that produced a manifest.
+ * @param {Object} manifest - A validated manifest
+ * @returns {string} Human readable description
+ */
+function describeManifest(manifest) {
+    const tool = manifest.tool?.version ? `strapi-migrate ${manifest.tool.version}` : 'unknown tool version';
+    const strapiVersion = manifest.source?.strapiVersion ? `Strapi ${manifest.source.strapiVersion}` : 'unknown Strapi version';
+    const dbClient = manifest.source?.dbClient || 'unknown database';
+    return `format v${manifest.formatVersion}, ${tool}, ${strapiVersion} (${dbClient})`;
+}
+
+module.exports = {
+    MANIFEST_FORMAT,
+    FORMAT_VERSION,
+    hashContent,
+    getSourceInfo,
+    getInstalledStrapiVersion,
+    getContentFileName,
+    getKeyIndexFileName,
+    createManifest,
+    finalizeManifest,
+    upgradeManifest,
+    validateManifest,
+    prepareManifest,
+    verifyContentFiles,
+    recordChecksums,
+    verifyChecksums,
+    loadManifest,
+    readTypeEntries,
+    getTypeCount,
+    describeManifest
+};
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Declarative import mappings for strapi-migrate
+ * @description Loads the JSON file given with `--map` and renames content types, components and
+ * attributes while an archive is imported:
+ *
+ *     {
+ *         "contentTypes": { "api::post.post": "api::article.article" },
+ *         "components": { "shared.seo": "seo.meta" },
+ *         "attributes": {
+ *             "api::post.post": { "body": "content" },
+ *             "shared.seo": { "metaTitle": "title" }
+ *         }
+ *     }
+ *
+ * Attribute renames are keyed by the archived content type or component UID. Mappings apply to
+ * the manifest (content type UIDs, view configurations), to every entry (attribute keys, nested
+ * components, dynamic zone `__component` values, polymorphic relation `__type` values) and to the
+ * archive's schemas compared by the schema check (component references and relation targets).
+ * @module strapi-migrate/mapping
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renameManifestTypes } = require('./transform');
+
+/**
+ * Sections a mapping file may contain.
+ * @type {string[]}
+ */
+const MAPPING_SECTIONS = ['contentTypes', 'components', 'attributes'];
+
+/**
+ * Checks that a value is an object of strings.
+ * @param {*} value - Value to check
+ * @returns {boolean} True for { [key]: string } objects
+ */
+function isStringMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Validates the parsed contents of a mapping file.
+ * @param {*} mapping - Parsed JSON
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ['must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(mapping)) {
+        if (!MAPPING_SECTIONS.includes(key)) errors.push(`unknown section "${key}" (expected ${MAPPING_SECTIONS.join(', ')})`);
+    }
+    for (const section of ['contentTypes', 'components']) {
+        if (mapping[section] !== undefined && !isStringMap(mapping[section])) {
+            errors.push(`"${section}" must map UIDs to UIDs`);
+        }
+    }
+    if (mapping.attributes !== undefined) {
+        if (!mapping.attributes || typeof mapping.attributes !== 'object' || Array.isArray(mapping.attributes)) {
+            errors.push('"attributes" must map UIDs to attribute renames');
+        } else {
+            for (const [uid, renames] of Object.entries(mapping.attributes)) {
+                if (!isStringMap(renames)) errors.push(`"attributes.${uid}" must map attribute names to attribute names`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Loads and validates a mapping.
+ * @param {string | Object} mapping - Path of a mapping JSON file, or the mapping object
+ * @param {string} [projectDir=process.cwd()] - Directory relative paths resolve from
+ * @returns {Object} Mapping handle with mapUid(uid), mapComponent(uid), applyToArchive(manifest, schemas),
+ * applyToSchemas(schemas) and entry(uid, entry, ctx)
+ * @throws {Error} If the file is missing, unparsable or invalid
+ * @example
+ * const mapping = loadMapping('./mapping.json', projectDir);
+ * mapping.applyToArchive(manifest, readSchemaFiles(importPath));
+ * const entry = mapping.entry('api::article.article', item, { strapi });
+ */
+function loadMapping(mapping, projectDir = process.cwd()) {
+    let rules = mapping;
+    let name = 'object';
+    if (typeof mapping === 'string') {
+        const mappingPath = path.resolve(projectDir, mapping);
+        if (!fs.existsSync(mappingPath)) {
+            throw new Error(`Mapping file not found: ${mappingPath}`);
+        }
+        try {
+            rules = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Mapping ${path.basename(mapping)} is not valid JSON: ${e.message}`);
+        }
+        name = path.basename(mapping);
+    }
+
+    const errors = validateMapping(rules);
+    if (errors.length > 0) {
+        throw new Error(`Mapping ${name} is invalid: ${errors.join('; ')}`);
+    }
+
+    const contentTypes = rules.contentTypes || {};
+    const components = rules.components || {};
+    const attributes = rules.attributes || {};
+
+    const invert = map => new Map(Object.entries(map).map(([from, to]) => [to, from]));
+    const sourceTypes = invert(contentTypes);
+    const sourceComponents = invert(components);
+
+    // Schemas shipped in the archive, set by applyToArchive
+    let archiveSchemas = null;
+
+    const mapUid = uid => contentTypes[uid] || uid;
+    const mapComponent = uid => components[uid] || uid;
+    const mapAttribute = (uid, key) => attributes[uid]?.[key] || key;
+
+    /**
+     * Returns the archived component UID of a component attribute: from the archive's schema
+     * when it ships one, otherwise from the target schema of the mapped type and attribute.
+     * @param {string} uid - Archived content type or component UID
+     * @param {string} key - Archived attribute name
+     * @param {Object} ctx - Entry context ({ strapi })
+     * @returns {string | null} Archived component UID, or null if the attribute is no component
+     */
+    const componentOf = (uid, key, ctx) => {
+        const archived = archiveSchemas?.contentTypes[uid] || archiveSchemas?.components[uid];
+        if (archived) {
+            const attr = archived.attributes?.[key];
+            return attr && attr.type === 'component' ? attr.component : null;
+        }
+
+        const target = ctx.strapi?.contentTypes[mapUid(uid)] || ctx.strapi?.components[mapComponent(uid)];
+        const attr = target?.attributes?.[mapAttribute(uid, key)];
+        if (!attr || attr.type !== 'component') return null;
+        return sourceComponents.get(attr.component) || attr.component;
+    };
+
+    /**
+     * Renames the attributes of one content type or component value, recursing into its
+     * components, dynamic zones and relations.
+     * @param {string} uid - Archived content type or component UID
+     * @param {Object} data - Attribute values
+     * @param {Object} ctx - Entry context
+     * @returns {Object} Mapped values
+     */
+    const mapAttributes = (uid, data, ctx) => {
+        const result = {};
+        for (const [key, value] of Object.entries(data)) {
+            const component = value && typeof value === 'object' ? componentOf(uid, key, ctx) : null;
+            result[mapAttribute(uid, key)] = mapNested(value, component, ctx);
+        }
+        return result;
+    };
+
+    /**
+     * Maps a nested attribute value.
+     * @param {*} value - Attribute value
+     * @param {string | null} component - Archived component UID when the attribute is a component
+     * @param {Object} ctx - Entry context
+     * @returns {*} Mapped value
+     */
+    const mapNested = (value, component, ctx) => {
+        if (Array.isArray(value)) return value.map(item => mapNested(item, component, ctx));
+        if (!value || typeof value !== 'object') return value;
+
+        if (value.__component) {
+            return { ...mapAttributes(value.__component, value, ctx), __component: mapComponent(value.__component) };
+        }
+        if (component) return mapAttributes(component, value, ctx);
+        // Relations and media keep their fields; polymorphic relations name their target type
+        if (typeof value.__type === 'string') return { ...value, __type: mapUid(value.__type) };
+        return value;
+    };
+
+    return {
+        name,
+        mapUid,
+        mapComponent,
+
+        /**
+         * Renames the archived content types and their view configurations in place, and keeps
+         * the archive's schemas to find the components nested in entries.
+         * @param {Object} manifest - A validated manifest
+         * @param {{ contentTypes: Object, components: Object }} [schemas] - The archive's schemas (from readSchemaFiles)
+         * @returns {Array<{ from: string, to: string }>} The renamed UIDs
+         * @throws {Error} If two archived types map to the same UID
+         */
+        applyToArchive(manifest, schemas) {
+            archiveSchemas = schemas || null;
+            for (const [uid, view] of Object.entries(manifest.views || {})) {
+                manifest.views[uid] = mapView(uid, view, mapUid, mapAttribute);
+            }
+            return renameManifestTypes(manifest, mapUid, `Mapping ${name}`);
+        },
+
+        /**
+         * Returns a copy of the archive's schemas under their mapped UIDs and attribute names,
+         * with component references, dynamic zone components and relation targets mapped too.
+         * @param {{ contentTypes: Object, components: Object }} schemas - Schemas from readSchemaFiles
+         * @returns {{ contentTypes: Object, components: Object }} Mapped schemas
+         */
+        applyToSchemas(schemas) {
+            const mapSchema = (uid, schema) => {
+                const mapped = {};
+                for (const [key, attr] of Object.entries(schema.attributes || {})) {
+                    const mappedAttr = { ...attr };
+                    if (attr.component) mappedAttr.component = mapComponent(attr.component);
+                    if (Array.isArray(attr.components)) mappedAttr.components = attr.components.map(mapComponent);
+                    if (attr.target) mappedAttr.target = mapUid(attr.target);
+                    mapped[mapAttribute(uid, key)] = mappedAttr;
+                }
+                return { ...schema, attributes: mapped };
+            };
+
+            const result = { contentTypes: {}, components: {} };
+            for (const [uid, schema] of Object.entries(schemas.contentTypes)) {
+                result.contentTypes[mapUid(uid)] = mapSchema(uid, schema);
+            }
+            for (const [uid, schema] of Object.entries(schemas.components)) {
+                result.components[mapComponent(uid)] = mapSchema(uid, schema);
+            }
+            return result;
+        },
+
+        /**
+         * Maps an archived entry.
+         * @param {string} uid - Target content type UID
+         * @param {Object} entry - Archived entry
+         * @param {Object} [ctx={}] - Entry context
+         * @param {Object} [ctx.strapi] - The Strapi application instance, whose schemas locate nested
+         * components the archive ships no schema for
+         * @returns {Object} The mapped entry
+         */
+        entry(uid, entry, ctx = {}) {
+            return mapAttributes(sourceTypes.get(uid) || uid, entry, ctx);
+        }
+    };
+}
+
+/**
+ * Rewrites a Content Manager view configuration for renamed content types and attributes.
+ * Handles the stored JSON string as well as the parsed object.
+ * @param {string} uid - Archived content type UID
+ * @param {string | Object} view - The core-store value
+ * @param {function(string): string} mapUid - Maps content type UIDs
+ * @param {function(string, string): string} mapAttribute - Maps attribute names of a UID
+ * @returns {string | Object} The rewritten value, in the form it was given
+ */
+function mapView(uid, view, mapUid, mapAttribute) {
+    let config = view;
+    if (typeof view === 'string') {
+        try {
+            config = JSON.parse(view);
+        } catch (e) {
+            return view;
+        }
+    }
+    if (!config || typeof config !== 'object') return view;
+
+    const rename = key => mapAttribute(uid, key);
+    const mapped = { ...config };
+    if (mapped.uid) mapped.uid = mapUid(mapped.uid);
+    if (mapped.settings) {
+        mapped.settings = { ...mapped.settings };
+        if (mapped.settings.mainField) mapped.settings.mainField = rename(mapped.settings.mainField);
+        if (mapped.settings.defaultSortBy) mapped.settings.defaultSortBy = rename(mapped.settings.defaultSortBy);
+    }
+    if (mapped.metadatas) {
+        mapped.metadatas = Object.fromEntries(Object.entries(mapped.metadatas).map(([key, value]) => [rename(key), value]));
+    }
+    if (mapped.layouts) {
+        mapped.layouts = { ...mapped.layouts };
+        if (Array.isArray(mapped.layouts.list)) mapped.layouts.list = mapped.layouts.list.map(rename);
+        if (Array.isArray(mapped.layouts.edit)) {
+            mapped.layouts.edit = mapped.layouts.edit.map(row => Array.isArray(row)
+                ? row.map(field => (field && field.name ? { ...field, name: rename(field.name) } : field))
+                : row);
+        }
+    }
+
+    return typeof view === 'string' ? JSON.stringify(mapped) : mapped;
+}
+
+module.exports = {
+    MAPPING_SECTIONS,
+    validateMapping,
+    loadMapping
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Newline-delimited JSON helpers for strapi-migrate
+ * @description Incremental writer and streaming reader for the per-content-type
+ * NDJSON files stored in export archives, so entries never have to be held in memory at once.
+ * @module strapi-migrate/ndjson
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+/**
+ * Opens an NDJSON file for incremental writing. Each written value becomes one line.
+ * The writer tracks the number of lines and the SHA-256 of the bytes written.
+ * Both methods reject with the first error the file stream emitted.
+ * @param {string} filePath - Absolute path of the file to create (parent dirs are created)
+ * @returns {{ write: function(*): Promise<void>, close: function(): Promise<{ count: number, sha256: string }> }}
+ * @example
+ * const writer = createNdjsonWriter('/tmp/export/content/api__article.article.ndjson');
+ * await writer.write(entry);
+ * const { count, sha256 } = await writer.close();
+ */
+function createNdjsonWriter(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const stream = fs.createWriteStream(filePath);
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+    let error = null;
+
+    // Keep the first error (failed open, full disk) for the next write or close;
+    // without a listener an error between writes would crash the process
+    stream.on('error', (err) => {
+        if (!error) error = err;
+    });
+
+    return {
+        async write(value) {
+            if (error) throw error;
+            const line = `${JSON.stringify(value)}\n`;
+            hash.update(line);
+            count++;
+            // Respect backpressure so large exports do not buffer in memory
+            if (!stream.write(line)) {
+                await once(stream, 'drain');
+            }
+        },
+        async close() {
+            if (error) throw error;
+            stream.end();
+            await finished(stream);
+            return { count, sha256: hash.digest('hex') };
+        }
+    };
+}
+
+/**
+ * Streams an NDJSON file, yielding one parsed value per non-empty line.
+ * @async
+ * @generator
+ * @param {string} filePath - Absolute path of the NDJSON file
+ * @yields {*} Parsed line values in file order
+ * @throws {Error} If a line is not valid JSON
+ * @example
+ * for await (const entry of readNdjson(filePath)) {
+ *   console.log(entry.documentId);
+ * }
+ */
+async function* readNdjson(filePath) {
+    const rl = readline.createInterface({
+        input: fs.createReadStream(filePath),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    try {
+        for await (const line of rl) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let value;
+            try {
+                value = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Invalid JSON on line ${lineNumber} of ${path.basename(filePath)}: ${e.message}`);
+            }
+            yield value;
+        }
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Computes the line count and SHA-256 of an NDJSON file without parsing it.
+ * @async
+ * @param {string} filePath - Absolute path of the NDJSON file
+ * @returns {Promise<{ count: number, sha256: string }>} Line count and hex digest of the file bytes
+ */
+async function hashNdjson(filePath) {
+    const hash = crypto.createHash('sha256');
+    let count = 0;
+
+    const stream = fs.createReadStream(filePath);
+    for await (const chunk of stream) {
+        hash.update(chunk);
+        for (let i = 0; i < chunk.length; i++) {
+            if (chunk[i] === 10) count++;
+        }
+    }
+
+    return { count, sha256: hash.digest('hex') };
+}
+
+module.exports = {
+    createNdjsonWriter,
+    readNdjson,
+    hashNdjson
+};
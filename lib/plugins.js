@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Plugin content types for strapi-migrate
+ * @description Exports only follow `api::` content types unless `--plugins` opts in to an
+ * allowlist of `plugin::` types: the users-permissions roles, permissions and users, and the
+ * content types of custom plugins. Types another phase migrates (upload files, i18n locales) or
+ * that hold Strapi's internal state (content releases, review workflows) are never exported as
+ * content. Password hashes are left out of exported entries unless `--include-password-hashes`;
+ * related entries never carry them. On import, roles, permissions and users the target already
+ * holds under another documentId are matched by their natural key (role type, permission action,
+ * user email), so the two-pass import updates and links them instead of creating duplicates.
+ * Archives with plugin types carry a `plugins` section in data.json:
+ * - `types` - the exported plugin content type UIDs
+ * - `passwordHashes` - whether user entries hold their password hashes
+ * @module strapi-migrate/plugins
+ */
+
+const { forEachRelation } = require('./closure');
+const { readTypeEntries } = require('./manifest');
+
+/**
+ * The users-permissions content types exported with --plugins.
+ * @type {string[]}
+ */
+const USERS_PERMISSIONS_TYPES = [
+    'plugin::users-permissions.role',
+    'plugin::users-permissions.permission',
+    'plugin::users-permissions.user'
+];
+
+/**
+ * Strapi's own plugins. Apart from the users-permissions types above, their content types are
+ * migrated by other phases (media, locales) or hold internal state, and are never exported.
+ * @type {string[]}
+ */
+const CORE_PLUGINS = [
+    'upload',
+    'i18n',
+    'users-permissions',
+    'content-manager',
+    'content-type-builder',
+    'content-releases',
+    'review-workflows',
+    'email',
+    'documentation',
+    'graphql',
+    'cloud',
+    'sentry'
+];
+
+/**
+ * Filters finding the target document an archived entry stands for when the target holds it
+ * under another documentId (e.g. the "public" role every project creates on its own).
+ * @type {Object<string, function(Object): (Object | null)>}
+ */
+const NATURAL_KEYS = {
+    'plugin::users-permissions.role': entry => (entry.type ? { type: entry.type } : null),
+    'plugin::users-permissions.permission': entry => (entry.action && entry.role?.type
+        ? { action: entry.action, role: { type: entry.role.type } }
+        : null),
+    'plugin::users-permissions.user': entry => (entry.email ? { email: entry.email } : null)
+};
+
+/**
+ * Matches bcrypt hashes, the format users-permissions stores passwords in.
+ * @type {RegExp}
+ */
+const PASSWORD_HASH_PATTERN = /^\$2[aby]?\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * Returns the plugin name of a `plugin::` UID.
+ * @param {string} uid - Content type UID
+ * @returns {string | null} The plugin name, or null for other UIDs
+ */
+function getPluginName(uid) {
+    const match = /^plugin::([^.]+)\./.exec(uid);
+    return match ? match[1] : null;
+}
+
+/**
+ * Lists the plugin content types of a project that --plugins may export.
+ * @param {Object} strapi - The Strapi application instance
+ * @returns {string[]} Allowlisted plugin content type UIDs
+ */
+function getExportablePluginTypes(strapi) {
+    return Object.keys(strapi.contentTypes).filter(uid => {
+        const plugin = getPluginName(uid);
+        if (!plugin) return false;
+        return USERS_PERMISSIONS_TYPES.includes(uid) || !CORE_PLUGINS.includes(plugin);
+    });
+}
+
+/**
+ * Resolves the --plugins option.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {boolean | string | string[]} [plugins] - true for every allowlisted plugin type, or plugin
+ * names and content type UIDs (comma-separated or an array) to limit the export to
+ * @returns {string[]} The plugin content types the export may include (empty without --plugins)
+ * @throws {Error} If a name or UID is not an allowlisted plugin content type of the project
+ * @example
+ * resolvePluginTypes(strapi, 'users-permissions,plugin::shop.order');
+ */
+function resolvePluginTypes(strapi, plugins) {
+    if (!plugins) return [];
+    const exportable = getExportablePluginTypes(strapi);
+    if (plugins === true) return exportable;
+
+    const names = Array.isArray(plugins) ? plugins : String(plugins).split(',');
+    const types = new Set();
+    for (const name of names.map(value => String(value).trim()).filter(Boolean)) {
+        const matched = name.startsWith('plugin::')
+            ? exportable.filter(uid => uid === name)
+            : exportable.filter(uid => getPluginName(uid) === name);
+        if (matched.length === 0) {
+            throw new Error(`--plugins: "${name}" is not an exportable plugin content type (available: ${exportable.join(', ') || 'none'})`);
+        }
+        matched.forEach(uid => types.add(uid));
+    }
+    return [...types];
+}
+
+/**
+ * Returns the password attributes of a content type or component.
+ * @param {Object} [schema] - The schema
+ * @returns {string[]} Names of its `password` attributes
+ */
+function getPasswordAttributes(schema) {
+    return Object.entries(schema?.attributes || {})
+        .filter(([, attr]) => attr.type === 'password')
+        .map(([key]) => key);
+}
+
+/**
+ * Removes password hashes from an exported entry, in place: always from the related entries it
+ * holds, and from the entry itself unless `keepOwn` is set.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID of the entry
+ * @param {Object} entry - Populated entry
+ * @param {boolean} [keepOwn=false] - Keep the entry's own password hashes (--include-password-hashes)
+ * @returns {Object} The entry
+ */
+function stripPasswordHashes(strapi, uid, entry, keepOwn = false) {
+    if (!keepOwn) {
+        getPasswordAttributes(strapi.contentTypes[uid]).forEach(key => delete entry[key]);
+    }
+    forEachRelation(strapi, uid, entry, (holder, key, target) => {
+        const keys = getPasswordAttributes(strapi.contentTypes[target]);
+        if (keys.length === 0) return;
+        const items = Array.isArray(holder[key]) ? holder[key] : [holder[key]];
+        items.forEach(item => keys.forEach(name => delete item?.[name]));
+    });
+    return entry;
+}
+
+/**
+ * Takes the password hashes out of an import payload, in place. The Document Service hashes
+ * password attributes on write, so archived hashes are written with a database query instead
+ * (see writePasswordHashes); other values, such as a plain password set by a transform, are left
+ * for the Document Service to hash.
+ * @param {Object} model - The content type's schema
+ * @param {Object} payload - Create or update payload
+ * @returns {Object<string, string>} Password hashes by attribute
+ */
+function takePasswordHashes(model, payload) {
+    const hashes = {};
+    for (const key of getPasswordAttributes(model)) {
+        if (typeof payload[key] === 'string' && PASSWORD_HASH_PATTERN.test(payload[key])) {
+            hashes[key] = payload[key];
+            delete payload[key];
+        }
+    }
+    return hashes;
+}
+
+/**
+ * Writes archived password hashes as they are, bypassing the Document Service's hashing.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string} uid - Content type UID
+ * @param {string} documentId - The document to update
+ * @param {Object<string, string>} hashes - takePasswordHashes result
+ * @returns {Promise<void>}
+ */
+async function writePasswordHashes(strapi, uid, documentId, hashes) {
+    if (!documentId || Object.keys(hashes).length === 0) return;
+    await strapi.db.query(uid).updateMany({ where: { documentId }, data: hashes });
+}
+
+/**
+ * Finds the target documents that archived plugin entries stand for under another documentId,
+ * by natural key (role type, permission action and role, user email). Entries whose documentId
+ * the target holds are left alone.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest
+ * @param {string} importPath - Path to the extracted export directory
+ * @returns {Promise<Object>} Matches with `resolve(uid, documentId)` (the target documentId of an
+ * archived one), `remap(uid, entry)` (rewrites an entry and its relations to target documentIds,
+ * in place) and `count`
+ */
+async function matchPluginDocuments(strapi, exportManifest, importPath) {
+    const matches = new Map();
+
+    for (const uid of Object.keys(exportManifest.contentTypes)) {
+        const naturalKey = NATURAL_KEYS[uid];
+        if (!naturalKey || !strapi.documents || !strapi.contentTypes[uid]) continue;
+
+        const documents = strapi.documents(uid);
+        for await (const entry of readTypeEntries(exportManifest, importPath, uid)) {
+            const filters = naturalKey(entry);
+            if (!entry.documentId || !filters) continue;
+            if (await documents.findFirst({ filters: { documentId: entry.documentId }, fields: ['documentId'] })) continue;
+
+            const existing = await documents.findFirst({ filters, fields: ['documentId'] });
+            if (existing && existing.documentId !== entry.documentId) {
+                if (!matches.has(uid)) matches.set(uid, new Map());
+                matches.get(uid).set(entry.documentId, existing.documentId);
+            }
+        }
+    }
+
+    const resolve = (uid, documentId) => matches.get(uid)?.get(documentId) ?? documentId;
+    return {
+        count: [...matches.values()].reduce((sum, byId) => sum + byId.size, 0),
+        resolve,
+        remap(uid, entry) {
+            if (matches.size === 0) return entry;
+            if (entry.documentId) entry.documentId = resolve(uid, entry.documentId);
+            forEachRelation(strapi, uid, entry, (holder, key, target) => {
+                if (!matches.has(target)) return;
+                const items = Array.isArray(holder[key]) ? holder[key] : [holder[key]];
+                items.forEach(item => {
+                    if (item?.documentId) item.documentId = resolve(target, item.documentId);
+                });
+            });
+            return entry;
+        }
+    };
+}
+
+/**
+ * Checks whether an archived entry is one of the users-permissions roles every project needs
+ * ("public" and "authenticated"), which --clean never deletes.
+ * @param {string} uid - Content type UID
+ * @param {Object} entry - Archived entry
+ * @returns {boolean} True for the built-in roles
+ */
+function isBuiltInRole(uid, entry) {
+    return uid === 'plugin::users-permissions.role' && ['public', 'authenticated'].includes(entry.type);
+}
+
+module.exports = {
+    USERS_PERMISSIONS_TYPES,
+    getExportablePluginTypes,
+    getPasswordAttributes,
+    resolvePluginTypes,
+    stripPasswordHashes,
+    takePasswordHashes,
+    writePasswordHashes,
+    matchPluginDocuments,
+    isBuiltInRole
+};
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Machine-readable run reports for strapi-migrate
+ * @description Collects per content type counts, per entry failures, media, locale and schema
+ * file activity during an export or import, and writes them as JSON or JUnit XML for CI.
+ * @module strapi-migrate/report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const packageJson = require('../package.json');
+
+/**
+ * Supported report output formats.
+ * @type {string[]}
+ */
+const REPORT_FORMATS = ['json', 'junit'];
+
+/**
+ * Process exit codes used by the export, import and restore commands.
+ * @type {Object<string, number>}
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FATAL: 1,
+    PARTIAL_FAILURE: 2,
+    TOTAL_FAILURE: 3,
+    VALIDATION_FAILURE: 4
+};
+
+/**
+ * Derives the exit code for a run from its recorded failures:
+ * - no failures: SUCCESS
+ * - a failed archive/manifest validation: VALIDATION_FAILURE
+ * - failures, but at least one content type processed without errors or with some
+ *   successful operations, or some media or locales created, linked or copied: PARTIAL_FAILURE
+ * - failures and nothing succeeded: TOTAL_FAILURE
+ * @param {Object} data - Report data
+ * @returns {number} One of EXIT_CODES
+ */
+function getExitCode(data) {
+    if (data.errors.length === 0) return EXIT_CODES.SUCCESS;
+    if (data.errors.some(error => error.phase === 'validation')) return EXIT_CODES.VALIDATION_FAILURE;
+    if (data.rolledBack) return EXIT_CODES.TOTAL_FAILURE;
+
+    const anySucceeded = Object.values(data.contentTypes).some(stats =>
+        stats.failed === 0 || stats.exported + stats.created + stats.updated + stats.linked + stats.deleted > 0
+    ) || data.media.created + data.media.linked + data.media.copied > 0 || data.locales.created.length > 0;
+    return anySucceeded ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.TOTAL_FAILURE;
+}
+
+/**
+ * Creates an error for a failed or aborted run, carrying the exit code the CLI uses
+ * and the report collected so far.
+ * @param {string} message - Error message
+ * @param {number} exitCode - One of EXIT_CODES
+ * @param {Object} [report=null] - Finished report data
+ * @returns {Error} Error with `exitCode` and `report` properties
+ */
+function createMigrationError(message, exitCode, report = null) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    error.report = report;
+    return error;
+}
+
+/**
+ * Creates an empty report for a command run. When an event emitter is given, every recorded
+ * step is also emitted as a progress event:
+ * - `phase` { command, phase, ...details } when a phase starts
+ * - `entry` { command, uid, action, amount } for exported/created/updated/linked/deleted entries
+ * - `media` { command, action, name, hash } for copied/created/linked/missing media
+ * - `failure` { command, phase, uid, documentId, locale, message } for every failure
+ * - `conflict` { command, uid, documentId, locale, targetUpdatedAt, sourceUpdatedAt, resolution }
+ *   for every import conflict
+ * @param {string} command - The command being reported ("export", "import" or "restore")
+ * @param {Object} [details={}] - Extra top-level fields (e.g. archive path, dryRun)
+ * @param {import('events').EventEmitter} [events] - Emitter receiving progress events
+ * @returns {Object} Report handle with record* methods and the collected `data`
+ * @example
+ * const report = createReport('import', { archive: './export.tar.gz' });
+ * report.recordEntry('api::article.article', 'created');
+ * report.recordFailure({ phase: 'link', uid: 'api::article.article', documentId, locale, message });
+ */
+function createReport(command, details = {}, events = null) {
+    const data = {
+        tool: { name: packageJson.name, version: packageJson.version },
+        command,
+        ...details,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        summary: null,
+        contentTypes: {},
+        media: { created: 0, linked: 0, missing: 0, copied: 0 },
+        missingMedia: [],
+        locales: { created: [] },
+        schemaFiles: { written: [], differences: [] },
+        views: { imported: 0 },
+        conflicts: [],
+        errors: []
+    };
+
+    /**
+     * Returns (creating if needed) the counters for a content type.
+     * @param {string} uid - Content type UID
+     * @returns {Object} Counters object
+     */
+    const typeStats = (uid) => {
+        if (!data.contentTypes[uid]) {
+            data.contentTypes[uid] = { exported: 0, created: 0, updated: 0, linked: 0, deleted: 0, failed: 0 };
+        }
+        return data.contentTypes[uid];
+    };
+
+    const emit = (event, payload) => {
+        if (events) events.emit(event, { command, ...payload });
+    };
+
+    return {
+        data,
+
+        startPhase(phase, phaseDetails = {}) {
+            emit('phase', { phase, ...phaseDetails });
+        },
+
+        recordEntry(uid, action, amount = 1) {
+            typeStats(uid)[action] += amount;
+            emit('entry', { uid, action, amount });
+        },
+
+        recordMedia(action, file) {
+            data.media[action]++;
+            if (action === 'missing' && file) {
+                data.missingMedia.push({ name: file.name || null, hash: file.hash || null, url: file.url || null });
+            }
+            emit('media', { action, name: file?.name || null, hash: file?.hash || null });
+        },
+
+        recordLocale(code) {
+            data.locales.created.push(code);
+        },
+
+        recordSchemaFile(relPath) {
+            data.schemaFiles.written.push(relPath);
+        },
+
+        recordSchemaDifference(difference) {
+            data.schemaFiles.differences.push(difference);
+        },
+
+        recordView() {
+            data.views.imported++;
+        },
+
+        recordConflict(conflict) {
+            data.conflicts.push(conflict);
+            emit('conflict', conflict);
+        },
+
+        recordFailure({ phase, uid = null, documentId = null, locale = null, message }) {
+            data.errors.push({ phase, uid, documentId, locale, message });
+            if (uid) typeStats(uid).failed++;
+            emit('failure', { phase, uid, documentId, locale, message });
+        },
+
+        hasFailures() {
+            return data.errors.length > 0;
+        },
+
+        exitCode() {
+            return getExitCode(data);
+        },
+
+        finish() {
+            data.finishedAt = new Date().toISOString();
+            const totals = { exported: 0, created: 0, updated: 0, linked: 0, deleted: 0, failed: 0 };
+            for (const stats of Object.values(data.contentTypes)) {
+                for (const key of Object.keys(totals)) totals[key] += stats[key];
+            }
+            data.summary = { ...totals, conflicts: data.conflicts.length, errors: data.errors.length, exitCode: getExitCode(data) };
+            return data;
+        }
+    };
+}
+
+/**
+ * Escapes a value for use in XML text or attributes.
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders report data as JUnit XML: one test suite per content type, where every failed entry
+ * is a failing test case and successful entries are summarized in one passing test case.
+ * Media that could not be found and errors not tied to a content type get their own suites.
+ * @param {Object} data - Finished report data
+ * @returns {string} JUnit XML document
+ */
+function toJUnit(data) {
+    const suites = [];
+    const addSuite = (name, passedLabel, passedCount, failures) => {
+        const cases = [];
+        if (passedCount > 0) {
+            cases.push(`    <testcase classname="${escapeXml(name)}" name="${escapeXml(passedLabel)}"/>`);
+        }
+        for (const failure of failures) {
+            cases.push([
+                `    <testcase classname="${escapeXml(name)}" name="${escapeXml(failure.name)}">`,
+                `      <failure message="${escapeXml(failure.message)}">${escapeXml(failure.message)}</failure>`,
+                '    </testcase>'
+            ].join('\n'));
+        }
+        suites.push([
+            `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures.length}">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n'));
+    };
+
+    const describeError = (error) => ({
+        name: [error.documentId || '(no documentId)', error.locale ? `[${error.locale}]` : null, `(${error.phase})`].filter(Boolean).join(' '),
+        message: error.message
+    });
+
+    for (const [uid, stats] of Object.entries(data.contentTypes)) {
+        const succeeded = stats.exported + stats.created + stats.updated + stats.linked + stats.deleted;
+        const failures = data.errors.filter(error => error.uid === uid).map(describeError);
+        addSuite(uid, `${succeeded} operation(s) succeeded`, succeeded, failures);
+    }
+
+    if (data.missingMedia.length > 0) {
+        addSuite('media', 'media', 0, data.missingMedia.map(file => ({
+            name: file.name || file.hash,
+            message: `Media source file not found: ${file.url || file.hash}`
+        })));
+    }
+
+    const generalErrors = data.errors.filter(error => !error.uid);
+    if (generalErrors.length > 0) {
+        addSuite(data.command, data.command, 0, generalErrors.map(describeError));
+    }
+
+    const tests = suites.reduce((sum, suite) => sum + Number(suite.match(/tests="(\d+)"/)[1]), 0);
+    const failures = suites.reduce((sum, suite) => sum + Number(suite.match(/failures="(\d+)"/)[1]), 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="strapi-migrate ${escapeXml(data.command)}" tests="${tests}" failures="${failures}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Resolves the report format from an explicit option or the file extension (.xml = junit).
+ * @param {string} filePath - Report output path
+ * @param {string} [format] - Explicit format
+ * @returns {string} "json" or "junit"
+ * @throws {Error} If the explicit format is not supported
+ */
+function resolveReportFormat(filePath, format) {
+    if (format) {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+        }
+        return format;
+    }
+    return path.extname(filePath).toLowerCase() === '.xml' ? 'junit' : 'json';
+}
+
+/**
+ * Finishes a report and writes it to disk.
+ * @param {Object} report - Report handle from createReport
+ * @param {string} filePath - Output path (relative paths resolve from projectDir)
+ * @param {string} [format] - "json" or "junit" (inferred from the extension when omitted)
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
+ * @returns {string} Absolute path of the written report
+ * @example
+ * writeReport(report, 'reports/import.xml', undefined, projectDir); // JUnit
+ */
+function writeReport(report, filePath, format, projectDir = process.cwd()) {
+    const outputPath = path.resolve(projectDir, filePath);
+    const resolvedFormat = resolveReportFormat(outputPath, format);
+    const data = report.finish();
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, resolvedFormat === 'junit' ? toJUnit(data) : JSON.stringify(data, null, 2));
+    return outputPath;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    EXIT_CODES,
+    getExitCode,
+    createMigrationError,
+    createReport,
+    resolveReportFormat,
+    writeReport,
+    toJUnit
+};
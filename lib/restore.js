@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Strapi Restore Module
+ * @description Puts a Strapi project back to the state recorded in a pre-import snapshot:
+ * schema files, documents, view configurations, locales and media added by the import.
+ * @module strapi-migrate/restore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadLocalStrapi, isArchivePath, extractArchive } = require('./utils');
+const { loadManifest, readTypeEntries, describeManifest } = require('./manifest');
+const { restoreSchemaFiles } = require('./snapshot');
+const { createReport, EXIT_CODES } = require('./report');
+const {
+    importMedia,
+    importEntities,
+    linkEntities,
+    importSingleTypes,
+    findSingleTypeDocument
+} = require('./import');
+
+/**
+ * Deletes the documents and locale variants an import added on top of the snapshot state.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object<string, Object[]>} deletions - Map of UID to { documentId, locale } records
+ * (a null documentId targets the single type document, a null locale the whole document)
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would be deleted
+ * @param {Object} [options.reporter] - Report deletions and failures are recorded in
+ * @returns {Promise<void>}
+ */
+async function removeImportedDocuments(strapi, deletions, options = {}) {
+    for (const [uid, records] of Object.entries(deletions || {})) {
+        if (!strapi.contentTypes[uid]) continue;
+        console.log(`  • Removing ${records.length} imported variant(s) of ${uid}...`);
+
+        for (const { documentId, locale } of records) {
+            const label = `${documentId || '(single type)'}${locale ? ` [${locale}]` : ''}`;
+            if (options.dryRun) {
+                console.log(`  [DRY-RUN] Would delete ${uid} ${label}`);
+                continue;
+            }
+
+            try {
+                let targetId = documentId;
+                if (!targetId) {
+                    const local = await findSingleTypeDocument(strapi, uid, locale);
+                    targetId = local ? local.documentId : null;
+                }
+                if (targetId) {
+                    await strapi.documents(uid).delete({ documentId: targetId, locale: locale || '*' });
+                    console.log(`    - Deleted ${label}`);
+                    if (options.reporter) options.reporter.recordEntry(uid, 'deleted');
+                }
+            } catch (e) {
+                console.error(`    ✗ Failed to delete ${uid} ${label}: ${e.message}`);
+                if (options.reporter) {
+                    options.reporter.recordFailure({ phase: 'delete', uid, documentId, locale, message: e.message });
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Unpublishes document variants that were draft-only in the snapshot but published by the import.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} snapshotManifest - The validated snapshot manifest
+ * @param {string} snapshotPath - Path to the extracted snapshot directory
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would be unpublished
+ * @param {Object} [options.reporter] - Report failures are recorded in
+ * @returns {Promise<void>}
+ */
+async function restorePublicationState(strapi, snapshotManifest, snapshotPath, options = {}) {
+    for (const uid of Object.keys(snapshotManifest.contentTypes)) {
+        const model = strapi.contentTypes[uid];
+        if (!model || model.options?.draftAndPublish === false) continue;
+
+        for await (const item of readTypeEntries(snapshotManifest, snapshotPath, uid)) {
+            if (item.publishedAt || !item.documentId) continue;
+
+            const published = await strapi.documents(uid).findFirst({
+                filters: { documentId: item.documentId },
+                locale: item.locale,
+                status: 'published'
+            });
+            if (!published) continue;
+
+            if (options.dryRun) {
+                console.log(`  [DRY-RUN] Would unpublish ${uid} ${item.documentId}`);
+                continue;
+            }
+
+            try {
+                await strapi.documents(uid).unpublish({ documentId: item.documentId, locale: item.locale });
+                console.log(`    - Unpublished ${item.documentId}`);
+            } catch (e) {
+                console.error(`    ✗ Failed to unpublish ${uid} ${item.documentId}: ${e.message}`);
+                if (options.reporter) {
+                    options.reporter.recordFailure({
+                        phase: 'publication',
+                        uid,
+                        documentId: item.documentId,
+                        locale: item.locale || null,
+                        message: e.message
+                    });
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Removes media files the import created (identified by hash), including their files.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {string[]} hashes - Hashes of media created by the import
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would be deleted
+ * @param {Object} [options.reporter] - Report failures are recorded in
+ * @returns {Promise<void>}
+ */
+async function removeImportedMedia(strapi, hashes, options = {}) {
+    const uploadService = strapi.plugin('upload').service('upload');
+
+    for (const hash of hashes || []) {
+        const existing = await strapi.db.query('plugin::upload.file').findOne({ where: { hash } });
+        if (!existing) continue;
+
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would delete media ${existing.name} (${hash})`);
+            continue;
+        }
+
+        try {
+            await uploadService.remove(existing);
+            console.log(`    - Deleted media ${existing.name}`);
+        } catch (e) {
+            console.error(`    ✗ Failed to delete media ${existing.name}: ${e.message}`);
+            if (options.reporter) {
+                options.reporter.recordFailure({ phase: 'media', message: `${existing.name} (${hash}): ${e.message}` });
+            }
+        }
+    }
+}
+
+/**
+ * Restores Content Manager view configurations, deleting those that did not exist before.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object<string, Object|null>} views - Map of UID to previous view value (null = absent)
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would change
+ * @param {Object} [options.reporter] - Report failures are recorded in
+ * @returns {Promise<void>}
+ */
+async function restoreViews(strapi, views, options = {}) {
+    for (const [uid, value] of Object.entries(views || {})) {
+        const key = `plugin_content_manager_configuration_content_types::${uid}`;
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would ${value === null ? 'delete' : 'restore'} view configuration for ${uid}`);
+            continue;
+        }
+
+        try {
+            const existing = await strapi.db.query('strapi::core-store').findOne({ where: { key } });
+            if (value === null) {
+                if (existing) await strapi.db.query('strapi::core-store').delete({ where: { id: existing.id } });
+            } else if (existing) {
+                await strapi.db.query('strapi::core-store').update({ where: { id: existing.id }, data: { value } });
+            } else {
+                await strapi.db.query('strapi::core-store').create({
+                    data: { key, value, type: 'object', environment: null, tag: null }
+                });
+            }
+        } catch (e) {
+            console.error(`  ✗ Failed to restore view for ${uid}: ${e.message}`);
+            if (options.reporter) options.reporter.recordFailure({ phase: 'views', uid, message: e.message });
+        }
+    }
+}
+
+/**
+ * Deletes locales that were not in the snapshot and restores the default locale.
+ * @async
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object[]} locales - Locale rows recorded in the snapshot
+ * @param {string | null} defaultLocale - Default locale recorded in the snapshot
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would change
+ * @param {Object} [options.reporter] - Report failures are recorded in
+ * @returns {Promise<void>}
+ */
+async function restoreLocales(strapi, locales, defaultLocale, options = {}) {
+    const localeService = strapi.plugin('i18n').service('locales');
+    const knownCodes = new Set(locales.map(locale => locale.code));
+
+    if (defaultLocale && (await localeService.getDefaultLocale()) !== defaultLocale) {
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would restore default locale ${defaultLocale}`);
+        } else {
+            await localeService.setDefaultLocale({ code: defaultLocale });
+            console.log(`    - Restored default locale: ${defaultLocale}`);
+        }
+    }
+
+    const current = await strapi.db.query('plugin::i18n.locale').findMany();
+    for (const locale of current) {
+        if (knownCodes.has(locale.code)) continue;
+
+        if (options.dryRun) {
+            console.log(`  [DRY-RUN] Would delete locale ${locale.code}`);
+            continue;
+        }
+
+        try {
+            await localeService.delete({ id: locale.id });
+            console.log(`    - Deleted locale ${locale.code}`);
+        } catch (e) {
+            console.error(`    ✗ Failed to delete locale ${locale.code}: ${e.message}`);
+            if (options.reporter) {
+                options.reporter.recordFailure({ phase: 'locales', locale: locale.code, message: e.message });
+            }
+        }
+    }
+}
+
+/**
+ * Main restore function. Replays a snapshot written by runImport so the project is put back
+ * the way it was before that import. Exits with EXIT_CODES.PARTIAL_FAILURE or TOTAL_FAILURE
+ * when documents, media, views or locales could not be restored.
+ * @async
+ * @param {string} userInputPath - Path to the snapshot .tar.gz or extracted folder
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.skipSchema] - Leave schema files (src/api, src/components) untouched
+ * @param {boolean} [options.dryRun] - Show what would be restored without making changes
+ * @returns {Promise<void>} Resolves when restore is complete (exits process)
+ * @example
+ * await runRestore('./migrate-snapshots/snapshot-2024-01-15T10-30-00-000Z.tar.gz');
+ */
+async function runRestore(userInputPath, options = {}) {
+    console.log('\n=== Strapi Restore Tool ===');
+
+    if (options.dryRun) {
+        console.warn("  ! DRY RUN MODE: No changes will be applied\n");
+    }
+
+    const inputPath = path.resolve(process.cwd(), userInputPath);
+    if (!fs.existsSync(inputPath)) {
+        console.error(`  ✗ Snapshot not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    let tempDir = null;
+    let snapshotPath = inputPath;
+    if (isArchivePath(inputPath)) {
+        console.log(`  • Extracting snapshot ${path.basename(inputPath)}...`);
+        try {
+            ({ tempDir, importPath: snapshotPath } = await extractArchive(inputPath));
+        } catch (e) {
+            console.error(`  ✗ ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    const cleanupTemp = () => {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    };
+
+    const { manifest, errors } = await loadManifest(snapshotPath);
+    if (errors.length === 0 && !manifest.snapshot) {
+        errors.push('This archive is an export, not a snapshot. Use `strapi-migrate import` instead.');
+    }
+    if (errors.length > 0) {
+        console.error('  ✗ Snapshot validation failed:');
+        errors.forEach(err => console.error(`    - ${err}`));
+        cleanupTemp();
+        process.exit(1);
+    }
+
+    const state = manifest.snapshot;
+    const report = createReport('restore', { archive: inputPath, dryRun: Boolean(options.dryRun) });
+    options = { ...options, reporter: report, mediaIdMap: new Map() };
+    console.log(`  • Snapshot of ${state.archive || 'unknown archive'} taken ${manifest.createdAt} (${describeManifest(manifest)})`);
+
+    // Schema files go back before boot so Strapi loads the previous content type definitions
+    if (!options.skipSchema) {
+        console.log('\n=== Phase: Schema File Restore (Pre-Boot) ===');
+        const changed = restoreSchemaFiles(snapshotPath, state.schemaFiles, options);
+        console.log(`  ✓ ${options.dryRun ? 'Checked' : 'Restored'} ${options.dryRun ? state.schemaFiles.length : changed} schema file(s)`);
+    }
+
+    let strapi;
+    try {
+        strapi = await loadLocalStrapi();
+    } catch (err) {
+        console.error("  ✗ Error loading Strapi:", err.message);
+        cleanupTemp();
+        process.exit(1);
+    }
+
+    if (strapi.documents) {
+        console.log('\n=== Phase: Remove Imported Documents ===');
+        await removeImportedDocuments(strapi, state.deletions, options);
+
+        // Media referenced by snapshot documents already exists on the target; map it by hash
+        if (manifest.media.length > 0) {
+            await importMedia(strapi, manifest.media, path.join(snapshotPath, 'uploads'), { ...options, skipMedia: true });
+        }
+
+        await importEntities(strapi, manifest, snapshotPath, options);
+        await linkEntities(strapi, manifest, snapshotPath, options);
+        await importSingleTypes(strapi, manifest, snapshotPath, options);
+
+        console.log('\n=== Phase: Publication State ===');
+        await restorePublicationState(strapi, manifest, snapshotPath, options);
+    } else {
+        console.warn('  ! Documents cannot be restored without the Strapi v5 Document Service');
+    }
+
+    if (state.createdMedia.length > 0) {
+        console.log(`\n=== Phase: Remove Imported Media [Count: ${state.createdMedia.length}] ===`);
+        await removeImportedMedia(strapi, state.createdMedia, options);
+    }
+
+    if (Object.keys(state.views).length > 0) {
+        console.log('\n=== Phase: View Configuration Restore ===');
+        await restoreViews(strapi, state.views, options);
+    }
+
+    if (Array.isArray(state.locales)) {
+        console.log('\n=== Phase: Locale Restore ===');
+        try {
+            await restoreLocales(strapi, state.locales, state.defaultLocale, options);
+        } catch (e) {
+            console.error(`  ✗ Failed to restore locales: ${e.message}`);
+            report.recordFailure({ phase: 'locales', message: e.message });
+        }
+    }
+
+    console.log('\n=== Execution Summary ===');
+    const exitCode = report.exitCode();
+    const failureCount = report.data.errors.length;
+    if (exitCode === EXIT_CODES.SUCCESS) {
+        console.log('  ✓ Restore operations completed');
+    } else if (exitCode === EXIT_CODES.PARTIAL_FAILURE) {
+        console.warn(`  ! Restore completed with ${failureCount} failure(s)`);
+    } else {
+        console.error(`  ✗ Restore failed: ${failureCount} failure(s), nothing was restored successfully`);
+    }
+
+    cleanupTemp();
+    await strapi.destroy();
+    process.exit(exitCode);
+}
+
+module.exports = {
+    runRestore
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Pre-flight schema compatibility check for imports
+ * @description Compares the content type and component schemas shipped in an archive with the
+ * target's before anything is imported. Reports content types, components and attributes missing
+ * on either side, type changes, changed relations and changed components, and flags the
+ * differences that would lose or break data as breaking:
+ * - with the schema sync, the archive's schema files replace the target's, so attributes and
+ *   dynamic zone components only the target has are dropped
+ * - with `--skip-schema`, entries are imported against the target's schemas, so content types,
+ *   components and attributes only the archive has are dropped
+ * - type, relation and component changes break either way
+ * @module strapi-migrate/schema-check
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attributes Strapi adds to every content type (and i18n to localized ones) that never appear
+ * in schema files.
+ * @type {Set<string>}
+ */
+const SYSTEM_ATTRIBUTES = new Set([
+    'id', 'documentId', 'createdAt', 'updatedAt', 'publishedAt', 'createdBy', 'updatedBy', 'locale', 'localizations'
+]);
+
+/**
+ * Parses a schema file, ignoring unreadable ones.
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object | null} The parsed schema, or null
+ */
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Reads the content type and component schemas below a project or extracted archive root:
+ * `src/api/<api>/content-types/<name>/schema.json` and `src/components/<category>/<name>.json`.
+ * @param {string} rootDir - Project root or extracted archive directory
+ * @returns {{ contentTypes: Object<string, Object>, components: Object<string, Object> }} Schemas by UID
+ */
+function readSchemaFiles(rootDir) {
+    const schemas = { contentTypes: {}, components: {} };
+    const listDirs = dir => fs.existsSync(dir)
+        ? fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name)
+        : [];
+
+    const apiRoot = path.join(rootDir, 'src', 'api');
+    for (const apiName of listDirs(apiRoot)) {
+        const typesRoot = path.join(apiRoot, apiName, 'content-types');
+        for (const typeName of listDirs(typesRoot)) {
+            const schema = readJson(path.join(typesRoot, typeName, 'schema.json'));
+            if (schema) schemas.contentTypes[`api::${apiName}.${typeName}`] = schema;
+        }
+    }
+
+    const componentsRoot = path.join(rootDir, 'src', 'components');
+    for (const category of listDirs(componentsRoot)) {
+        for (const file of fs.readdirSync(path.join(componentsRoot, category))) {
+            if (path.extname(file) !== '.json') continue;
+            const schema = readJson(path.join(componentsRoot, category, file));
+            if (schema) schemas.components[`${category}.${path.basename(file, '.json')}`] = schema;
+        }
+    }
+    return schemas;
+}
+
+/**
+ * Returns the target's schemas: those of the loaded Strapi instance, or, before Strapi boots,
+ * the project's schema files it will be built from.
+ * @param {Object | null} strapi - The Strapi application instance, if loaded
+ * @param {string} projectDir - The Strapi project root
+ * @returns {{ contentTypes: Object<string, Object>, components: Object<string, Object> }} Schemas by UID
+ */
+function getTargetSchemas(strapi, projectDir) {
+    if (strapi) return { contentTypes: strapi.contentTypes || {}, components: strapi.components || {} };
+    return readSchemaFiles(projectDir);
+}
+
+/**
+ * Compares the attributes of one content type or component.
+ * @param {string} uid - Content type or component UID
+ * @param {Object} incoming - Attributes in the archive
+ * @param {Object} target - Attributes on the target
+ * @param {boolean} schemaSync - Whether the archive's schema files replace the target's
+ * @param {Object[]} differences - Collected differences (mutated in place)
+ */
+function compareAttributes(uid, incoming, target, schemaSync, differences) {
+    const add = (attribute, change, breaking, message) => differences.push({ uid, attribute, change, breaking, message });
+
+    for (const [name, attr] of Object.entries(incoming)) {
+        if (SYSTEM_ATTRIBUTES.has(name)) continue;
+        const targetAttr = target[name];
+        if (!targetAttr) {
+            add(name, 'missing-attribute', !schemaSync, schemaSync
+                ? 'added to the target by the schema sync'
+                : 'not on the target; its values are dropped');
+            continue;
+        }
+
+        if (attr.type !== targetAttr.type) {
+            add(name, 'type-changed', true, `type ${targetAttr.type} on the target, ${attr.type} in the archive`);
+        } else if (attr.type === 'relation' && (attr.relation !== targetAttr.relation || attr.target !== targetAttr.target)) {
+            add(name, 'relation-changed', true,
+                `${targetAttr.relation} → ${targetAttr.target} on the target, ${attr.relation} → ${attr.target} in the archive`);
+        } else if (attr.type === 'component' && (attr.component !== targetAttr.component || Boolean(attr.repeatable) !== Boolean(targetAttr.repeatable))) {
+            const describe = a => `${a.component}${a.repeatable ? ' (repeatable)' : ''}`;
+            add(name, 'component-changed', true, `${describe(targetAttr)} on the target, ${describe(attr)} in the archive`);
+        } else if (attr.type === 'dynamiczone') {
+            const incomingComponents = attr.components || [];
+            const targetComponents = targetAttr.components || [];
+            const onlyTarget = targetComponents.filter(c => !incomingComponents.includes(c));
+            const onlyArchive = incomingComponents.filter(c => !targetComponents.includes(c));
+            if (onlyTarget.length > 0) {
+                add(name, 'components-removed', schemaSync, `component(s) ${onlyTarget.join(', ')} only allowed on the target`);
+            }
+            if (onlyArchive.length > 0) {
+                add(name, 'components-added', !schemaSync, `component(s) ${onlyArchive.join(', ')} only allowed in the archive`);
+            }
+        }
+    }
+
+    for (const name of Object.keys(target)) {
+        if (SYSTEM_ATTRIBUTES.has(name) || incoming[name]) continue;
+        add(name, 'extra-attribute', schemaSync, schemaSync
+            ? 'only on the target; the schema sync removes it and its values'
+            : 'only on the target; left empty by the import');
+    }
+}
+
+/**
+ * Compares the schemas shipped in an archive with the target's.
+ * @param {{ contentTypes: Object, components: Object }} incoming - Schemas from the archive (readSchemaFiles)
+ * @param {{ contentTypes: Object, components: Object }} target - Schemas of the target (getTargetSchemas)
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.schemaSync=true] - Whether the import writes the archive's schema files
+ * (false with --skip-schema)
+ * @returns {Array<{ uid: string, attribute: string | null, change: string, breaking: boolean, message: string }>}
+ * Differences, in archive order
+ * @example
+ * const differences = compareSchemas(readSchemaFiles(importPath), getTargetSchemas(null, projectDir));
+ * const breaking = differences.filter(d => d.breaking);
+ */
+function compareSchemas(incoming, target, options = {}) {
+    const schemaSync = options.schemaSync !== false;
+    const differences = [];
+
+    for (const group of ['contentTypes', 'components']) {
+        for (const [uid, schema] of Object.entries(incoming[group])) {
+            const targetSchema = target[group][uid];
+            if (!targetSchema) {
+                const what = group === 'contentTypes' ? 'content type' : 'component';
+                differences.push({
+                    uid,
+                    attribute: null,
+                    change: 'missing-schema',
+                    breaking: !schemaSync,
+                    message: schemaSync ? `${what} added to the target by the schema sync` : `${what} not on the target`
+                });
+                continue;
+            }
+            if (group === 'contentTypes' && schema.kind && targetSchema.kind && schema.kind !== targetSchema.kind) {
+                differences.push({
+                    uid,
+                    attribute: null,
+                    change: 'kind-changed',
+                    breaking: true,
+                    message: `${targetSchema.kind} on the target, ${schema.kind} in the archive`
+                });
+            }
+            compareAttributes(uid, schema.attributes || {}, targetSchema.attributes || {}, schemaSync, differences);
+        }
+    }
+    return differences;
+}
+
+module.exports = {
+    readSchemaFiles,
+    getTargetSchemas,
+    compareSchemas
+};
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Pre-import snapshot module
+ * @description Captures the parts of the target project an import is about to touch
+ * (documents matched by documentId or deleted by the import, view configurations, schema
+ * files, locales and newly added media) into a restore archive that `strapi-migrate restore` can replay.
+ * @module strapi-migrate/snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const { listFiles } = require('./file-journal');
+const { findMedia, getPopulateFromSchema, fetchEntries, getDocumentLocaleKey } = require('./export');
+const { createNdjsonWriter } = require('./ndjson');
+const {
+    createManifest,
+    finalizeManifest,
+    getContentFileName,
+    getSourceInfo,
+    readTypeEntries
+} = require('./manifest');
+
+/**
+ * Number of documentIds looked up per query while snapshotting.
+ * @type {number}
+ */
+const SNAPSHOT_BATCH_SIZE = 100;
+
+/**
+ * Directory inside a snapshot holding copies of the schema files that existed before import.
+ * @type {string}
+ */
+const SCHEMA_BACKUP_DIR = 'schema';
+
+/**
+ * Resolves and validates the directory where snapshot archives are written.
+ * Relative paths are resolved from the project directory.
+ * @param {string | undefined} snapshotDir - User-provided snapshot directory
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
+ * @returns {string} Absolute path to the snapshot directory
+ */
+function resolveSnapshotBaseDir(snapshotDir, projectDir = process.cwd()) {
+    const baseDir = snapshotDir
+        ? path.resolve(projectDir, snapshotDir)
+        : path.join(projectDir, 'migrate-snapshots');
+
+    if (fs.existsSync(baseDir) && !fs.statSync(baseDir).isDirectory()) {
+        throw new Error(`Snapshot path is not a directory: ${baseDir}`);
+    }
+
+    return baseDir;
+}
+
+/**
+ * Splits an array into chunks of a given size.
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array[]} Chunks
+ */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Starts a new snapshot working directory.
+ * @param {string} archiveName - Name of the archive being imported (recorded for reference)
+ * @param {Object} [options={}] - Import options
+ * @param {string} [options.snapshotDir] - Directory where the snapshot archive is written
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root
+ * @returns {{ baseDir: string, dirName: string, dir: string, projectDir: string, manifest: Object }} Snapshot handle
+ */
+function createSnapshot(archiveName, options = {}) {
+    const projectDir = options.projectDir || process.cwd();
+    const baseDir = resolveSnapshotBaseDir(options.snapshotDir, projectDir);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dirName = `snapshot-${timestamp}`;
+    const dir = path.join(baseDir, dirName);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const manifest = createManifest();
+    manifest.snapshot = {
+        archive: archiveName,
+        schemaFiles: [],
+        views: {},
+        locales: null,
+        defaultLocale: null,
+        deletions: {},
+        createdMedia: []
+    };
+
+    return { baseDir, dirName, dir, projectDir, manifest };
+}
+
+/**
+ * Lists the project-relative schema files an archive will write through importSourceCode.
+ * @param {string} importPath - Path to the extracted export directory
+ * @returns {string[]} Relative POSIX paths such as "src/api/article/content-types/article/schema.json"
+ */
+function listArchiveSchemaFiles(importPath) {
+    const files = [];
+    for (const root of ['api', 'components']) {
+        const srcRoot = path.join(importPath, 'src', root);
+        if (!fs.existsSync(srcRoot)) continue;
+
+        // importSourceCode copies folders only (API folders and component categories)
+        for (const dir of fs.readdirSync(srcRoot, { withFileTypes: true }).filter(d => d.isDirectory())) {
+            for (const file of listFiles(path.join(srcRoot, dir.name))) {
+                files.push(path.relative(importPath, file).split(path.sep).join('/'));
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Backs up the project schema files the archive is about to overwrite. Runs before Strapi boots.
+ * @param {Object} snapshot - Snapshot handle from createSnapshot
+ * @param {string} importPath - Path to the extracted export directory
+ */
+function snapshotSchemaFiles(snapshot, importPath) {
+    const projectRoot = snapshot.projectDir;
+
+    for (const relPath of listArchiveSchemaFiles(importPath)) {
+        const projectPath = path.join(projectRoot, relPath);
+        const existed = fs.existsSync(projectPath);
+        if (existed) {
+            const backupPath = path.join(snapshot.dir, SCHEMA_BACKUP_DIR, relPath);
+            fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+            fs.copyFileSync(projectPath, backupPath);
+        }
+        snapshot.manifest.snapshot.schemaFiles.push({ path: relPath, existed });
+    }
+
+    console.log(`  • Snapshot: ${snapshot.manifest.snapshot.schemaFiles.length} schema file(s)`);
+}
+
+/**
+ * Puts schema files back the way they were recorded in a snapshot: backed up files are
+ * restored, files that did not exist are removed along with folders left empty.
+ * @param {string} snapshotRoot - Root of the (extracted) snapshot
+ * @param {Object[]} schemaFiles - The snapshot's schemaFiles list
+ * @param {Object} [options={}] - Restore options
+ * @param {boolean} [options.dryRun] - If true, only shows what would change
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root
+ * @returns {number} Number of files restored or removed
+ */
+function restoreSchemaFiles(snapshotRoot, schemaFiles, options = {}) {
+    const projectRoot = options.projectDir || process.cwd();
+    let changed = 0;
+
+    for (const { path: relPath, existed } of schemaFiles || []) {
+        const projectPath = path.join(projectRoot, relPath);
+
+        if (existed) {
+            if (options.dryRun) {
+                console.log(`  [DRY-RUN] Would restore ${relPath}`);
+                continue;
+            }
+            fs.mkdirSync(path.dirname(projectPath), { recursive: true });
+            fs.copyFileSync(path.join(snapshotRoot, SCHEMA_BACKUP_DIR, relPath), projectPath);
+            changed++;
+        } else if (fs.existsSync(projectPath)) {
+            if (options.dryRun) {
+                console.log(`  [DRY-RUN] Would delete ${relPath}`);
+                continue;
+            }
+            fs.rmSync(projectPath, { force: true });
+            changed++;
+
+            // Remove folders the import created, stopping at src/api and src/components
+            let dir = path.dirname(projectPath);
+            const stopDirs = [path.join(projectRoot, 'src', 'api'), path.join(projectRoot, 'src', 'components')];
+            while (!stopDirs.includes(dir) && dir.startsWith(projectRoot) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                fs.rmdirSync(dir);
+                dir = path.dirname(dir);
+            }
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Records the current target state of every document, view configuration, locale and media
+ * file the import will touch. Runs after Strapi boots and before any database write.
+ * @async
+ * @param {Object} snapshot - Snapshot handle from createSnapshot
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} exportManifest - The validated archive manifest being imported
+ * @param {string} importPath - Path to the extracted export directory
+ * @param {Object<string, Object[]>} [importDeletions={}] - Document variants the import deletes, by UID
+ * (delta archive deletions or mirror deletions)
+ * @param {Object} [pluginMatches] - Plugin documents the import matches by natural key (see lib/plugins)
+ * @returns {Promise<void>}
+ */
+async function snapshotDatabase(snapshot, strapi, exportManifest, importPath, importDeletions = {}, pluginMatches = null) {
+    const { manifest } = snapshot;
+    const state = manifest.snapshot;
+    const foundMedia = new Map();
+    manifest.source = getSourceInfo(strapi);
+
+    if (!strapi.documents) {
+        console.warn('  ! Snapshot of documents requires the Strapi v5 Document Service; documents are not included');
+    }
+
+    // Documents matched by documentId (and single type variants matched by locale), plus the
+    // documents the import deletes
+    const uids = new Set([...Object.keys(exportManifest.contentTypes), ...Object.keys(importDeletions)]);
+    for (const uid of strapi.documents ? uids : []) {
+        const model = strapi.contentTypes[uid];
+        if (!model) continue;
+
+        const isSingleType = model.kind === 'singleType';
+        const archived = new Map();
+        for await (const item of readTypeEntries(exportManifest, importPath, uid)) {
+            // Matched plugin documents are imported under the target's documentId
+            const documentId = pluginMatches ? pluginMatches.resolve(uid, item.documentId) : item.documentId;
+            const docKey = isSingleType ? '' : documentId;
+            if (docKey === undefined || docKey === null) continue;
+            if (!archived.has(docKey)) archived.set(docKey, new Set());
+            archived.get(docKey).add(item.locale || null);
+        }
+
+        // Deleted documents only need capturing; restore brings them back from the snapshot
+        const captured = new Set(archived.keys());
+        for (const { documentId } of importDeletions[uid] || []) captured.add(isSingleType ? '' : documentId);
+        if (captured.size === 0) continue;
+
+        const populate = getPopulateFromSchema(uid, model, strapi);
+        const contentFile = getContentFileName(uid);
+        const writer = createNdjsonWriter(path.join(snapshot.dir, contentFile));
+        const deletions = [];
+        let count = 0;
+
+        const batches = isSingleType ? [[null]] : chunk(Array.from(captured), SNAPSHOT_BATCH_SIZE);
+        for (const documentIds of batches) {
+            const filters = isSingleType ? undefined : { documentId: { $in: documentIds } };
+            const existingDocs = new Set();
+            const existingKeys = new Set();
+
+            for await (const entry of fetchEntries(strapi, uid, populate, SNAPSHOT_BATCH_SIZE, filters)) {
+                await writer.write(entry);
+                findMedia(entry, foundMedia);
+                existingDocs.add(entry.documentId);
+                existingKeys.add(isSingleType ? entry.locale || null : getDocumentLocaleKey(entry));
+                count++;
+            }
+
+            // Whatever the import adds on top of the current state is removed again on restore
+            if (isSingleType) {
+                for (const locale of archived.get('') || []) {
+                    if (!existingKeys.has(locale)) deletions.push({ documentId: null, locale });
+                }
+                continue;
+            }
+
+            for (const documentId of documentIds) {
+                if (!archived.has(documentId)) continue;
+                if (!existingDocs.has(documentId)) {
+                    deletions.push({ documentId, locale: null });
+                    continue;
+                }
+                for (const locale of archived.get(documentId)) {
+                    if (!existingKeys.has(`${documentId}:${locale || ''}`)) {
+                        deletions.push({ documentId, locale });
+                    }
+                }
+            }
+        }
+
+        const { sha256 } = await writer.close();
+        manifest.contentTypes[uid] = { file: contentFile, count, sha256 };
+        if (deletions.length > 0) state.deletions[uid] = deletions;
+    }
+
+    manifest.media = Array.from(foundMedia.values());
+
+    // Media the import will create (matched by hash, like importMedia)
+    const archiveHashes = (exportManifest.media || []).map(file => file.hash).filter(Boolean);
+    for (const hashes of chunk(archiveHashes, SNAPSHOT_BATCH_SIZE)) {
+        const existing = await strapi.db.query('plugin::upload.file').findMany({
+            select: ['hash'],
+            where: { hash: { $in: hashes } }
+        });
+        const existingHashes = new Set(existing.map(file => file.hash));
+        state.createdMedia.push(...hashes.filter(hash => !existingHashes.has(hash)));
+    }
+
+    // Content Manager view configurations (null = did not exist)
+    for (const uid of Object.keys(exportManifest.views || {})) {
+        const existing = await strapi.db.query('strapi::core-store').findOne({
+            where: { key: `plugin_content_manager_configuration_content_types::${uid}` }
+        });
+        state.views[uid] = existing ? existing.value : null;
+    }
+
+    // Locale table and default locale
+    if (exportManifest.locales && exportManifest.locales.length > 0) {
+        try {
+            state.locales = await strapi.db.query('plugin::i18n.locale').findMany();
+            state.defaultLocale = await strapi.plugin('i18n').service('locales').getDefaultLocale();
+        } catch (e) {
+            // i18n might not be installed or enabled
+        }
+    }
+
+    const documentCount = Object.values(manifest.contentTypes).reduce((sum, type) => sum + type.count, 0);
+    console.log(`  • Snapshot: ${documentCount} existing document variant(s), ${Object.keys(state.views).length} view configuration(s), ${state.createdMedia.length} new media file(s) to track`);
+}
+
+/**
+ * Writes the snapshot manifest, packs the snapshot into a tar.gz and removes the working directory.
+ * @async
+ * @param {Object} snapshot - Snapshot handle from createSnapshot
+ * @returns {Promise<string>} Absolute path of the snapshot archive
+ */
+async function writeSnapshot(snapshot) {
+    finalizeManifest(snapshot.manifest);
+    fs.writeFileSync(path.join(snapshot.dir, 'data.json'), JSON.stringify(snapshot.manifest, null, 2));
+
+    const tarPath = path.join(snapshot.baseDir, `${snapshot.dirName}.tar.gz`);
+    await tar.c(
+        {
+            gzip: true,
+            file: tarPath,
+            cwd: snapshot.baseDir
+        },
+        [snapshot.dirName]
+    );
+
+    fs.rmSync(snapshot.dir, { recursive: true, force: true });
+    return tarPath;
+}
+
+/**
+ * Removes an unfinished snapshot working directory.
+ * @param {Object} snapshot - Snapshot handle from createSnapshot
+ */
+function discardSnapshot(snapshot) {
+    fs.rmSync(snapshot.dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    createSnapshot,
+    listArchiveSchemaFiles,
+    snapshotSchemaFiles,
+    snapshotDatabase,
+    writeSnapshot,
+    discardSnapshot,
+    restoreSchemaFiles
+};
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Media storage adapters for strapi-migrate
+ * @description Reads media files into an export archive and writes them back on import.
+ * The local adapter works on public/uploads; the provider adapter goes through the upload
+ * provider configured in Strapi (e.g. @strapi/provider-upload-aws-s3 against AWS S3 or MinIO),
+ * downloading files from their URLs on export and uploading them through the provider on import.
+ * A custom adapter module can be plugged in as well.
+ * @module strapi-migrate/storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { finished } = require('stream/promises');
+const { getUploadsPath } = require('./utils');
+
+/**
+ * Built-in storage adapter names accepted by --storage.
+ * "auto" picks "local" when Strapi uses the local upload provider, "provider" otherwise.
+ * @type {string[]}
+ */
+const STORAGE_ADAPTERS = ['auto', 'local', 'provider'];
+
+/**
+ * Returns the name a media file (or format) is stored under in the archive's uploads folder:
+ * the last path segment of its URL, so "/uploads/a_1.png" and
+ * "https://bucket.s3.amazonaws.com/media/a_1.png?X-Amz-..." both map to "a_1.png".
+ * @param {Object} file - Media file or format metadata with a url
+ * @returns {string} File name
+ */
+function getMediaFileName(file) {
+    const url = String(file.url || '');
+    const pathname = /^https?:\/\//i.test(url) ? new URL(url).pathname : url.split('?')[0];
+    return decodeURIComponent(path.posix.basename(pathname));
+}
+
+/**
+ * Lists the stored variants of a media file: the original and every generated format.
+ * @param {Object} fileData - Media file metadata
+ * @returns {Array<{ format: string | null, file: Object }>} Variants, the original first
+ */
+function getMediaVariants(fileData) {
+    const variants = [{ format: null, file: fileData }];
+    if (fileData.formats) {
+        Object.entries(fileData.formats).forEach(([format, file]) => variants.push({ format, file }));
+    }
+    return variants;
+}
+
+/**
+ * Returns the upload provider name configured in Strapi ("local" when none is configured).
+ * @param {Object} strapi - The Strapi application instance
+ * @returns {string} Provider name
+ */
+function getUploadProviderName(strapi) {
+    let config = null;
+    try {
+        config = strapi?.config?.get('plugin::upload') || strapi?.config?.get('plugin.upload');
+    } catch (e) {}
+    return (config && config.provider) || 'local';
+}
+
+/**
+ * Creates the adapter for the local upload provider (public/uploads in the project).
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorage(options = {}) {
+    const uploadsPath = getUploadsPath(options.projectDir);
+
+    return {
+        name: 'local',
+
+        /**
+         * Copies a stored file into the archive.
+         * @param {Object} file - Media file or format metadata
+         * @param {string} destPath - Path in the archive
+         * @returns {Promise<boolean>} False if the file is not in public/uploads
+         */
+        async read(file, destPath) {
+            const sourcePath = path.join(uploadsPath, getMediaFileName(file));
+            if (!fs.existsSync(sourcePath)) return false;
+            fs.copyFileSync(sourcePath, destPath);
+            return true;
+        },
+
+        /**
+         * Copies a file from the archive into public/uploads. Existing files are never overwritten;
+         * new files are recorded in the file journal, if any.
+         * @param {Object} file - Media file or format metadata
+         * @param {string} sourcePath - Path in the extracted archive
+         * @param {Object} [writeOptions={}] - Import options ({ fileJournal })
+         * @returns {Promise<Object>} Fields to store with the file ({ url })
+         */
+        async write(file, sourcePath, writeOptions = {}) {
+            const fileName = getMediaFileName(file);
+            const destPath = path.join(uploadsPath, fileName);
+            if (!fs.existsSync(destPath)) {
+                if (writeOptions.fileJournal) writeOptions.fileJournal.track(destPath);
+                fs.mkdirSync(uploadsPath, { recursive: true });
+                fs.copyFileSync(sourcePath, destPath);
+            }
+            return { url: `/uploads/${fileName}` };
+        },
+
+        // Local writes are undone by the file journal
+        async undo() {
+            return 0;
+        },
+
+        providerName: 'local'
+    };
+}
+
+/**
+ * Creates the adapter for the upload provider configured in Strapi. Files are downloaded from
+ * their URL (signed first when the provider serves private files) and uploaded through the
+ * upload plugin's provider service, which stores them under their hash like a regular upload.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.projectDir] - The Strapi project root, for files with relative URLs
+ * @returns {Object} Storage adapter
+ */
+function createProviderStorage(strapi, options = {}) {
+    const plugin = strapi.plugin('upload');
+    const provider = plugin.provider;
+    const providerName = getUploadProviderName(strapi);
+    /** @type {Object[]} */
+    const uploaded = [];
+
+    let providerService = null;
+    try {
+        providerService = plugin.service('provider');
+    } catch (e) {}
+
+    /**
+     * Uploads a file object through the provider service (v5) or the provider itself (v4).
+     * @param {Object} file - Upload file object with getStream()
+     */
+    const upload = async (file) => {
+        if (providerService && typeof providerService.upload === 'function') {
+            await providerService.upload(file);
+        } else if (typeof provider.uploadStream === 'function') {
+            file.stream = file.getStream();
+            await provider.uploadStream(file);
+            delete file.stream;
+        } else {
+            file.buffer = fs.readFileSync(file.filepath);
+            await provider.upload(file);
+            delete file.buffer;
+        }
+    };
+
+    return {
+        name: `provider (${providerName})`,
+
+        /**
+         * Downloads a stored file into the archive.
+         * @param {Object} file - Media file or format metadata
+         * @param {string} destPath - Path in the archive
+         * @returns {Promise<boolean>} False if the provider has no such file (404)
+         */
+        async read(file, destPath) {
+            let url = file.url;
+            if (typeof provider.isPrivate === 'function' && await provider.isPrivate()) {
+                ({ url } = await provider.getSignedUrl(file));
+            }
+            if (url.startsWith('/')) {
+                // Relative URLs are served by Strapi itself (files uploaded before the provider was configured)
+                return createLocalStorage(options).read(file, destPath);
+            }
+
+            const res = await fetch(url);
+            if (res.status === 404) return false;
+            if (!res.ok || !res.body) throw new Error(`Failed to download ${url}: ${res.status} ${res.statusText}`);
+            await finished(Readable.fromWeb(res.body).pipe(fs.createWriteStream(destPath)));
+            return true;
+        },
+
+        /**
+         * Uploads a file from the archive through the provider.
+         * @param {Object} file - Media file or format metadata
+         * @param {string} sourcePath - Path in the extracted archive
+         * @returns {Promise<Object>} Fields to store with the file ({ url, provider_metadata })
+         */
+        async write(file, sourcePath) {
+            const uploadFile = {
+                name: file.name,
+                hash: file.hash,
+                ext: file.ext,
+                mime: file.mime,
+                size: file.size,
+                sizeInBytes: fs.statSync(sourcePath).size,
+                width: file.width,
+                height: file.height,
+                path: file.path,
+                filepath: sourcePath,
+                getStream: () => fs.createReadStream(sourcePath)
+            };
+            await upload(uploadFile);
+            uploaded.push(uploadFile);
+            return { url: uploadFile.url, provider_metadata: uploadFile.provider_metadata || null };
+        },
+
+        /**
+         * Deletes every file uploaded by this adapter (used when an atomic import rolls back).
+         * @returns {Promise<number>} Number of deleted files
+         */
+        async undo() {
+            let deleted = 0;
+            for (const file of uploaded.splice(0)) {
+                try {
+                    await provider.delete(file);
+                    deleted++;
+                } catch (e) {
+                    console.error(`  ! Failed to delete uploaded file ${file.hash}${file.ext}: ${e.message}`);
+                }
+            }
+            return deleted;
+        },
+
+        providerName
+    };
+}
+
+/**
+ * Checks a --storage value before anything is exported or imported.
+ * @param {string | Object} [storage] - Value of the storage option
+ * @throws {Error} If it is neither a built-in adapter name, a module path nor an adapter object
+ */
+function validateStorageOption(storage) {
+    if (!storage || typeof storage === 'object' || STORAGE_ADAPTERS.includes(storage)) return;
+    if (/[\\/]|\.c?js$/.test(storage)) return;
+    throw new Error(`Unknown storage adapter "${storage}" (expected ${STORAGE_ADAPTERS.join(', ')} or a module path)`);
+}
+
+/**
+ * Resolves the storage adapter for a run.
+ * @param {Object} strapi - The Strapi application instance
+ * @param {Object} [options={}] - Options
+ * @param {string | Object} [options.storage='auto'] - "auto", "local", "provider", the path of a
+ * module exporting an adapter factory `({ strapi, projectDir }) => adapter`, or an adapter object
+ * @param {string} [options.projectDir] - The Strapi project root (default: current working directory)
+ * @returns {Object} Storage adapter with read(file, destPath), write(file, sourcePath, options) and undo()
+ * @throws {Error} If the adapter is unknown or a custom adapter module is invalid
+ * @example
+ * const storage = resolveStorage(strapi, { storage: 'auto', projectDir });
+ * await storage.read(fileData, path.join(exportDir, 'uploads', getMediaFileName(fileData)));
+ */
+function resolveStorage(strapi, options = {}) {
+    const storage = options.storage || 'auto';
+    validateStorageOption(storage);
+    if (typeof storage === 'object') return storage;
+
+    if (storage === 'local') return createLocalStorage(options);
+    if (storage === 'provider') return createProviderStorage(strapi, options);
+    if (storage === 'auto') {
+        return getUploadProviderName(strapi) === 'local' ? createLocalStorage(options) : createProviderStorage(strapi, options);
+    }
+
+    const modulePath = path.resolve(options.projectDir || process.cwd(), storage);
+    const factory = require(modulePath);
+    const adapter = typeof factory === 'function' ? factory({ strapi, projectDir: options.projectDir }) : factory;
+    if (!adapter || typeof adapter.read !== 'function' || typeof adapter.write !== 'function') {
+        throw new Error(`Storage adapter ${storage} must provide read(file, destPath) and write(file, sourcePath)`);
+    }
+    return { name: path.basename(storage), undo: async () => 0, ...adapter };
+}
+
+module.exports = {
+    STORAGE_ADAPTERS,
+    getMediaFileName,
+    getMediaVariants,
+    getUploadProviderName,
+    createLocalStorage,
+    createProviderStorage,
+    validateStorageOption,
+    resolveStorage
+};
@@ -0,0 +1,551 @@
+/**
+ * @fileoverview Instance-to-instance transfer for strapi-migrate
+ * @description `serve` runs a small token-authenticated HTTP endpoint in a Strapi project;
+ * `pull` exports from such an endpoint straight into the local project and `push` sends a local
+ * export to it. Both ends reuse the regular pipelines (exportData with its related-type
+ * resolution, importData with its media, create and link phases), so a transfer behaves exactly
+ * like export + copy + import without handling the archive by hand.
+ * @module strapi-migrate/transfer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { finished, pipeline } = require('stream/promises');
+const inquirer = require('inquirer');
+const { exportData } = require('./export');
+const { loadWhereFile } = require('./filters');
+const { importData } = require('./import');
+const { getInstalledStrapiVersion } = require('./manifest');
+const { validateConflictStrategy, createConflictPrompt } = require('./conflict');
+const packageJson = require('../package.json');
+const { EXIT_CODES, createMigrationError, resolveReportFormat, writeReport } = require('./report');
+
+/**
+ * Environment variable holding the transfer token when --token is not given.
+ * @type {string}
+ */
+const TRANSFER_TOKEN_ENV = 'STRAPI_MIGRATE_TOKEN';
+
+/**
+ * Default port of the transfer endpoint.
+ * @type {number}
+ */
+const DEFAULT_TRANSFER_PORT = 4337;
+
+/**
+ * Import options a pushing client may set on the receiving side. Anything else (schema and code
+ * writes, the schema check, report paths, media storage, snapshot directories) stays under the
+ * control of whoever runs `serve`.
+ * @type {string[]}
+ */
+const REMOTE_IMPORT_OPTIONS = ['dryRun', 'atomic', 'failFast', 'skipMedia', 'snapshot', 'mirror', 'onConflict'];
+
+/**
+ * Export options a pulling client may set on the sending side. Password hashes of plugin types
+ * (includePasswordHashes) never leave the sending side through a pull.
+ * @type {string[]}
+ */
+const REMOTE_EXPORT_OPTIONS = ['types', 'all', 'filterApi', 'filterComponents', 'batchSize', 'status', 'locale', 'where', 'whereFile', 'closure', 'maxDepth', 'keepDangling', 'plugins'];
+
+/**
+ * Copies the allowed keys of an options object.
+ * @param {Object} options - Options
+ * @param {string[]} keys - Allowed keys
+ * @returns {Object} Options restricted to the allowed keys that are set
+ */
+function pickOptions(options, keys) {
+    const picked = {};
+    keys.forEach(key => {
+        if (options[key] !== undefined) picked[key] = options[key];
+    });
+    return picked;
+}
+
+/**
+ * Compares a request's bearer token with the expected one in constant time.
+ * @param {http.IncomingMessage} req - The request
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the request is authorized
+ */
+function isAuthorized(req, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a JSON request body.
+ * @async
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {Error} If the body is not valid JSON
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    return text.trim() ? JSON.parse(text) : {};
+}
+
+/**
+ * Creates the transfer endpoint of a Strapi project. Every transfer loads the project's Strapi
+ * on its own (after the schema sync, for imports), and only one transfer runs at a time.
+ *
+ * Routes (all require `Authorization: Bearer <token>`):
+ * - `GET /info` - tool and Strapi version of the project
+ * - `POST /export` - JSON body with export options; responds with the archive
+ * - `POST /import?options=<json>` - archive as body; responds with NDJSON progress events
+ *   (`phase`, `entry`, `media`, `failure`) followed by a `result` or `error` line
+ *
+ * @param {Object} options - Server options
+ * @param {string} options.token - Token clients must send
+ * @param {string} [options.projectDir=process.cwd()] - The Strapi project root
+ * @param {Object} [options.strapi] - A loaded Strapi instance to use instead of loading one per transfer
+ * @param {boolean} [options.allowSchema=false] - Let pushed archives write their schema files and
+ * code (src/api, src/components); without it pushes only import content
+ * @param {boolean} [options.force=false] - Import pushed archives even when the schema check finds
+ * breaking differences
+ * @returns {http.Server} Server, not yet listening
+ * @throws {Error} If no token is given
+ * @example
+ * const server = createTransferServer({ token: process.env.STRAPI_MIGRATE_TOKEN, projectDir: '/srv/cms' });
+ * server.listen(4337);
+ */
+function createTransferServer(options = {}) {
+    if (!options.token) throw new Error('A transfer token is required');
+    const projectDir = path.resolve(options.projectDir || process.cwd());
+    const workDir = path.join(os.tmpdir(), 'strapi-migrate-transfer');
+    let busy = false;
+
+    const handleExport = async (req, res) => {
+        const body = await readJsonBody(req);
+        const exportOptions = pickOptions(body, REMOTE_EXPORT_OPTIONS);
+        if (!exportOptions.all && !exportOptions.filterApi && !exportOptions.filterComponents && !exportOptions.whereFile
+            && !(Array.isArray(exportOptions.types) && exportOptions.types.length > 0)) {
+            return sendJson(res, 400, { error: 'Select content types with types, all, filterApi, filterComponents or whereFile' });
+        }
+        // Filter files are read by the client; a path would name a file on this server
+        if (exportOptions.whereFile !== undefined && typeof exportOptions.whereFile !== 'object') {
+            return sendJson(res, 400, { error: 'whereFile must be the filters object, not a path' });
+        }
+
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-serve-'));
+        try {
+            const result = await exportData({ ...exportOptions, strapi: options.strapi, projectDir, outputDir });
+            if (!result.archive) {
+                return sendJson(res, 400, { error: 'No content types matched the selection' });
+            }
+            res.writeHead(200, {
+                'Content-Type': 'application/gzip',
+                'Content-Length': fs.statSync(result.archive).size,
+                'Content-Disposition': `attachment; filename="${path.basename(result.archive)}"`,
+                'X-Strapi-Migrate-Exit-Code': String(result.exitCode),
+                'X-Strapi-Migrate-Types': result.types.join(',')
+            });
+            await pipeline(fs.createReadStream(result.archive), res);
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    };
+
+    const handleImport = async (req, res, query) => {
+        let importOptions;
+        try {
+            importOptions = pickOptions(JSON.parse(query.get('options') || '{}'), REMOTE_IMPORT_OPTIONS);
+        } catch (e) {
+            return sendJson(res, 400, { error: `Invalid options: ${e.message}` });
+        }
+
+        fs.mkdirSync(workDir, { recursive: true });
+        const archive = path.join(workDir, `push-${crypto.randomUUID()}.tar.gz`);
+        try {
+            await pipeline(req, fs.createWriteStream(archive));
+
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            const send = (type, payload) => res.write(`${JSON.stringify({ type, ...payload })}\n`);
+            const events = new EventEmitter();
+            ['phase', 'entry', 'media', 'failure'].forEach(type => events.on(type, payload => send(type, payload)));
+
+            // Pushed imports cannot be resumed (each push uploads a new archive), so a failed one
+            // must not keep its extracted archive and checkpoint around
+            try {
+                const result = await importData({
+                    ...importOptions,
+                    skipSchema: !options.allowSchema,
+                    force: Boolean(options.force),
+                    resumable: false,
+                    archive,
+                    strapi: options.strapi,
+                    projectDir,
+                    events
+                });
+                send('result', result);
+            } catch (err) {
+                send('error', {
+                    message: err.message,
+                    exitCode: err.exitCode === undefined ? EXIT_CODES.FATAL : err.exitCode,
+                    report: err.report || null
+                });
+            }
+            res.end();
+        } finally {
+            fs.rmSync(archive, { force: true });
+        }
+    };
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (!isAuthorized(req, options.token)) {
+            return sendJson(res, 401, { error: 'Missing or invalid transfer token' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/info') {
+            return sendJson(res, 200, {
+                tool: packageJson.version,
+                strapi: getInstalledStrapiVersion(projectDir),
+                busy
+            });
+        }
+
+        const handler = req.method === 'POST' && url.pathname === '/export' ? handleExport
+            : req.method === 'POST' && url.pathname === '/import' ? handleImport
+            : null;
+        if (!handler) return sendJson(res, 404, { error: 'Not found' });
+        if (busy) return sendJson(res, 409, { error: 'Another transfer is still running' });
+
+        busy = true;
+        try {
+            await handler(req, res, url.searchParams);
+        } catch (e) {
+            console.error(`  ✗ Transfer failed: ${e.message}`);
+            if (!res.headersSent) sendJson(res, 500, { error: e.message });
+            else res.end();
+        } finally {
+            busy = false;
+        }
+    });
+}
+
+/**
+ * Resolves the token a client sends.
+ * @param {Object} options - Client options
+ * @param {string} [options.token] - Token given on the command line or API
+ * @returns {string} Token
+ * @throws {Error} If neither --token nor the environment variable is set
+ */
+function resolveToken(options) {
+    const token = options.token || process.env[TRANSFER_TOKEN_ENV];
+    if (!token) throw new Error(`A transfer token is required (--token or ${TRANSFER_TOKEN_ENV})`);
+    return token;
+}
+
+/**
+ * Sends an authenticated request to a transfer endpoint.
+ * @async
+ * @param {string} baseUrl - Endpoint URL (e.g. http://localhost:4337)
+ * @param {string} route - Route path, with query string
+ * @param {string} token - Transfer token
+ * @param {Object} [init={}] - fetch options
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} If the endpoint answers with an error status
+ */
+async function requestRemote(baseUrl, route, token, init = {}) {
+    const res = await fetch(`${baseUrl.replace(/\/+$/, '')}${route}`, {
+        ...init,
+        headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` }
+    });
+    if (!res.ok) {
+        let message = `${res.status} ${res.statusText}`;
+        try {
+            message = (await res.json()).error || message;
+        } catch (e) {}
+        throw new Error(`Remote ${route.split('?')[0]} failed: ${message}`);
+    }
+    return res;
+}
+
+/**
+ * Pulls content from a remote transfer endpoint into a local Strapi project: the remote side
+ * exports the selected types (plus related types, media and schema files) and the archive is
+ * imported locally.
+ * @async
+ * @param {Object} options - Pull options: the export selection (types, all, filterApi,
+ * filterComponents, batchSize, plugins), filters (status, locale, where, whereFile) and document-level
+ * options (closure, maxDepth, keepDangling) for the remote side
+ * plus any importData option for the local side; a whereFile path is read locally
+ * @param {string} options.url - Transfer endpoint URL
+ * @param {string} [options.token] - Transfer token (default: STRAPI_MIGRATE_TOKEN)
+ * @returns {Promise<Object>} The importData result, with the remote types in `types`
+ * @throws {Error} If the remote export fails, or as importData throws
+ * @example
+ * const result = await pullData({ url: 'http://staging:4337', token, all: true, projectDir: '/srv/cms' });
+ */
+async function pullData(options) {
+    const token = resolveToken(options);
+    if (options.report) resolveReportFormat(options.report, options.reportFormat);
+    validateConflictStrategy(options.onConflict);
+
+    console.log(`  • Requesting export from ${options.url}...`);
+    const res = await requestRemote(options.url, '/export', token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...pickOptions(options, REMOTE_EXPORT_OPTIONS),
+            ...(options.whereFile ? { whereFile: loadWhereFile(options.whereFile, options.projectDir) } : {})
+        })
+    });
+
+    const types = (res.headers.get('x-strapi-migrate-types') || '').split(',').filter(Boolean);
+    const remoteExitCode = Number(res.headers.get('x-strapi-migrate-exit-code') || 0);
+    const fileName = /filename="([^"]+)"/.exec(res.headers.get('content-disposition') || '')?.[1] || 'pull.tar.gz';
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-pull-'));
+    const archive = path.join(workDir, path.basename(fileName));
+    try {
+        await finished(Readable.fromWeb(res.body).pipe(fs.createWriteStream(archive)));
+        console.log(`    ✓ Received ${types.length} content type(s) (${fs.statSync(archive).size} bytes)`);
+        if (remoteExitCode !== EXIT_CODES.SUCCESS) {
+            console.warn(`  ! The remote export finished with failures (exit code ${remoteExitCode}); see the remote log`);
+        }
+
+        const result = await importData({ ...options, archive });
+        return { ...result, types };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Pushes content from a local Strapi project to a remote transfer endpoint: the selected types
+ * are exported locally and imported by the remote side, whose progress is relayed as it runs.
+ * @async
+ * @param {Object} options - Push options: any exportData option for the local side plus the
+ * remote import options (dryRun, atomic, failFast, skipMedia, snapshot, mirror, onConflict); schema
+ * writes and --force are decided by the remote `serve`
+ * @param {string} options.url - Transfer endpoint URL
+ * @param {string} [options.token] - Transfer token (default: STRAPI_MIGRATE_TOKEN)
+ * @param {import('events').EventEmitter} [options.events] - Receives the remote import's events
+ * @returns {Promise<{ exitCode: number, snapshot: string | null, summary: Object, report: Object }>}
+ * The remote importData result (the snapshot path is on the remote machine)
+ * @throws {Error} If the export or the remote import fails; the error carries `exitCode` and `report`
+ * @example
+ * const result = await pushData({ url: 'http://prod:4337', token, types: ['api::article.article'] });
+ */
+async function pushData(options) {
+    const token = resolveToken(options);
+    if (options.report) resolveReportFormat(options.report, options.reportFormat);
+    validateConflictStrategy(options.onConflict);
+    if (options.onConflict === 'prompt') {
+        throw new Error('--on-conflict prompt is not available for push: the remote import cannot ask');
+    }
+
+    // The local export is never a dry run: the remote side previews the import instead
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-push-'));
+    try {
+        const { report, reportFormat, dryRun, events, ...exportOptions } = options;
+        const exported = await exportData({ ...exportOptions, outputDir });
+        if (!exported.archive) {
+            return { exitCode: EXIT_CODES.SUCCESS, snapshot: null, summary: null, report: null };
+        }
+        if (exported.exitCode !== EXIT_CODES.SUCCESS) {
+            console.warn(`  ! Export finished with failures; pushing what was exported`);
+        }
+
+        const remoteOptions = pickOptions(options, REMOTE_IMPORT_OPTIONS);
+        console.log(`\n=== Pushing to ${options.url} ===`);
+        const res = await requestRemote(options.url, `/import?options=${encodeURIComponent(JSON.stringify(remoteOptions))}`, token, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/gzip', 'Content-Length': String(fs.statSync(exported.archive).size) },
+            body: fs.createReadStream(exported.archive),
+            duplex: 'half'
+        });
+
+        let outcome = null;
+        let buffered = '';
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            const { type, ...payload } = JSON.parse(line);
+            if (type === 'result' || type === 'error') {
+                outcome = { type, ...payload };
+                return;
+            }
+            if (events) events.emit(type, payload);
+            if (type === 'phase') console.log(`  • [remote] ${payload.phase}${payload.uid ? ` ${payload.uid}` : ''}`);
+            if (type === 'failure') {
+                console.error(`  ✗ [remote] ${payload.phase}${payload.uid ? ` ${payload.uid}` : ''}${payload.documentId ? ` ${payload.documentId}` : ''}: ${payload.message}`);
+            }
+        };
+        for await (const chunk of res.body) {
+            buffered += Buffer.from(chunk).toString('utf8');
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffered);
+
+        if (!outcome) throw new Error('The remote import ended without a result');
+        if (outcome.report && report) {
+            const writtenPath = writeReport({ finish: () => outcome.report }, report, reportFormat, options.projectDir);
+            console.log(`  • Report written to ${writtenPath}`);
+        }
+        if (outcome.type === 'error') {
+            console.error(`  ✗ Remote import failed: ${outcome.message}`);
+            throw createMigrationError(`Remote import failed: ${outcome.message}`, outcome.exitCode, outcome.report);
+        }
+
+        const { exitCode, snapshot, summary } = outcome;
+        if (exitCode === EXIT_CODES.SUCCESS) {
+            console.log('  ✓ Remote import completed');
+        } else {
+            console.warn(`  ! Remote import finished with exit code ${exitCode}`);
+        }
+        if (snapshot) console.log(`  • Remote pre-import snapshot: ${snapshot}`);
+        return { exitCode, snapshot, summary, report: outcome.report };
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Prompts for the content types to transfer when none were selected on the command line.
+ * @async
+ * @param {string[]} allTypes - Selectable content type UIDs
+ * @returns {Promise<string[]>} Selected UIDs
+ */
+async function promptTypes(allTypes) {
+    const answers = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'selectedTypes',
+            message: 'Select content types to push:',
+            choices: allTypes,
+            pageSize: 15,
+            loop: false
+        }
+    ]);
+    return answers.selectedTypes;
+}
+
+/**
+ * Exits the CLI with the result or error of a transfer.
+ * @param {Promise<Object>} run - The running transfer
+ * @returns {Promise<void>} Never resolves normally; exits the process
+ */
+async function exitWith(run) {
+    try {
+        const result = await run;
+        process.exit(result.exitCode);
+    } catch (err) {
+        // Aborted runs were already logged; anything else is reported here
+        if (err.exitCode === undefined) console.error(`  ✗ ${err.message}`);
+        process.exit(err.exitCode === undefined ? EXIT_CODES.FATAL : err.exitCode);
+    }
+}
+
+/**
+ * CLI entry point for `strapi-migrate serve`. Serves the transfer endpoint of the project in the
+ * current working directory until interrupted.
+ * @param {Object} [options={}] - Serve options
+ * @param {string} [options.port] - Port (default: 4337)
+ * @param {string} [options.host] - Interface to listen on (default: 127.0.0.1)
+ * @param {string} [options.token] - Token clients must send (default: STRAPI_MIGRATE_TOKEN, or a
+ * generated one that is printed)
+ * @param {boolean} [options.allowSchema] - Let pushed archives write schema files and code
+ * @param {boolean} [options.force] - Import pushed archives despite breaking schema differences
+ */
+function runServe(options = {}) {
+    console.log('\n=== Strapi Transfer Endpoint ===');
+
+    const port = Number(options.port || DEFAULT_TRANSFER_PORT);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`  ✗ Invalid --port "${options.port}"`);
+        process.exit(EXIT_CODES.FATAL);
+    }
+    const host = options.host || '127.0.0.1';
+    let token = options.token || process.env[TRANSFER_TOKEN_ENV];
+    if (!token) {
+        token = crypto.randomBytes(24).toString('hex');
+        console.log(`  • Generated transfer token: ${token}`);
+    }
+
+    const server = createTransferServer({
+        token,
+        projectDir: process.cwd(),
+        allowSchema: Boolean(options.allowSchema),
+        force: Boolean(options.force)
+    });
+    server.on('error', (e) => {
+        console.error(`  ✗ ${e.message}`);
+        process.exit(EXIT_CODES.FATAL);
+    });
+    server.listen(port, host, () => {
+        console.log(`  ✓ Listening on http://${host}:${server.address().port}`);
+        if (options.allowSchema) console.warn('  ! Pushed archives may write schema files and code (--allow-schema)');
+        console.log(`    Pull from it with: strapi-migrate pull http://${host}:${server.address().port} --all --token <token>`);
+    });
+
+    process.on('SIGINT', () => {
+        console.log('\n  • Stopping transfer endpoint');
+        server.close(() => process.exit(EXIT_CODES.SUCCESS));
+    });
+}
+
+/**
+ * CLI entry point for `strapi-migrate pull`.
+ * @async
+ * @param {string} url - Transfer endpoint URL
+ * @param {string[]} types - Content type UIDs to pull
+ * @param {Object} [options={}] - Pull options (see pullData)
+ * @returns {Promise<void>} Exits the process with the import's exit code
+ */
+async function runPull(url, types, options = {}) {
+    console.log('\n=== Strapi Pull ===');
+    await exitWith(pullData({
+        ...options,
+        url,
+        types: types || [],
+        projectDir: process.cwd(),
+        resolveConflict: options.onConflict === 'prompt' && process.stdin.isTTY ? createConflictPrompt() : undefined
+    }));
+}
+
+/**
+ * CLI entry point for `strapi-migrate push`.
+ * @async
+ * @param {string} url - Transfer endpoint URL
+ * @param {string[]} types - Content type UIDs to push (prompted for when empty)
+ * @param {Object} [options={}] - Push options (see pushData)
+ * @returns {Promise<void>} Exits the process with the remote import's exit code
+ */
+async function runPush(url, types, options = {}) {
+    console.log('\n=== Strapi Push ===');
+    await exitWith(pushData({ ...options, url, types: types || [], projectDir: process.cwd(), selectTypes: promptTypes }));
+}
+
+module.exports = {
+    TRANSFER_TOKEN_ENV,
+    DEFAULT_TRANSFER_PORT,
+    createTransferServer,
+    pullData,
+    pushData,
+    runServe,
+    runPull,
+    runPush
+};
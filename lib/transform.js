@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Import transforms for strapi-migrate
+ * @description Loads the user module given with `--transform` and applies its hooks while an
+ * archive is imported, so data can be adapted to a diverged target schema (renamed fields, split
+ * components, changed enumerations, renamed content types) without editing the archive:
+ * - `mapUid(uid)` - target content type UID for an archived one
+ * - `skipEntry(uid, entry, ctx)` - true to leave an entry out
+ * - `transformEntry(uid, entry, ctx)` - the entry to import (or undefined to keep the mutated entry)
+ * - `transformMedia(file, ctx)` - the media entry to create (or undefined to keep the mutated file)
+ * Hooks receive the archived UID and may be async; `ctx` holds the `phase`, the `targetUid`,
+ * the `strapi` instance and the archive `manifest`.
+ * @module strapi-migrate/transform
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Hooks a transform module may export.
+ * @type {string[]}
+ */
+const TRANSFORM_HOOKS = ['mapUid', 'skipEntry', 'transformEntry', 'transformMedia'];
+
+/**
+ * Renames the archived content types of a manifest in place (entries, inline entries, view
+ * configurations and delta records), so every import phase reads and writes the mapped types.
+ * @param {Object} manifest - A validated manifest
+ * @param {function(string): string} mapUid - Returns the target UID of an archived one
+ * @param {string} label - Name used in error messages (e.g. the transform or mapping file)
+ * @returns {Array<{ from: string, to: string }>} The renamed UIDs
+ * @throws {Error} If two archived types map to the same UID
+ */
+function renameManifestTypes(manifest, mapUid, label) {
+    const renamed = [];
+    const rename = (byUid, record) => {
+        if (!byUid) return byUid;
+        const result = {};
+        for (const [uid, value] of Object.entries(byUid)) {
+            const target = mapUid(uid);
+            if (record) {
+                if (result[target] !== undefined) {
+                    const other = renamed.find(entry => entry.to === target);
+                    throw new Error(`${label}: ${other ? other.from : target} and ${uid} both map to ${target}`);
+                }
+                if (target !== uid) renamed.push({ from: uid, to: target });
+            }
+            result[target] = value;
+        }
+        return result;
+    };
+
+    manifest.contentTypes = rename(manifest.contentTypes, true);
+    manifest.types = rename(manifest.types);
+    manifest.views = rename(manifest.views);
+    if (manifest.delta) {
+        manifest.delta.documents = rename(manifest.delta.documents);
+        manifest.delta.deletions = rename(manifest.delta.deletions);
+    }
+    return renamed;
+}
+
+/**
+ * Loads and validates a transform.
+ * @param {string | Object} transform - Path of a module exporting the hooks (or a factory
+ * `({ projectDir }) => hooks`), or a hooks object
+ * @param {string} [projectDir=process.cwd()] - Directory relative module paths resolve from
+ * @returns {Object} Transform handle with mapUid(uid), applyToManifest(manifest), entry(uid, entry, ctx)
+ * and media(file, ctx)
+ * @throws {Error} If the module is missing or exports no hooks, or a hook is not a function
+ * @example
+ * const transform = loadTransform('./migrations/rename-title.js', projectDir);
+ * transform.applyToManifest(manifest);
+ * const entry = await transform.entry('api::article.article', item, { phase: 'create', strapi });
+ */
+function loadTransform(transform, projectDir = process.cwd()) {
+    let hooks = transform;
+    let name = 'hooks object';
+    if (typeof transform === 'string') {
+        const modulePath = path.resolve(projectDir, transform);
+        if (!fs.existsSync(modulePath)) {
+            throw new Error(`Transform module not found: ${modulePath}`);
+        }
+        const exported = require(modulePath);
+        hooks = typeof exported === 'function' ? exported({ projectDir }) : exported;
+        name = path.basename(transform);
+    }
+
+    if (!hooks || typeof hooks !== 'object' || !TRANSFORM_HOOKS.some(hook => hooks[hook] !== undefined)) {
+        throw new Error(`Transform ${name} must export at least one of: ${TRANSFORM_HOOKS.join(', ')}`);
+    }
+    for (const hook of TRANSFORM_HOOKS) {
+        if (hooks[hook] !== undefined && typeof hooks[hook] !== 'function') {
+            throw new Error(`Transform ${name}: ${hook} must be a function`);
+        }
+    }
+
+    // Archived UID by target UID, filled by applyToManifest
+    const sourceUids = new Map();
+    const getSourceUid = uid => sourceUids.get(uid) || uid;
+
+    const mapUid = (uid) => {
+        if (!hooks.mapUid) return uid;
+        const mapped = hooks.mapUid(uid);
+        if (mapped === undefined || mapped === null) return uid;
+        if (typeof mapped !== 'string') {
+            throw new Error(`Transform ${name}: mapUid("${uid}") must return a UID string`);
+        }
+        return mapped;
+    };
+
+    return {
+        name,
+        mapUid,
+
+        /**
+         * Renames the archived content types to their target UIDs in place (see renameManifestTypes).
+         * @param {Object} manifest - A validated manifest
+         * @returns {Array<{ from: string, to: string }>} The renamed UIDs
+         * @throws {Error} If two archived types map to the same UID
+         */
+        applyToManifest(manifest) {
+            const renamed = renameManifestTypes(manifest, mapUid, `Transform ${name}`);
+            renamed.forEach(({ from, to }) => sourceUids.set(to, from));
+            return renamed;
+        },
+
+        /**
+         * Applies skipEntry and transformEntry to an archived entry.
+         * @async
+         * @param {string} uid - Target content type UID
+         * @param {Object} entry - Archived entry (may be mutated by the hooks)
+         * @param {Object} [ctx={}] - Hook context (phase, strapi, manifest)
+         * @returns {Promise<Object | null>} The entry to import, or null when skipped
+         */
+        async entry(uid, entry, ctx = {}) {
+            const sourceUid = getSourceUid(uid);
+            const hookCtx = { ...ctx, targetUid: uid };
+            if (hooks.skipEntry && await hooks.skipEntry(sourceUid, entry, hookCtx)) return null;
+            if (!hooks.transformEntry) return entry;
+
+            const result = await hooks.transformEntry(sourceUid, entry, hookCtx);
+            return result === undefined ? entry : result;
+        },
+
+        /**
+         * Applies transformMedia to an archived media entry. The `id`, `hash` and `url` are kept,
+         * as they link the file to its entries and its copy in the archive.
+         * @async
+         * @param {Object} file - Archived media entry
+         * @param {Object} [ctx={}] - Hook context (phase, strapi, manifest)
+         * @returns {Promise<Object>} The media entry to create
+         */
+        async media(file, ctx = {}) {
+            if (!hooks.transformMedia) return file;
+            const copy = { ...file };
+            const result = await hooks.transformMedia(copy, ctx);
+            return { ...(result === undefined ? copy : result), id: file.id, hash: file.hash, url: file.url };
+        }
+    };
+}
+
+module.exports = {
+    TRANSFORM_HOOKS,
+    renameManifestTypes,
+    loadTransform
+};
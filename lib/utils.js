@@ -1,14 +1,17 @@
 /**
  * @fileoverview Utility functions for strapi-migrate
  * @description Shared helper functions for Strapi instance loading, file downloads,
- * and path resolution used across export and import operations.
+ * archive extraction and path resolution used across export and import operations.
  * @module strapi-migrate/utils
  */
 
 const path = require('path');
 const fs = require('fs');
+const tar = require('tar');
+const crypto = require('crypto');
 const { Readable } = require('stream');
 const { finished } = require('stream/promises');
+const { ENCRYPTED_EXTENSION, createIntegrityError, isEncryptedArchive, decryptArchive, checkArchiveSignature } = require('./archive-crypto');
 
 /**
  * Downloads a file from a URL to a local destination path.
@@ -43,17 +46,18 @@ async function downloadFile(url, destPath) {
 }
 
 /**
- * Loads and initializes a local Strapi instance from the current working directory.
+ * Loads and initializes a local Strapi instance from a project directory.
  * Supports both Strapi v4 and v5 initialization patterns.
  * @async
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
  * @returns {Promise<Object>} The loaded Strapi application instance
  * @throws {Error} If Strapi cannot be loaded (not in a Strapi project directory)
  * @example
  * const strapi = await loadLocalStrapi();
  * console.log(strapi.contentTypes); // Access content types
  */
-async function loadLocalStrapi() {
-  const cwd = process.cwd();
+async function loadLocalStrapi(projectDir = process.cwd()) {
+  const cwd = projectDir;
   // console.log(`  • Loading Strapi context...`); 
   
   try {
@@ -76,23 +80,128 @@ async function loadLocalStrapi() {
   } catch (err) {
     console.error('Error loading Strapi core. Ensure you are in the root of a Strapi project.');
     console.error(err);
-    process.exit(1);
+    throw err;
   }
 }
 
 /**
  * Gets the absolute path to the Strapi uploads directory.
- * @returns {string} The absolute path to public/uploads in the current working directory
+ * @param {string} [projectDir=process.cwd()] - The Strapi project root
+ * @returns {string} The absolute path to public/uploads in the project directory
  * @example
  * const uploadsPath = getUploadsPath();
  * // Returns: '/path/to/project/public/uploads'
  */
-function getUploadsPath() {
-    return path.join(process.cwd(), 'public', 'uploads');
+function getUploadsPath(projectDir = process.cwd()) {
+    return path.join(projectDir, 'public', 'uploads');
+}
+
+/**
+ * Checks whether a path points to a tar archive supported by the tool.
+ * @param {string} filePath - The path to check
+ * @returns {boolean} True for .tar, .tar.gz and .tgz files, and their encrypted .enc variants
+ */
+function isArchivePath(filePath) {
+    if (filePath.endsWith(ENCRYPTED_EXTENSION)) filePath = filePath.slice(0, -ENCRYPTED_EXTENSION.length);
+    return filePath.endsWith('.tar') || filePath.endsWith('.tar.gz') || filePath.endsWith('.tgz');
+}
+
+/**
+ * Returns the deterministic "temp-<name>" directory an archive is extracted into.
+ * @param {string} archivePath - Absolute path to the .tar, .tar.gz or .tgz file
+ * @returns {string} Absolute path of the extraction directory, next to the archive
+ * @example
+ * getExtractDir('/backups/export-2024.tar.gz'); // '/backups/temp-export-2024'
+ */
+function getExtractDir(archivePath) {
+    const filename = path.basename(archivePath);
+
+    // Strip extension to get base name
+    let baseName = filename;
+    if (baseName.endsWith(ENCRYPTED_EXTENSION)) baseName = baseName.slice(0, -ENCRYPTED_EXTENSION.length);
+    if (baseName.endsWith('.tar.gz')) baseName = baseName.slice(0, -7);
+    else if (baseName.endsWith('.tgz')) baseName = baseName.slice(0, -4);
+    else if (baseName.endsWith('.tar')) baseName = baseName.slice(0, -4);
+
+    return path.join(path.dirname(archivePath), `temp-${baseName}`);
+}
+
+/**
+ * Extracts a tar archive into a deterministic "temp-<name>" directory next to it and
+ * locates the directory holding data.json. Encrypted archives are decrypted first (into
+ * "temp-<name>.tar.gz", removed afterwards), and the manifest signature is checked before
+ * anything is extracted.
+ * @async
+ * @param {string} archivePath - Absolute path to the .tar, .tar.gz or .tgz file (or its .enc variant)
+ * @param {Object} [options={}] - Decryption and verification options
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase of encrypted archives
+ * (default: STRAPI_MIGRATE_PASSPHRASE)
+ * @param {import('crypto').KeyObject} [options.decryptKey] - Private key of archives encrypted for a public key
+ * @param {import('crypto').KeyObject} [options.verifyKey] - Public key the manifest must be signed with
+ * @returns {Promise<{ tempDir: string, importPath: string, encrypted: boolean, signature: Object }>} The temp
+ * directory (to remove when done), the extracted export root, whether the archive was encrypted and its
+ * signature state (see checkArchiveSignature)
+ * @throws {Error} If decryption, the signature check or extraction fails, or the archive holds no export
+ * data (the temp dir is removed); all but missing passphrases and keys carry `code` EINTEGRITY
+ * @example
+ * const { tempDir, importPath } = await extractArchive('/backups/export-2024.tar.gz');
+ */
+async function extractArchive(archivePath, options = {}) {
+    // Create deterministic temp dir: "temp-<filename>"
+    const tempDir = getExtractDir(archivePath);
+
+    // Ensure clean state
+    if (fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const encrypted = isEncryptedArchive(archivePath);
+    const tarPath = encrypted ? `${tempDir}.tar.gz` : archivePath;
+    try {
+        if (encrypted) {
+            await decryptArchive(archivePath, tarPath, { passphrase: options.passphrase, privateKey: options.decryptKey });
+        }
+        const signature = await checkArchiveSignature(tarPath, options.verifyKey, path.basename(archivePath));
+
+        fs.mkdirSync(tempDir);
+        try {
+            await tar.x({
+                file: tarPath,
+                cwd: tempDir
+            });
+        } catch (e) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            throw createIntegrityError(`Failed to extract tar: ${e.message}`);
+        }
+
+        const files = fs.readdirSync(tempDir);
+        let importPath = null;
+        if (files.length === 1 && fs.lstatSync(path.join(tempDir, files[0])).isDirectory()) {
+            importPath = path.join(tempDir, files[0]);
+        } else if (fs.existsSync(path.join(tempDir, 'data.json'))) {
+            importPath = tempDir;
+        }
+        if (!importPath) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            throw createIntegrityError('Could not find import data in the archive.');
+        }
+
+        // The extracted manifest must be the one whose signature was checked
+        if (signature.verified && crypto.createHash('sha256').update(fs.readFileSync(path.join(importPath, 'data.json'))).digest('hex') !== signature.manifestSha256) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            throw createIntegrityError('The extracted manifest differs from the signed one: the archive was modified');
+        }
+        return { tempDir, importPath, encrypted, signature };
+    } finally {
+        if (encrypted) fs.rmSync(tarPath, { force: true });
+    }
 }
 
 module.exports = {
   loadLocalStrapi,
   getUploadsPath,
-  downloadFile
+  downloadFile,
+  isArchivePath,
+  getExtractDir,
+  extractArchive
 };
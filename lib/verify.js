@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Archive verification module
+ * @description Checks that an export archive arrived intact without booting Strapi: the archive
+ * can be decrypted and extracted, its manifest is valid, and every file matches the SHA-256
+ * checksum recorded at export time. Reports corrupted, missing and extra files. Import runs the
+ * same checksum check before it touches the project.
+ * @module strapi-migrate/verify
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isArchivePath, extractArchive } = require('./utils');
+const { loadManifest, verifyChecksums, describeManifest } = require('./manifest');
+const { loadKey, createPassphrasePrompt } = require('./archive-crypto');
+const { EXIT_CODES } = require('./report');
+
+/**
+ * Returns the messages describing failed checksums.
+ * @param {{ corrupted: string[], missing: string[], extra: string[] } | null} checksums - verifyChecksums result
+ * @returns {string[]} One message per bad file
+ */
+function describeChecksumErrors(checksums) {
+    if (!checksums) return [];
+    return [
+        ...checksums.corrupted.map(relPath => `Corrupted file: ${relPath} does not match its checksum`),
+        ...checksums.missing.map(relPath => `Missing file: ${relPath}`),
+        ...checksums.extra.map(relPath => `Extra file: ${relPath} is not listed in the manifest`)
+    ];
+}
+
+/**
+ * Describes a verified signature that cannot be trusted: without file checksums in the manifest
+ * (archives signed before checksums were recorded), it covers data.json but not the schema files
+ * and uploads, so those could have been modified.
+ * @param {string} archiveName - Archive name used in the message
+ * @returns {string} The validation error
+ */
+function describeUncoveredSignature(archiveName) {
+    return `The signature of ${archiveName} does not cover its schema files and uploads (the manifest records no file checksums); re-export and sign it with a current strapi-migrate`;
+}
+
+/**
+ * Verifies an export archive or extracted folder.
+ * @async
+ * @param {Object} options - Verify options
+ * @param {string} options.archive - Archive (.tar.gz, .tar.gz.enc or extracted folder)
+ * @param {string} [options.projectDir=process.cwd()] - Directory relative paths resolve from
+ * @param {string | function(): Promise<string>} [options.passphrase] - Passphrase of an encrypted
+ * archive (default: STRAPI_MIGRATE_PASSPHRASE)
+ * @param {string} [options.decryptKey] - Private key (PEM file) of an archive encrypted for a public key
+ * @param {string} [options.verifyKey] - Public key (PEM file) the manifest must be signed with
+ * @returns {Promise<Object>} { archive, encrypted, signature, manifest, checksums, errors, warnings, intact };
+ * checksums is null for archives written without checksums
+ * @throws {Error} If the archive is missing, or a passphrase or key needed to decrypt it is missing
+ * @example
+ * const { intact, errors } = await verifyArchive({ archive: './export.tar.gz' });
+ */
+async function verifyArchive(options = {}) {
+    const projectDir = path.resolve(options.projectDir || process.cwd());
+    if (!options.archive) throw new Error('No archive given to verify');
+    const archive = path.resolve(projectDir, options.archive);
+    if (!fs.existsSync(archive)) {
+        throw new Error(`Archive not found: ${archive}`);
+    }
+    const decryptKey = options.decryptKey ? loadKey(options.decryptKey, 'private', projectDir) : null;
+    const verifyKey = options.verifyKey ? loadKey(options.verifyKey, 'public', projectDir) : null;
+
+    const result = {
+        archive,
+        encrypted: false,
+        signature: null,
+        manifest: null,
+        checksums: null,
+        errors: [],
+        warnings: [],
+        intact: false
+    };
+
+    let tempDir = null;
+    let importPath = archive;
+    try {
+        if (isArchivePath(archive)) {
+            try {
+                ({ tempDir, importPath, encrypted: result.encrypted, signature: result.signature } = await extractArchive(archive, {
+                    passphrase: options.passphrase,
+                    decryptKey,
+                    verifyKey
+                }));
+            } catch (e) {
+                // Damaged or tampered archives are a verification result; missing keys are not
+                if (e.code !== 'EINTEGRITY') throw e;
+                result.errors.push(e.message);
+                return result;
+            }
+        }
+
+        const { manifest, errors, warnings } = await loadManifest(importPath);
+        result.errors.push(...errors);
+        result.warnings.push(...warnings);
+        if (!manifest) return result;
+        result.manifest = describeManifest(manifest);
+
+        result.checksums = await verifyChecksums(manifest, importPath);
+        result.errors.push(...describeChecksumErrors(result.checksums));
+        if (!result.checksums && result.signature?.verified) {
+            result.errors.push(describeUncoveredSignature(path.basename(archive)));
+        } else if (!result.checksums) {
+            result.warnings.push('The archive records no file checksums (written by an older strapi-migrate); only content files were verified');
+        }
+        result.intact = result.errors.length === 0;
+        return result;
+    } finally {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Prints a verifyArchive result.
+ * @param {Object} result - verifyArchive result
+ */
+function printVerify(result) {
+    if (result.manifest) console.log(`  • Archive: ${result.manifest}`);
+    if (result.encrypted) console.log('  ✓ Decrypted');
+    if (result.signature?.verified) {
+        console.log(`  ✓ Manifest signature verified (key ${result.signature.fingerprint})`);
+    } else if (result.signature?.signed) {
+        console.warn(`  ! Archive is signed by key ${result.signature.fingerprint}, but no --verify-key was given to check it`);
+    }
+    if (result.checksums) {
+        const bad = result.checksums.corrupted.length;
+        console.log(`  • Checked ${result.checksums.checked} file checksums${bad > 0 ? `, ${bad} corrupted` : ''}`);
+    }
+    result.warnings.forEach(warning => console.warn(`  ! ${warning}`));
+    result.errors.forEach(error => console.error(`  ✗ ${error}`));
+
+    if (result.intact) {
+        console.log('\n  ✓ Archive is intact');
+    } else {
+        console.error(`\n  ✗ Archive failed verification (${result.errors.length} problem(s))`);
+    }
+}
+
+/**
+ * CLI entry point for `strapi-migrate verify`. Verifies an archive without booting Strapi and
+ * exits with 0 when it is intact, 4 when it is damaged or tampered with and 1 on other errors.
+ * @async
+ * @param {string} archive - Archive path
+ * @param {Object} [options={}] - Verify options (see verifyArchive), plus `json`
+ * @returns {Promise<void>} Exits the process when done
+ */
+async function runVerify(archive, options = {}) {
+    if (!options.json) console.log('\n=== Strapi Verify Tool ===');
+
+    try {
+        const result = await verifyArchive({
+            ...options,
+            archive,
+            projectDir: process.cwd(),
+            passphrase: process.stdin.isTTY && !options.json ? createPassphrasePrompt() : undefined
+        });
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printVerify(result);
+        }
+        process.exit(result.intact ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILURE);
+    } catch (err) {
+        console.error(`  ✗ ${err.message}`);
+        process.exit(EXIT_CODES.FATAL);
+    }
+}
+
+module.exports = {
+    describeChecksumErrors,
+    describeUncoveredSignature,
+    verifyArchive,
+    runVerify
+};
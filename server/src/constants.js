@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Shared constants for the strapi-migrate server plugin
+ * @module strapi-migrate/server/constants
+ */
+
+/**
+ * Plugin name, used for route prefixes, permission actions and service lookups.
+ * @type {string}
+ */
+const PLUGIN_ID = 'strapi-migrate';
+
+/**
+ * Number of progress events kept per job for the admin panel.
+ * @type {number}
+ */
+const MAX_JOB_EVENTS = 200;
+
+/**
+ * Time after which finished jobs, and uploaded archives that were not imported, are removed.
+ * @type {number}
+ */
+const RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * Number of finished jobs kept in memory; older ones are removed first.
+ * @type {number}
+ */
+const MAX_FINISHED_JOBS = 20;
+
+module.exports = {
+    PLUGIN_ID,
+    MAX_JOB_EVENTS,
+    RETENTION_MS,
+    MAX_FINISHED_JOBS
+};
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Admin controller of the strapi-migrate server plugin
+ * @description Lists exportable content types, starts export and import jobs on the running
+ * Strapi instance, receives uploaded archives and serves finished exports for download.
+ * @module strapi-migrate/server/controllers/migrate
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { exportData, importData } = require('../../../lib/api');
+const { isArchivePath } = require('../../../lib/utils');
+const { ENCRYPTED_EXTENSION } = require('../../../lib/archive-crypto');
+const { PLUGIN_ID, RETENTION_MS } = require('../constants');
+
+/**
+ * Directory where archives uploaded for import are kept until they are imported.
+ * @type {string}
+ */
+const UPLOADS_DIR = path.join(os.tmpdir(), `${PLUGIN_ID}-uploads`);
+
+/**
+ * Directory where exports started from the admin panel are kept until they are downloaded.
+ * @type {string}
+ */
+const EXPORTS_DIR = path.join(os.tmpdir(), `${PLUGIN_ID}-exports`);
+
+/**
+ * Pattern of archive names written by exportData.
+ * @type {RegExp}
+ */
+const EXPORT_FILE_PATTERN = /^export-[\w-]+\.tar\.gz$/;
+
+/**
+ * Pattern of upload ids handed out by the upload endpoint.
+ * @type {RegExp}
+ */
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Removes files and directories older than RETENTION_MS from one of the plugin's directories,
+ * such as uploads kept after a dry run and never imported, or exports never downloaded.
+ * @param {string} dir - UPLOADS_DIR or EXPORTS_DIR
+ */
+function removeExpired(dir) {
+    if (!fs.existsSync(dir)) return;
+    const expiredBefore = Date.now() - RETENTION_MS;
+    for (const name of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, name);
+        try {
+            if (fs.statSync(filePath).mtimeMs < expiredBefore) fs.rmSync(filePath, { recursive: true, force: true });
+        } catch (e) {
+            // Removed concurrently
+        }
+    }
+}
+
+/**
+ * Creates the controller.
+ * @param {Object} context - Plugin context
+ * @param {Object} context.strapi - The running Strapi instance
+ * @returns {Object} Controller actions
+ */
+module.exports = ({ strapi }) => {
+    const projectDir = strapi.dirs?.app?.root || process.cwd();
+    const jobs = () => strapi.plugin(PLUGIN_ID).service('jobs');
+
+    /**
+     * Starts a job, answering 409 when another one is still running.
+     * @param {Object} ctx - Koa context
+     * @param {...*} args - Arguments for the job service start()
+     */
+    const startJob = (ctx, ...args) => {
+        try {
+            const job = jobs().start(...args);
+            ctx.status = 202;
+            ctx.body = { data: job };
+        } catch (e) {
+            ctx.status = 409;
+            ctx.body = { data: null, error: { status: 409, name: 'ConflictError', message: e.message } };
+        }
+    };
+
+    return {
+        async contentTypes(ctx) {
+            ctx.body = {
+                data: Object.entries(strapi.contentTypes)
+                    .filter(([uid]) => uid.startsWith('api::'))
+                    .map(([uid, contentType]) => ({
+                        uid,
+                        kind: contentType.kind,
+                        displayName: contentType.info?.displayName || uid
+                    }))
+            };
+        },
+
+        async startExport(ctx) {
+            const { types, dryRun = false } = ctx.request.body || {};
+            if (!Array.isArray(types) || types.length === 0) {
+                return ctx.badRequest('Select at least one content type');
+            }
+            const unknown = types.filter(uid => !strapi.contentTypes[uid]);
+            if (unknown.length > 0) {
+                return ctx.badRequest(`Unknown content type(s): ${unknown.join(', ')}`);
+            }
+
+            // Finished exports are kept for download until they expire
+            removeExpired(EXPORTS_DIR);
+
+            startJob(ctx, 'export', { dryRun: Boolean(dryRun), types }, async (events) => {
+                const { archive, ...result } = await exportData({
+                    strapi,
+                    projectDir,
+                    types,
+                    dryRun: Boolean(dryRun),
+                    outputDir: EXPORTS_DIR,
+                    events
+                });
+                // Only the file name leaves the server; it is downloaded through the exports route
+                return { ...result, file: archive ? path.basename(archive) : null };
+            });
+        },
+
+        async download(ctx) {
+            const { file } = ctx.params;
+            const filePath = path.join(EXPORTS_DIR, file);
+            if (!EXPORT_FILE_PATTERN.test(file) || !fs.existsSync(filePath)) {
+                return ctx.notFound('Export not found');
+            }
+
+            ctx.attachment(file);
+            ctx.type = 'application/gzip';
+            ctx.body = fs.createReadStream(filePath);
+        },
+
+        async upload(ctx) {
+            const file = ctx.request.files?.archive;
+            const uploaded = Array.isArray(file) ? file[0] : file;
+            const name = uploaded?.originalFilename || '';
+            if (!uploaded || !isArchivePath(name) || name.endsWith(ENCRYPTED_EXTENSION)) {
+                // Encrypted archives need a passphrase or private key, which the panel does not take
+                if (uploaded) fs.rmSync(uploaded.filepath, { force: true });
+                return ctx.badRequest(name.endsWith(ENCRYPTED_EXTENSION)
+                    ? 'Encrypted archives cannot be imported from the admin panel; import them with the strapi-migrate CLI'
+                    : 'Upload a .tar.gz, .tgz or .tar archive in the "archive" field');
+            }
+
+            // A running import may still be reading an old upload
+            if (!jobs().isRunning()) removeExpired(UPLOADS_DIR);
+
+            const id = crypto.randomUUID();
+            fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+            try {
+                fs.copyFileSync(uploaded.filepath, path.join(UPLOADS_DIR, `${id}.tar.gz`));
+            } finally {
+                fs.rmSync(uploaded.filepath, { force: true });
+            }
+
+            ctx.body = { data: { id, name: uploaded.originalFilename, size: uploaded.size } };
+        },
+
+        async startImport(ctx) {
+            const { upload, dryRun = false, atomic = false } = ctx.request.body || {};
+            const archive = path.join(UPLOADS_DIR, `${upload}.tar.gz`);
+            if (!UPLOAD_ID_PATTERN.test(String(upload)) || !fs.existsSync(archive)) {
+                return ctx.badRequest('Unknown upload; upload the archive again');
+            }
+
+            // The uploaded archive is kept after a dry run so it can be imported without re-uploading,
+            // until it expires (see removeExpired)
+            const cleanup = dryRun ? null : () => fs.rmSync(archive, { force: true });
+
+            startJob(ctx, 'import', { dryRun: Boolean(dryRun), atomic: Boolean(atomic) }, (events) => importData({
+                strapi,
+                projectDir,
+                archive,
+                dryRun: Boolean(dryRun),
+                atomic: Boolean(atomic),
+                // Writing schema files would restart a server running in develop mode mid-import
+                skipSchema: true,
+                // The panel cannot resume a failed import, so its extracted archive is removed with it
+                resumable: false,
+                events
+            }), cleanup);
+        },
+
+        async job(ctx) {
+            const job = jobs().get(ctx.params.id);
+            // Job results carry per-entry failures; only admins allowed to run that kind of job see them
+            if (!job || !ctx.state.userAbility?.can(`plugin::${PLUGIN_ID}.${job.kind}`)) {
+                return ctx.notFound('Job not found');
+            }
+            ctx.body = { data: job };
+        }
+    };
+};
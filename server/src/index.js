@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Strapi server plugin for strapi-migrate
+ * @description Registers the admin routes, controller, job service and permissions that let the
+ * admin panel run exports and imports inside the live server through the programmatic API.
+ * @module strapi-migrate/server
+ */
+
+const { PLUGIN_ID } = require('./constants');
+const routes = require('./routes');
+const migrate = require('./controllers/migrate');
+const jobs = require('./services/jobs');
+
+module.exports = {
+    async bootstrap({ strapi }) {
+        await strapi.service('admin::permission').actionProvider.registerMany([
+            { section: 'plugins', displayName: 'Export', uid: 'export', pluginName: PLUGIN_ID },
+            { section: 'plugins', displayName: 'Import', uid: 'import', pluginName: PLUGIN_ID }
+        ]);
+    },
+
+    routes,
+    controllers: { migrate },
+    services: { jobs }
+};
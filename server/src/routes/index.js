@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Admin routes of the strapi-migrate server plugin
+ * @description Every route requires an authenticated admin with the export or import permission.
+ * @module strapi-migrate/server/routes
+ */
+
+const { PLUGIN_ID } = require('../constants');
+
+/**
+ * Builds the route policies for a permission action.
+ * @param {string} action - "export" or "import"
+ * @returns {Array} Route policies
+ */
+function requirePermission(action) {
+    return [
+        'admin::isAuthenticatedAdmin',
+        { name: 'admin::hasPermissions', config: { actions: [`plugin::${PLUGIN_ID}.${action}`] } }
+    ];
+}
+
+/**
+ * Route policy letting through admins with the export or the import permission. The job
+ * controller then only shows a job to admins holding the permission of its kind.
+ * @param {Object} policyContext - Policy context of the request
+ * @returns {boolean} True if the admin may use either part of the plugin
+ */
+function hasExportOrImportPermission(policyContext) {
+    const ability = policyContext.state.userAbility;
+    return Boolean(ability) && ['export', 'import'].some(action => ability.can(`plugin::${PLUGIN_ID}.${action}`));
+}
+
+module.exports = {
+    admin: {
+        type: 'admin',
+        routes: [
+            {
+                method: 'GET',
+                path: '/content-types',
+                handler: 'migrate.contentTypes',
+                config: { policies: requirePermission('export') }
+            },
+            {
+                method: 'POST',
+                path: '/export',
+                handler: 'migrate.startExport',
+                config: { policies: requirePermission('export') }
+            },
+            {
+                method: 'GET',
+                path: '/exports/:file',
+                handler: 'migrate.download',
+                config: { policies: requirePermission('export') }
+            },
+            {
+                method: 'POST',
+                path: '/uploads',
+                handler: 'migrate.upload',
+                config: { policies: requirePermission('import') }
+            },
+            {
+                method: 'POST',
+                path: '/import',
+                handler: 'migrate.startImport',
+                config: { policies: requirePermission('import') }
+            },
+            {
+                method: 'GET',
+                path: '/jobs/:id',
+                handler: 'migrate.job',
+                config: { policies: ['admin::isAuthenticatedAdmin', hasExportOrImportPermission] }
+            }
+        ]
+    }
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Background job service of the strapi-migrate server plugin
+ * @description Runs exports and imports started from the admin panel in the background and keeps
+ * their progress events and results in memory so the panel can poll them. Only one job runs at
+ * a time, as exports and imports both write to the project directory.
+ * Finished jobs are dropped after RETENTION_MS, and beyond the MAX_FINISHED_JOBS most recent.
+ * @module strapi-migrate/server/services/jobs
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { MAX_JOB_EVENTS, RETENTION_MS, MAX_FINISHED_JOBS } = require('../constants');
+
+/**
+ * Creates the job service.
+ * @returns {Object} Job service with start, get and isRunning
+ */
+module.exports = () => {
+    /** @type {Map<string, Object>} */
+    const jobs = new Map();
+    let runningJobId = null;
+
+    /**
+     * Appends a progress event to a job, dropping the oldest once the limit is reached.
+     * @param {Object} job - The job
+     * @param {string} type - Event name
+     * @param {Object} payload - Event payload
+     */
+    const pushEvent = (job, type, payload) => {
+        job.events.push({ type, at: new Date().toISOString(), ...payload });
+        if (job.events.length > MAX_JOB_EVENTS) job.events.shift();
+    };
+
+    /**
+     * Removes expired finished jobs, then the oldest finished ones beyond the limit.
+     */
+    const pruneJobs = () => {
+        const expiredBefore = Date.now() - RETENTION_MS;
+        const finished = [...jobs.values()].filter(job => job.finishedAt);
+        finished.forEach((job, index) => {
+            if (Date.parse(job.finishedAt) < expiredBefore || index < finished.length - MAX_FINISHED_JOBS) {
+                jobs.delete(job.id);
+            }
+        });
+    };
+
+    return {
+        isRunning() {
+            return runningJobId !== null;
+        },
+
+        get(id) {
+            pruneJobs();
+            return jobs.get(id) || null;
+        },
+
+        /**
+         * Starts a job in the background.
+         * @param {string} kind - "export" or "import"
+         * @param {Object} details - Extra fields shown with the job (e.g. dryRun)
+         * @param {function(EventEmitter): Promise<Object>} run - Runs the work, reporting on the emitter
+         * @param {function(): void} [cleanup] - Runs after the job has finished
+         * @returns {Object} The created job
+         * @throws {Error} If another job is still running
+         */
+        start(kind, details, run, cleanup) {
+            if (runningJobId) {
+                throw new Error(`Another ${jobs.get(runningJobId).kind} is still running`);
+            }
+            pruneJobs();
+
+            const job = {
+                id: crypto.randomUUID(),
+                kind,
+                ...details,
+                status: 'running',
+                phase: null,
+                progress: { entries: 0, media: 0, failures: 0 },
+                events: [],
+                result: null,
+                error: null,
+                startedAt: new Date().toISOString(),
+                finishedAt: null
+            };
+            jobs.set(job.id, job);
+            runningJobId = job.id;
+
+            const events = new EventEmitter();
+            events.on('phase', (payload) => {
+                job.phase = payload.uid ? `${payload.phase} ${payload.uid}` : payload.phase;
+                pushEvent(job, 'phase', payload);
+            });
+            events.on('entry', (payload) => {
+                job.progress.entries += payload.amount;
+            });
+            events.on('media', () => {
+                job.progress.media++;
+            });
+            events.on('failure', (payload) => {
+                job.progress.failures++;
+                pushEvent(job, 'failure', payload);
+            });
+
+            run(events)
+                .then((result) => {
+                    job.status = 'completed';
+                    job.result = result;
+                })
+                .catch((err) => {
+                    job.status = 'failed';
+                    job.error = { message: err.message, exitCode: err.exitCode === undefined ? null : err.exitCode };
+                    job.result = err.report ? { report: err.report } : null;
+                })
+                .finally(() => {
+                    job.finishedAt = new Date().toISOString();
+                    runningJobId = null;
+                    if (cleanup) cleanup();
+                });
+
+            return job;
+        }
+    };
+};
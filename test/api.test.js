@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Tests for the programmatic export and import API
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportData, importData } = require('../lib/api');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const SCHEMAS = { contentTypes: { [ARTICLE]: { attributes: { title: { type: 'string' } } } } };
+
+describe('programmatic API', () => {
+    let projectDir;
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('resolves relative archive and report paths from the project directory', async () => {
+        const source = createStrapi({
+            ...SCHEMAS,
+            documents: { [ARTICLE]: [{ documentId: 'a1', locale: 'en', title: 'One', publishedAt: '2024-01-01T00:00:00.000Z' }] }
+        });
+        const exported = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+        assert.equal(exported.exitCode, 0);
+        assert.equal(path.dirname(exported.archive), path.join(projectDir, 'export-data'));
+        assert.notEqual(process.cwd(), projectDir);
+
+        const target = createStrapi(SCHEMAS);
+        const imported = await importData({
+            strapi: target,
+            projectDir,
+            archive: path.join('export-data', path.basename(exported.archive)),
+            report: 'reports/import.json',
+            skipSchema: true,
+            snapshot: false
+        });
+
+        assert.equal(imported.exitCode, 0);
+        assert.deepEqual(target.rows(ARTICLE).map(row => [row.documentId, row.title]), [['a1', 'One']]);
+        assert.equal(target.rows(ARTICLE, 'published').length, 1);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(projectDir, 'reports', 'import.json'), 'utf8')).summary.exitCode, 0);
+        assert.equal(target.destroyed, false);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Tests for archive encryption and signing
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar');
+const {
+    PASSPHRASE_ENV,
+    isEncryptedArchive,
+    encryptArchive,
+    decryptArchive,
+    signManifest,
+    checkArchiveSignature
+} = require('../lib/archive-crypto');
+
+describe('archive crypto', () => {
+    let tempDir;
+    let archivePath;
+    let savedPassphrase;
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const otherRsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const ed25519 = crypto.generateKeyPairSync('ed25519');
+
+    /**
+     * Returns a fresh path in the temp directory.
+     * @param {string} name - File name
+     * @returns {string} Path
+     */
+    const tempPath = name => path.join(tempDir, name);
+
+    before(() => {
+        // The environment passphrase would take over from the ones given in the tests
+        savedPassphrase = process.env[PASSPHRASE_ENV];
+        delete process.env[PASSPHRASE_ENV];
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        archivePath = tempPath('export.tar.gz');
+        fs.writeFileSync(archivePath, crypto.randomBytes(100 * 1024));
+    });
+
+    after(() => {
+        if (savedPassphrase !== undefined) process.env[PASSPHRASE_ENV] = savedPassphrase;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('encryption', () => {
+        it('round trips an archive encrypted with a passphrase', async () => {
+            const encrypted = await encryptArchive(archivePath, tempPath('pass.tar.gz.enc'), { passphrase: 'secret' });
+            assert.equal(isEncryptedArchive(encrypted), true);
+            assert.equal(isEncryptedArchive(archivePath), false);
+
+            const result = await decryptArchive(encrypted, tempPath('pass.tar.gz'), { passphrase: async () => 'secret' });
+            assert.deepEqual(result, { recipient: null });
+            assert.deepEqual(fs.readFileSync(tempPath('pass.tar.gz')), fs.readFileSync(archivePath));
+        });
+
+        it('round trips an archive encrypted for an RSA public key', async () => {
+            const encrypted = await encryptArchive(archivePath, tempPath('rsa.tar.gz.enc'), { publicKey: rsa.publicKey });
+
+            const { recipient } = await decryptArchive(encrypted, tempPath('rsa.tar.gz'), { privateKey: rsa.privateKey });
+            assert.match(recipient, /^[0-9a-f]{64}$/);
+            assert.deepEqual(fs.readFileSync(tempPath('rsa.tar.gz')), fs.readFileSync(archivePath));
+        });
+
+        it('round trips an empty archive', async () => {
+            fs.writeFileSync(tempPath('empty.tar.gz'), '');
+            const encrypted = await encryptArchive(tempPath('empty.tar.gz'), tempPath('empty.tar.gz.enc'), { passphrase: 'secret' });
+
+            await decryptArchive(encrypted, tempPath('empty.out'), { passphrase: 'secret' });
+            assert.equal(fs.readFileSync(tempPath('empty.out')).length, 0);
+        });
+
+        it('refuses wrong passphrases and keys, removing the partial output', async () => {
+            const byPassphrase = await encryptArchive(archivePath, tempPath('wrong.tar.gz.enc'), { passphrase: 'secret' });
+            await assert.rejects(decryptArchive(byPassphrase, tempPath('wrong.tar.gz'), { passphrase: 'guess' }), { code: 'EINTEGRITY' });
+            assert.equal(fs.existsSync(tempPath('wrong.tar.gz')), false);
+
+            const byKey = await encryptArchive(archivePath, tempPath('wrong-key.tar.gz.enc'), { publicKey: rsa.publicKey });
+            await assert.rejects(decryptArchive(byKey, tempPath('wrong-key.tar.gz'), { privateKey: otherRsa.privateKey }), {
+                code: 'EINTEGRITY',
+                message: /it is encrypted for the key/
+            });
+        });
+
+        it('refuses modified and truncated archives', async () => {
+            const encrypted = await encryptArchive(archivePath, tempPath('modified.tar.gz.enc'), { passphrase: 'secret' });
+            const bytes = fs.readFileSync(encrypted);
+
+            const modified = Buffer.from(bytes);
+            modified[modified.length - 100] ^= 1;
+            fs.writeFileSync(encrypted, modified);
+            await assert.rejects(decryptArchive(encrypted, tempPath('modified.tar.gz'), { passphrase: 'secret' }), { code: 'EINTEGRITY' });
+
+            // The header is authenticated along with the ciphertext
+            fs.writeFileSync(encrypted, Buffer.from(bytes.toString('latin1').replace('{"version":1,', '{"version":1,"note":"x",'), 'latin1'));
+            await assert.rejects(decryptArchive(encrypted, tempPath('modified.tar.gz'), { passphrase: 'secret' }), { code: 'EINTEGRITY' });
+
+            fs.writeFileSync(encrypted, bytes.subarray(0, bytes.indexOf(0x0a, 30) + 5));
+            await assert.rejects(decryptArchive(encrypted, tempPath('modified.tar.gz'), { passphrase: 'secret' }), /is truncated/);
+        });
+
+        it('asks for what it needs to decrypt', async () => {
+            const byPassphrase = await encryptArchive(archivePath, tempPath('ask.tar.gz.enc'), { passphrase: 'secret' });
+            await assert.rejects(decryptArchive(byPassphrase, tempPath('ask.tar.gz')), /is encrypted with a passphrase/);
+
+            const byKey = await encryptArchive(archivePath, tempPath('ask-key.tar.gz.enc'), { publicKey: rsa.publicKey });
+            await assert.rejects(decryptArchive(byKey, tempPath('ask-key.tar.gz'), { passphrase: 'secret' }), /give its private key/);
+        });
+
+        it('only encrypts for RSA keys', async () => {
+            await assert.rejects(encryptArchive(archivePath, tempPath('ed.tar.gz.enc'), { publicKey: ed25519.publicKey }), /only be encrypted for RSA keys/);
+            await assert.rejects(encryptArchive(archivePath, tempPath('none.tar.gz.enc'), {}), /needs a passphrase or a public key/);
+        });
+    });
+
+    describe('signing', () => {
+        /**
+         * Writes an export directory holding a data.json.
+         * @param {string} name - Directory name
+         * @returns {string} Directory path
+         */
+        const writeExportDir = (name) => {
+            const dir = tempPath(name);
+            fs.mkdirSync(dir);
+            fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify({ format: 'strapi-migrate', checksums: { 'uploads/a.png': 'abc' } }));
+            return dir;
+        };
+
+        it('verifies signed manifests in folders and archives', async () => {
+            for (const key of [ed25519, rsa]) {
+                const dir = writeExportDir(`signed-${key.privateKey.asymmetricKeyType}`);
+                const fingerprint = signManifest(dir, key.privateKey);
+
+                const folder = await checkArchiveSignature(dir, key.publicKey);
+                assert.equal(folder.verified, true);
+                assert.equal(folder.fingerprint, fingerprint);
+
+                const archive = `${dir}.tar.gz`;
+                await tar.c({ gzip: true, file: archive, cwd: tempDir }, [path.basename(dir)]);
+                assert.equal((await checkArchiveSignature(archive, key.publicKey)).verified, true);
+            }
+        });
+
+        it('only reports the signature without a key', async () => {
+            const dir = writeExportDir('unchecked');
+            const fingerprint = signManifest(dir, ed25519.privateKey);
+
+            assert.deepEqual(await checkArchiveSignature(dir), {
+                signed: true,
+                verified: false,
+                fingerprint,
+                manifestSha256: crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, 'data.json'))).digest('hex')
+            });
+        });
+
+        it('refuses modified manifests, other keys and unsigned archives', async () => {
+            const dir = writeExportDir('tampered');
+            signManifest(dir, ed25519.privateKey);
+
+            await assert.rejects(checkArchiveSignature(dir, rsa.publicKey), { code: 'EINTEGRITY', message: /does not match the key/ });
+
+            fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify({ format: 'strapi-migrate', checksums: {} }));
+            await assert.rejects(checkArchiveSignature(dir, ed25519.publicKey), { code: 'EINTEGRITY', message: /the manifest was modified/ });
+
+            fs.rmSync(path.join(dir, 'signature.json'));
+            await assert.rejects(checkArchiveSignature(dir, ed25519.publicKey), { code: 'EINTEGRITY', message: /is not signed/ });
+        });
+    });
+});
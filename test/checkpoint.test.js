@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests for the import checkpoint journal
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    CHECKPOINT_VERSION,
+    getCheckpointPath,
+    getEntryKey,
+    loadCheckpoint,
+    createCheckpoint
+} = require('../lib/checkpoint');
+
+const ARTICLE = 'api::article.article';
+
+describe('checkpoint', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        filePath = getCheckpointPath(path.join(tempDir, 'temp-export/'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Records progress on a fresh checkpoint, then reopens it as a resumed run would.
+     * @param {function(Object): void} record - Records progress on the first checkpoint
+     * @param {Map<number, number>} [mediaIdMap] - Media ID map of the resumed run
+     * @returns {Object} The resumed checkpoint
+     */
+    const resume = (record, mediaIdMap = new Map()) => {
+        const first = createCheckpoint(filePath, { archive: 'export.tar.gz' }, new Map());
+        record(first);
+        first.flush();
+        return createCheckpoint(filePath, {}, mediaIdMap, loadCheckpoint(filePath));
+    };
+
+    it('names the checkpoint after the extract directory', () => {
+        assert.equal(filePath, path.join(tempDir, 'temp-export.checkpoint.json'));
+    });
+
+    it('keys entries by documentId and locale, media by hash', () => {
+        assert.equal(getEntryKey({ documentId: 'a1', locale: 'en' }), 'a1:en');
+        assert.equal(getEntryKey({ documentId: 'a1' }), 'a1:');
+        assert.equal(getEntryKey({ hash: 'photo_123' }), 'photo_123');
+    });
+
+    it('skips the entries up to and including the last recorded one', () => {
+        const checkpoint = resume((first) => {
+            first.recordProgress('create', ARTICLE, 'a1:en');
+            first.recordProgress('create', ARTICLE, 'a2:en');
+        });
+        const cursor = checkpoint.cursor('create', ARTICLE);
+
+        assert.deepEqual(['a1:en', 'a2:en', 'a3:en', 'a4:en'].map(key => cursor.skip(key)), [true, true, false, false]);
+    });
+
+    it('skips every entry of a completed type and none of an unstarted one', () => {
+        const checkpoint = resume((first) => {
+            first.recordProgress('create', ARTICLE, 'a1:en');
+            first.completeType('create', ARTICLE);
+        });
+
+        const done = checkpoint.cursor('create', ARTICLE);
+        assert.deepEqual(['a1:en', 'a2:en'].map(key => done.skip(key)), [true, true]);
+        const unstarted = checkpoint.cursor('link', ARTICLE);
+        assert.equal(unstarted.skip('a1:en'), false);
+    });
+
+    it('restores completed phases and the media ID map', () => {
+        const mediaIdMap = new Map();
+        const checkpoint = resume((first) => {
+            first.completePhase('media');
+        }, mediaIdMap);
+
+        assert.equal(checkpoint.isPhaseDone('media'), true);
+        assert.equal(checkpoint.isPhaseDone('create'), false);
+
+        mediaIdMap.set(7, 70);
+        checkpoint.flush();
+        const reopened = new Map();
+        createCheckpoint(filePath, {}, reopened, loadCheckpoint(filePath));
+        assert.deepEqual([...reopened], [[7, 70]]);
+    });
+
+    it('rejects unreadable checkpoint files', () => {
+        assert.equal(loadCheckpoint(filePath), null);
+
+        fs.writeFileSync(filePath, JSON.stringify({ version: CHECKPOINT_VERSION + 1 }));
+        assert.throws(() => loadCheckpoint(filePath), /unsupported version/);
+        fs.writeFileSync(filePath, '{');
+        assert.throws(() => loadCheckpoint(filePath), /is not valid JSON/);
+    });
+
+    it('removes the checkpoint file', () => {
+        createCheckpoint(filePath, {}, new Map()).remove();
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for document-level exports (--closure, --max-depth, --keep-dangling)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportData } = require('../lib/api');
+const { resolveMaxDepth } = require('../lib/closure');
+const { readNdjson } = require('../lib/ndjson');
+const { extractArchive } = require('../lib/utils');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const AUTHOR = 'api::author.author';
+const COMPANY = 'api::company.company';
+
+describe('document-level exports', () => {
+    let projectDir;
+    let strapi;
+
+    /**
+     * Exports the articles and reads the archive back.
+     * @param {Object} [options={}] - Extra export options
+     * @returns {Promise<{ manifest: Object, entries: Object<string, Object[]> }>} The manifest and
+     * the exported drafts by content type
+     */
+    const exportArticles = async (options = {}) => {
+        const { archive } = await exportData({ strapi, projectDir, types: [ARTICLE], storage: 'local', ...options });
+        const { tempDir, importPath } = await extractArchive(archive);
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(importPath, 'data.json'), 'utf8'));
+            const entries = {};
+            for (const [uid, { file }] of Object.entries(manifest.contentTypes)) {
+                entries[uid] = [];
+                for await (const entry of readNdjson(path.join(importPath, file))) entries[uid].push(entry);
+            }
+            return { manifest, entries };
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+
+    const ids = entries => (entries || []).map(entry => entry.documentId).sort();
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        strapi = createStrapi({
+            contentTypes: {
+                [ARTICLE]: { attributes: { title: { type: 'string' }, author: { type: 'relation', relation: 'manyToOne', target: AUTHOR } } },
+                [AUTHOR]: { attributes: { name: { type: 'string' }, company: { type: 'relation', relation: 'manyToOne', target: COMPANY } } },
+                [COMPANY]: { attributes: { name: { type: 'string' } } }
+            },
+            documents: {
+                [ARTICLE]: [
+                    { documentId: 'a1', locale: 'en', title: 'One', author: { documentId: 'u1' } },
+                    { documentId: 'a2', locale: 'en', title: 'Two', author: { documentId: 'u2' } }
+                ],
+                [AUTHOR]: [
+                    { documentId: 'u1', locale: 'en', name: 'Ann', company: { documentId: 'c1' } },
+                    { documentId: 'u2', locale: 'en', name: 'Bob', company: { documentId: 'c2' } },
+                    { documentId: 'u3', locale: 'en', name: 'Cid', company: { documentId: 'c3' } }
+                ],
+                [COMPANY]: [
+                    { documentId: 'c1', locale: 'en', name: 'Acme' },
+                    { documentId: 'c2', locale: 'en', name: 'Bolt' },
+                    { documentId: 'c3', locale: 'en', name: 'Core' }
+                ]
+            }
+        });
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('exports every document of the related types without --closure', async () => {
+        const { manifest, entries } = await exportArticles();
+
+        assert.equal(manifest.closure, undefined);
+        assert.deepEqual(ids(entries[AUTHOR]), ['u1', 'u2', 'u3']);
+        assert.deepEqual(ids(entries[COMPANY]), ['c1', 'c2', 'c3']);
+    });
+
+    it('follows references transitively with --closure', async () => {
+        const { manifest, entries } = await exportArticles({ closure: true });
+
+        assert.deepEqual(ids(entries[ARTICLE]), ['a1', 'a2']);
+        assert.deepEqual(ids(entries[AUTHOR]), ['u1', 'u2']);
+        assert.deepEqual(ids(entries[COMPANY]), ['c1', 'c2']);
+        assert.deepEqual(manifest.closure.referenced.sort(), [AUTHOR, COMPANY]);
+        assert.equal(manifest.closure.maxDepth, null);
+        assert.equal(manifest.closure.dangling, 'drop');
+    });
+
+    it('stops at --max-depth and drops the relations to documents left out', async () => {
+        const { manifest, entries } = await exportArticles({ closure: true, maxDepth: 1 });
+
+        assert.deepEqual(ids(entries[AUTHOR]), ['u1', 'u2']);
+        assert.deepEqual(ids(entries[COMPANY]), []);
+        assert.equal(manifest.closure.maxDepth, 1);
+        assert.deepEqual(entries[AUTHOR].map(author => author.company), [null, null]);
+        assert.deepEqual(entries[ARTICLE].map(entry => entry.author.documentId).sort(), ['u1', 'u2']);
+    });
+
+    it('keeps the relations to documents left out with --keep-dangling', async () => {
+        const { manifest, entries } = await exportArticles({ closure: true, maxDepth: 1, keepDangling: true });
+
+        assert.equal(manifest.closure.dangling, 'keep');
+        assert.deepEqual(entries[AUTHOR].map(author => author.company.documentId).sort(), ['c1', 'c2']);
+    });
+
+    it('exports no related documents with --max-depth 0', async () => {
+        const { entries } = await exportArticles({ closure: true, maxDepth: 0 });
+
+        assert.deepEqual(ids(entries[AUTHOR]), []);
+        assert.deepEqual(entries[ARTICLE].map(entry => entry.author), [null, null]);
+    });
+
+    it('rejects --max-depth and --keep-dangling without a document-level export', async () => {
+        await assert.rejects(exportArticles({ maxDepth: 1 }), /apply to document-level exports/);
+        assert.throws(() => resolveMaxDepth('-1'), /--max-depth must be a non-negative integer/);
+        assert.equal(resolveMaxDepth(undefined), null);
+    });
+});
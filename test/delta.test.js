@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tests for the delta export helpers
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    resolveSince,
+    createDeltaSection,
+    getBaselineKeys,
+    getDeletedVariants
+} = require('../lib/delta');
+const { exportData } = require('../lib/api');
+const { extractArchive } = require('../lib/utils');
+const { createStrapi } = require('./helpers/strapi');
+
+const COLLECTION = { kind: 'collectionType' };
+const SINGLE = { kind: 'singleType' };
+
+describe('getDeletedVariants', () => {
+    it('deletes whole documents whose every variant is gone', () => {
+        const baseline = new Set(['a1:en', 'a1:fr', 'a2:en']);
+
+        assert.deepEqual(getDeletedVariants(COLLECTION, baseline, ['a2:en']), [{ documentId: 'a1', locale: null }]);
+    });
+
+    it('deletes single locales of documents that remain', () => {
+        const baseline = new Set(['a1:en', 'a1:fr', 'a2:en']);
+
+        assert.deepEqual(getDeletedVariants(COLLECTION, baseline, ['a1:en', 'a2:en']), [{ documentId: 'a1', locale: 'fr' }]);
+    });
+
+    it('handles types without i18n and new documents', () => {
+        const baseline = new Set(['a1:', 'a2:']);
+
+        assert.deepEqual(getDeletedVariants(COLLECTION, baseline, ['a2:', 'a3:']), [{ documentId: 'a1', locale: null }]);
+        assert.deepEqual(getDeletedVariants(COLLECTION, baseline, ['a1:', 'a2:']), []);
+    });
+
+    it('keeps documentIds containing colons intact', () => {
+        const baseline = new Set(['legacy:1:en']);
+
+        assert.deepEqual(getDeletedVariants(COLLECTION, baseline, []), [{ documentId: 'legacy:1', locale: null }]);
+    });
+
+    it('matches single type variants by locale only', () => {
+        // Single types are recreated under a new documentId on the target; only locales count
+        const baseline = new Set(['s1:en', 's1:fr']);
+
+        assert.deepEqual(getDeletedVariants(SINGLE, baseline, ['s2:en']), [{ documentId: null, locale: 'fr' }]);
+        assert.deepEqual(getDeletedVariants(SINGLE, baseline, ['s2:en', 's2:fr']), []);
+    });
+});
+
+describe('getBaselineKeys', () => {
+    it('reads the key index of delta baselines', async () => {
+        const importPath = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        try {
+            fs.mkdirSync(path.join(importPath, 'delta'));
+            fs.writeFileSync(path.join(importPath, 'delta', 'api__article.article.ndjson'), '"a1:en"\n"a2:"\n');
+            const manifest = { contentTypes: {}, delta: { documents: { 'api::article.article': { file: 'delta/api__article.article.ndjson', count: 2 } } } };
+
+            assert.deepEqual(await getBaselineKeys({ manifest, importPath }, 'api::article.article'), new Set(['a1:en', 'a2:']));
+        } finally {
+            fs.rmSync(importPath, { recursive: true, force: true });
+        }
+    });
+
+    it('reads the entries of full baselines, and null for types they lack', async () => {
+        const manifest = {
+            contentTypes: { 'api::article.article': { count: 2 } },
+            types: { 'api::article.article': [{ documentId: 'a1', locale: 'en' }, { documentId: 'a2' }] }
+        };
+
+        assert.deepEqual(await getBaselineKeys({ manifest }, 'api::article.article'), new Set(['a1:en', 'a2:']));
+        assert.equal(await getBaselineKeys({ manifest }, 'api::page.page'), null);
+    });
+});
+
+describe('createDeltaSection', () => {
+    const baseline = {
+        archive: '/backups/export-1.tar.gz',
+        manifest: { createdAt: '2024-01-01T00:00:00.000Z', media: [{ hash: 'b' }], delta: { baselineMedia: ['a'] } }
+    };
+
+    it('defaults to the baseline creation time and carries its media forward', () => {
+        const delta = createDeltaSection(null, baseline);
+
+        assert.equal(delta.since, '2024-01-01T00:00:00.000Z');
+        assert.deepEqual(delta.baseline, { archive: 'export-1.tar.gz', createdAt: '2024-01-01T00:00:00.000Z' });
+        assert.deepEqual(delta.baselineMedia, ['a', 'b']);
+    });
+
+    it('prefers an explicit --since', () => {
+        assert.equal(createDeltaSection('2024-06-01T00:00:00.000Z', baseline).since, '2024-06-01T00:00:00.000Z');
+        assert.equal(createDeltaSection('2024-06-01T00:00:00.000Z', null).baseline, null);
+    });
+
+    it('needs a date when the baseline has none', () => {
+        assert.throws(() => createDeltaSection(null, { ...baseline, manifest: {} }), /pass --since as well/);
+    });
+});
+
+describe('resolveSince', () => {
+    it('normalizes dates and rejects invalid ones', () => {
+        assert.equal(resolveSince('2024-01-15'), '2024-01-15T00:00:00.000Z');
+        assert.equal(resolveSince(undefined), null);
+        assert.throws(() => resolveSince('yesterday'), /--since must be an ISO 8601 date/);
+    });
+});
+
+describe('delta exports', () => {
+    const ARTICLE = 'api::article.article';
+    let projectDir;
+
+    /**
+     * Reads the manifest and the article key index of an export archive.
+     * @param {string} archive - Archive path
+     * @returns {Promise<{ manifest: Object, keys: string[] }>} The manifest and the indexed keys
+     */
+    const readArchive = async (archive) => {
+        const { tempDir, importPath } = await extractArchive(archive);
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(importPath, 'data.json'), 'utf8'));
+            const index = manifest.delta?.documents?.[ARTICLE];
+            const keys = index
+                ? fs.readFileSync(path.join(importPath, index.file), 'utf8').trim().split('\n').map(line => JSON.parse(line))
+                : [];
+            return { manifest, keys };
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('writes the variant keys to a key index file and detects deletions against it', async () => {
+        const strapi = createStrapi({
+            contentTypes: { [ARTICLE]: { attributes: { title: { type: 'string' } } } },
+            documents: { [ARTICLE]: [{ documentId: 'a1', locale: 'en', title: 'One' }, { documentId: 'a2', locale: 'en', title: 'Two' }] }
+        });
+        const run = options => exportData({ strapi, projectDir, all: true, storage: 'local', since: '2024-01-01T00:00:00.000Z', ...options });
+
+        const full = await exportData({ strapi, projectDir, all: true, storage: 'local' });
+        await strapi.documents(ARTICLE).delete({ documentId: 'a1' });
+        const first = await run({ sinceArchive: full.archive });
+
+        const firstArchive = await readArchive(first.archive);
+        assert.deepEqual(firstArchive.manifest.delta.documents[ARTICLE], {
+            file: 'delta/api__article.article.ndjson',
+            count: 1,
+            sha256: firstArchive.manifest.delta.documents[ARTICLE].sha256
+        });
+        assert.deepEqual(firstArchive.keys, ['a2:en']);
+        assert.deepEqual(firstArchive.manifest.delta.deletions[ARTICLE], [{ documentId: 'a1', locale: null }]);
+        assert.ok(firstArchive.manifest.checksums['delta/api__article.article.ndjson']);
+
+        await strapi.documents(ARTICLE).delete({ documentId: 'a2' });
+        await strapi.documents(ARTICLE).create({ data: { documentId: 'a3', title: 'Three' }, locale: 'en' });
+        const second = await run({ sinceArchive: first.archive });
+
+        const secondArchive = await readArchive(second.archive);
+        assert.deepEqual(secondArchive.keys, ['a3:en']);
+        assert.deepEqual(secondArchive.manifest.delta.deletions[ARTICLE], [{ documentId: 'a2', locale: null }]);
+    });
+});
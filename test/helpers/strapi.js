@@ -0,0 +1,285 @@
+/**
+ * @fileoverview In-memory stand-in for a Strapi v5 application
+ * @description Implements the parts of the Document Service, the query engine, transactions and
+ * the i18n plugin that exports and imports use, over plain arrays. Draft and published variants
+ * are separate rows as in Strapi 5, and every write stamps `updatedAt` from a clock that ticks
+ * one second per call, so tests can tell writes apart without waiting.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Checks a row against Document Service / query engine filters.
+ * @param {Object} row - Stored row
+ * @param {Object} [filters] - Filters ({ field: value }, { field: { $in, $eq, $ne, $null, $notNull } }, $and, $or)
+ * @returns {boolean} Whether the row matches
+ */
+function matches(row, filters) {
+    if (!filters) return true;
+    return Object.entries(filters).every(([field, condition]) => {
+        if (field === '$and') return condition.every(part => matches(row, part));
+        if (field === '$or') return condition.some(part => matches(row, part));
+        const value = row[field];
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return value === condition;
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq': return value === operand;
+                case '$ne': return value !== operand;
+                case '$in': return operand.includes(value);
+                case '$null': return (value === null || value === undefined) === Boolean(operand);
+                case '$notNull': return (value !== null && value !== undefined) === Boolean(operand);
+                default: throw new Error(`Unsupported filter operator ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Picks the requested fields of a row.
+ * @param {Object} row - Stored row
+ * @param {string[]} [fields] - Fields to keep (all when omitted)
+ * @returns {Object} A copy of the row
+ */
+function pick(row, fields) {
+    if (!fields) return structuredClone(row);
+    return Object.fromEntries(['id', ...fields].filter(field => field in row).map(field => [field, row[field]]));
+}
+
+/**
+ * Creates an in-memory Strapi application.
+ * @param {Object} [options={}] - Options
+ * @param {Object<string, Object>} [options.contentTypes={}] - Content type schemas by UID
+ * (`options.draftAndPublish` defaults to true)
+ * @param {Object<string, Object>} [options.components={}] - Component schemas by UID
+ * @param {Object<string, Object[]>} [options.documents={}] - Draft variants to start with, by UID
+ * ({ documentId, locale, ...fields }; `publishedAt` set also stores a published copy)
+ * @param {string[]} [options.locales=['en']] - Locale codes, the first being the default
+ * @returns {Object} The application, with `rows(uid, status)` to inspect stored variants and
+ * `edit(uid, documentId, locale, data)` to change a draft as an editor would
+ */
+function createStrapi(options = {}) {
+    let nextId = 1;
+    let clock = Date.parse('2024-01-01T00:00:00.000Z');
+    const now = () => {
+        clock += 1000;
+        return new Date(clock).toISOString();
+    };
+
+    const contentTypes = Object.fromEntries(Object.entries(options.contentTypes || {}).map(([uid, schema]) => [
+        uid,
+        { uid, kind: 'collectionType', ...schema, options: { draftAndPublish: true, ...schema.options }, attributes: schema.attributes || {} }
+    ]));
+    let tables = {
+        'strapi::core-store': [],
+        'plugin::upload.file': [],
+        'plugin::i18n.locale': (options.locales || ['en']).map((code, index) => ({ id: nextId++, code, name: code, isDefault: index === 0 }))
+    };
+    const table = (uid) => {
+        if (!tables[uid]) tables[uid] = [];
+        return tables[uid];
+    };
+
+    const hasDraftAndPublish = uid => contentTypes[uid]?.options?.draftAndPublish !== false;
+    const isPublished = row => row.publishedAt !== null && row.publishedAt !== undefined;
+
+    /**
+     * Lists the rows of a content type matching a Document Service query.
+     * @param {string} uid - Content type UID
+     * @param {Object} [query={}] - { filters, status, locale }
+     * @returns {Object[]} Stored rows (not copies)
+     */
+    const select = (uid, query = {}) => table(uid).filter(row => {
+        if (hasDraftAndPublish(uid) && isPublished(row) !== (query.status === 'published')) return false;
+        if (query.locale && query.locale !== '*' && row.locale !== query.locale) return false;
+        return matches(row, query.filters);
+    });
+
+    const publishRow = (uid, draft) => {
+        const rows = table(uid);
+        const index = rows.findIndex(row => isPublished(row) && row.documentId === draft.documentId && row.locale === draft.locale);
+        const timestamp = now();
+        const published = { ...structuredClone(draft), id: nextId++, publishedAt: timestamp, updatedAt: timestamp };
+        if (index === -1) rows.push(published);
+        else rows[index] = published;
+    };
+
+    const insertRow = (uid, data, locale) => {
+        const timestamp = now();
+        const { documentId, createdAt, updatedAt, publishedAt, ...fields } = data;
+        const row = {
+            id: nextId++,
+            documentId: documentId || crypto.randomBytes(12).toString('hex'),
+            locale: locale || null,
+            ...fields,
+            createdAt: createdAt || timestamp,
+            updatedAt: timestamp,
+            publishedAt: hasDraftAndPublish(uid) ? null : timestamp
+        };
+        table(uid).push(row);
+        return row;
+    };
+
+    const documents = uid => ({
+        async findMany(query = {}) {
+            const rows = select(uid, query);
+            const start = query.start || 0;
+            return rows.slice(start, query.limit ? start + query.limit : undefined).map(row => pick(row, query.fields));
+        },
+
+        async findFirst(query = {}) {
+            const [row] = select(uid, query);
+            return row ? pick(row, query.fields) : null;
+        },
+
+        async count(query = {}) {
+            return select(uid, query).length;
+        },
+
+        async create({ data, locale, status }) {
+            const row = insertRow(uid, data, locale);
+            if (status === 'published' && hasDraftAndPublish(uid)) publishRow(uid, row);
+            return structuredClone(row);
+        },
+
+        async update({ documentId, locale, data, status }) {
+            // Like Strapi, updating a missing locale of an existing document creates it
+            let [row] = select(uid, { filters: { documentId }, locale, status: 'draft' });
+            if (!row) {
+                if (select(uid, { filters: { documentId }, locale: '*', status: 'draft' }).length === 0) return null;
+                row = insertRow(uid, { ...data, documentId }, locale);
+            } else {
+                const { documentId: ignored, createdAt, updatedAt, publishedAt, ...fields } = data;
+                Object.assign(row, fields, { updatedAt: now() });
+            }
+            if (status === 'published' && hasDraftAndPublish(uid)) publishRow(uid, row);
+            return structuredClone(row);
+        },
+
+        async publish({ documentId, locale }) {
+            select(uid, { filters: { documentId }, locale: locale || '*', status: 'draft' }).forEach(row => publishRow(uid, row));
+        },
+
+        async unpublish({ documentId, locale }) {
+            const unpublished = new Set(select(uid, { filters: { documentId }, locale: locale || '*', status: 'published' }));
+            tables[uid] = table(uid).filter(row => !unpublished.has(row));
+        },
+
+        async delete({ documentId, locale }) {
+            tables[uid] = table(uid).filter(row => row.documentId !== documentId || (locale && locale !== '*' && row.locale !== locale));
+        }
+    });
+
+    const query = uid => ({
+        async findOne({ where } = {}) {
+            const row = table(uid).find(candidate => matches(candidate, where));
+            return row ? structuredClone(row) : null;
+        },
+
+        async findMany({ where, select: fields } = {}) {
+            return table(uid).filter(row => matches(row, where)).map(row => pick(row, fields));
+        },
+
+        async create({ data }) {
+            const row = { id: nextId++, ...data };
+            table(uid).push(row);
+            return structuredClone(row);
+        },
+
+        async update({ where, data }) {
+            const row = table(uid).find(candidate => matches(candidate, where));
+            if (row) Object.assign(row, data);
+            return row ? structuredClone(row) : null;
+        },
+
+        async updateMany({ where, data }) {
+            const rows = table(uid).filter(row => matches(row, where));
+            rows.forEach(row => Object.assign(row, data));
+            return { count: rows.length };
+        },
+
+        async delete({ where }) {
+            const row = table(uid).find(candidate => matches(candidate, where));
+            tables[uid] = table(uid).filter(candidate => candidate !== row);
+            return row || null;
+        },
+
+        async deleteMany({ where }) {
+            const before = table(uid).length;
+            tables[uid] = table(uid).filter(row => !matches(row, where));
+            return { count: before - tables[uid].length };
+        }
+    });
+
+    const localeService = {
+        async getDefaultLocale() {
+            return table('plugin::i18n.locale').find(locale => locale.isDefault)?.code || null;
+        },
+        async setDefaultLocale({ code }) {
+            table('plugin::i18n.locale').forEach(locale => { locale.isDefault = locale.code === code; });
+        },
+        async findByCode(code) {
+            return table('plugin::i18n.locale').find(locale => locale.code === code) || null;
+        },
+        async create({ code, name }) {
+            const locale = { id: nextId++, code, name, isDefault: false };
+            table('plugin::i18n.locale').push(locale);
+            return locale;
+        },
+        async delete({ id }) {
+            tables['plugin::i18n.locale'] = table('plugin::i18n.locale').filter(locale => locale.id !== id);
+        }
+    };
+
+    const strapi = {
+        contentTypes,
+        components: options.components || {},
+        documents,
+        db: {
+            dialect: { client: 'sqlite' },
+            query,
+            // Rolls every table back when the callback throws, like a database transaction
+            async transaction(callback) {
+                const saved = structuredClone(tables);
+                try {
+                    return await callback();
+                } catch (e) {
+                    tables = saved;
+                    throw e;
+                }
+            }
+        },
+        config: {
+            get: key => ({
+                'info.strapi': '5.0.0',
+                'database.connection.client': 'sqlite',
+                'plugin::upload': { provider: 'local' }
+            })[key]
+        },
+        plugin: name => ({ service: () => (name === 'i18n' ? localeService : {}) }),
+        plugins: { upload: { services: { upload: {} } } },
+        destroyed: false,
+        async destroy() {
+            this.destroyed = true;
+        },
+
+        rows(uid, status = 'draft') {
+            return select(uid, { status, locale: '*' }).map(row => structuredClone(row));
+        },
+
+        edit(uid, documentId, locale, data) {
+            const [row] = select(uid, { filters: { documentId }, locale, status: 'draft' });
+            Object.assign(row, data, { updatedAt: now() });
+        }
+    };
+
+    for (const [uid, entries] of Object.entries(options.documents || {})) {
+        for (const { publishedAt, locale, ...data } of entries) {
+            const row = insertRow(uid, data, locale);
+            if (publishedAt && hasDraftAndPublish(uid)) publishRow(uid, row);
+        }
+    }
+
+    return strapi;
+}
+
+module.exports = { createStrapi };
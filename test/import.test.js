@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Behaviour tests for importData against an in-memory Strapi
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportData, importData } = require('../lib/api');
+const { EXIT_CODES } = require('../lib/report');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const SCHEMAS = { contentTypes: { [ARTICLE]: { attributes: { title: { type: 'string' } } } } };
+
+/**
+ * Builds an article draft.
+ * @param {string} documentId - documentId
+ * @param {string} title - Title
+ * @param {string} [locale='en'] - Locale
+ * @returns {Object} Document variant
+ */
+const article = (documentId, title, locale = 'en') => ({ documentId, locale, title });
+
+/**
+ * Lists the stored article drafts as "<documentId>:<locale>=<title>".
+ * @param {Object} strapi - In-memory Strapi
+ * @returns {string[]} Variants
+ */
+const titles = strapi => strapi.rows(ARTICLE).map(row => `${row.documentId}:${row.locale}=${row.title}`);
+
+/**
+ * Makes the target refuse to create articles with the given title.
+ * @param {Object} strapi - In-memory Strapi
+ * @param {string} title - Title that fails validation
+ */
+function rejectTitle(strapi, title) {
+    const documents = strapi.documents;
+    strapi.documents = uid => ({
+        ...documents(uid),
+        async create(params) {
+            if (params.data.title === title) throw new Error('title is invalid');
+            return documents(uid).create(params);
+        }
+    });
+}
+
+describe('importData', () => {
+    let projectDir;
+
+    /**
+     * Exports articles from a source into the project's export-data directory.
+     * @param {Object[]} documents - Article drafts of the source
+     * @returns {Promise<string>} Archive path
+     */
+    const exportArticles = async (documents) => {
+        const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: documents } });
+        const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+        return archive;
+    };
+
+    /**
+     * Imports an archive into a target with the schema files left alone.
+     * @param {Object} strapi - Target
+     * @param {string} archive - Archive path
+     * @param {Object} [options={}] - Extra import options
+     * @returns {Promise<Object>} importData result
+     */
+    const importInto = (strapi, archive, options = {}) => importData({ strapi, projectDir, archive, skipSchema: true, storage: 'local', ...options });
+
+    const snapshots = () => {
+        const snapshotDir = path.join(projectDir, 'migrate-snapshots');
+        return fs.existsSync(snapshotDir) ? fs.readdirSync(snapshotDir).filter(name => name.endsWith('.tar.gz')) : [];
+    };
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    describe('--atomic', () => {
+        it('rolls every change back on the first failure and removes the unused snapshot', async () => {
+            const archive = await exportArticles([article('a1', 'New'), article('a2', 'Two'), article('a3', 'Broken')]);
+            const target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Old')] } });
+            rejectTitle(target, 'Broken');
+            const before = snapshots().length;
+
+            await assert.rejects(importInto(target, archive, { atomic: true }), (error) => {
+                assert.equal(error.exitCode, EXIT_CODES.TOTAL_FAILURE);
+                assert.equal(error.report.rolledBack, true);
+                assert.equal(error.report.errors[0].documentId, 'a3');
+                return true;
+            });
+            assert.deepEqual(titles(target), ['a1:en=Old']);
+            assert.equal(snapshots().length, before);
+        });
+
+        it('keeps what succeeded without --atomic', async () => {
+            const archive = await exportArticles([article('a1', 'New'), article('a2', 'Two'), article('a3', 'Broken')]);
+            const target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Old')] } });
+            rejectTitle(target, 'Broken');
+            const before = snapshots().length;
+
+            const result = await importInto(target, archive);
+            assert.equal(result.exitCode, EXIT_CODES.PARTIAL_FAILURE);
+            assert.deepEqual(titles(target), ['a1:en=New', 'a2:en=Two']);
+            assert.equal(snapshots().length, before + 1);
+            assert.ok(fs.existsSync(result.snapshot));
+        });
+    });
+
+    describe('--mirror', () => {
+        it('deletes the target documents and locales of the archived types that the archive lacks', async () => {
+            const PAGE = 'api::page.page';
+            const archive = await exportArticles([article('a1', 'One'), article('a2', 'Two')]);
+            const target = createStrapi({
+                contentTypes: { ...SCHEMAS.contentTypes, [PAGE]: { attributes: { title: { type: 'string' } } } },
+                locales: ['en', 'fr'],
+                documents: {
+                    [ARTICLE]: [article('a1', 'Old'), article('a1', 'Vieux', 'fr'), article('a2', 'Two'), article('a3', 'Gone')],
+                    [PAGE]: [{ documentId: 'p1', locale: 'en', title: 'Kept' }]
+                }
+            });
+
+            const result = await importInto(target, archive, { snapshot: false, mirror: true });
+
+            assert.equal(result.exitCode, EXIT_CODES.SUCCESS);
+            assert.deepEqual(titles(target), ['a1:en=One', 'a2:en=Two']);
+            assert.equal(result.report.contentTypes[ARTICLE].deleted, 2);
+            assert.equal(target.rows(PAGE).length, 1);
+        });
+
+        it('only lists the deletions in a dry run', async () => {
+            const archive = await exportArticles([article('a1', 'One')]);
+            const target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'One'), article('a2', 'Two')] } });
+
+            const result = await importInto(target, archive, { mirror: true, dryRun: true });
+
+            assert.equal(result.exitCode, EXIT_CODES.SUCCESS);
+            assert.deepEqual(titles(target), ['a1:en=One', 'a2:en=Two']);
+        });
+
+        it('refuses delta archives', async () => {
+            const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'One')] } });
+            const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local', since: '2024-01-01T00:00:00.000Z' });
+            const target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a2', 'Two')] } });
+
+            await assert.rejects(importInto(target, archive, { snapshot: false, mirror: true }), /--mirror needs a full archive: a delta archive/);
+            assert.deepEqual(titles(target), ['a2:en=Two']);
+        });
+    });
+
+    describe('--on-conflict', () => {
+        it('finds no conflicts when the same archive is imported again', async () => {
+            const HOMEPAGE = 'api::homepage.homepage';
+            const schemas = { contentTypes: { ...SCHEMAS.contentTypes, [HOMEPAGE]: { kind: 'singleType', attributes: { title: { type: 'string' } } } } };
+            const source = createStrapi({
+                ...schemas,
+                documents: {
+                    [ARTICLE]: [article('a1', 'One'), { ...article('a2', 'Two'), publishedAt: '2024-01-01T00:00:00.000Z' }],
+                    [HOMEPAGE]: [{ documentId: 'h1', locale: 'en', title: 'Home', publishedAt: '2024-01-01T00:00:00.000Z' }]
+                }
+            });
+            const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+            const target = createStrapi(schemas);
+
+            assert.equal((await importInto(target, archive, { snapshot: false })).exitCode, EXIT_CODES.SUCCESS);
+            const again = await importInto(target, archive, { snapshot: false, onConflict: 'fail' });
+
+            assert.equal(again.exitCode, EXIT_CODES.SUCCESS);
+            assert.deepEqual(again.report.conflicts, []);
+        });
+
+        it('reports the variants edited on the target since the last import', async () => {
+            const archive = await exportArticles([article('a1', 'One'), article('a2', 'Two')]);
+            const target = createStrapi(SCHEMAS);
+            await importInto(target, archive, { snapshot: false });
+            target.edit(ARTICLE, 'a1', 'en', { title: 'Edited' });
+
+            const result = await importInto(target, archive, { snapshot: false, onConflict: 'skip' });
+
+            assert.deepEqual(result.report.conflicts.map(conflict => [conflict.documentId, conflict.resolution]), [['a1', 'kept-target']]);
+            assert.deepEqual(titles(target), ['a1:en=Edited', 'a2:en=Two']);
+        });
+
+        describe('without a sync baseline', () => {
+            /**
+             * Exports a1 edited after a2, and a target holding both where a2 was edited after a1.
+             * @returns {Promise<{ archive: string, target: Object }>} Archive and target
+             */
+            const divergedArticles = async () => {
+                const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Source one'), article('a2', 'Source two')] } });
+                source.edit(ARTICLE, 'a1', 'en', { title: 'Source one' });
+                const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+                const target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Target one'), article('a2', 'Target two')] } });
+                target.edit(ARTICLE, 'a2', 'en', { title: 'Target two' });
+                return { archive, target };
+            };
+
+            const resolutions = result => result.report.conflicts.map(conflict => [conflict.documentId, conflict.resolution]);
+
+            it('overwrites the target by default', async () => {
+                const { archive, target } = await divergedArticles();
+
+                const result = await importInto(target, archive, { snapshot: false });
+
+                assert.deepEqual(resolutions(result), [['a1', 'overwritten'], ['a2', 'overwritten']]);
+                assert.deepEqual(titles(target), ['a1:en=Source one', 'a2:en=Source two']);
+            });
+
+            it('keeps the later variant with newer-wins', async () => {
+                const { archive, target } = await divergedArticles();
+
+                const result = await importInto(target, archive, { snapshot: false, onConflict: 'newer-wins' });
+
+                assert.equal(result.exitCode, EXIT_CODES.SUCCESS);
+                assert.deepEqual(resolutions(result), [['a1', 'overwritten'], ['a2', 'kept-target']]);
+                assert.deepEqual(titles(target), ['a1:en=Source one', 'a2:en=Target two']);
+            });
+
+            it('asks for every conflict with prompt', async () => {
+                const { archive, target } = await divergedArticles();
+                const asked = [];
+
+                const result = await importInto(target, archive, {
+                    snapshot: false,
+                    onConflict: 'prompt',
+                    resolveConflict: async (conflict) => {
+                        asked.push(conflict.documentId);
+                        return conflict.documentId === 'a1' ? 'skip' : 'overwrite';
+                    }
+                });
+
+                assert.deepEqual(asked, ['a1', 'a2']);
+                assert.deepEqual(resolutions(result), [['a1', 'kept-target'], ['a2', 'overwritten']]);
+                assert.deepEqual(titles(target), ['a1:en=Target one', 'a2:en=Source two']);
+            });
+
+            it('aborts on the first conflict with fail', async () => {
+                const { archive, target } = await divergedArticles();
+
+                await assert.rejects(importInto(target, archive, { snapshot: false, onConflict: 'fail' }), (error) => {
+                    assert.match(error.message, /Conflict on api::article.article a1 \[en\]/);
+                    assert.deepEqual(error.report.conflicts.map(conflict => conflict.resolution), ['failed']);
+                    return true;
+                });
+                assert.deepEqual(titles(target), ['a1:en=Target one', 'a2:en=Target two']);
+            });
+        });
+    });
+});
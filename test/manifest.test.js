@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests for the archive manifest module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FORMAT_VERSION,
+    MANIFEST_FORMAT,
+    hashContent,
+    createManifest,
+    finalizeManifest,
+    upgradeManifest,
+    validateManifest,
+    prepareManifest
+} = require('../lib/manifest');
+
+const ARTICLE = 'api::article.article';
+
+/**
+ * Builds a current-format manifest with inline entries.
+ * @param {Object[]} entries - Entries of the article type
+ * @returns {Object} Manifest
+ */
+function inlineManifest(entries) {
+    const manifest = createManifest();
+    manifest.types = { [ARTICLE]: entries };
+    manifest.contentTypes[ARTICLE] = { count: entries.length, sha256: hashContent(entries) };
+    return finalizeManifest(manifest);
+}
+
+describe('upgradeManifest', () => {
+    it('upgrades unversioned archives to the current format, hashing the data as found', () => {
+        const entries = [{ documentId: 'a1', title: 'Hello' }];
+        const { manifest, upgradedFrom } = upgradeManifest({ types: { [ARTICLE]: entries }, media: [] });
+
+        assert.equal(upgradedFrom, 0);
+        assert.equal(manifest.format, MANIFEST_FORMAT);
+        assert.equal(manifest.formatVersion, FORMAT_VERSION);
+        assert.deepEqual(manifest.contentTypes[ARTICLE], { count: 1, sha256: hashContent(entries) });
+        assert.equal(manifest.mediaSha256, hashContent([]));
+    });
+
+    it('upgrades format 1 manifests without touching their data', () => {
+        const v1 = { ...inlineManifest([{ documentId: 'a1' }]), formatVersion: 1 };
+        const { manifest, upgradedFrom } = upgradeManifest(v1);
+
+        assert.equal(upgradedFrom, 1);
+        assert.equal(manifest.formatVersion, FORMAT_VERSION);
+        assert.deepEqual(manifest.contentTypes, v1.contentTypes);
+        assert.equal(v1.formatVersion, 1);
+    });
+
+    it('leaves current manifests and non-objects alone', () => {
+        const current = inlineManifest([]);
+        assert.deepEqual(upgradeManifest(current), { manifest: current, upgradedFrom: null });
+        assert.deepEqual(upgradeManifest([]), { manifest: [], upgradedFrom: null });
+    });
+});
+
+describe('validateManifest', () => {
+    it('accepts an intact manifest', () => {
+        assert.deepEqual(validateManifest(inlineManifest([{ documentId: 'a1' }])), { errors: [], warnings: [] });
+    });
+
+    it('rejects unknown formats and newer format versions', () => {
+        assert.match(validateManifest({ ...inlineManifest([]), format: 'other' }).errors[0], /Unknown archive format "other"/);
+        assert.match(validateManifest({ ...inlineManifest([]), formatVersion: FORMAT_VERSION + 1 }).errors[0], /Upgrade strapi-migrate/);
+        assert.match(validateManifest(null).errors[0], /does not contain a manifest object/);
+    });
+
+    it('reports modified entries and media', () => {
+        const manifest = inlineManifest([{ documentId: 'a1', title: 'Hello' }]);
+        manifest.types[ARTICLE][0].title = 'Changed';
+        manifest.media.push({ hash: 'added' });
+
+        const { errors } = validateManifest(manifest);
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /Content hash mismatch for api::article\.article/);
+        assert.match(errors[1], /Media metadata hash mismatch/);
+    });
+
+    it('reports count mismatches and types missing from contentTypes', () => {
+        const manifest = inlineManifest([{ documentId: 'a1' }]);
+        manifest.contentTypes[ARTICLE] = { count: 2 };
+        manifest.types['api::page.page'] = [];
+
+        assert.deepEqual(validateManifest(manifest).errors, [
+            'Entry count mismatch for api::article.article: manifest says 2, archive contains 1',
+            'Content type api::page.page is not listed in the manifest contentTypes'
+        ]);
+    });
+
+    it('keeps content files inside the content directory', () => {
+        const manifest = createManifest();
+        manifest.contentTypes[ARTICLE] = { count: 0, file: 'content/../../etc/passwd' };
+
+        assert.match(validateManifest(manifest).errors[0], /must live under content\//);
+    });
+
+    it('keeps delta key indexes inside the delta directory', () => {
+        const manifest = createManifest();
+        manifest.delta = { since: '2024-01-01T00:00:00.000Z', deletions: {}, documents: { [ARTICLE]: { count: 0, file: '../keys.ndjson' } } };
+        assert.match(validateManifest(manifest).errors[0], /Key index for api::article.article must live under delta\//);
+
+        manifest.delta.documents[ARTICLE] = ['a1:en'];
+        assert.match(validateManifest(manifest).errors[0], /must list a key index file and count/);
+    });
+
+    it('warns when the source and target Strapi majors differ', () => {
+        const manifest = { ...inlineManifest([]), source: { strapiVersion: '4.25.0', dbClient: 'sqlite' } };
+        const { errors, warnings } = validateManifest(manifest, { targetStrapiVersion: '5.1.0' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, ['Archive was exported from Strapi 4.25.0, target runs Strapi 5.1.0']);
+    });
+});
+
+describe('prepareManifest', () => {
+    it('validates the upgraded manifest', () => {
+        const { upgradedFrom, errors } = prepareManifest({ types: { [ARTICLE]: [{ documentId: 'a1' }] }, media: [] });
+
+        assert.equal(upgradedFrom, 0);
+        assert.deepEqual(errors, []);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Tests for declarative import mappings
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMapping, loadMapping } = require('../lib/mapping');
+
+const POST = 'api::post.post';
+const ARTICLE = 'api::article.article';
+
+const RULES = {
+    contentTypes: { [POST]: ARTICLE },
+    components: { 'shared.seo': 'seo.meta' },
+    attributes: {
+        [POST]: { body: 'content', seo: 'meta' },
+        'shared.seo': { metaTitle: 'title' }
+    }
+};
+
+/**
+ * Builds a manifest holding post entries and their view configuration.
+ * @param {string | Object} view - The stored view configuration
+ * @returns {Object} Manifest
+ */
+function manifestWithView(view) {
+    return { contentTypes: { [POST]: { count: 0 } }, types: { [POST]: [] }, views: { [POST]: view } };
+}
+
+describe('validateMapping', () => {
+    it('accepts the three sections', () => {
+        assert.deepEqual(validateMapping(RULES), []);
+    });
+
+    it('reports unknown sections and malformed renames', () => {
+        assert.deepEqual(validateMapping({ types: {}, contentTypes: { [POST]: 1 }, attributes: { [POST]: ['body'] } }), [
+            'unknown section "types" (expected contentTypes, components, attributes)',
+            '"contentTypes" must map UIDs to UIDs',
+            `"attributes.${POST}" must map attribute names to attribute names`
+        ]);
+        assert.deepEqual(validateMapping([]), ['must be a JSON object']);
+    });
+
+    it('refuses to load an invalid mapping', () => {
+        assert.throws(() => loadMapping({ components: { 'shared.seo': '' } }), /Mapping object is invalid/);
+        assert.throws(() => loadMapping('./missing-mapping.json', __dirname), /Mapping file not found/);
+    });
+});
+
+describe('mapping entries', () => {
+    const schemas = {
+        contentTypes: {
+            [POST]: {
+                attributes: {
+                    seo: { type: 'component', component: 'shared.seo' },
+                    blocks: { type: 'dynamiczone', components: ['shared.seo'] },
+                    author: { type: 'relation', relation: 'manyToOne', target: POST }
+                }
+            }
+        },
+        components: { 'shared.seo': { attributes: { metaTitle: { type: 'string' } } } }
+    };
+
+    it('renames attributes, nested components, dynamic zones and polymorphic relations', () => {
+        const mapping = loadMapping(RULES);
+        mapping.applyToArchive({ contentTypes: {} }, schemas);
+
+        const entry = mapping.entry(ARTICLE, {
+            documentId: 'p1',
+            body: 'Text',
+            seo: { metaTitle: 'Title' },
+            blocks: [{ __component: 'shared.seo', metaTitle: 'Block' }],
+            related: [{ __type: POST, documentId: 'p2' }]
+        });
+
+        assert.deepEqual(entry, {
+            documentId: 'p1',
+            content: 'Text',
+            meta: { title: 'Title' },
+            blocks: [{ __component: 'seo.meta', title: 'Block' }],
+            related: [{ __type: ARTICLE, documentId: 'p2' }]
+        });
+    });
+
+    it('finds nested components through the target schemas when the archive ships none', () => {
+        const mapping = loadMapping(RULES);
+        const strapi = {
+            contentTypes: { [ARTICLE]: { attributes: { meta: { type: 'component', component: 'seo.meta' } } } },
+            components: {}
+        };
+
+        assert.deepEqual(mapping.entry(ARTICLE, { seo: { metaTitle: 'Title' } }, { strapi }), { meta: { title: 'Title' } });
+    });
+
+    it('maps the archive schemas compared by the schema check', () => {
+        const mapped = loadMapping(RULES).applyToSchemas(schemas);
+
+        assert.deepEqual(Object.keys(mapped.contentTypes), [ARTICLE]);
+        assert.deepEqual(Object.keys(mapped.components), ['seo.meta']);
+        assert.deepEqual(mapped.contentTypes[ARTICLE].attributes, {
+            meta: { type: 'component', component: 'seo.meta' },
+            blocks: { type: 'dynamiczone', components: ['seo.meta'] },
+            author: { type: 'relation', relation: 'manyToOne', target: ARTICLE }
+        });
+        assert.deepEqual(mapped.components['seo.meta'].attributes, { title: { type: 'string' } });
+    });
+});
+
+describe('mapping view configurations', () => {
+    const view = {
+        uid: POST,
+        settings: { mainField: 'body', defaultSortBy: 'body', pageSize: 10 },
+        metadatas: { body: { edit: { label: 'Body' } }, title: { edit: { label: 'Title' } } },
+        layouts: { list: ['title', 'body'], edit: [[{ name: 'body', size: 12 }], [{ name: 'title', size: 6 }]] }
+    };
+
+    it('renames the type, fields and layouts of a view', () => {
+        const manifest = manifestWithView(view);
+        const renamed = loadMapping(RULES).applyToArchive(manifest);
+
+        assert.deepEqual(renamed, [{ from: POST, to: ARTICLE }]);
+        assert.deepEqual(manifest.views[ARTICLE], {
+            uid: ARTICLE,
+            settings: { mainField: 'content', defaultSortBy: 'content', pageSize: 10 },
+            metadatas: { content: { edit: { label: 'Body' } }, title: { edit: { label: 'Title' } } },
+            layouts: { list: ['title', 'content'], edit: [[{ name: 'content', size: 12 }], [{ name: 'title', size: 6 }]] }
+        });
+    });
+
+    it('keeps views stored as JSON strings as strings', () => {
+        const manifest = manifestWithView(JSON.stringify(view));
+        loadMapping(RULES).applyToArchive(manifest);
+
+        assert.equal(typeof manifest.views[ARTICLE], 'string');
+        assert.equal(JSON.parse(manifest.views[ARTICLE]).settings.mainField, 'content');
+    });
+
+    it('leaves unparsable views alone', () => {
+        const manifest = manifestWithView('not json');
+        loadMapping(RULES).applyToArchive(manifest);
+
+        assert.equal(manifest.views[ARTICLE], 'not json');
+    });
+
+    it('refuses two archived types mapped to the same UID', () => {
+        const manifest = { contentTypes: { [POST]: { count: 0 }, [ARTICLE]: { count: 0 } } };
+
+        assert.throws(() => loadMapping(RULES).applyToArchive(manifest), /both map to api::article\.article/);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Tests for the NDJSON writer and reader
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNdjsonWriter, readNdjson, hashNdjson } = require('../lib/ndjson');
+
+describe('ndjson', () => {
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('writes one line per value and reads them back', async () => {
+        const filePath = path.join(tempDir, 'content', 'api__article.article.ndjson');
+        const writer = createNdjsonWriter(filePath);
+        await writer.write({ documentId: 'a1' });
+        await writer.write({ documentId: 'a2', title: 'Line\nbreak' });
+        const written = await writer.close();
+
+        const entries = [];
+        for await (const entry of readNdjson(filePath)) entries.push(entry);
+
+        assert.deepEqual(entries, [{ documentId: 'a1' }, { documentId: 'a2', title: 'Line\nbreak' }]);
+        assert.deepEqual(await hashNdjson(filePath), written);
+        assert.equal(written.count, 2);
+    });
+
+    it('rejects instead of crashing when the file cannot be written', async () => {
+        // A directory in place of the file makes the stream fail to open
+        const filePath = path.join(tempDir, 'taken');
+        fs.mkdirSync(filePath);
+        const writer = createNdjsonWriter(filePath);
+
+        // Let the open fail while nobody waits on the stream
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        await assert.rejects(writer.write({ documentId: 'a1' }), { code: 'EISDIR' });
+        await assert.rejects(writer.close(), { code: 'EISDIR' });
+    });
+
+    it('names the line of invalid JSON', async () => {
+        const filePath = path.join(tempDir, 'broken.ndjson');
+        fs.writeFileSync(filePath, '{"documentId":"a1"}\n\n{broken\n');
+
+        await assert.rejects(async () => {
+            for await (const entry of readNdjson(filePath)) assert.ok(entry);
+        }, /Invalid JSON on line 3 of broken\.ndjson/);
+    });
+});
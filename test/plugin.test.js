@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests for the admin plugin controller and job service
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const SCHEMAS = { contentTypes: { [ARTICLE]: { attributes: { title: { type: 'string' } } } } };
+
+describe('admin plugin', () => {
+    let tempDir;
+    let savedTmpDir;
+    let controller;
+    let strapi;
+    let uploadsDir;
+
+    /**
+     * Builds a Koa context for a controller action.
+     * @param {Object} [request={}] - { body, files, params }
+     * @returns {Object} Context recording the response
+     */
+    const createContext = ({ body, files, params } = {}) => ({
+        request: { body, files },
+        params: params || {},
+        state: { userAbility: { can: () => true } },
+        status: 200,
+        body: null,
+        badRequest(message) {
+            this.status = 400;
+            this.body = { error: { message } };
+        },
+        notFound(message) {
+            this.status = 404;
+            this.body = { error: { message } };
+        }
+    });
+
+    /**
+     * Writes a file as formidable would for a multipart upload.
+     * @param {string} name - Original file name
+     * @param {string|Buffer} content - File content
+     * @returns {Object} Uploaded file
+     */
+    const uploadedFile = (name, content) => {
+        const filepath = path.join(tempDir, `upload-${Date.now()}-${Math.random()}`);
+        fs.writeFileSync(filepath, content);
+        return { filepath, originalFilename: name, size: Buffer.byteLength(content) };
+    };
+
+    /**
+     * Waits until a job has finished.
+     * @param {string} id - Job id
+     * @returns {Promise<Object>} The finished job
+     */
+    const waitForJob = async (id) => {
+        const jobs = strapi.plugin('strapi-migrate').service('jobs');
+        while (!jobs.get(id).finishedAt) await new Promise(resolve => setTimeout(resolve, 10));
+        return jobs.get(id);
+    };
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        // The plugin keeps uploads and exports in the system temp directory
+        savedTmpDir = process.env.TMPDIR;
+        process.env.TMPDIR = tempDir;
+        uploadsDir = path.join(tempDir, 'strapi-migrate-uploads');
+
+        const jobs = require('../server/src/services/jobs')();
+        strapi = createStrapi(SCHEMAS);
+        const plugin = strapi.plugin;
+        strapi.plugin = name => (name === 'strapi-migrate' ? { service: () => jobs } : plugin(name));
+        strapi.dirs = { app: { root: path.join(tempDir, 'project') } };
+        controller = require('../server/src/controllers/migrate')({ strapi });
+    });
+
+    after(() => {
+        if (savedTmpDir === undefined) delete process.env.TMPDIR;
+        else process.env.TMPDIR = savedTmpDir;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('refuses encrypted and unknown uploads and removes them', async () => {
+        for (const name of ['export.tar.gz.enc', 'export.zip']) {
+            const file = uploadedFile(name, 'data');
+            const ctx = createContext({ files: { archive: file } });
+            await controller.upload(ctx);
+
+            assert.equal(ctx.status, 400);
+            assert.match(ctx.body.error.message, name.endsWith('.enc') ? /Encrypted archives cannot be imported/ : /Upload a \.tar\.gz/);
+            assert.equal(fs.existsSync(file.filepath), false);
+        }
+    });
+
+    it('removes expired uploads, including extracted archive directories', async () => {
+        const expired = path.join(uploadsDir, 'temp-expired');
+        fs.mkdirSync(path.join(expired, 'content'), { recursive: true });
+        fs.writeFileSync(path.join(expired, 'data.json'), '{}');
+        const hourAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(expired, hourAgo, hourAgo);
+
+        const ctx = createContext({ files: { archive: uploadedFile('export.tar.gz', 'data') } });
+        await controller.upload(ctx);
+
+        assert.equal(ctx.status, 200);
+        assert.equal(fs.existsSync(expired), false);
+        assert.ok(fs.existsSync(path.join(uploadsDir, `${ctx.body.data.id}.tar.gz`)));
+    });
+
+    it('leaves nothing behind after a failed import', async () => {
+        const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [{ documentId: 'a1', locale: 'en', title: 'One' }] } });
+        const { exportData } = require('../lib/api');
+        const { archive } = await exportData({ strapi: source, projectDir: path.join(tempDir, 'source'), all: true, storage: 'local' });
+
+        const upload = createContext({ files: { archive: uploadedFile('export.tar.gz', fs.readFileSync(archive)) } });
+        await controller.upload(upload);
+        const { id } = upload.body.data;
+
+        // Fail after the data phases started, which a resumable import would keep for --resume
+        const locales = strapi.plugin('i18n').service('locales');
+        locales.getDefaultLocale = async () => {
+            throw new Error('locale table is locked');
+        };
+        const start = createContext({ body: { upload: id } });
+        await controller.startImport(start);
+        assert.equal(start.status, 202);
+
+        const job = await waitForJob(start.body.data.id);
+        assert.equal(job.status, 'failed');
+        assert.match(job.error.message, /locale table is locked/);
+        assert.deepEqual(fs.readdirSync(uploadsDir).filter(name => name.includes(id)), []);
+    });
+
+    it('keeps exports in the plugin directory for download', async () => {
+        strapi.documents = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [{ documentId: 'a1', locale: 'en', title: 'One' }] } }).documents;
+        const start = createContext({ body: { types: [ARTICLE] } });
+        await controller.startExport(start);
+
+        const job = await waitForJob(start.body.data.id);
+        assert.equal(job.status, 'completed');
+        assert.ok(fs.existsSync(path.join(tempDir, 'strapi-migrate-exports', job.result.file)));
+        assert.equal(fs.existsSync(path.join(tempDir, 'project', 'export-data')), false);
+
+        const download = createContext({ params: { file: job.result.file } });
+        download.attachment = () => {};
+        await controller.download(download);
+        assert.equal(download.status, 200);
+        assert.equal(download.type, 'application/gzip');
+        let size = 0;
+        for await (const chunk of download.body) size += chunk.length;
+        assert.equal(size, fs.statSync(path.join(tempDir, 'strapi-migrate-exports', job.result.file)).size);
+    });
+});
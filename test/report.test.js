@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Tests for run reports and exit codes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { EXIT_CODES, createReport, writeReport } = require('../lib/report');
+
+const ARTICLE = 'api::article.article';
+const PAGE = 'api::page.page';
+
+describe('exit codes', () => {
+    it('succeeds without failures', () => {
+        const report = createReport('import');
+        report.recordEntry(ARTICLE, 'created');
+
+        assert.equal(report.exitCode(), EXIT_CODES.SUCCESS);
+    });
+
+    it('is a partial failure when something else succeeded', () => {
+        const report = createReport('import');
+        report.recordEntry(ARTICLE, 'created', 3);
+        report.recordFailure({ phase: 'create', uid: ARTICLE, documentId: 'a4', message: 'boom' });
+
+        assert.equal(report.exitCode(), EXIT_CODES.PARTIAL_FAILURE);
+    });
+
+    it('is a total failure when nothing succeeded', () => {
+        const report = createReport('import');
+        report.recordFailure({ phase: 'create', uid: ARTICLE, documentId: 'a1', message: 'boom' });
+        report.recordFailure({ phase: 'create', uid: PAGE, documentId: 'p1', message: 'boom' });
+
+        assert.equal(report.exitCode(), EXIT_CODES.TOTAL_FAILURE);
+    });
+
+    it('counts media and locales as successes when no content type was processed', () => {
+        const media = createReport('restore');
+        media.recordMedia('created', { name: 'a.png', hash: 'a' });
+        media.recordFailure({ phase: 'media', message: 'Could not upload b.png' });
+        assert.equal(media.exitCode(), EXIT_CODES.PARTIAL_FAILURE);
+
+        const locales = createReport('import');
+        locales.recordLocale('fr');
+        locales.recordFailure({ phase: 'locales', message: 'Could not create de' });
+        assert.equal(locales.exitCode(), EXIT_CODES.PARTIAL_FAILURE);
+
+        const nothing = createReport('import');
+        nothing.recordMedia('missing', { name: 'a.png', hash: 'a' });
+        nothing.recordFailure({ phase: 'media', message: 'Could not upload a.png' });
+        assert.equal(nothing.exitCode(), EXIT_CODES.TOTAL_FAILURE);
+    });
+
+    it('puts validation failures first', () => {
+        const report = createReport('import');
+        report.recordEntry(ARTICLE, 'created');
+        report.recordFailure({ phase: 'validation', message: 'Corrupted file' });
+
+        assert.equal(report.exitCode(), EXIT_CODES.VALIDATION_FAILURE);
+    });
+});
+
+describe('createReport', () => {
+    it('counts entries and failures, emitting them as progress events', () => {
+        const events = new EventEmitter();
+        const received = [];
+        ['phase', 'entry', 'failure'].forEach(type => events.on(type, payload => received.push([type, payload])));
+        const report = createReport('export', { dryRun: false }, events);
+
+        report.startPhase('export', { uid: ARTICLE });
+        report.recordEntry(ARTICLE, 'exported', 2);
+        report.recordFailure({ phase: 'export', uid: ARTICLE, documentId: 'a3', message: 'boom' });
+        const data = report.finish();
+
+        assert.equal(data.dryRun, false);
+        assert.deepEqual(data.contentTypes[ARTICLE], { exported: 2, created: 0, updated: 0, linked: 0, deleted: 0, failed: 1 });
+        assert.equal(data.summary.exitCode, EXIT_CODES.PARTIAL_FAILURE);
+        assert.deepEqual(received.map(([type]) => type), ['phase', 'entry', 'failure']);
+        assert.equal(received[2][1].documentId, 'a3');
+    });
+});
+
+describe('writeReport', () => {
+    it('resolves relative paths from the project directory and picks the format from the extension', () => {
+        const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        try {
+            const report = createReport('import');
+            report.recordEntry(ARTICLE, 'created');
+            report.recordFailure({ phase: 'link', uid: ARTICLE, documentId: 'a<1>', message: 'Missing "target"' });
+
+            const jsonPath = writeReport(report, 'reports/import.json', undefined, projectDir);
+            assert.equal(jsonPath, path.join(projectDir, 'reports', 'import.json'));
+            assert.equal(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).summary.errors, 1);
+
+            const xml = fs.readFileSync(writeReport(report, 'import.xml', undefined, projectDir), 'utf8');
+            assert.match(xml, /<testsuites name="strapi-migrate import" tests="2" failures="1">/);
+            assert.match(xml, /name="a&lt;1&gt; \(link\)"/);
+            assert.match(xml, /<failure message="Missing &quot;target&quot;">/);
+        } finally {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => writeReport(createReport('import'), 'report.txt', 'text'), /Unsupported report format "text"/);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Behaviour tests for runRestore against an in-memory Strapi
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../lib/utils');
+const { exportData, importData } = require('../lib/api');
+const { EXIT_CODES } = require('../lib/report');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const SCHEMAS = { contentTypes: { [ARTICLE]: { attributes: { title: { type: 'string' } } } } };
+
+/**
+ * Thrown in place of process.exit so a test can read the exit code.
+ */
+class ExitSignal extends Error {
+    constructor(code) {
+        super(`process.exit(${code})`);
+        this.code = code;
+    }
+}
+
+const article = (documentId, title) => ({ documentId, locale: 'en', title });
+const titles = strapi => strapi.rows(ARTICLE).map(row => `${row.documentId}=${row.title}`).sort();
+
+describe('runRestore', () => {
+    let projectDir;
+    let target;
+    let runRestore;
+
+    /**
+     * Imports [a1=New, a2=Two] into a target holding a1=Old, taking a snapshot.
+     * @returns {Promise<string>} Snapshot path
+     */
+    const importWithSnapshot = async () => {
+        const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'New'), article('a2', 'Two')] } });
+        const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+        target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Old')] } });
+        const result = await importData({ strapi: target, projectDir, archive, skipSchema: true, storage: 'local' });
+        assert.deepEqual(titles(target), ['a1=New', 'a2=Two']);
+        return result.snapshot;
+    };
+
+    /**
+     * Restores a snapshot into the current target.
+     * @param {string} snapshot - Snapshot path
+     * @param {Object} [options={}] - Extra restore options
+     * @returns {Promise<number>} The code runRestore exits with
+     */
+    const restore = async (snapshot, options = {}) => {
+        try {
+            await runRestore(snapshot, { skipSchema: true, ...options });
+        } catch (error) {
+            if (error instanceof ExitSignal) return error.code;
+            throw error;
+        }
+        assert.fail('runRestore returned without exiting');
+    };
+
+    before(() => {
+        // Restore logs "  •" lines that Node 20's test runner can mistake for its own messages
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        mock.method(process, 'exit', (code) => {
+            throw new ExitSignal(code);
+        });
+        // runRestore boots the local project; hand it the in-memory target instead
+        mock.method(utils, 'loadLocalStrapi', async () => target);
+        ({ runRestore } = require('../lib/restore'));
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('puts the target back the way it was before the import', async () => {
+        const snapshot = await importWithSnapshot();
+
+        assert.equal(await restore(snapshot), EXIT_CODES.SUCCESS);
+        assert.deepEqual(titles(target), ['a1=Old']);
+        assert.equal(target.destroyed, true);
+    });
+
+    it('leaves the target alone in a dry run', async () => {
+        const snapshot = await importWithSnapshot();
+
+        assert.equal(await restore(snapshot, { dryRun: true }), EXIT_CODES.SUCCESS);
+        assert.deepEqual(titles(target), ['a1=New', 'a2=Two']);
+    });
+
+    it('exits with a partial failure when some documents cannot be removed', async () => {
+        const snapshot = await importWithSnapshot();
+        const documents = target.documents;
+        target.documents = uid => ({
+            ...documents(uid),
+            async delete() {
+                throw new Error('delete refused');
+            }
+        });
+
+        assert.equal(await restore(snapshot), EXIT_CODES.PARTIAL_FAILURE);
+        assert.deepEqual(titles(target), ['a1=Old', 'a2=Two']);
+        assert.equal(target.destroyed, true);
+    });
+
+    it('refuses exports and missing files without touching the target', async () => {
+        const source = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'New')] } });
+        const { archive } = await exportData({ strapi: source, projectDir, all: true, storage: 'local' });
+        target = createStrapi({ ...SCHEMAS, documents: { [ARTICLE]: [article('a1', 'Old')] } });
+
+        assert.equal(await restore(archive), EXIT_CODES.FATAL);
+        assert.equal(await restore(path.join(projectDir, 'missing.tar.gz')), EXIT_CODES.FATAL);
+        assert.deepEqual(titles(target), ['a1=Old']);
+        assert.equal(target.destroyed, false);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Tests for the pre-flight schema compatibility check
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSchemaFiles, compareSchemas } = require('../lib/schema-check');
+
+const ARTICLE = 'api::article.article';
+
+/**
+ * Builds a schema set holding the article content type.
+ * @param {Object} attributes - Article attributes
+ * @param {Object} [extra={}] - Extra fields of the content type schema
+ * @returns {{ contentTypes: Object, components: Object }} Schemas
+ */
+function withArticle(attributes, extra = {}) {
+    return { contentTypes: { [ARTICLE]: { kind: 'collectionType', ...extra, attributes } }, components: {} };
+}
+
+/**
+ * Summarizes differences as "<attribute>:<change>:<breaking>".
+ * @param {Object[]} differences - compareSchemas result
+ * @returns {string[]} Summaries
+ */
+const summarize = differences => differences.map(d => `${d.attribute}:${d.change}:${d.breaking}`);
+
+describe('compareSchemas', () => {
+    it('finds no differences between identical schemas, ignoring system attributes', () => {
+        const incoming = withArticle({ title: { type: 'string' }, createdAt: { type: 'datetime' } });
+        const target = withArticle({ title: { type: 'string' }, documentId: { type: 'string' } });
+
+        assert.deepEqual(compareSchemas(incoming, target), []);
+    });
+
+    it('breaks on attributes only the target has when the schema sync would drop them', () => {
+        const incoming = withArticle({ title: { type: 'string' } });
+        const target = withArticle({ title: { type: 'string' }, summary: { type: 'text' } });
+
+        assert.deepEqual(summarize(compareSchemas(incoming, target)), ['summary:extra-attribute:true']);
+        assert.deepEqual(summarize(compareSchemas(incoming, target, { schemaSync: false })), ['summary:extra-attribute:false']);
+    });
+
+    it('breaks on attributes only the archive has with --skip-schema', () => {
+        const incoming = withArticle({ title: { type: 'string' }, summary: { type: 'text' } });
+        const target = withArticle({ title: { type: 'string' } });
+
+        assert.deepEqual(summarize(compareSchemas(incoming, target)), ['summary:missing-attribute:false']);
+        assert.deepEqual(summarize(compareSchemas(incoming, target, { schemaSync: false })), ['summary:missing-attribute:true']);
+    });
+
+    it('always breaks on type, relation, component and kind changes', () => {
+        const incoming = withArticle({
+            views: { type: 'string' },
+            author: { type: 'relation', relation: 'manyToOne', target: 'api::author.author' },
+            seo: { type: 'component', component: 'shared.seo', repeatable: true }
+        }, { kind: 'singleType' });
+        const target = withArticle({
+            views: { type: 'integer' },
+            author: { type: 'relation', relation: 'manyToMany', target: 'api::author.author' },
+            seo: { type: 'component', component: 'shared.seo' }
+        });
+
+        for (const schemaSync of [true, false]) {
+            assert.deepEqual(summarize(compareSchemas(incoming, target, { schemaSync })), [
+                'null:kind-changed:true',
+                'views:type-changed:true',
+                'author:relation-changed:true',
+                'seo:component-changed:true'
+            ]);
+        }
+    });
+
+    it('compares the components allowed in dynamic zones', () => {
+        const incoming = withArticle({ blocks: { type: 'dynamiczone', components: ['shared.quote', 'shared.media'] } });
+        const target = withArticle({ blocks: { type: 'dynamiczone', components: ['shared.quote', 'shared.slider'] } });
+
+        assert.deepEqual(summarize(compareSchemas(incoming, target)), [
+            'blocks:components-removed:true',
+            'blocks:components-added:false'
+        ]);
+    });
+
+    it('reports schemas missing on the target', () => {
+        const incoming = { contentTypes: {}, components: { 'shared.seo': { attributes: {} } } };
+        const [difference] = compareSchemas(incoming, { contentTypes: {}, components: {} }, { schemaSync: false });
+
+        assert.deepEqual(difference, {
+            uid: 'shared.seo',
+            attribute: null,
+            change: 'missing-schema',
+            breaking: true,
+            message: 'component not on the target'
+        });
+    });
+});
+
+describe('readSchemaFiles', () => {
+    it('reads content type and component schemas, skipping unreadable files', () => {
+        const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        try {
+            const typeDir = path.join(rootDir, 'src', 'api', 'article', 'content-types', 'article');
+            const componentDir = path.join(rootDir, 'src', 'components', 'shared');
+            fs.mkdirSync(typeDir, { recursive: true });
+            fs.mkdirSync(componentDir, { recursive: true });
+            fs.writeFileSync(path.join(typeDir, 'schema.json'), JSON.stringify({ kind: 'collectionType', attributes: {} }));
+            fs.writeFileSync(path.join(componentDir, 'seo.json'), JSON.stringify({ attributes: {} }));
+            fs.writeFileSync(path.join(componentDir, 'broken.json'), '{');
+
+            const schemas = readSchemaFiles(rootDir);
+            assert.deepEqual(Object.keys(schemas.contentTypes), [ARTICLE]);
+            assert.deepEqual(Object.keys(schemas.components), ['shared.seo']);
+        } finally {
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Tests for the media storage adapters. The provider adapter runs against a
+ * MinIO-style stand-in: a bucket directory served over HTTP and an upload provider writing into it.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+    getMediaFileName,
+    getMediaVariants,
+    getUploadProviderName,
+    createLocalStorage,
+    createProviderStorage,
+    validateStorageOption,
+    resolveStorage
+} = require('../lib/storage');
+
+/**
+ * Creates a Strapi stand-in whose upload plugin uses the given provider.
+ * @param {Object} provider - Upload provider
+ * @param {string} [providerName='aws-s3'] - Configured provider name
+ * @returns {Object} Strapi stand-in
+ */
+function createStrapi(provider, providerName = 'aws-s3') {
+    return {
+        config: { get: key => (key === 'plugin::upload' ? { provider: providerName } : undefined) },
+        plugin: () => ({
+            provider,
+            service: () => {
+                throw new Error('No provider service (Strapi v4)');
+            }
+        })
+    };
+}
+
+describe('getMediaFileName', () => {
+    it('takes the last path segment of local and remote URLs', () => {
+        assert.equal(getMediaFileName({ url: '/uploads/photo_123.png' }), 'photo_123.png');
+        assert.equal(getMediaFileName({ url: 'https://bucket.s3.amazonaws.com/media/photo_123.png?X-Amz-Signature=abc' }), 'photo_123.png');
+        assert.equal(getMediaFileName({ url: '/uploads/photo_123.png?updatedAt=1' }), 'photo_123.png');
+    });
+
+    it('decodes escaped names', () => {
+        assert.equal(getMediaFileName({ url: 'http://minio:9000/bucket/my%20photo_1.png' }), 'my photo_1.png');
+    });
+});
+
+describe('getMediaVariants', () => {
+    it('lists the original first, then every format', () => {
+        const thumbnail = { url: '/uploads/thumbnail_photo.png' };
+        const file = { url: '/uploads/photo.png', formats: { thumbnail } };
+
+        assert.deepEqual(getMediaVariants(file), [{ format: null, file }, { format: 'thumbnail', file: thumbnail }]);
+        assert.equal(getMediaVariants({ url: '/uploads/doc.pdf' }).length, 1);
+    });
+});
+
+describe('storage option', () => {
+    it('accepts built-in adapters, module paths and adapter objects', () => {
+        for (const value of [undefined, 'auto', 'local', 'provider', './storage.js', 'adapters/s3', { read() {} }]) {
+            assert.doesNotThrow(() => validateStorageOption(value));
+        }
+        assert.throws(() => validateStorageOption('s3'), /Unknown storage adapter "s3"/);
+    });
+
+    it('picks the adapter from the configured upload provider', () => {
+        assert.equal(getUploadProviderName(createStrapi({}, 'aws-s3')), 'aws-s3');
+        assert.equal(getUploadProviderName({ config: { get: () => undefined } }), 'local');
+        assert.equal(resolveStorage(createStrapi({}, 'local'), { storage: 'auto' }).name, 'local');
+        assert.equal(resolveStorage(createStrapi({}, 'aws-s3'), { storage: 'auto' }).name, 'provider (aws-s3)');
+        assert.equal(resolveStorage(createStrapi({}, 'aws-s3'), { storage: 'local' }).name, 'local');
+    });
+
+    it('rejects adapter modules without read and write', () => {
+        const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        try {
+            fs.writeFileSync(path.join(projectDir, 'adapter.js'), 'module.exports = () => ({ read() {} });');
+            assert.throws(() => resolveStorage(null, { storage: './adapter.js', projectDir }), /must provide read/);
+        } finally {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('local storage', () => {
+    let projectDir;
+
+    beforeEach(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('writes new files into public/uploads without overwriting existing ones', async () => {
+        const storage = createLocalStorage({ projectDir });
+        const sourcePath = path.join(projectDir, 'archived.png');
+        fs.writeFileSync(sourcePath, 'archived');
+        const tracked = [];
+
+        const fields = await storage.write({ url: '/uploads/photo.png' }, sourcePath, { fileJournal: { track: p => tracked.push(p) } });
+        const destPath = path.join(projectDir, 'public', 'uploads', 'photo.png');
+        assert.deepEqual(fields, { url: '/uploads/photo.png' });
+        assert.deepEqual(tracked, [destPath]);
+
+        fs.writeFileSync(destPath, 'existing');
+        await storage.write({ url: '/uploads/photo.png' }, sourcePath);
+        assert.equal(fs.readFileSync(destPath, 'utf8'), 'existing');
+    });
+
+    it('reads files from public/uploads', async () => {
+        const storage = createLocalStorage({ projectDir });
+        fs.mkdirSync(path.join(projectDir, 'public', 'uploads'), { recursive: true });
+        fs.writeFileSync(path.join(projectDir, 'public', 'uploads', 'photo.png'), 'stored');
+        const destPath = path.join(projectDir, 'copy.png');
+
+        assert.equal(await storage.read({ url: '/uploads/photo.png' }, destPath), true);
+        assert.equal(fs.readFileSync(destPath, 'utf8'), 'stored');
+        assert.equal(await storage.read({ url: '/uploads/missing.png' }, destPath), false);
+    });
+});
+
+describe('provider storage', () => {
+    let bucketDir;
+    let workDir;
+    let server;
+    let baseUrl;
+    let provider;
+
+    before(async () => {
+        bucketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-bucket-'));
+        server = http.createServer((req, res) => {
+            const [pathname, query] = req.url.split('?');
+            const filePath = path.join(bucketDir, decodeURIComponent(pathname));
+            // Private objects are only served with a signature
+            if (pathname.startsWith('/private/') && query !== 'signature=ok') {
+                res.statusCode = 403;
+                return res.end();
+            }
+            if (!fs.existsSync(filePath)) {
+                res.statusCode = 404;
+                return res.end();
+            }
+            fs.createReadStream(filePath).pipe(res);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(bucketDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        provider = {
+            deleted: [],
+            async uploadStream(file) {
+                await new Promise((resolve, reject) => {
+                    file.stream.pipe(fs.createWriteStream(path.join(bucketDir, `${file.hash}${file.ext}`)))
+                        .on('finish', resolve)
+                        .on('error', reject);
+                });
+                file.url = `${baseUrl}/${file.hash}${file.ext}`;
+                file.provider_metadata = { bucket: 'test' };
+            },
+            async delete(file) {
+                fs.rmSync(path.join(bucketDir, `${file.hash}${file.ext}`));
+                this.deleted.push(file.hash);
+            }
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('uploads files through the provider and deletes them on undo', async () => {
+        const storage = createProviderStorage(createStrapi(provider));
+        const sourcePath = path.join(workDir, 'photo.png');
+        fs.writeFileSync(sourcePath, 'PNGDATA');
+
+        const fields = await storage.write({ name: 'photo.png', hash: 'photo_abc', ext: '.png', mime: 'image/png' }, sourcePath);
+        assert.deepEqual(fields, { url: `${baseUrl}/photo_abc.png`, provider_metadata: { bucket: 'test' } });
+        assert.equal(fs.readFileSync(path.join(bucketDir, 'photo_abc.png'), 'utf8'), 'PNGDATA');
+
+        assert.equal(await storage.undo(), 1);
+        assert.deepEqual(provider.deleted, ['photo_abc']);
+        assert.equal(fs.existsSync(path.join(bucketDir, 'photo_abc.png')), false);
+    });
+
+    it('downloads files from their URL, reporting missing ones', async () => {
+        fs.writeFileSync(path.join(bucketDir, 'stored_1.png'), 'STORED');
+        const storage = createProviderStorage(createStrapi(provider));
+        const destPath = path.join(workDir, 'stored_1.png');
+
+        assert.equal(await storage.read({ url: `${baseUrl}/stored_1.png` }, destPath), true);
+        assert.equal(fs.readFileSync(destPath, 'utf8'), 'STORED');
+        assert.equal(await storage.read({ url: `${baseUrl}/missing.png` }, destPath), false);
+    });
+
+    it('signs the URLs of private files', async () => {
+        fs.mkdirSync(path.join(bucketDir, 'private'), { recursive: true });
+        fs.writeFileSync(path.join(bucketDir, 'private', 'secret_1.pdf'), 'SECRET');
+        provider.isPrivate = async () => true;
+        provider.getSignedUrl = async file => ({ url: `${file.url}?signature=ok` });
+        const storage = createProviderStorage(createStrapi(provider));
+        const destPath = path.join(workDir, 'secret_1.pdf');
+
+        assert.equal(await storage.read({ url: `${baseUrl}/private/secret_1.pdf` }, destPath), true);
+        assert.equal(fs.readFileSync(destPath, 'utf8'), 'SECRET');
+    });
+
+    it('fails on other download errors', async () => {
+        fs.mkdirSync(path.join(bucketDir, 'private'), { recursive: true });
+        fs.writeFileSync(path.join(bucketDir, 'private', 'secret_2.pdf'), 'SECRET');
+        const storage = createProviderStorage(createStrapi(provider));
+
+        await assert.rejects(
+            storage.read({ url: `${baseUrl}/private/secret_2.pdf` }, path.join(workDir, 'secret_2.pdf')),
+            /Failed to download .*: 403/
+        );
+    });
+
+    it('reads files with relative URLs from public/uploads', async () => {
+        fs.mkdirSync(path.join(workDir, 'public', 'uploads'), { recursive: true });
+        fs.writeFileSync(path.join(workDir, 'public', 'uploads', 'old_1.png'), 'OLD');
+        const storage = createProviderStorage(createStrapi(provider), { projectDir: workDir });
+        const destPath = path.join(workDir, 'old_1.png');
+
+        assert.equal(await storage.read({ url: '/uploads/old_1.png' }, destPath), true);
+        assert.equal(fs.readFileSync(destPath, 'utf8'), 'OLD');
+    });
+});
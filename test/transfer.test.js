@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for the push/pull transfer endpoint
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTransferServer, pushData } = require('../lib/transfer');
+const { createStrapi } = require('./helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+const ARTICLE_SCHEMA = { kind: 'collectionType', info: { singularName: 'article', pluralName: 'articles' }, attributes: { title: { type: 'string' } } };
+const SCHEMAS = { contentTypes: { [ARTICLE]: ARTICLE_SCHEMA } };
+const TOKEN = 'secret';
+
+describe('transfer endpoint', () => {
+    let tempDir;
+    let savedTmpDir;
+    let localDir;
+    let local;
+
+    /**
+     * Starts a transfer endpoint on a free port.
+     * @param {Object} options - createTransferServer options besides the token
+     * @returns {Promise<{ url: string, close: Function }>} The endpoint
+     */
+    const serve = async (options) => {
+        const server = createTransferServer({ token: TOKEN, ...options });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return {
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(resolve => server.close(resolve))
+        };
+    };
+
+    /**
+     * Creates an empty project directory for the receiving side.
+     * @returns {string} The project directory
+     */
+    const remoteProject = () => fs.mkdtempSync(path.join(tempDir, 'remote-'));
+
+    before(() => {
+        // Both sides of every transfer log to this process's stdout, where Node 20's test runner
+        // can mistake lines starting with "  •" for its own messages
+        mock.method(console, 'log', () => {});
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-migrate-test-'));
+        savedTmpDir = process.env.TMPDIR;
+        process.env.TMPDIR = tempDir;
+
+        localDir = fs.mkdtempSync(path.join(tempDir, 'local-'));
+        const schemaDir = path.join(localDir, 'src', 'api', 'article', 'content-types', 'article');
+        fs.mkdirSync(schemaDir, { recursive: true });
+        fs.writeFileSync(path.join(schemaDir, 'schema.json'), JSON.stringify(ARTICLE_SCHEMA));
+        local = createStrapi({
+            ...SCHEMAS,
+            documents: { [ARTICLE]: [{ documentId: 'a1', locale: 'en', title: 'One', publishedAt: '2024-01-01T00:00:00.000Z' }] }
+        });
+    });
+
+    after(() => {
+        mock.restoreAll();
+        if (savedTmpDir === undefined) delete process.env.TMPDIR;
+        else process.env.TMPDIR = savedTmpDir;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('rejects requests without the transfer token', async () => {
+        const remote = createStrapi(SCHEMAS);
+        const endpoint = await serve({ projectDir: remoteProject(), strapi: remote });
+        try {
+            const missing = await fetch(`${endpoint.url}/info`);
+            assert.equal(missing.status, 401);
+            const wrong = await fetch(`${endpoint.url}/import`, { method: 'POST', headers: { Authorization: 'Bearer wrong' }, body: 'archive' });
+            assert.equal(wrong.status, 401);
+            assert.match((await wrong.json()).error, /invalid transfer token/);
+
+            await assert.rejects(
+                pushData({ url: endpoint.url, token: 'wrong', types: [ARTICLE], strapi: local, projectDir: localDir, storage: 'local' }),
+                /Missing or invalid transfer token/
+            );
+            assert.equal(remote.rows(ARTICLE).length, 0);
+        } finally {
+            await endpoint.close();
+        }
+    });
+
+    it('only writes pushed schema files when the endpoint allows it', async () => {
+        const schemaFile = path.join('src', 'api', 'article', 'content-types', 'article', 'schema.json');
+
+        const contentOnlyDir = remoteProject();
+        const contentOnly = createStrapi(SCHEMAS);
+        const endpoint = await serve({ projectDir: contentOnlyDir, strapi: contentOnly });
+        try {
+            const result = await pushData({ url: endpoint.url, token: TOKEN, types: [ARTICLE], strapi: local, projectDir: localDir, storage: 'local', snapshot: false });
+            assert.equal(result.exitCode, 0);
+            assert.deepEqual(contentOnly.rows(ARTICLE).map(row => row.title), ['One']);
+            assert.equal(fs.existsSync(path.join(contentOnlyDir, 'src')), false);
+        } finally {
+            await endpoint.close();
+        }
+
+        const schemaDir = remoteProject();
+        const allowed = await serve({ projectDir: schemaDir, strapi: createStrapi(SCHEMAS), allowSchema: true });
+        try {
+            const result = await pushData({ url: allowed.url, token: TOKEN, types: [ARTICLE], strapi: local, projectDir: localDir, storage: 'local', snapshot: false });
+            assert.equal(result.exitCode, 0);
+            assert.equal(fs.existsSync(path.join(schemaDir, schemaFile)), true);
+        } finally {
+            await allowed.close();
+        }
+    });
+
+    it('removes the pushed archive and its extracted files when the import fails', async () => {
+        const remote = createStrapi(SCHEMAS);
+        const documents = remote.documents;
+        remote.documents = uid => ({
+            ...documents(uid),
+            async create() {
+                throw new Error('title is invalid');
+            }
+        });
+        const endpoint = await serve({ projectDir: remoteProject(), strapi: remote });
+        try {
+            await assert.rejects(
+                pushData({ url: endpoint.url, token: TOKEN, types: [ARTICLE], strapi: local, projectDir: localDir, storage: 'local', snapshot: false, failFast: true }),
+                /title is invalid/
+            );
+            assert.deepEqual(fs.readdirSync(path.join(tempDir, 'strapi-migrate-transfer')), []);
+        } finally {
+            await endpoint.close();
+        }
+    });
+});